@@ -0,0 +1,103 @@
+// Netlify Edge Function acting on the user's dead-letter alerts
+// `retry` queues a dead alert again for immediate execution, `discard` gives up on it
+import { createClient } from '@supabase/supabase-js';
+import { getRequestUser } from './utils/auth.edge.mjs';
+import { createNotifier } from './utils/notifications.edge.mjs';
+import { retryDeadAlert, discardDeadAlert, drainAlertQueue } from './utils/alertQueue.edge.mjs';
+
+// CORS headers to include in all responses
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization"
+};
+
+const json = (body, status) => new Response(
+  JSON.stringify(body),
+  {
+    status,
+    headers: {
+      ...corsHeaders,
+      "Content-Type": "application/json"
+    }
+  }
+);
+
+// Time a retried alert may take to run after the response; the scheduled worker picks up the rest
+const DRAIN_BUDGET_MS = 20000;
+
+export default async function handler(request, context) {
+  console.log("Edge Function: alertQueue started");
+
+  // Handle preflight requests
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    });
+  }
+
+  // Only allow POST requests
+  if (request.method !== "POST") {
+    console.log(`Invalid request method: ${request.method}`);
+    return json({ error: "Method not allowed" }, 405);
+  }
+
+  // Get environment variables
+  const supabaseUrl = Deno.env.get('SUPABASE_URL');
+  const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_KEY');
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error("Missing Supabase environment variables");
+    return json({ error: "Server configuration error" }, 500);
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+  try {
+    const user = await getRequestUser(supabase, request);
+    if (!user) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    const { action, id } = await request.json();
+    if (action !== 'retry' && action !== 'discard') {
+      return json({ error: `Unknown action: ${action}` }, 400);
+    }
+
+    const { data: item, error: itemError } = await supabase
+      .from('alert_queue')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .maybeSingle();
+    if (itemError) throw itemError;
+    if (!item) {
+      return json({ error: "Queued alert not found" }, 404);
+    }
+    if (item.status !== 'dead') {
+      return json({ error: `Only dead alerts can be retried or discarded, this one is ${item.status}` }, 409);
+    }
+
+    if (action === 'discard') {
+      await discardDeadAlert(supabase, item);
+      return json({ success: true }, 200);
+    }
+
+    await retryDeadAlert(supabase, item);
+    // Where the runtime can't work after the response, the scheduled worker executes the alert
+    if (context?.waitUntil) {
+      context.waitUntil(drainAlertQueue(supabase, {
+        botId: item.bot_id,
+        getEnv: name => Deno.env.get(name),
+        notifier: createNotifier(supabase, name => Deno.env.get(name)),
+        deadline: Date.now() + DRAIN_BUDGET_MS
+      }).catch(error => console.error("Error draining the alert queue:", error)));
+    }
+
+    return json({ success: true, queued: true }, 202);
+  } catch (error) {
+    console.error('Error updating queued alert:', error);
+    return json({ error: error.message }, 500);
+  }
+}
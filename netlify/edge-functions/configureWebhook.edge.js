@@ -0,0 +1,143 @@
+// Netlify Edge Function for configuring how a webhook authenticates incoming alerts
+import { createClient } from '@supabase/supabase-js';
+import { getRequestUser } from './utils/auth.edge.mjs';
+import { loadKeyring, encryptSecret } from './utils/secrets.edge.mjs';
+import {
+  WEBHOOK_AUTH_MODES,
+  hashPassphrase,
+  generateSigningSecret,
+  isValidIpEntry
+} from './utils/webhookAuth.edge.mjs';
+
+// CORS headers to include in all responses
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization"
+};
+
+const json = (body, status) => new Response(
+  JSON.stringify(body),
+  {
+    status,
+    headers: {
+      ...corsHeaders,
+      "Content-Type": "application/json"
+    }
+  }
+);
+
+export default async function handler(request, context) {
+  console.log("Edge Function: configureWebhook started");
+
+  // Handle preflight requests
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    });
+  }
+
+  // Only allow POST requests
+  if (request.method !== "POST") {
+    console.log(`Invalid request method: ${request.method}`);
+    return json({ error: "Method not allowed" }, 405);
+  }
+
+  // Get environment variables
+  const supabaseUrl = Deno.env.get('SUPABASE_URL');
+  const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_KEY');
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error("Missing Supabase environment variables");
+    return json({ error: "Server configuration error" }, 500);
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+  try {
+    const user = await getRequestUser(supabase, request);
+    if (!user) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const { webhookId, authMode = 'token', regenerateSecret = false } = body;
+    const passphrase = typeof body.passphrase === 'string' ? body.passphrase : '';
+    const allowedIps = (body.allowedIps || []).map(ip => String(ip).trim()).filter(Boolean);
+
+    if (!WEBHOOK_AUTH_MODES.includes(authMode)) {
+      return json({ error: `Authentication mode must be one of ${WEBHOOK_AUTH_MODES.join(', ')}` }, 400);
+    }
+
+    const invalidIps = allowedIps.filter(ip => !isValidIpEntry(ip));
+    if (invalidIps.length > 0) {
+      return json({ error: `Invalid IP addresses: ${invalidIps.join(', ')}` }, 400);
+    }
+
+    // Ownership is checked against the caller, never the request body
+    const { data: webhook, error: webhookError } = await supabase
+      .from('webhooks')
+      .select('id, passphrase_hash, hmac_secret_encrypted')
+      .eq('id', webhookId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (webhookError) throw webhookError;
+    if (!webhook) {
+      return json({ error: "Webhook not found" }, 404);
+    }
+
+    const update = {
+      auth_mode: authMode,
+      allowed_ips: allowedIps
+    };
+
+    // A blank passphrase keeps the current one
+    if (passphrase) {
+      const passphraseKey = Deno.env.get('WEBHOOK_PASSPHRASE_KEY');
+      if (!passphraseKey) {
+        console.error("Missing WEBHOOK_PASSPHRASE_KEY");
+        return json({ error: "Server configuration error" }, 500);
+      }
+      update.passphrase_hash = await hashPassphrase(passphrase, passphraseKey);
+    } else if (authMode === 'passphrase' && !webhook.passphrase_hash) {
+      return json({ error: "Passphrase is required" }, 400);
+    }
+
+    // The signing secret is returned once, when it is generated
+    let signingSecret = null;
+    if (authMode === 'hmac' && (regenerateSecret || !webhook.hmac_secret_encrypted)) {
+      const keyring = await loadKeyring(name => Deno.env.get(name));
+      if (!keyring) {
+        console.error("Missing API_KEY_ENCRYPTION_KEY");
+        return json({ error: "Server configuration error" }, 500);
+      }
+      signingSecret = generateSigningSecret();
+      update.hmac_secret_encrypted = await encryptSecret(signingSecret, keyring, webhook.id);
+    }
+
+    const { error } = await supabase
+      .from('webhooks')
+      .update(update)
+      .eq('id', webhook.id);
+
+    if (error) {
+      console.error("Database update error:", error);
+      throw error;
+    }
+
+    console.log(`Webhook ${webhook.id} authentication set to ${authMode}, ${allowedIps.length} allowed IPs`);
+
+    return json({
+      authMode,
+      allowedIps,
+      hasPassphrase: !!(update.passphrase_hash || webhook.passphrase_hash),
+      hasSigningSecret: !!(update.hmac_secret_encrypted || webhook.hmac_secret_encrypted),
+      signingSecret
+    }, 200);
+  } catch (error) {
+    console.error('Error configuring webhook:', error);
+    return json({ error: error.message }, 500);
+  }
+}
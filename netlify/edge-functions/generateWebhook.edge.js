@@ -1,6 +1,8 @@
-// Netlify Edge Function for generating webhook URLs
+// Netlify Edge Function for issuing, rotating, extending and revoking webhook URLs
 import { createClient } from '@supabase/supabase-js';
 import { nanoid } from 'nanoid';
+import { getRequestUser } from './utils/auth.edge.mjs';
+import { loadKeyring, decryptSecret, encryptSecret } from './utils/secrets.edge.mjs';
 
 // CORS headers to include in all responses
 const corsHeaders = {
@@ -9,9 +11,55 @@ const corsHeaders = {
   "Access-Control-Allow-Headers": "Content-Type, Authorization"
 };
 
+// Hours a rotated token keeps working when the request does not say
+const DEFAULT_GRACE_PERIOD_HOURS = 24;
+
+// Columns returned to the dashboard; secrets are reduced to whether they are set
+const WEBHOOK_COLUMNS =
+  'id, bot_id, label, webhook_token, expires_at, revoked_at, last_used_at, replaced_by, created_at, ' +
+  'auth_mode, allowed_ips, passphrase_hash, hmac_secret_encrypted, missed_alerts, last_missed_at';
+
+const json = (body, status) => new Response(
+  JSON.stringify(body),
+  {
+    status,
+    headers: {
+      ...corsHeaders,
+      "Content-Type": "application/json"
+    }
+  }
+);
+
+/**
+ * Expiry timestamp `days` from now, or null for a webhook that never expires.
+ */
+function expiryFrom(days) {
+  if (days == null || days === '') {
+    return null;
+  }
+  const value = Number(days);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new RangeError('Expiry must be a positive number of days, or empty for no expiry');
+  }
+  return new Date(Date.now() + value * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Webhook as shown in the dashboard: URL included, secrets reduced to flags.
+ */
+function toWebhookResponse(webhook, baseUrl) {
+  const { passphrase_hash, hmac_secret_encrypted, ...rest } = webhook;
+  return {
+    ...rest,
+    url: `${baseUrl}/.netlify/functions/processAlert/${webhook.webhook_token}`,
+    has_passphrase: !!passphrase_hash,
+    has_signing_secret: !!hmac_secret_encrypted
+  };
+}
+
 export default async function handler(request, context) {
   console.log("Edge Function: generateWebhook started");
-  
+
   // Handle preflight requests
   if (request.method === "OPTIONS") {
     console.log("Handling preflight request");
@@ -24,126 +72,225 @@ export default async function handler(request, context) {
   // Only allow POST requests
   if (request.method !== "POST") {
     console.log(`Invalid request method: ${request.method}`);
-    return new Response(
-      JSON.stringify({ error: "Method not allowed" }),
-      {
-        status: 405,
-        headers: {
-          ...corsHeaders,
-          "Content-Type": "application/json"
-        }
-      }
-    );
+    return json({ error: "Method not allowed" }, 405);
   }
 
   // Get environment variables
   const supabaseUrl = Deno.env.get('SUPABASE_URL');
   const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_KEY');
-  
+
   console.log(`Environment check: Supabase URL exists: ${!!supabaseUrl}, Service Key exists: ${!!supabaseServiceKey}`);
 
   // Check if environment variables are set
   if (!supabaseUrl || !supabaseServiceKey) {
     console.error("Missing Supabase environment variables");
-    return new Response(
-      JSON.stringify({ error: "Server configuration error" }),
-      {
-        status: 500,
-        headers: {
-          ...corsHeaders,
-          "Content-Type": "application/json"
-        }
-      }
-    );
+    return json({ error: "Server configuration error" }, 500);
   }
 
   // Initialize Supabase client
   const supabase = createClient(supabaseUrl, supabaseServiceKey);
-  console.log("Supabase client initialized");
+
+  const url = new URL(request.url);
+  const baseUrl = `${url.protocol}//${url.host}`;
 
   try {
-    // Parse request body
+    // Ownership is checked against the caller's session, never a userId in the body
+    const user = await getRequestUser(supabase, request);
+    if (!user) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
     const body = await request.json();
-    const { userId, botId, expirationDays = 30 } = body;
-    
-    console.log(`Request received - userId: ${userId}, botId: ${botId}, expirationDays: ${expirationDays}`);
-    
-    // Validate required fields
-    if (!userId || !botId) {
-      console.log("Missing required fields");
-      return new Response(
-        JSON.stringify({ error: "Missing required fields" }),
-        {
-          status: 400,
-          headers: {
-            ...corsHeaders,
-            "Content-Type": "application/json"
-          }
-        }
-      );
+    const { action = 'create' } = body;
+    console.log(`Request received - action: ${action}, user: ${user.id}`);
+
+    if (action === 'list' || action === 'create') {
+      const { data: bot, error: botError } = await supabase
+        .from('bots')
+        .select('id')
+        .eq('id', body.botId)
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+      if (botError) throw botError;
+      if (!bot) {
+        return json({ error: "Bot not found" }, 404);
+      }
+
+      if (action === 'list') {
+        const { data: webhooks, error } = await supabase
+          .from('webhooks')
+          .select(WEBHOOK_COLUMNS)
+          .eq('bot_id', bot.id)
+          .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return json({ webhooks: webhooks.map(webhook => toWebhookResponse(webhook, baseUrl)) }, 200);
+      }
+
+      const webhookToken = nanoid(32);
+      console.log(`Generated webhook token: ${webhookToken.substring(0, 5)}...`);
+
+      const { data: webhook, error } = await supabase
+        .from('webhooks')
+        .insert({
+          user_id: user.id,
+          bot_id: bot.id,
+          label: String(body.label || '').trim() || null,
+          webhook_token: webhookToken,
+          expires_at: expiryFrom(body.expiresInDays),
+          created_at: new Date().toISOString()
+        })
+        .select(WEBHOOK_COLUMNS)
+        .single();
+
+      if (error) {
+        console.error("Database insertion error:", error);
+        throw error;
+      }
+
+      return json({ webhook: toWebhookResponse(webhook, baseUrl) }, 200);
     }
-    
-    // Generate unique webhook token
-    const webhookToken = nanoid(32);
-    console.log(`Generated webhook token: ${webhookToken.substring(0, 5)}...`);
-    
-    // Calculate expiration date
-    const expirationDate = new Date();
-    expirationDate.setDate(expirationDate.getDate() + expirationDays);
-    console.log(`Expiration date set to: ${expirationDate.toISOString()}`);
-    
-    // Store webhook information in database
-    console.log("Inserting webhook into database...");
-    const { data, error } = await supabase
+
+    // Every other action works on one of the caller's webhooks
+    const { data: webhook, error: webhookError } = await supabase
       .from('webhooks')
-      .insert({
-        user_id: userId,
-        bot_id: botId,
-        webhook_token: webhookToken,
-        expires_at: expirationDate.toISOString(),
-        created_at: new Date().toISOString()
-      });
-    
-    if (error) {
-      console.error("Database insertion error:", error);
-      throw error;
+      .select(`${WEBHOOK_COLUMNS}, user_id`)
+      .eq('id', body.webhookId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (webhookError) throw webhookError;
+    if (!webhook) {
+      return json({ error: "Webhook not found" }, 404);
     }
-    
-    console.log("Webhook successfully stored in database");
-    
-    // Construct webhook URL
-    const url = new URL(request.url);
-    const baseUrl = `${url.protocol}//${url.host}`;
-    console.log(`Using base URL: ${baseUrl}`);
-    
-    const webhookUrl = `${baseUrl}/.netlify/functions/processAlert/${webhookToken}`;
-    console.log(`Generated webhook URL: ${webhookUrl}`);
-    
-    return new Response(
-      JSON.stringify({
-        webhookUrl,
-        expiresAt: expirationDate.toISOString()
-      }),
-      {
-        status: 200,
-        headers: {
-          ...corsHeaders,
-          "Content-Type": "application/json"
-        }
+
+    if (action === 'revoke') {
+      const { data: revoked, error } = await supabase
+        .from('webhooks')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', webhook.id)
+        .select(WEBHOOK_COLUMNS)
+        .single();
+
+      if (error) throw error;
+      console.log(`Webhook ${webhook.id} revoked`);
+      return json({ webhook: toWebhookResponse(revoked, baseUrl) }, 200);
+    }
+
+    if (action === 'extend') {
+      // Expired webhooks can be extended too, so TradingView alerts work again on the same URL
+      if (webhook.revoked_at || webhook.replaced_by) {
+        return json({ error: "Revoked or rotated webhooks cannot be extended" }, 400);
       }
-    );
-  } catch (error) {
-    console.error('Error generating webhook:', error);
-    
-    return new Response(
-      JSON.stringify({ error: error.message }),
-      {
-        status: 500,
-        headers: {
-          ...corsHeaders,
-          "Content-Type": "application/json"
+
+      // Only an explicit null removes the expiry; a missing value is a mistake, not "never"
+      if (body.expiresInDays === undefined || body.expiresInDays === '') {
+        return json({ error: "expiresInDays is required, or null for no expiry" }, 400);
+      }
+
+      const { data: extended, error } = await supabase
+        .from('webhooks')
+        .update({
+          expires_at: expiryFrom(body.expiresInDays),
+          expiry_warned_at: null,
+          missed_alerts: 0
+        })
+        .eq('id', webhook.id)
+        .select(WEBHOOK_COLUMNS)
+        .single();
+
+      if (error) throw error;
+      console.log(`Webhook ${webhook.id} extended until ${extended.expires_at ?? 'never'}`);
+      return json({ webhook: toWebhookResponse(extended, baseUrl) }, 200);
+    }
+
+    if (action === 'rotate') {
+      if (webhook.revoked_at || (webhook.expires_at && new Date(webhook.expires_at) <= new Date())) {
+        return json({ error: "Revoked or expired webhooks cannot be rotated" }, 400);
+      }
+      if (webhook.replaced_by) {
+        return json({ error: "This webhook was already rotated; rotate its replacement instead" }, 400);
+      }
+
+      const graceHours = body.gracePeriodHours ?? DEFAULT_GRACE_PERIOD_HOURS;
+      if (!Number.isFinite(Number(graceHours)) || Number(graceHours) < 0) {
+        return json({ error: "Grace period must be zero or more hours" }, 400);
+      }
+
+      // The replacement keeps the label, expiry and authentication settings
+      const { data: replacement, error } = await supabase
+        .from('webhooks')
+        .insert({
+          user_id: user.id,
+          bot_id: webhook.bot_id,
+          label: webhook.label,
+          webhook_token: nanoid(32),
+          expires_at: webhook.expires_at,
+          auth_mode: webhook.auth_mode,
+          allowed_ips: webhook.allowed_ips,
+          passphrase_hash: webhook.passphrase_hash,
+          created_at: new Date().toISOString()
+        })
+        .select(WEBHOOK_COLUMNS)
+        .single();
+
+      if (error) {
+        console.error("Database insertion error:", error);
+        throw error;
+      }
+
+      // Signing secrets are bound to their webhook, so they are re-encrypted for the new one
+      if (webhook.hmac_secret_encrypted) {
+        const keyring = await loadKeyring(name => Deno.env.get(name));
+        if (!keyring) {
+          throw new Error('API_KEY_ENCRYPTION_KEY is not configured');
         }
+        const secret = await decryptSecret(webhook.hmac_secret_encrypted, keyring, webhook.id);
+        replacement.hmac_secret_encrypted = await encryptSecret(secret, keyring, replacement.id);
+        const { error: secretError } = await supabase
+          .from('webhooks')
+          .update({ hmac_secret_encrypted: replacement.hmac_secret_encrypted })
+          .eq('id', replacement.id);
+        if (secretError) throw secretError;
+      }
+
+      // The old token keeps working for the grace period
+      const graceEnd = new Date(Date.now() + Number(graceHours) * 60 * 60 * 1000);
+      const oldUpdate = { replaced_by: replacement.id };
+      if (Number(graceHours) === 0) {
+        oldUpdate.revoked_at = new Date().toISOString();
+      } else if (!webhook.expires_at || new Date(webhook.expires_at) > graceEnd) {
+        oldUpdate.expires_at = graceEnd.toISOString();
       }
-    );
+
+      // Only one of two simultaneous rotations replaces the webhook; the other's replacement is removed
+      const { data: rotated, error: rotateError } = await supabase
+        .from('webhooks')
+        .update(oldUpdate)
+        .eq('id', webhook.id)
+        .is('replaced_by', null)
+        .select(WEBHOOK_COLUMNS)
+        .maybeSingle();
+
+      if (rotateError) throw rotateError;
+      if (!rotated) {
+        const { error: deleteError } = await supabase.from('webhooks').delete().eq('id', replacement.id);
+        if (deleteError) throw deleteError;
+        return json({ error: "This webhook was already rotated; rotate its replacement instead" }, 409);
+      }
+      console.log(`Webhook ${webhook.id} rotated to ${replacement.id} with a ${graceHours}h grace period`);
+
+      return json({
+        webhook: toWebhookResponse(replacement, baseUrl),
+        previous: toWebhookResponse(rotated, baseUrl)
+      }, 200);
+    }
+
+    return json({ error: `Unknown action: ${action}` }, 400);
+  } catch (error) {
+    console.error('Error managing webhook:', error);
+
+    return json({ error: error.message }, error instanceof RangeError ? 400 : 500);
   }
 }
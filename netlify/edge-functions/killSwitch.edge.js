@@ -0,0 +1,265 @@
+// Netlify Edge Function for the account-level kill switch
+// Engaging halts all alerts for the user, pauses every bot, cancels open orders and
+// optionally closes every position at market; every use is recorded in kill_switch_events
+import { createClient } from '@supabase/supabase-js';
+import { getRequestUser } from './utils/auth.edge.mjs';
+import { loadKeyring, resolveApiSecret } from './utils/secrets.edge.mjs';
+import { createExchange } from './utils/exchange.edge.mjs';
+
+// CORS headers to include in all responses
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization"
+};
+
+const KILL_SWITCH_REASON = 'Kill switch engaged';
+
+const json = (body, status) => new Response(
+  JSON.stringify(body),
+  {
+    status,
+    headers: {
+      ...corsHeaders,
+      "Content-Type": "application/json"
+    }
+  }
+);
+
+/**
+ * Cancel the open orders of one exchange account and, with `flatten`, close its
+ * positions with reduce-only market orders. `markets` maps each market type the
+ * account's bots trade to their symbols; USDT perpetuals are always covered.
+ * Spot holdings are not positions and are left alone. Failures are collected,
+ * not thrown, so one account cannot stop the others from being shut down.
+ */
+async function shutDownAccount(apiKey, { flatten, keyring, markets }) {
+  const account = { id: apiKey.id, label: apiKey.label, exchange: apiKey.exchange, environment: apiKey.environment };
+  const result = { cancelledOrders: [], closedPositions: [], errors: [] };
+
+  let resolvedKey;
+  try {
+    resolvedKey = { ...apiKey, api_secret: await resolveApiSecret(apiKey, keyring) };
+  } catch (error) {
+    result.errors.push({ account, step: 'credentials', error: error.message });
+    return result;
+  }
+
+  for (const [marketType, symbols] of markets) {
+    let exchange;
+    try {
+      exchange = createExchange(resolvedKey, { marketType });
+    } catch (error) {
+      result.errors.push({ account, marketType, step: 'exchange', error: error.message });
+      continue;
+    }
+
+    try {
+      const cancelled = await exchange.cancelAllOrders({ symbols: [...symbols] });
+      result.cancelledOrders.push(...cancelled.map(order => ({ account, marketType, ...order })));
+    } catch (error) {
+      result.errors.push({ account, marketType, step: 'cancel_orders', error: error.message });
+    }
+
+    if (!flatten || !exchange.supportsPositions) {
+      continue;
+    }
+
+    let positions = [];
+    try {
+      positions = await exchange.getOpenPositions();
+    } catch (error) {
+      result.errors.push({ account, marketType, step: 'list_positions', error: error.message });
+    }
+
+    for (const position of positions) {
+      const close = {
+        account,
+        marketType,
+        symbol: position.symbol,
+        side: position.side,
+        size: position.size
+      };
+      try {
+        const order = await exchange.placeOrder({
+          symbol: position.symbol,
+          side: position.side === 'Buy' ? 'Sell' : 'Buy',
+          orderType: 'Market',
+          quantity: position.size,
+          reduceOnly: true,
+          // Set for the legs of hedge mode accounts
+          positionSide: position.positionSide
+        });
+        result.closedPositions.push({ ...close, orderId: order.orderId, status: order.status });
+      } catch (error) {
+        result.errors.push({ ...close, step: 'close_position', error: error.message });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Market types and symbols traded on each exchange account, from the user's bots.
+ * Returns a Map of account id to a Map of market type to a Set of symbols.
+ */
+function marketsByAccount(bots) {
+  const accounts = new Map();
+  for (const bot of bots) {
+    if (!bot.exchange_account_id) continue;
+    const markets = accounts.get(bot.exchange_account_id) || new Map([['linear', new Set()]]);
+    const marketType = bot.market_type || 'linear';
+    const symbols = markets.get(marketType) || new Set();
+    if (bot.symbol) symbols.add(bot.symbol.toUpperCase());
+    markets.set(marketType, symbols);
+    accounts.set(bot.exchange_account_id, markets);
+  }
+  return accounts;
+}
+
+export default async function handler(request, context) {
+  console.log("Edge Function: killSwitch started");
+
+  // Handle preflight requests
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    });
+  }
+
+  // Only allow POST requests
+  if (request.method !== "POST") {
+    console.log(`Invalid request method: ${request.method}`);
+    return json({ error: "Method not allowed" }, 405);
+  }
+
+  // Get environment variables
+  const supabaseUrl = Deno.env.get('SUPABASE_URL');
+  const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_KEY');
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error("Missing Supabase environment variables");
+    return json({ error: "Server configuration error" }, 500);
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+  try {
+    const user = await getRequestUser(supabase, request);
+    if (!user) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    const { action, flatten = false } = await request.json();
+    console.log(`Kill switch ${action} requested by ${user.id}${flatten ? ' with flatten' : ''}`);
+
+    if (action === 'release') {
+      const { error } = await supabase
+        .from('users')
+        .update({ trading_halted_at: null })
+        .eq('id', user.id);
+      if (error) throw error;
+
+      const { data: event, error: eventError } = await supabase
+        .from('kill_switch_events')
+        .insert({ user_id: user.id, triggered_by: user.id, action: 'release' })
+        .select()
+        .single();
+      if (eventError) throw eventError;
+
+      return json({ event }, 200);
+    }
+
+    if (action !== 'engage') {
+      return json({ error: `Unknown action: ${action}` }, 400);
+    }
+
+    // Halt alerts first so nothing new is placed while the rest shuts down
+    const haltedAt = new Date().toISOString();
+    const { error: haltError } = await supabase
+      .from('users')
+      .update({ trading_halted_at: haltedAt })
+      .eq('id', user.id);
+    if (haltError) throw haltError;
+
+    const { data: pausedBots, error: pauseError } = await supabase
+      .from('bots')
+      .update({ status: 'paused', paused_reason: KILL_SWITCH_REASON, updated_at: haltedAt })
+      .eq('user_id', user.id)
+      .eq('status', 'active')
+      .select('id, name');
+    if (pauseError) throw pauseError;
+
+    // Resting paper orders are cancelled too; paper positions are left to their stops
+    const { data: paperOrders, error: paperError } = await supabase
+      .from('paper_orders')
+      .update({ status: 'Cancelled' })
+      .eq('user_id', user.id)
+      .eq('status', 'New')
+      .select('id');
+    if (paperError) {
+      console.error("Error cancelling paper orders:", paperError);
+    }
+
+    const { data: accounts, error: accountsError } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('user_id', user.id);
+    if (accountsError) throw accountsError;
+
+    const { data: bots, error: botsError } = await supabase
+      .from('bots')
+      .select('exchange_account_id, market_type, symbol')
+      .eq('user_id', user.id);
+    if (botsError) throw botsError;
+    const accountMarkets = marketsByAccount(bots);
+
+    let keyring = null;
+    try {
+      keyring = await loadKeyring(name => Deno.env.get(name));
+    } catch (error) {
+      console.error("Invalid encryption key configuration:", error);
+    }
+
+    // One account at a time to stay inside the exchanges' rate limits
+    const summary = { cancelledOrders: [], closedPositions: [], errors: [] };
+    for (const apiKey of accounts) {
+      const markets = accountMarkets.get(apiKey.id) || new Map([['linear', new Set()]]);
+      const result = await shutDownAccount(apiKey, { flatten, keyring, markets });
+      summary.cancelledOrders.push(...result.cancelledOrders);
+      summary.closedPositions.push(...result.closedPositions);
+      summary.errors.push(...result.errors);
+    }
+
+    const { data: event, error: eventError } = await supabase
+      .from('kill_switch_events')
+      .insert({
+        user_id: user.id,
+        triggered_by: user.id,
+        action: 'engage',
+        flatten,
+        paused_bots: pausedBots,
+        cancelled_orders: summary.cancelledOrders,
+        cancelled_paper_orders: paperOrders?.length || 0,
+        closed_positions: summary.closedPositions,
+        errors: summary.errors,
+        created_at: haltedAt
+      })
+      .select()
+      .single();
+    if (eventError) throw eventError;
+
+    console.log(
+      `Kill switch engaged for ${user.id}: ${pausedBots.length} bots paused,` +
+      ` ${summary.cancelledOrders.length} orders cancelled, ${summary.closedPositions.length} positions closed,` +
+      ` ${summary.errors.length} errors`
+    );
+
+    return json({ event }, 200);
+  } catch (error) {
+    console.error('Error running kill switch:', error);
+    return json({ error: error.message }, 500);
+  }
+}
@@ -0,0 +1,78 @@
+// Netlify Edge Function for previewing how a bot's payload mapping reads a sample alert
+import { createClient } from '@supabase/supabase-js';
+import { getRequestUser } from './utils/auth.edge.mjs';
+import { parseAlert } from './utils/alertPayload.edge.mjs';
+import { resolveSignalAction } from './utils/signalActions.edge.mjs';
+
+// CORS headers to include in all responses
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization"
+};
+
+const json = (body, status) => new Response(
+  JSON.stringify(body),
+  {
+    status,
+    headers: {
+      ...corsHeaders,
+      "Content-Type": "application/json"
+    }
+  }
+);
+
+export default async function handler(request, context) {
+  // Handle preflight requests
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    });
+  }
+
+  // Only allow POST requests
+  if (request.method !== "POST") {
+    return json({ error: "Method not allowed" }, 405);
+  }
+
+  // Get environment variables
+  const supabaseUrl = Deno.env.get('SUPABASE_URL');
+  const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_KEY');
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error("Missing Supabase environment variables");
+    return json({ error: "Server configuration error" }, 500);
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+  try {
+    const user = await getRequestUser(supabase, request);
+    if (!user) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    // The sample is parsed exactly as processAlert parses a live alert, so the
+    // preview shows what the bot would receive
+    const { sample, mapping } = await request.json();
+    const parsed = parseAlert(String(sample || ''), mapping || {});
+    if (parsed.error) {
+      return json({ error: parsed.error }, 200);
+    }
+
+    const { action, targetSide, error } = resolveSignalAction(parsed.alertData);
+    if (error) {
+      return json({ error, alertData: parsed.alertData, format: parsed.format }, 200);
+    }
+
+    if (typeof parsed.alertData.passphrase === 'string') {
+      parsed.alertData.passphrase = 'REDACTED';
+    }
+
+    return json({ ...parsed, action, targetSide: targetSide || null }, 200);
+  } catch (error) {
+    console.error('Error previewing alert:', error);
+    return json({ error: error.message }, 500);
+  }
+}
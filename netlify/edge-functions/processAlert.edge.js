@@ -1,13 +1,23 @@
 // Netlify Edge Function for processing TradingView alerts
 import { createClient } from '@supabase/supabase-js';
-import { executeBybitOrder, MAINNET_URL, TESTNET_URL } from './utils/bybit.edge.mjs';
+import { resolveIdempotencyKey, findCompletedAlert, DEFAULT_DEDUPE_WINDOW_SECONDS } from './utils/idempotency.edge.mjs';
+import { startAlertLog, writeAlertLog, updateAlertLog } from './utils/alertLog.edge.mjs';
+import { loadKeyring } from './utils/secrets.edge.mjs';
+import { verifyWebhookRequest, verifyPassphrase, redactPassphrase } from './utils/webhookAuth.edge.mjs';
+import { parseAlert } from './utils/alertPayload.edge.mjs';
+import { createNotifier } from './utils/notifications.edge.mjs';
+import { enqueueAlert, drainAlertQueue } from './utils/alertQueue.edge.mjs';
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
   "Access-Control-Allow-Methods": "POST, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type, Authorization"
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Signature, X-Timestamp"
 };
 
+// Time the request's own drain of its bot's queue may take after the response; the scheduled
+// worker picks up the rest
+const DRAIN_BUDGET_MS = 20000;
+
 export default async function handler(request, context) {
   console.log("Edge Function: processAlert started");
 
@@ -70,214 +80,214 @@ export default async function handler(request, context) {
   const supabase = createClient(supabaseUrl, supabaseServiceKey);
   console.log("Supabase client initialized");
 
+  // Every request from here on is written to the alert log with its outcome
+  const alertLog = startAlertLog(headers);
+  const respond = async (responseBody, httpStatus, outcome) => {
+    await writeAlertLog(supabase, alertLog, { ...outcome, httpStatus });
+    return new Response(
+      JSON.stringify(responseBody),
+      {
+        status: httpStatus,
+        headers: {
+          ...corsHeaders,
+          "Content-Type": "application/json"
+        }
+      }
+    );
+  };
+  // Notifications go on after the response where the runtime allows, so TradingView isn't kept waiting
+  const runAfterResponse = async (work) => {
+    if (context?.waitUntil) {
+      context.waitUntil(work);
+    } else {
+      await work;
+    }
+  };
+  const notifier = createNotifier(supabase, name => Deno.env.get(name));
+  const notify = async (event, { title, message, fields }) => {
+    const webhook = alertLog.webhook;
+    if (!webhook) return;
+    const delivery = notifier(webhook.user_id, {
+      event,
+      title,
+      message,
+      fields: { Bot: webhook.bots?.name, ...fields }
+    });
+    await runAfterResponse(delivery);
+  };
+
+  // Set once the alert is queued and its log entry written
+  let alertId = null;
+  // Set once the request passed the webhook's authentication
+  let authenticated = false;
+
   try {
     // Get webhook token from URL path
     const url = new URL(request.url);
     const parts = url.pathname.split('/');
     const webhookToken = parts[parts.length - 1];
+    alertLog.webhookToken = webhookToken;
     
     console.log(`Processing webhook token: ${webhookToken}`);
 
-    // Verify webhook token
+    // Log raw body, without the webhook passphrase
+    const body = await request.text();
+    alertLog.rawBody = redactPassphrase(body);
+    console.log('[processAlert.edge] Raw request body:', JSON.stringify(alertLog.rawBody));
+
+    // Verify webhook token; expired and revoked webhooks are still resolved so the alert is attributed to its bot
     const { data: webhook, error: webhookError } = await supabase
       .from('webhooks')
-      .select('*, bots(*)')
+      .select('*, bots(*), users(trading_halted_at)')
       .eq('webhook_token', webhookToken)
-      .gt('expires_at', new Date().toISOString())
-      .single();
+      .maybeSingle();
     
     if (webhookError || !webhook) {
       console.error("Invalid/expired webhook:", webhookError);
-      return new Response(
-        JSON.stringify({ error: 'Invalid or expired webhook' }),
-        {
-          status: 404,
-          headers: {
-            ...corsHeaders,
-            "Content-Type": "application/json"
-          }
-        }
-      );
+      return await respond({ error: 'Invalid or expired webhook' }, 404, {
+        status: 'invalid',
+        reason: 'Unknown webhook token'
+      });
     }
 
-    // Log raw body
-    const body = await request.text();
-    console.log('[processAlert.edge] Raw request body:', JSON.stringify(body));
+    alertLog.webhook = webhook;
 
-    // Check content type
-    const contentType = headers['content-type'] || 'not specified';
-    if (!contentType.includes('application/json')) {
-      console.error('[processAlert.edge] Invalid content type:', contentType);
-      return new Response(
-        JSON.stringify({ error: 'Expected JSON content type', headers, rawBody: body }),
-        {
-          status: 400,
-          headers: {
-            ...corsHeaders,
-            "Content-Type": "application/json"
-          }
-        }
-      );
+    if (webhook.revoked_at) {
+      console.error(`Webhook revoked at ${webhook.revoked_at}`);
+      return await respond({ error: 'Invalid or expired webhook' }, 404, {
+        status: 'invalid',
+        reason: `Webhook revoked at ${webhook.revoked_at}`
+      });
     }
 
-    // Parse alert payload
-    let alertData;
-    try { 
-      alertData = JSON.parse(body);
-      console.log('[processAlert.edge] Parsed alert data:', alertData);
-    } catch (e) { 
-      console.error("Alert JSON parse error:", e.message);
-      return new Response(
-        JSON.stringify({ error: 'Invalid JSON payload', rawBody: body, headers }),
-        {
-          status: 400,
-          headers: {
-            ...corsHeaders,
-            "Content-Type": "application/json"
-          }
-        }
-      );
+    // Source-IP allowlist and request signature, when the webhook requires them.
+    // Checked first, so unauthenticated requests to a known URL change nothing
+    const unauthorized = (reason) => {
+      console.error(`[processAlert.edge] Unauthorized alert: ${reason}`);
+      return respond({ error: 'Unauthorized' }, 401, { status: 'unauthorized', reason });
+    };
+    const authFailure = await verifyWebhookRequest(supabase, {
+      webhook,
+      headers,
+      rawBody: body,
+      clientIp: context?.ip || headers['x-nf-client-connection-ip'] || null,
+      keyring: webhook.auth_mode === 'hmac' ? await loadKeyring(name => Deno.env.get(name)) : null
+    });
+    if (authFailure) {
+      return await unauthorized(authFailure);
     }
 
-    // Load bot config + API key
-    const bot = webhook.bots;
-    const { data: apiKey, error: apiKeyError } = await supabase
-      .from('api_keys')
-      .select('*')
-      .eq('user_id', webhook.user_id)
-      .eq('exchange', 'bybit')
-      .single();
-    
-    if (apiKeyError || !apiKey) {
-      console.error("API key not found:", apiKeyError);
-      return new Response(
-        JSON.stringify({ error: 'API credentials not found' }),
-        {
-          status: 400,
-          headers: {
-            ...corsHeaders,
-            "Content-Type": "application/json"
-          }
-        }
-      );
+    // Parse the alert with the bot's payload mapping; JSON and plain-text alerts are both accepted
+    const parsed = parseAlert(body, webhook.bots?.payload_mapping || {});
+    if (parsed.error) {
+      console.error('[processAlert.edge] Alert parse error:', parsed.error);
+      return await respond({ error: parsed.error }, 400, {
+        status: 'invalid',
+        reason: parsed.error
+      });
     }
 
-    // ─────── MIN QTY FETCH & ROUND ───────
-    const symbol = (alertData.symbol || bot.symbol || '').toUpperCase();
-    const baseUrl = bot.test_mode ? TESTNET_URL : MAINNET_URL;
-    const infoRes = await fetch(
-      `${baseUrl}/v5/market/instruments-info?symbol=${symbol}&category=linear`
-    );
-    const infoJson = await infoRes.json();
-    if (infoJson.retCode !== 0) {
-      throw new Error(`InstrumentsInfo error: ${infoJson.retMsg}`);
+    const { alertData } = parsed;
+    if (alertData.passphrase !== undefined) {
+      // Plain-text alerts can carry the passphrase anywhere in the body; a blank one would split every character
+      if (typeof alertData.passphrase === 'string' && alertData.passphrase.trim() !== '') {
+        alertLog.rawBody = alertLog.rawBody.split(alertData.passphrase).join('REDACTED');
+      }
+      alertLog.payload = { ...alertData, passphrase: 'REDACTED' };
+    } else {
+      alertLog.payload = alertData;
     }
-    const inst = infoJson.result.list[0];
-    const lotFilter = inst.lotSizeFilter;
-    const minQtyStr = lotFilter.minOrderQty ?? lotFilter.minTrdAmt;
-    const stepStr = lotFilter.qtyStep ?? lotFilter.stepSize;
-    const minQty = parseFloat(minQtyStr);
-    const step = parseFloat(stepStr);
-    const decimals = stepStr.includes('.') ? stepStr.split('.')[1].length : 0;
-    const rawQty = parseFloat(alertData.quantity ?? bot.default_quantity ?? 0);
-    let qty = rawQty < minQty
-      ? minQty
-      : Math.floor(rawQty / step) * step;
-    if (qty < minQty) qty = minQty;
-    const adjustedQty = parseFloat(qty.toFixed(decimals));
-    console.log(
-      `Adjusted quantity from ${rawQty} → ${adjustedQty}` +
-      ` (minQty=${minQty}, step=${step})`
-    );
+    console.log(`[processAlert.edge] Parsed ${parsed.format} alert:`, alertLog.payload);
 
-    // ─────── BUILD ORDER PARAMS ───────
-    const orderParams = {
-      apiKey: apiKey.api_key,
-      apiSecret: apiKey.api_secret,
-      symbol,
-      side: alertData.side || bot.default_side || 'Buy',
-      orderType: alertData.orderType || bot.default_order_type || 'Market',
-      quantity: adjustedQty,
-      price: alertData.price,
-      stopLoss: alertData.stopLoss || bot.default_stop_loss,
-      takeProfit: alertData.takeProfit || bot.default_take_profit,
-      testnet: bot.test_mode
-    };
-    
-    console.log(
-      "Order parameters prepared:",
-      JSON.stringify({ ...orderParams, apiKey: "REDACTED", apiSecret: "REDACTED" })
-    );
-    
-    let orderResult;
-    
-    if (bot.test_mode) {
-      console.log("Test mode enabled, simulating order execution");
-      orderResult = {
-        orderId: `test-${Date.now()}`,
-        symbol: orderParams.symbol,
-        side: orderParams.side,
-        orderType: orderParams.orderType,
-        qty: orderParams.quantity,
-        price: orderParams.price || 0,
-        status: 'TEST_ORDER'
-      };
-    } else {
-      console.log("Executing actual order on Bybit");
-      orderResult = await executeBybitOrder(orderParams);
+    const passphraseFailure = await verifyPassphrase(supabase, {
+      webhook,
+      alertData,
+      passphraseKey: Deno.env.get('WEBHOOK_PASSPHRASE_KEY')
+    });
+    if (passphraseFailure) {
+      return await unauthorized(passphraseFailure);
     }
-    
-    console.log("Order result:", JSON.stringify(orderResult));
-    
-    // Log the trade
-    console.log("Logging trade to database...");
-    const { data: tradeData, error: tradeError } = await supabase
-      .from('trades')
-      .insert({
-        user_id: webhook.user_id,
-        bot_id: webhook.bot_id,
-        symbol: orderResult.symbol,
-        side: orderResult.side,
-        order_type: orderResult.orderType,
-        quantity: orderResult.qty,
-        price: orderResult.price,
-        order_id: orderResult.orderId,
-        status: orderResult.status,
-        created_at: new Date().toISOString()
+
+    // Only authenticated alerts change the webhook or notify anyone
+    authenticated = true;
+    if (webhook.expires_at && new Date(webhook.expires_at) <= new Date()) {
+      console.error(`Webhook expired at ${webhook.expires_at}`);
+      // Counted on the webhook so the dashboard can show what was missed
+      const { error: missedError } = await supabase
+        .from('webhooks')
+        .update({ missed_alerts: (webhook.missed_alerts || 0) + 1, last_missed_at: new Date().toISOString() })
+        .eq('id', webhook.id);
+      if (missedError) {
+        console.error("Error recording missed alert:", missedError);
+      }
+      // Only the first missed alert is notified, until the webhook is extended
+      if (!webhook.missed_alerts) {
+        await notify('webhook_expiry', {
+          title: 'Alert sent to an expired webhook',
+          message: `The webhook expired at ${webhook.expires_at}, so the alert was not processed. ` +
+            'Extend the webhook in the bot configuration to accept alerts on the same URL again.'
+        });
+      }
+      return await respond({ error: 'Invalid or expired webhook' }, 404, {
+        status: 'expired',
+        reason: `Webhook expired at ${webhook.expires_at}`
       });
-      
-    if (tradeError) {
-      console.error("Error logging trade:", tradeError);
-    } else {
-      console.log("Trade successfully logged to database");
     }
-    
-    // Update bot's last trade timestamp
-    console.log("Updating bot's last trade timestamp and count...");
-    const { data: botUpdateData, error: botUpdateError } = await supabase
-      .from('bots')
-      .update({
-        last_trade_at: new Date().toISOString(),
-        trade_count: bot.trade_count ? bot.trade_count + 1 : 1
-      })
-      .eq('id', webhook.bot_id);
-      
-    if (botUpdateError) {
-      console.error("Error updating bot:", botUpdateError);
-    } else {
-      console.log("Bot successfully updated");
+
+    const { error: lastUsedError } = await supabase
+      .from('webhooks')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', webhook.id);
+    if (lastUsedError) {
+      console.error("Error recording webhook use:", lastUsedError);
     }
-    
-    console.log("Process completed successfully");
+
+    // ─────── QUEUE ───────
+    // The accepted alert is executed by the alert queue, in order with the bot's other alerts,
+    // so exchange calls and their retries never hold up the response
+    const idempotencyKey = await resolveIdempotencyKey(alertData, body);
+
+    // A signal the bot already executed is answered with its original result
+    const completed = await findCompletedAlert(supabase, {
+      botId: webhook.bot_id,
+      idempotencyKey,
+      windowSeconds: webhook.bots?.dedupe_window_seconds ?? DEFAULT_DEDUPE_WINDOW_SECONDS
+    });
+    if (completed) {
+      console.log(`Duplicate alert ${idempotencyKey}, returning original result`);
+      return await respond({ ...completed.response, duplicate: true }, 200, {
+        status: 'duplicate',
+        reason: `Duplicate of alert processed at ${completed.created_at}`
+      });
+    }
+
+    alertId = await writeAlertLog(supabase, alertLog, { status: 'queued', httpStatus: 202 });
+    const item = await enqueueAlert(supabase, {
+      webhook,
+      alertId,
+      payload: alertLog.payload,
+      idempotencyKey
+    });
+    console.log(`Alert queued as ${item.id}`);
+
+    // Where the runtime can't work after the response, the scheduled worker executes the alert
+    if (context?.waitUntil) {
+      context.waitUntil(
+        drainAlertQueue(supabase, {
+          botId: webhook.bot_id,
+          getEnv: name => Deno.env.get(name),
+          notifier,
+          deadline: Date.now() + DRAIN_BUDGET_MS
+        })
+          .then(summary => console.log("Alert queue drained:", JSON.stringify(summary)))
+          .catch(error => console.error("Error draining the alert queue:", error))
+      );
+    }
+
     return new Response(
-      JSON.stringify({
-        success: true,
-        orderId: orderResult.orderId,
-        status: orderResult.status,
-        testMode: bot.test_mode
-      }),
+      JSON.stringify({ success: true, queued: true, id: item.id }),
       {
-        status: 200,
+        status: 202,
         headers: {
           ...corsHeaders,
           "Content-Type": "application/json"
@@ -286,16 +296,26 @@ export default async function handler(request, context) {
     );
   } catch (error) {
     console.error('Error processing alert:', error);
-    
-    return new Response(
-      JSON.stringify({ error: error.message }),
-      {
-        status: 500,
-        headers: {
-          ...corsHeaders,
-          "Content-Type": "application/json"
+
+    if (authenticated) {
+      await notify('error', { title: 'Alert failed', message: error.message });
+    }
+
+    const outcome = { status: 'failed', reason: 'Alert processing failed', error: error.message };
+    if (alertId) {
+      // The alert was logged as queued before queueing it failed
+      await updateAlertLog(supabase, alertId, alertLog, outcome);
+      return new Response(
+        JSON.stringify({ error: error.message }),
+        {
+          status: 500,
+          headers: {
+            ...corsHeaders,
+            "Content-Type": "application/json"
+          }
         }
-      }
-    );
+      );
+    }
+    return await respond({ error: error.message }, 500, outcome);
   }
 }
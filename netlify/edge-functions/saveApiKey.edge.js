@@ -0,0 +1,147 @@
+// Netlify Edge Function for saving exchange accounts with the API secret encrypted at rest
+import { createClient } from '@supabase/supabase-js';
+import { loadKeyring, encryptSecret, secretHint } from './utils/secrets.edge.mjs';
+import { getRequestUser } from './utils/auth.edge.mjs';
+import { EXCHANGES } from './utils/exchange.edge.mjs';
+
+// Networks an exchange account can trade on
+const EXCHANGE_ENVIRONMENTS = ['mainnet', 'testnet'];
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// CORS headers to include in all responses
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization"
+};
+
+const json = (body, status) => new Response(
+  JSON.stringify(body),
+  {
+    status,
+    headers: {
+      ...corsHeaders,
+      "Content-Type": "application/json"
+    }
+  }
+);
+
+export default async function handler(request, context) {
+  console.log("Edge Function: saveApiKey started");
+
+  // Handle preflight requests
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    });
+  }
+
+  // Only allow POST requests
+  if (request.method !== "POST") {
+    console.log(`Invalid request method: ${request.method}`);
+    return json({ error: "Method not allowed" }, 405);
+  }
+
+  // Get environment variables
+  const supabaseUrl = Deno.env.get('SUPABASE_URL');
+  const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_KEY');
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error("Missing Supabase environment variables");
+    return json({ error: "Server configuration error" }, 500);
+  }
+
+  let keyring;
+  try {
+    keyring = await loadKeyring(name => Deno.env.get(name));
+  } catch (error) {
+    console.error("Invalid encryption key configuration:", error);
+    return json({ error: "Server configuration error" }, 500);
+  }
+  if (!keyring) {
+    console.error("Missing API_KEY_ENCRYPTION_KEY");
+    return json({ error: "Server configuration error" }, 500);
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+  try {
+    // The caller is identified by their session token, never by the request body
+    const user = await getRequestUser(supabase, request);
+    if (!user) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const accountId = body.id || null;
+    const label = String(body.label || '').trim();
+    const environment = body.environment || 'mainnet';
+    const exchange = body.exchange || null;
+    const apiKey = String(body.apiKey || '').trim();
+    const apiSecret = String(body.apiSecret || '').trim();
+
+    if (!label) {
+      return json({ error: "Label is required" }, 400);
+    }
+    if (!EXCHANGE_ENVIRONMENTS.includes(environment)) {
+      return json({ error: `Environment must be one of ${EXCHANGE_ENVIRONMENTS.join(', ')}` }, 400);
+    }
+    if (exchange && !EXCHANGES.includes(exchange)) {
+      return json({ error: `Exchange must be one of ${EXCHANGES.join(', ')}` }, 400);
+    }
+    // The key and secret are replaced together; editing an account may leave both blank
+    if ((apiKey || apiSecret || !accountId) && !(apiKey && apiSecret)) {
+      return json({ error: "API key and secret are required" }, 400);
+    }
+    // Keys belong to one exchange, so the exchange only changes along with them
+    if (exchange && accountId && !apiKey) {
+      return json({ error: "Enter the new exchange's API key and secret to switch exchanges" }, 400);
+    }
+
+    const record = {
+      label,
+      environment,
+      updated_at: new Date().toISOString()
+    };
+
+    if (apiKey) {
+      Object.assign(record, {
+        api_key: apiKey,
+        api_secret: null,
+        api_secret_encrypted: await encryptSecret(apiSecret, keyring, user.id),
+        api_secret_last4: secretHint(apiSecret),
+        ...(exchange && { exchange })
+      });
+    }
+
+    // Accounts are only ever written for the caller
+    const query = accountId
+      ? supabase.from('api_keys').update(record).eq('id', accountId).eq('user_id', user.id)
+      : supabase.from('api_keys').insert({ exchange: 'bybit', ...record, user_id: user.id });
+
+    const { data: account, error } = await query
+      .select('id, label, exchange, environment, api_key, api_secret_last4, updated_at')
+      .maybeSingle();
+
+    if (error?.code === UNIQUE_VIOLATION) {
+      return json({ error: `An exchange account labelled "${label}" already exists` }, 409);
+    }
+    if (error) {
+      console.error("Database write error:", error);
+      throw error;
+    }
+    if (!account) {
+      return json({ error: "Exchange account not found" }, 404);
+    }
+
+    console.log(`Exchange account ${account.id} saved for user ${user.id}`);
+
+    return json({ account }, 200);
+  } catch (error) {
+    console.error('Error saving API key:', error);
+    return json({ error: error.message }, 500);
+  }
+}
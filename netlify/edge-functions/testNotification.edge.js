@@ -0,0 +1,104 @@
+// Netlify Edge Function sending a test notification through one of the user's channels
+// The channel is used whatever its events and enabled flag, so it can be checked before it is switched on
+import { createClient } from '@supabase/supabase-js';
+import { getRequestUser } from './utils/auth.edge.mjs';
+import { deliverNotification, loadSmtpServer, verifiedEmail } from './utils/notifications.edge.mjs';
+
+// Each user may send one test notification per interval
+const TEST_INTERVAL_MS = 30000;
+
+// CORS headers to include in all responses
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization"
+};
+
+const json = (body, status) => new Response(
+  JSON.stringify(body),
+  {
+    status,
+    headers: {
+      ...corsHeaders,
+      "Content-Type": "application/json"
+    }
+  }
+);
+
+export default async function handler(request, context) {
+  console.log("Edge Function: testNotification started");
+
+  // Handle preflight requests
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders
+    });
+  }
+
+  // Only allow POST requests
+  if (request.method !== "POST") {
+    console.log(`Invalid request method: ${request.method}`);
+    return json({ error: "Method not allowed" }, 405);
+  }
+
+  // Get environment variables
+  const supabaseUrl = Deno.env.get('SUPABASE_URL');
+  const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_KEY');
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error("Missing Supabase environment variables");
+    return json({ error: "Server configuration error" }, 500);
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+  try {
+    const user = await getRequestUser(supabase, request);
+    if (!user) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+
+    const { channelId } = await request.json();
+    const { data: channel, error: channelError } = await supabase
+      .from('notification_channels')
+      .select('*')
+      .eq('id', channelId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+    if (channelError) throw channelError;
+    if (!channel) {
+      return json({ error: "Notification channel not found" }, 404);
+    }
+
+    // Claimed with a conditional update, so parallel requests cannot both pass
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - TEST_INTERVAL_MS).toISOString();
+    const { data: claimed, error: claimError } = await supabase
+      .from('users')
+      .update({ notification_tested_at: now.toISOString() })
+      .eq('id', user.id)
+      .or(`notification_tested_at.is.null,notification_tested_at.lt.${cutoff}`)
+      .select('id');
+    if (claimError) throw claimError;
+    if (!claimed.length) {
+      return json({ error: `Only one test notification can be sent every ${TEST_INTERVAL_MS / 1000} seconds` }, 429);
+    }
+
+    try {
+      await deliverNotification(channel, {
+        event: 'test',
+        title: 'Test notification',
+        message: `Notifications for "${channel.name}" are working.`
+      }, { smtp: loadSmtpServer(name => Deno.env.get(name)), accountEmail: verifiedEmail(user) });
+    } catch (error) {
+      console.error(`Test notification to channel ${channel.id} failed:`, error);
+      return json({ error: `Delivery failed: ${error.message}` }, 502);
+    }
+
+    return json({ success: true }, 200);
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    return json({ error: error.message }, 500);
+  }
+}
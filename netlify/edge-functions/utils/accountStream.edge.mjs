@@ -0,0 +1,325 @@
+// Handling of Bybit private stream events, for the standalone account listener
+// Records every event and applies order and fill updates to the trades they belong to as they happen
+
+import { EXIT_ACTIONS, aggregateExecutions, rollUpBotProfitLoss } from './pnlReconciliation.edge.mjs';
+
+// rejectReason of orders that were not rejected
+const NO_REJECT_REASON = 'EC_NoError';
+
+// Order and fill events still without a trade after this long belong to orders no bot placed
+const PENDING_EVENT_TTL_MS = 15 * 60 * 1000;
+
+const round = value => parseFloat(value.toFixed(8));
+
+/**
+ * Id an event is recorded under, so an event seen twice is recorded and applied once.
+ */
+function eventId(topic, record, message) {
+  switch (topic) {
+    case 'order':
+      return `${record.orderId}:${record.orderStatus}:${record.updatedTime}`;
+    case 'execution':
+      return record.execId;
+    case 'position':
+      return `${record.symbol}:${record.positionIdx}:${record.updatedTime}`;
+    default:
+      return `${record.accountType}:${message.creationTime}`;
+  }
+}
+
+/**
+ * Why an order ended the way it did, for trades.status_reason.
+ */
+function orderReason(order) {
+  if (order.rejectReason && order.rejectReason !== NO_REJECT_REASON) {
+    return order.rejectReason;
+  }
+  return order.cancelType && order.cancelType !== 'UNKNOWN' ? order.cancelType : null;
+}
+
+/**
+ * Create the event handling of one Bybit account's private stream.
+ * `getBots()` returns the account's live bots (with id, user_id, name and market_type)
+ * as they are now, and `notify(userId, notification)` reports fills and liquidations
+ * when given.
+ *
+ * `handleEvent(topic, records, message)` stores every record in `exchange_events`.
+ * Order updates move the status, filled quantity and average price of the trade placed
+ * by the order, and stop losses, take profits, trailing stops and liquidations Bybit
+ * executed on its own are recorded as trades when a single bot trades the symbol in the
+ * order's category. Fills update the trade's fee and, where Bybit sends `execPnl`, its
+ * realized PnL, and roll the bot's profit/loss up again; the PnL reconciliation stays
+ * the final word on both.
+ *
+ * Order and fill events of an order whose trade is not recorded yet, as when a market
+ * order fills before the alert that placed it saves the trade, stay pending
+ * (`applied_at` null). `applyPendingEvents()` applies them once the trade exists.
+ *
+ * Returns { handleEvent, applyPendingEvents }, which never run at the same time.
+ */
+export function createAccountStreamHandler(supabase, { apiKey, getBots, notify = null }) {
+  let applying = Promise.resolve();
+  const serially = work => {
+    const run = applying.then(work);
+    applying = run.catch(() => {});
+    return run;
+  };
+
+  const findTrade = async (orderId) => {
+    const { data, error } = await supabase
+      .from('trades')
+      .select('*')
+      .in('bot_id', getBots().map(bot => bot.id))
+      .eq('order_id', orderId)
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Trade lookup failed: ${error.message}`);
+    }
+    return data;
+  };
+
+  // The one bot of the account trading `symbol` in `category` (a bot's market type), if there is exactly one
+  const soleBotTrading = async (category, symbol) => {
+    const bots = getBots().filter(bot => (bot.market_type || 'linear') === category);
+    if (bots.length === 0) {
+      return null;
+    }
+    const { data, error } = await supabase
+      .from('trades')
+      .select('bot_id')
+      .in('bot_id', bots.map(bot => bot.id))
+      .eq('symbol', symbol);
+    if (error) {
+      throw new Error(`Trade lookup failed: ${error.message}`);
+    }
+    const botIds = [...new Set(data.map(trade => trade.bot_id))];
+    return botIds.length === 1 ? bots.find(bot => bot.id === botIds[0]) : null;
+  };
+
+  // Mark an order's pending events of `topic` applied, order updates only up to `until`
+  const markApplied = async (topic, orderId, until = null) => {
+    let query = supabase
+      .from('exchange_events')
+      .update({ applied_at: new Date().toISOString() })
+      .eq('exchange_account_id', apiKey.id)
+      .eq('topic', topic)
+      .eq('order_id', orderId)
+      .is('applied_at', null);
+    if (until) {
+      query = query.lte('event_time', until);
+    }
+    const { error } = await query;
+    if (error) {
+      throw new Error(`Marking ${topic} events applied failed: ${error.message}`);
+    }
+  };
+
+  // Returns false while the order may still be waiting for its trade
+  const applyOrderUpdate = async (order) => {
+    const status = order.orderStatus;
+    const filledQuantity = parseFloat(order.cumExecQty) || 0;
+    const avgPrice = parseFloat(order.avgPrice) || null;
+    const trade = await findTrade(order.orderId);
+
+    if (trade) {
+      if (status === trade.status && filledQuantity === parseFloat(trade.filled_quantity)) {
+        return true;
+      }
+
+      const { error } = await supabase
+        .from('trades')
+        .update({
+          status,
+          status_reason: orderReason(order),
+          filled_quantity: filledQuantity,
+          ...(avgPrice && { price: avgPrice })
+        })
+        .eq('id', trade.id);
+      if (error) {
+        throw new Error(`Trade status update failed: ${error.message}`);
+      }
+
+      if (notify && status === 'Filled' && trade.status !== 'Filled') {
+        const bot = getBots().find(b => b.id === trade.bot_id);
+        await notify(trade.user_id, {
+          event: 'fill',
+          title: `${trade.side} ${trade.symbol} filled`,
+          message: `${trade.order_type} order for ${filledQuantity} ${trade.symbol} filled`,
+          fields: { Bot: bot?.name, Price: avgPrice ?? trade.price, 'Order ID': trade.order_id }
+        });
+      }
+      return true;
+    }
+
+    // Exits Bybit placed itself are recorded once they have filled; any other order
+    // may be a bot's order whose trade is not saved yet
+    const action = order.createType === 'CreateByLiq' ? 'liquidation' : EXIT_ACTIONS[order.stopOrderType];
+    if (!action) {
+      return false;
+    }
+    if (status !== 'Filled') {
+      return true;
+    }
+
+    const bot = await soleBotTrading(order.category, order.symbol);
+    if (!bot) {
+      console.log(`Skipping ${order.category} ${order.symbol} ${action} ${order.orderId}: not exactly one bot trades this symbol`);
+      return true;
+    }
+
+    const { error } = await supabase
+      .from('trades')
+      .insert({
+        user_id: bot.user_id,
+        bot_id: bot.id,
+        symbol: order.symbol,
+        side: order.side,
+        order_type: order.orderType,
+        quantity: filledQuantity,
+        price: avgPrice ?? 0,
+        order_id: order.orderId,
+        order_link_id: order.orderLinkId || null,
+        action,
+        reduce_only: true,
+        status,
+        filled_quantity: filledQuantity,
+        fee: parseFloat(order.cumExecFee) || 0,
+        created_at: new Date(Number(order.createdTime)).toISOString()
+      });
+    if (error) {
+      throw new Error(`Recording ${action} failed: ${error.message}`);
+    }
+
+    if (notify) {
+      const liquidated = action === 'liquidation';
+      await notify(bot.user_id, {
+        event: liquidated ? 'error' : 'fill',
+        title: liquidated ? `${order.symbol} position liquidated` : `${order.symbol} ${action.replace('_', ' ')} filled`,
+        message: `${order.side} ${filledQuantity} ${order.symbol} closed by Bybit`,
+        fields: { Bot: bot.name, Price: avgPrice, 'Order ID': order.orderId }
+      });
+    }
+    return true;
+  };
+
+  // Returns false while the order's trade is not saved yet
+  const applyExecutions = async (orderId) => {
+    const trade = await findTrade(orderId);
+    if (!trade) return false;
+
+    const { data: events, error } = await supabase
+      .from('exchange_events')
+      .select('payload')
+      .eq('exchange_account_id', apiKey.id)
+      .eq('topic', 'execution')
+      .eq('order_id', orderId);
+    if (error) {
+      throw new Error(`Execution lookup failed: ${error.message}`);
+    }
+
+    const executions = events.map(event => event.payload);
+    const fills = aggregateExecutions(executions);
+    const closing = executions.filter(execution => execution.execPnl != null && execution.execPnl !== '');
+
+    const { error: updateError } = await supabase
+      .from('trades')
+      .update({
+        fee: fills.fee,
+        ...(fills.avgPrice != null && { price: fills.avgPrice }),
+        ...(closing.length > 0 && {
+          realized_pnl: round(closing.reduce((sum, execution) => sum + parseFloat(execution.execPnl), 0))
+        })
+      })
+      .eq('id', trade.id);
+    if (updateError) {
+      throw new Error(`Trade fill update failed: ${updateError.message}`);
+    }
+
+    await rollUpBotProfitLoss(supabase, trade.bot_id);
+    return true;
+  };
+
+  const handleEvent = async (topic, records, message) => {
+    const rows = records.map(record => ({
+      user_id: apiKey.user_id,
+      exchange_account_id: apiKey.id,
+      topic,
+      event_id: eventId(topic, record, message),
+      symbol: record.symbol ?? null,
+      order_id: record.orderId ?? null,
+      payload: record,
+      event_time: new Date(Number(record.updatedTime ?? record.execTime ?? message.creationTime)).toISOString()
+    }));
+
+    const { data: inserted, error } = await supabase
+      .from('exchange_events')
+      .upsert(rows, { onConflict: 'exchange_account_id,topic,event_id', ignoreDuplicates: true })
+      .select('event_id');
+    if (error) {
+      throw new Error(`Recording ${topic} events failed: ${error.message}`);
+    }
+
+    // Events already recorded were applied, or are pending, since they were first seen
+    const recorded = new Set(inserted.map(row => row.event_id));
+    const fresh = rows.filter(row => recorded.has(row.event_id));
+
+    if (topic === 'order') {
+      for (const row of fresh) {
+        // Older updates of the order left pending are superseded by this one
+        if (await applyOrderUpdate(row.payload)) {
+          await markApplied('order', row.order_id, row.event_time);
+        }
+      }
+    } else if (topic === 'execution') {
+      for (const orderId of new Set(fresh.map(row => row.order_id))) {
+        if (await applyExecutions(orderId)) {
+          await markApplied('execution', orderId);
+        }
+      }
+    }
+  };
+
+  /**
+   * Apply the pending order and fill events of the last PENDING_EVENT_TTL_MS whose
+   * trade now exists: the latest update of each order, then its fills.
+   */
+  const applyPendingEvents = async () => {
+    const { data: events, error } = await supabase
+      .from('exchange_events')
+      .select('topic, order_id, payload, event_time')
+      .eq('exchange_account_id', apiKey.id)
+      .in('topic', ['order', 'execution'])
+      .is('applied_at', null)
+      .gte('received_at', new Date(Date.now() - PENDING_EVENT_TTL_MS).toISOString())
+      .order('event_time');
+    if (error) {
+      throw new Error(`Pending event lookup failed: ${error.message}`);
+    }
+
+    const latestUpdates = new Map();
+    const filledOrders = new Set();
+    for (const event of events) {
+      if (event.topic === 'order') {
+        latestUpdates.set(event.order_id, event);
+      } else {
+        filledOrders.add(event.order_id);
+      }
+    }
+
+    for (const event of latestUpdates.values()) {
+      if (await applyOrderUpdate(event.payload)) {
+        await markApplied('order', event.order_id, event.event_time);
+      }
+    }
+    for (const orderId of filledOrders) {
+      if (await applyExecutions(orderId)) {
+        await markApplied('execution', orderId);
+      }
+    }
+  };
+
+  return {
+    handleEvent: (topic, records, message) => serially(() => handleEvent(topic, records, message)),
+    applyPendingEvents: () => serially(applyPendingEvents)
+  };
+}
@@ -0,0 +1,661 @@
+// Execution of queued TradingView alerts, shared by Edge Functions and Netlify Functions
+// Runs an accepted alert through the guard rails, sizing and stops and places its order
+
+import { createExchange } from './exchange.edge.mjs';
+import {
+  DEFAULT_DEDUPE_WINDOW_SECONDS,
+  claimAlert,
+  loadClaim,
+  completeAlert,
+  releaseAlert
+} from './idempotency.edge.mjs';
+import { redactOrderParams } from './alertLog.edge.mjs';
+import {
+  resolveSignalAction,
+  isExitAction,
+  requiresPosition,
+  planOrder,
+  floorToStep
+} from './signalActions.edge.mjs';
+import { needsBalance, needsPrice, computeOrderQuantity } from './sizing.edge.mjs';
+import { usesRelativeStops, resolveStopLossDistance, computeStops } from './stops.edge.mjs';
+import { loadKeyring, resolveApiSecret } from './secrets.edge.mjs';
+import {
+  symbolAllowed,
+  withinTradingHours,
+  checkOrderSize,
+  checkPositionSize,
+  checkOrderRate,
+  checkDailyLoss
+} from './guardRails.edge.mjs';
+import {
+  loadPaperState,
+  syncPaperState,
+  executePaperOrder,
+  paperWalletBalance,
+  paperPosition
+} from './paperTrading.edge.mjs';
+import { ensureExchangeSettings } from './exchangeSettings.edge.mjs';
+import { loadInstrument } from './instruments.edge.mjs';
+
+// Consecutive exchange failures after which a bot is moved to the 'error' state
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+/**
+ * Count an exchange failure against the bot and move it to 'error'
+ * once MAX_CONSECUTIVE_FAILURES is reached.
+ */
+export async function recordExchangeFailure(supabase, botId, error) {
+  const { data: bot, error: botError } = await supabase
+    .from('bots')
+    .select('consecutive_failures')
+    .eq('id', botId)
+    .single();
+
+  if (botError) {
+    console.error("Error loading bot to record exchange failure:", botError);
+    return;
+  }
+
+  const failures = (bot.consecutive_failures || 0) + 1;
+  const update = {
+    consecutive_failures: failures,
+    last_error: error.message,
+    updated_at: new Date().toISOString()
+  };
+
+  if (failures >= MAX_CONSECUTIVE_FAILURES) {
+    console.error(`Bot ${botId} reached ${failures} consecutive failures, setting status to error`);
+    update.status = 'error';
+  }
+
+  const { error: updateError } = await supabase
+    .from('bots')
+    .update(update)
+    .eq('id', botId);
+
+  if (updateError) {
+    console.error("Error recording exchange failure:", updateError);
+  }
+}
+
+/**
+ * Execute a queued alert against its bot as the bot stands now.
+ * `item` is the `alert_queue` row, `log` the alert log entry the order params and the
+ * exchange response are recorded on, and `notify(event, { title, message, fields })`
+ * reports rejections and fills.
+ *
+ * Returns the outcome { status, reason, error, response } for the alert log. Failures
+ * are thrown so the queue can retry them: exchange errors carry `exchangeFailure`, and
+ * errors raised after the alert was claimed carry the `claim` to retry it with.
+ */
+export async function executeAlert(supabase, { item, log, getEnv, notify }) {
+  const { data: webhook, error: webhookError } = await supabase
+    .from('webhooks')
+    .select('*, bots(*), users(trading_halted_at)')
+    .eq('id', item.webhook_id)
+    .single();
+
+  if (webhookError) {
+    throw new Error(`Webhook lookup failed: ${webhookError.message}`);
+  }
+
+  const alertData = item.payload;
+  let claim;
+
+  // A rejected alert gives up its claim, so the same alert can be sent again
+  const reject = async (reason) => {
+    console.log(`[alertExecution] Rejecting alert ${item.id}: ${reason}`);
+    if (claim) {
+      await releaseAlert(supabase, claim);
+      claim = null;
+    }
+    await notify('rejection', { title: 'Alert rejected', message: reason });
+    return { status: 'rejected', reason };
+  };
+
+  try {
+    // The account kill switch stops every alert, exits included, until it is released.
+    // It is checked at execution, so it also stops alerts queued before it was engaged
+    if (webhook.users?.trading_halted_at) {
+      return await reject(`Trading halted by the kill switch at ${webhook.users.trading_halted_at}`);
+    }
+
+    // Only active bots may trade; paused and errored bots reject the alert
+    const bot = webhook.bots;
+    if (bot.status !== 'active') {
+      return await reject(
+        bot.status === 'error'
+          ? `Bot is in error state: ${bot.last_error || 'unknown error'}`
+          : 'Bot is paused'
+      );
+    }
+
+    // Resolve the requested action (open, add, close, close_partial, reverse, flat)
+    const { action, targetSide, error: actionError } = resolveSignalAction(alertData);
+    if (actionError) {
+      return { status: 'invalid', reason: actionError };
+    }
+
+    // Load the bot's exchange account; paper trading bots never reach the exchange's private API
+    let apiKey = null;
+    if (!bot.test_mode) {
+      if (!bot.exchange_account_id) {
+        return await reject('No exchange account selected for this bot');
+      }
+
+      const { data, error: apiKeyError } = await supabase
+        .from('api_keys')
+        .select('*')
+        .eq('id', bot.exchange_account_id)
+        .eq('user_id', webhook.user_id)
+        .single();
+      
+      if (apiKeyError || !data) {
+        console.error("API key not found:", apiKeyError);
+        return await reject('API credentials not found');
+      }
+
+      // The secret is decrypted here only, and never leaves this request
+      try {
+        const keyring = await loadKeyring(getEnv);
+        apiKey = { ...data, api_secret: await resolveApiSecret(data, keyring) };
+      } catch (error) {
+        console.error("API secret decryption failed:", error);
+        return await reject('API credentials could not be decrypted');
+      }
+    }
+
+    // Live bots trade on their account's exchange and network; paper trading uses Bybit
+    // mainnet market data so simulated fills track real prices
+    const marketType = bot.market_type || 'linear';
+    let exchange;
+    try {
+      exchange = createExchange(apiKey, { marketType });
+    } catch (error) {
+      return await reject(error.message);
+    }
+
+    // ─────── MARKET TYPE ───────
+    // Spot has no positions to act on, and paper accounts settle in USDT only
+    if (!exchange.supportsPositions && requiresPosition(action, targetSide)) {
+      return await reject(`Action ${action}${targetSide ? ' with a market position' : ''} is not supported on ${marketType} markets`);
+    }
+    if (bot.test_mode && marketType === 'inverse') {
+      return await reject('Test mode is not available for inverse markets');
+    }
+
+    // ─────── POSITION MODE ───────
+    // In hedge mode a long and a short can be open at once, so the alert's side names
+    // the position an action works on, and targets that flip one position don't apply
+    const hedgeMode = bot.position_mode === 'hedge' && exchange.supportsPositions;
+    const positionSide = hedgeMode ? alertData.side || bot.default_side || null : null;
+    if (hedgeMode) {
+      if (bot.test_mode) {
+        return await reject('Test mode does not support hedge mode');
+      }
+      if (action === 'reverse' || targetSide) {
+        return await reject(`Action ${action}${targetSide ? ' with a market position' : ''} is not supported in hedge mode`);
+      }
+      if (action !== 'open' && !positionSide) {
+        return await reject(`Action ${action} needs a side in hedge mode to pick the long or short position`);
+      }
+    }
+
+    // ─────── MIN QTY FETCH & ROUND ───────
+    const symbol = exchange.normalizeSymbol(alertData.symbol || bot.symbol || '');
+
+    // ─────── IDEMPOTENCY ───────
+    // A retried alert keeps the claim of its first attempt, and with it the orderLinkId,
+    // so an order that reached the exchange before the failure is not placed twice.
+    // Claimed ahead of the guard rails, so a redelivery never counts against the limits
+    const idempotencyKey = item.idempotency_key;
+    const windowSeconds = bot.dedupe_window_seconds ?? DEFAULT_DEDUPE_WINDOW_SECONDS;
+    const retainedClaim = item.claim_id ? await loadClaim(supabase, item.claim_id) : null;
+    const claimResult = retainedClaim
+      ? (retainedClaim.response ? { duplicate: retainedClaim } : { claim: retainedClaim })
+      : await claimAlert(supabase, { webhook, idempotencyKey, windowSeconds });
+
+    if (claimResult.duplicate) {
+      console.log(`Duplicate alert ${idempotencyKey}, returning original result`);
+      return {
+        status: 'duplicate',
+        reason: `Duplicate of alert processed at ${claimResult.duplicate.created_at}`,
+        response: { ...claimResult.duplicate.response, duplicate: true }
+      };
+    }
+
+    if (claimResult.inProgress) {
+      return await reject('Duplicate alert is already being processed');
+    }
+
+    claim = claimResult.claim;
+
+    // ─────── GUARD RAILS ───────
+    // Exits are only held to the symbol allowlist, so a position can always be closed
+    if (!symbolAllowed(bot, symbol)) {
+      return await reject(`Symbol ${symbol} is not allowed for this bot`);
+    }
+    if (!isExitAction(action)) {
+      if (!withinTradingHours(bot)) {
+        return await reject('Outside the bot\'s trading hours');
+      }
+
+      const rateLimit = await checkOrderRate(supabase, bot);
+      if (rateLimit) {
+        return await reject(rateLimit);
+      }
+
+      const lossLimit = await checkDailyLoss(supabase, bot);
+      if (lossLimit) {
+        const { error: pauseError } = await supabase
+          .from('bots')
+          .update({ status: 'paused', paused_reason: lossLimit, updated_at: new Date().toISOString() })
+          .eq('id', bot.id);
+        if (pauseError) {
+          console.error("Error pausing bot:", pauseError);
+        }
+        return await reject(`${lossLimit}; bot paused`);
+      }
+    }
+
+    // Filters come from the instrument cache, refreshed by the refreshInstruments job
+    const {
+      minQty,
+      maxQty,
+      qtyStep: step,
+      qtyDecimals: decimals,
+      tickSize,
+      minNotional,
+      quoteStep,
+      quoteDecimals
+    } = await loadInstrument(supabase, exchange, symbol);
+
+    // Entry price estimate for sizing and relative stops: the limit price or the last trade
+    let referencePrice = parseFloat(alertData.price) || null;
+    const getReferencePrice = async () => {
+      referencePrice ??= await exchange.getLastPrice(symbol);
+      return referencePrice;
+    };
+
+    // ─────── PAPER ACCOUNT ───────
+    // Settle resting orders and stops against the prices seen since the last alert
+    let paper = null;
+    let marketPrice = null;
+    if (bot.test_mode) {
+      marketPrice = await exchange.getLastPrice(symbol);
+      referencePrice ??= marketPrice;
+      paper = await loadPaperState(supabase, { bot, symbol });
+      paper = await syncPaperState(supabase, { bot, symbol, category: marketType, state: paper, price: marketPrice });
+      console.log(
+        `Paper account: balance=${paper.account.balance},` +
+        ` position=${JSON.stringify(paperPosition(paper))}, resting orders=${paper.orders.length}`
+      );
+    }
+
+    // {{strategy.position_size}} is negative for shorts; the side comes from the action
+    let rawQty = Math.abs(parseFloat(alertData.quantity ?? bot.default_quantity ?? 0));
+
+    // ─────── POSITION SIZING ───────
+    // An explicit alert quantity always wins over the bot's sizing mode
+    const sizingMode = alertData.quantity != null ? 'fixed_qty' : bot.sizing_mode || 'fixed_qty';
+    // Inverse contracts are sized in USD, so the USDT-based sizing modes don't apply
+    if (marketType === 'inverse' && sizingMode !== 'fixed_qty') {
+      return await reject('Inverse markets only support fixed quantity sizing');
+    }
+    // Spot market buys sized by value are placed for that amount of USDT
+    let quoteAmount = null;
+    if (!isExitAction(action) && needsPrice(sizingMode, { maxNotional: bot.max_notional })) {
+      const entryPrice = await getReferencePrice();
+      let balance = null;
+      if (needsBalance(sizingMode)) {
+        balance = paper
+          ? paperWalletBalance(paper, marketPrice)
+          : await exchange.getBalance();
+      }
+
+      let stopLossDistance = null;
+      try {
+        stopLossDistance = resolveStopLossDistance({ bot, alertData, entryPrice });
+      } catch (error) {
+        return await reject(error.message);
+      }
+
+      const sizing = computeOrderQuantity({
+        mode: sizingMode,
+        value: bot.sizing_value,
+        quantity: rawQty,
+        price: entryPrice,
+        stopDistance: stopLossDistance,
+        balance,
+        leverage: marketType === 'spot' ? 1 : bot.leverage,
+        maxNotional: bot.max_notional
+      });
+
+      if (sizing.error) {
+        return await reject(sizing.error);
+      }
+
+      console.log(
+        `Sizing mode ${sizingMode}: ${rawQty} → ${sizing.quantity} @ ${entryPrice}` +
+        ` (notional=${sizing.notional}${sizing.capped ? ', capped' : ''})`
+      );
+
+      // A sized or capped quantity is never raised to the minimum, which would break the limit it came from
+      if (sizing.capped && sizing.quantity < minQty) {
+        return await reject(`Capped quantity ${sizing.quantity} is below the minimum order quantity ${minQty}`);
+      }
+      if (sizingMode !== 'fixed_qty' && sizing.quantity < minQty) {
+        return await reject(`Computed quantity ${sizing.quantity} is below the minimum order quantity ${minQty}`);
+      }
+      rawQty = sizing.quantity;
+      if (marketType === 'spot' && sizingMode !== 'fixed_qty' && sizing.notional) {
+        quoteAmount = floorToStep(sizing.notional, { step: quoteStep, decimals: quoteDecimals });
+      }
+    }
+
+    let qty = rawQty < minQty
+      ? minQty
+      : Math.floor(rawQty / step) * step;
+    if (qty < minQty) qty = minQty;
+    const adjustedQty = parseFloat(qty.toFixed(decimals));
+    console.log(
+      `Adjusted quantity from ${rawQty} → ${adjustedQty}` +
+      ` (minQty=${minQty}, step=${step})`
+    );
+    const lot = { minQty, step, decimals };
+
+    // Futures exits are reduce-only, which the minimum order value does not apply to
+    if (minNotional > 0 && !(isExitAction(action) && exchange.supportsPositions)) {
+      const orderValue = quoteAmount ?? adjustedQty * await getReferencePrice();
+      if (orderValue < minNotional) {
+        return await reject(`Order value ${orderValue.toFixed(2)} USDT is below the minimum order value ${minNotional} USDT`);
+      }
+    }
+
+    if (!isExitAction(action) && maxQty && quoteAmount == null && adjustedQty > maxQty) {
+      return await reject(`Order quantity ${adjustedQty} is above the maximum order quantity ${maxQty}`);
+    }
+
+    // ─────── POSITION-AWARE ACTION ───────
+    let position = null;
+    if (requiresPosition(action, targetSide) || (bot.max_position_qty > 0 && !isExitAction(action))) {
+      if (paper) {
+        position = paperPosition(paper);
+      } else {
+        position = await exchange.getPosition(symbol, { positionSide });
+      }
+      console.log(`Current position for ${symbol}:`, JSON.stringify(position));
+    }
+
+    const plan = planOrder({
+      action,
+      targetSide,
+      side: alertData.side || bot.default_side || 'Buy',
+      entryQty: adjustedQty,
+      percent: alertData.percent,
+      position,
+      lot
+    });
+
+    if (plan.reject) {
+      await releaseAlert(supabase, claim);
+      claim = null;
+      if (plan.noop) {
+        console.log(`No order needed for action ${action}: ${plan.reject}`);
+        return { status: 'rejected', reason: plan.reject, response: { success: true, message: plan.reject } };
+      }
+      return await reject(plan.reject);
+    }
+
+    // A spot sell needs the coin it sells; the paper account has nothing to short with
+    if (paper && marketType === 'spot' && plan.side === 'Sell') {
+      const held = paperPosition(paper);
+      if (held.side !== 'Buy' || held.size < plan.quantity) {
+        return await reject(`Paper account holds ${held.side === 'Buy' ? held.size : 0} ${symbol}, not enough to sell ${plan.quantity}`);
+      }
+    }
+
+    // The planned order is checked, so a reverse's close and entry together stay within the limits
+    if (!isExitAction(action)) {
+      const sizeLimit = checkOrderSize(bot, {
+        quantity: plan.quantity,
+        price: bot.max_order_notional > 0 ? await getReferencePrice() : null
+      });
+      if (sizeLimit) {
+        return await reject(sizeLimit);
+      }
+    }
+
+    if (!plan.reduceOnly) {
+      const positionLimit = checkPositionSize(bot, { position, side: plan.side, quantity: plan.quantity });
+      if (positionLimit) {
+        return await reject(positionLimit);
+      }
+    }
+
+    // ─────── STOP LOSS / TAKE PROFIT ───────
+    // Reduce-only exits never carry their own stop loss or take profit
+    let stops = { stopLoss: null, takeProfit: null, takeProfitLevels: [], trailingStop: null };
+    const takeProfitOrders = [];
+    if (!plan.reduceOnly) {
+      try {
+        stops = computeStops({
+          bot,
+          alertData,
+          side: plan.side,
+          entryPrice: usesRelativeStops(bot) ? await getReferencePrice() : referencePrice,
+          tickSize
+        });
+      } catch (error) {
+        return await reject(error.message);
+      }
+      console.log("Computed stops:", JSON.stringify(stops));
+
+      const hasStops = stops.stopLoss != null || stops.takeProfit != null ||
+        stops.takeProfitLevels.length > 0 || stops.trailingStop != null;
+      if (hasStops && !exchange.supportsStops) {
+        return await reject(`Stop losses and take profits are not supported on ${marketType} markets`);
+      }
+
+      // Each take-profit level closes its share of the entry, rounded to the lot step
+      for (const level of stops.takeProfitLevels) {
+        const size = floorToStep(plan.quantity * level.percent / 100, lot);
+        if (size < minQty) {
+          console.log(`Skipping take-profit level ${level.price}: size ${size} below minimum`);
+          continue;
+        }
+        takeProfitOrders.push({ price: level.price, size });
+      }
+    }
+
+    // ─────── BUILD ORDER PARAMS ───────
+    // The exchange adapter holds the account's credentials, so they never enter the params
+    const orderParams = {
+      exchange: exchange.name,
+      marketType,
+      symbol,
+      side: plan.side,
+      orderType: alertData.orderType || bot.default_order_type || 'Market',
+      quantity: plan.quantity,
+      price: alertData.price,
+      stopLoss: stops.stopLoss,
+      takeProfit: stops.takeProfit,
+      reduceOnly: plan.reduceOnly,
+      positionSide: hedgeMode ? positionSide || plan.side : undefined,
+      orderLinkId: claim.order_link_id,
+      testnet: apiKey?.environment === 'testnet'
+    };
+    // Only market buys can be sized in USDT
+    if (quoteAmount != null && plan.side === 'Buy' && orderParams.orderType === 'Market') {
+      orderParams.quoteAmount = quoteAmount;
+    }
+    log.orderParams = {
+      ...redactOrderParams(orderParams),
+      takeProfitLevels: stops.takeProfitLevels,
+      trailingStop: stops.trailingStop
+    };
+    
+    console.log("Order parameters prepared:", JSON.stringify(orderParams));
+    
+    let orderResult;
+    
+    if (paper) {
+      console.log("Test mode enabled, executing order on the paper account");
+      const isMarket = orderParams.orderType === 'Market';
+      orderResult = await executePaperOrder(supabase, {
+        bot,
+        state: paper,
+        orderParams,
+        price: marketPrice,
+        stops: {
+          stopLoss: stops.stopLoss,
+          takeProfit: stops.takeProfit,
+          // Like on Bybit, levels and trailing stops need a filled market entry
+          takeProfitLevels: isMarket ? takeProfitOrders : [],
+          trailingStop: isMarket ? stops.trailingStop : null
+        }
+      });
+
+      if (orderResult.status === 'Rejected') {
+        await releaseAlert(supabase, claim);
+        claim = null;
+        return {
+          status: 'rejected',
+          reason: orderResult.statusReason,
+          response: { success: true, message: orderResult.statusReason }
+        };
+      }
+    } else {
+      console.log(`Executing actual order on ${exchange.name}`);
+      try {
+        // Settings are applied before entries only, so exits are never held up by them
+        if (!plan.reduceOnly && exchange.supportsPositions) {
+          await ensureExchangeSettings(supabase, {
+            bot,
+            exchange,
+            accountId: apiKey.id,
+            symbol
+          });
+        }
+        orderResult = await exchange.placeOrder(orderParams);
+      } catch (error) {
+        // Counted against the bot by the queue once the alert is out of retries
+        error.exchangeFailure = true;
+        throw error;
+      }
+    }
+    
+    log.exchangeResponse = orderResult;
+    console.log("Order result:", JSON.stringify(orderResult));
+
+    // ─────── TAKE-PROFIT LEVELS & TRAILING STOP ───────
+    // These attach to the open position, so they need a filled market order.
+    // The order already went through, so failures here are reported but not fatal.
+    let protectionError = null;
+    const hasProtection = takeProfitOrders.length > 0 || stops.trailingStop != null;
+    if (hasProtection && !paper) {
+      if (orderParams.orderType !== 'Market') {
+        console.log("Skipping take-profit levels and trailing stop for non-market entry");
+      } else {
+        try {
+          for (const level of takeProfitOrders) {
+            await exchange.setTradingStop({
+              symbol,
+              takeProfit: level.price,
+              tpSize: level.size,
+              tpslMode: 'Partial',
+              positionSide: orderParams.positionSide
+            });
+          }
+
+          if (stops.trailingStop != null) {
+            await exchange.setTradingStop({
+              symbol,
+              trailingStop: stops.trailingStop,
+              positionSide: orderParams.positionSide
+            });
+          }
+        } catch (error) {
+          console.error("Error applying take-profit levels or trailing stop:", error);
+          protectionError = error.message;
+        }
+      }
+    }
+    
+    // Log the trade
+    console.log("Logging trade to database...");
+    const { data: tradeData, error: tradeError } = await supabase
+      .from('trades')
+      .insert({
+        user_id: webhook.user_id,
+        bot_id: webhook.bot_id,
+        symbol: orderResult.symbol,
+        side: orderResult.side,
+        order_type: orderResult.orderType,
+        quantity: orderResult.qty,
+        price: orderResult.price,
+        order_id: orderResult.orderId,
+        order_link_id: orderResult.orderLinkId,
+        action,
+        reduce_only: orderParams.reduceOnly,
+        status: orderResult.status,
+        status_reason: orderResult.statusReason ?? null,
+        filled_quantity: orderResult.filledQty ?? null,
+        fee: orderResult.fee ?? null,
+        realized_pnl: orderResult.realizedPnl ?? null,
+        created_at: new Date().toISOString()
+      });
+      
+    if (tradeError) {
+      console.error("Error logging trade:", tradeError);
+    } else {
+      console.log("Trade successfully logged to database");
+    }
+
+    // Live resting orders are reported when syncOrderStatus sees them fill
+    if (orderResult.status === 'Filled') {
+      await notify('fill', {
+        title: `${orderResult.side} ${orderResult.symbol} filled`,
+        message: `${action} order for ${orderResult.qty} ${orderResult.symbol} filled${bot.test_mode ? ' on the paper account' : ''}`,
+        fields: { Price: orderResult.price, 'Order ID': orderResult.orderId }
+      });
+    }
+    
+    // Update bot's last trade timestamp
+    console.log("Updating bot's last trade timestamp and count...");
+    const { data: botUpdateData, error: botUpdateError } = await supabase
+      .from('bots')
+      .update({
+        last_trade_at: new Date().toISOString(),
+        trade_count: bot.trade_count ? bot.trade_count + 1 : 1,
+        consecutive_failures: 0,
+        last_error: null
+      })
+      .eq('id', webhook.bot_id);
+      
+    if (botUpdateError) {
+      console.error("Error updating bot:", botUpdateError);
+    } else {
+      console.log("Bot successfully updated");
+    }
+    
+    const responseBody = {
+      success: true,
+      orderId: orderResult.orderId,
+      orderLinkId: orderResult.orderLinkId,
+      status: orderResult.status,
+      testMode: bot.test_mode,
+      ...(protectionError && { protectionError })
+    };
+    await completeAlert(supabase, claim, responseBody);
+
+    console.log("Process completed successfully");
+    return { status: 'executed', error: protectionError, response: responseBody };
+  } catch (error) {
+    if (claim) {
+      error.claim = claim;
+    }
+    throw error;
+  }
+}
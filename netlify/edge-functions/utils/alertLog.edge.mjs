@@ -0,0 +1,104 @@
+// Alert log helpers for Edge Functions
+// Every inbound webhook request is written to the `alerts` table with its outcome
+
+// Request headers worth keeping for troubleshooting; everything else is dropped
+const LOGGED_HEADERS = [
+  'content-type',
+  'content-length',
+  'user-agent',
+  'x-forwarded-for',
+  'x-nf-client-connection-ip',
+  'x-real-ip'
+];
+
+/**
+ * Start an alert log entry for an inbound request.
+ * The returned object is filled in as processing progresses.
+ */
+export function startAlertLog(headers) {
+  const loggedHeaders = {};
+  for (const name of LOGGED_HEADERS) {
+    if (headers[name] != null) {
+      loggedHeaders[name] = headers[name];
+    }
+  }
+
+  return {
+    startedAt: Date.now(),
+    headers: loggedHeaders,
+    webhookToken: null,
+    webhook: null,
+    rawBody: null,
+    payload: null,
+    orderParams: null,
+    exchangeResponse: null
+  };
+}
+
+/**
+ * Strip credentials from order params before they are persisted.
+ */
+export function redactOrderParams({ apiKey, apiSecret, ...orderParams }) {
+  return orderParams;
+}
+
+/**
+ * Persist the alert log entry with its outcome, returning the entry's id.
+ * Failures are logged and swallowed so they never change the response to the sender.
+ */
+export async function writeAlertLog(supabase, log, { status, reason = null, error = null, httpStatus }) {
+  const { webhook } = log;
+
+  const { data, error: insertError } = await supabase
+    .from('alerts')
+    .insert({
+      user_id: webhook?.user_id ?? null,
+      bot_id: webhook?.bot_id ?? null,
+      webhook_id: webhook?.id ?? null,
+      webhook_token: webhook ? null : log.webhookToken,
+      status,
+      reason,
+      error,
+      http_status: httpStatus,
+      raw_body: log.rawBody,
+      headers: log.headers,
+      payload: log.payload,
+      order_params: log.orderParams,
+      exchange_response: log.exchangeResponse,
+      latency_ms: Date.now() - log.startedAt,
+      created_at: new Date(log.startedAt).toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    console.error(`Error writing ${status} alert log:`, insertError);
+    return null;
+  }
+
+  return data.id;
+}
+
+/**
+ * Record the outcome of a queued alert on its log entry.
+ * The latency covers the whole time from receipt to execution, retries included.
+ */
+export async function updateAlertLog(supabase, alertId, log, { status, reason = null, error = null }) {
+  if (!alertId) return;
+
+  const { error: updateError } = await supabase
+    .from('alerts')
+    .update({
+      status,
+      reason,
+      error,
+      order_params: log.orderParams,
+      exchange_response: log.exchangeResponse,
+      latency_ms: Date.now() - log.startedAt
+    })
+    .eq('id', alertId);
+
+  if (updateError) {
+    console.error(`Error updating alert log to ${status}:`, updateError);
+  }
+}
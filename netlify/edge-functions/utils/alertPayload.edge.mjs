@@ -0,0 +1,206 @@
+// Alert payload parsing for Edge Functions
+// Turns JSON or plain-text alerts into the canonical fields processAlert reads, using the bot's payload mapping
+
+import { SIGNAL_ACTIONS } from './signalActions.edge.mjs';
+
+// Canonical fields and the keys accepted for them out of the box, compared case-insensitively
+export const FIELD_ALIASES = {
+  symbol: ['symbol', 'ticker', 'pair', 'instrument'],
+  side: ['side', 'direction', 'signal', 'order_action', 'orderAction'],
+  action: ['action'],
+  orderType: ['orderType', 'order_type'],
+  quantity: ['quantity', 'qty', 'contracts', 'size', 'amount'],
+  price: ['price', 'limitPrice', 'limit_price', 'limit'],
+  stopLoss: ['stopLoss', 'stop_loss', 'sl', 'stop'],
+  takeProfit: ['takeProfit', 'take_profit', 'tp', 'target'],
+  marketPosition: ['marketPosition', 'market_position'],
+  percent: ['percent', 'pct'],
+  atr: ['atr'],
+  alertId: ['alertId', 'alert_id', 'nonce'],
+  time: ['time', 'barTime', 'bar_time', 'timenow'],
+  passphrase: ['passphrase']
+};
+
+export const CANONICAL_FIELDS = Object.keys(FIELD_ALIASES);
+
+const NUMERIC_FIELDS = ['quantity', 'price', 'stopLoss', 'takeProfit', 'percent', 'atr'];
+
+// Values understood in `side` and `action`, compared case-insensitively.
+// A value resolves to an order side or to one of the SIGNAL_ACTIONS.
+export const VALUE_ALIASES = {
+  buy: 'Buy',
+  long: 'Buy',
+  sell: 'Sell',
+  short: 'Sell',
+  exit: 'close',
+  close: 'close',
+  flat: 'flat',
+  flatten: 'flat'
+};
+
+const ORDER_TYPES = { market: 'Market', limit: 'Limit' };
+
+// Plain-text alerts are read with this template when the bot has none.
+// The quantity is optional, so exits such as `exit BTCUSDT` fit it too
+export const DEFAULT_TEXT_TEMPLATE = '{side} {symbol} {quantity?}';
+
+/**
+ * Strip TradingView's exchange prefix and perpetual suffix: `BYBIT:BTCUSDT.P` -> `BTCUSDT`.
+ */
+export function normalizeSymbol(symbol) {
+  return String(symbol)
+    .trim()
+    .replace(/^[A-Z0-9_]+:/i, '')
+    .replace(/\.P$/i, '')
+    .toUpperCase();
+}
+
+/**
+ * Read a plain-text alert such as `buy BYBIT:BTCUSDT 0.01` with a template such as
+ * `{side} {symbol} {quantity}`. Template words without braces must match the alert
+ * literally, so templates like `{side} {quantity} of {symbol}` work too.
+ * A placeholder ending in `?`, e.g. `{quantity?}`, may be left out of the alert.
+ * Returns the fields found, or null when the text does not fit the template.
+ */
+export function parseTextAlert(text, template = DEFAULT_TEXT_TEMPLATE) {
+  const words = text.trim().split(/\s+/);
+  const slots = template.trim().split(/\s+/);
+  if (words.length < slots.filter(slot => /^\{\w+\}$/.test(slot)).length) {
+    return null;
+  }
+
+  const fields = {};
+  for (let i = 0; i < slots.length && i < words.length; i++) {
+    const placeholder = slots[i].match(/^\{(\w+)\??\}$/);
+    if (placeholder) {
+      fields[placeholder[1]] = words[i];
+    } else if (slots[i].toLowerCase() !== words[i].toLowerCase()) {
+      return null;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Find the key a payload uses for a field, trying each alias in turn and ignoring case.
+ */
+function findKey(payload, keys) {
+  const byLowerKey = new Map(Object.keys(payload).map(key => [key.toLowerCase(), key]));
+  return keys
+    .map(key => byLowerKey.get(String(key).toLowerCase()))
+    .find(key => key !== undefined && payload[key] !== '' && payload[key] != null);
+}
+
+/**
+ * Resolve a side/action word through the bot's value aliases, then the built-in ones.
+ * Returns 'Buy', 'Sell', one of the SIGNAL_ACTIONS, or undefined.
+ */
+function resolveValue(value, customValues) {
+  const word = String(value).trim().toLowerCase();
+  const custom = Object.entries(customValues || {})
+    .find(([alias]) => alias.trim().toLowerCase() === word);
+  const resolved = custom ? custom[1] : VALUE_ALIASES[word];
+  if (resolved) return resolved;
+  return SIGNAL_ACTIONS.includes(word) ? word : undefined;
+}
+
+/**
+ * Map a parsed payload onto the canonical alert fields.
+ * `mapping.fields` adds keys per canonical field, e.g. { quantity: 'contracts' },
+ * and `mapping.values` adds side/action words, e.g. { tp_hit: 'close' }.
+ * Source keys are renamed to the canonical ones; other fields are passed through unchanged.
+ * Returns { alertData } or { error }.
+ */
+export function normalizeAlert(payload, mapping = {}) {
+  const alertData = { ...payload };
+
+  for (const field of CANONICAL_FIELDS) {
+    const custom = mapping.fields?.[field];
+    const keys = [
+      ...(Array.isArray(custom) ? custom : String(custom || '').split(',')).map(key => key.trim()).filter(Boolean),
+      ...FIELD_ALIASES[field]
+    ];
+    const key = findKey(payload, keys);
+    if (key !== undefined) {
+      delete alertData[key];
+      alertData[field] = payload[key];
+    } else {
+      // Blank values (e.g. an empty {{strategy.order.comment}}) count as missing
+      delete alertData[field];
+    }
+  }
+
+  // `side` and `action` both accept order sides and signal actions
+  for (const field of ['side', 'action']) {
+    if (alertData[field] === undefined) continue;
+    const resolved = resolveValue(alertData[field], mapping.values);
+    if (!resolved) {
+      return { error: `Unsupported ${field}: ${alertData[field]}` };
+    }
+    delete alertData[field];
+    if (resolved === 'Buy' || resolved === 'Sell') {
+      alertData.side ??= resolved;
+    } else {
+      alertData.action ??= resolved;
+    }
+  }
+
+  if (alertData.orderType !== undefined) {
+    const orderType = ORDER_TYPES[String(alertData.orderType).trim().toLowerCase()];
+    if (!orderType) {
+      return { error: `Unsupported order type: ${alertData.orderType}` };
+    }
+    alertData.orderType = orderType;
+  }
+
+  if (alertData.symbol !== undefined) {
+    alertData.symbol = normalizeSymbol(alertData.symbol);
+  }
+
+  for (const field of NUMERIC_FIELDS) {
+    if (alertData[field] === undefined) continue;
+    const value = parseFloat(alertData[field]);
+    if (!Number.isFinite(value)) {
+      return { error: `${field} must be a number, got ${alertData[field]}` };
+    }
+    alertData[field] = value;
+  }
+
+  return { alertData };
+}
+
+/**
+ * Parse a raw alert body with the bot's payload mapping.
+ * JSON objects are used as they are; anything else is read as a plain-text alert
+ * with `mapping.textTemplate`.
+ * Returns { alertData, format } or { error }.
+ */
+export function parseAlert(rawBody, mapping = {}) {
+  const text = (rawBody || '').trim();
+  if (!text) {
+    return { error: 'Empty alert' };
+  }
+
+  let payload;
+  let format = 'json';
+  if (text.startsWith('{')) {
+    try {
+      payload = JSON.parse(text);
+    } catch (e) {
+      return { error: `Invalid JSON payload: ${e.message}` };
+    }
+  } else {
+    format = 'text';
+    payload = parseTextAlert(text, mapping.textTemplate || DEFAULT_TEXT_TEMPLATE);
+    if (!payload) {
+      return { error: `Alert text does not match the template "${mapping.textTemplate || DEFAULT_TEXT_TEMPLATE}"` };
+    }
+  }
+
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { error: 'Alert must be a JSON object or a plain-text alert' };
+  }
+
+  const result = normalizeAlert(payload, mapping);
+  return result.error ? result : { ...result, format };
+}
@@ -0,0 +1,310 @@
+// Alert queue helpers, shared by Edge Functions and Netlify Functions
+// Alerts are queued on receipt and executed one at a time per bot, retrying transient exchange errors
+
+import { executeAlert, recordExchangeFailure } from './alertExecution.edge.mjs';
+import { updateAlertLog } from './alertLog.edge.mjs';
+import { releaseAlert } from './idempotency.edge.mjs';
+
+// Attempts after which a failing alert is moved to the dead letters
+export const MAX_ATTEMPTS = 5;
+
+// Alerts still executing after this long were left behind by a worker that stopped
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// First retry delay by kind of failure, doubled on every further attempt
+const RETRY_DELAYS_MS = {
+  rate_limit: 15000,
+  timestamp: 1000,
+  transient: 5000
+};
+
+// Bybit retCodes worth retrying
+const BYBIT_RETRYABLE = {
+  10006: 'rate_limit', // Too many visits
+  10018: 'rate_limit', // IP rate limit exceeded
+  10002: 'timestamp', // Request time outside the recv window
+  10000: 'transient', // Server timeout
+  10016: 'transient', // Internal server error
+  170007: 'transient' // Timeout waiting for the backend
+};
+
+// Binance error codes worth retrying
+const BINANCE_RETRYABLE = {
+  '-1003': 'rate_limit', // Too many requests
+  '-1021': 'timestamp', // Timestamp outside the recv window
+  '-1000': 'transient', // Unknown error
+  '-1001': 'transient', // Disconnected
+  '-1007': 'transient' // Timeout waiting for the backend
+};
+
+/**
+ * Classify a failed attempt by the exchange's error code.
+ * Returns { kind, code }, where kind is null for failures a retry cannot fix,
+ * such as an order the exchange rejected.
+ */
+export function classifyError(error) {
+  if (error.retCode != null) {
+    return { kind: BYBIT_RETRYABLE[error.retCode] ?? null, code: String(error.retCode) };
+  }
+  if (typeof error.code === 'number') {
+    return { kind: BINANCE_RETRYABLE[error.code] ?? null, code: String(error.code) };
+  }
+  if (error.httpStatus) {
+    const kind = error.httpStatus === 429
+      ? 'rate_limit'
+      : error.httpStatus >= 500 ? 'transient' : null;
+    return { kind, code: `HTTP ${error.httpStatus}` };
+  }
+  // Requests that never got an answer: timeouts and network failures
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return { kind: 'transient', code: error.name };
+  }
+  if (error.name === 'TypeError' && /fetch|network|connect|sending request/i.test(error.message)) {
+    return { kind: 'transient', code: 'network' };
+  }
+  return { kind: null, code: null };
+}
+
+/**
+ * Delay before the next attempt after `attempts` failed ones.
+ */
+function retryDelay(kind, attempts) {
+  return Math.min(RETRY_DELAYS_MS[kind] * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+async function updateQueueItem(supabase, id, update) {
+  const { error } = await supabase
+    .from('alert_queue')
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) {
+    console.error(`Error updating queued alert ${id}:`, error);
+  }
+}
+
+/**
+ * `notify(event, notification)` for a queued alert, naming its bot like the
+ * notifications raised while the alert was received.
+ */
+function queueNotifier(supabase, notifier, item) {
+  let botName;
+  return async (event, { title, message, fields }) => {
+    if (botName === undefined) {
+      const { data } = await supabase.from('bots').select('name').eq('id', item.bot_id).maybeSingle();
+      botName = data?.name ?? null;
+    }
+    await notifier(item.user_id, { event, title, message, fields: { Bot: botName, ...fields } });
+  };
+}
+
+/**
+ * Queue an accepted alert. `payload` is the parsed alert without its passphrase.
+ */
+export async function enqueueAlert(supabase, { webhook, alertId, payload, idempotencyKey }) {
+  const { data, error } = await supabase
+    .from('alert_queue')
+    .insert({
+      user_id: webhook.user_id,
+      bot_id: webhook.bot_id,
+      webhook_id: webhook.id,
+      alert_id: alertId,
+      payload,
+      idempotency_key: idempotencyKey
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Queueing the alert failed: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Execute one claimed alert and record the result: completed, retrying or dead.
+ * Returns that status.
+ */
+export async function processQueueItem(supabase, item, { getEnv, notifier }) {
+  const log = { startedAt: new Date(item.created_at).getTime(), orderParams: null, exchangeResponse: null };
+  const notify = queueNotifier(supabase, notifier, item);
+
+  try {
+    const outcome = await executeAlert(supabase, { item, log, getEnv, notify });
+    await updateQueueItem(supabase, item.id, {
+      status: 'completed',
+      outcome: outcome.status,
+      locked_at: null,
+      completed_at: new Date().toISOString()
+    });
+    await updateAlertLog(supabase, item.alert_id, log, outcome);
+    return 'completed';
+  } catch (error) {
+    const { kind, code } = classifyError(error);
+    const failure = {
+      locked_at: null,
+      last_error: error.message,
+      last_error_code: code,
+      claim_id: error.claim?.id ?? item.claim_id
+    };
+
+    if (kind && item.attempts < MAX_ATTEMPTS) {
+      const delayMs = retryDelay(kind, item.attempts);
+      console.log(`Alert ${item.id} attempt ${item.attempts} failed (${kind}, ${code}), retrying in ${delayMs} ms:`, error.message);
+      await updateQueueItem(supabase, item.id, {
+        ...failure,
+        status: 'retrying',
+        next_attempt_at: new Date(Date.now() + delayMs).toISOString()
+      });
+      return 'retrying';
+    }
+
+    // The claim is kept, so a manual retry reuses the orderLinkId of the failed attempts
+    console.error(`Alert ${item.id} failed after ${item.attempts} attempt(s):`, error);
+    await updateQueueItem(supabase, item.id, { ...failure, status: 'dead' });
+    if (error.exchangeFailure) {
+      await recordExchangeFailure(supabase, item.bot_id, error);
+    }
+    await updateAlertLog(supabase, item.alert_id, log, {
+      status: 'failed',
+      reason: 'Alert processing failed',
+      error: error.message
+    });
+    await notify('error', {
+      title: 'Alert failed',
+      message: `${error.message}. The alert can be retried from the alert log.`,
+      fields: { Attempts: item.attempts }
+    });
+    return 'dead';
+  }
+}
+
+/**
+ * Move alerts left executing by a stopped worker to the dead letters. They are not
+ * retried automatically, as their order may have been placed before the worker stopped.
+ */
+export async function recoverStaleAlerts(supabase, { notifier }) {
+  const { data: stale, error } = await supabase
+    .from('alert_queue')
+    .update({
+      status: 'dead',
+      locked_at: null,
+      last_error: 'Execution was interrupted; check the exchange before retrying',
+      updated_at: new Date().toISOString()
+    })
+    .eq('status', 'processing')
+    .lt('locked_at', new Date(Date.now() - STALE_AFTER_MS).toISOString())
+    .select();
+
+  if (error) {
+    throw new Error(`Stale alert recovery failed: ${error.message}`);
+  }
+
+  for (const item of stale) {
+    console.error(`Alert ${item.id} was left executing since ${item.locked_at}, moved to the dead letters`);
+    await updateAlertLog(supabase, item.alert_id, {
+      startedAt: new Date(item.created_at).getTime(),
+      orderParams: null,
+      exchangeResponse: null
+    }, {
+      status: 'failed',
+      reason: 'Alert processing failed',
+      error: item.last_error
+    });
+    await queueNotifier(supabase, notifier, item)('error', {
+      title: 'Alert interrupted',
+      message: `${item.last_error}. The alert can be retried from the alert log.`
+    });
+  }
+
+  return stale.length;
+}
+
+/**
+ * Whether a bot in scope has its oldest pending alert due and not executing, as
+ * claim_queued_alert picks them. A claim that comes back empty while one does only
+ * lost the alert to a concurrent worker.
+ */
+async function hasClaimableAlert(supabase, botId) {
+  let query = supabase
+    .from('alert_queue')
+    .select('bot_id, status, next_attempt_at')
+    .in('status', ['queued', 'processing', 'retrying'])
+    .order('created_at')
+    .order('id');
+  if (botId) {
+    query = query.eq('bot_id', botId);
+  }
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Queued alert lookup failed: ${error.message}`);
+  }
+
+  const heads = new Map();
+  for (const item of data) {
+    if (!heads.has(item.bot_id)) heads.set(item.bot_id, item);
+  }
+  const now = Date.now();
+  return [...heads.values()].some(item => item.status !== 'processing' && new Date(item.next_attempt_at) <= now);
+}
+
+/**
+ * Execute queued alerts until none is due or `deadline` (epoch ms) passes.
+ * `botId` limits the drain to one bot, e.g. the bot an alert was just queued for.
+ * Returns { completed, retrying, dead }.
+ */
+export async function drainAlertQueue(supabase, { botId = null, getEnv, notifier, deadline }) {
+  const summary = { completed: 0, retrying: 0, dead: 0 };
+
+  while (Date.now() < deadline) {
+    const { data, error } = await supabase.rpc('claim_queued_alert', { p_bot_id: botId });
+    if (error) {
+      throw new Error(`Claiming a queued alert failed: ${error.message}`);
+    }
+
+    const item = data?.[0];
+    if (!item) {
+      // Another worker took the alert; other bots may still have alerts due
+      if (await hasClaimableAlert(supabase, botId)) continue;
+      break;
+    }
+
+    summary[await processQueueItem(supabase, item, { getEnv, notifier })] += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Queue a dead alert again with a fresh set of attempts.
+ */
+export async function retryDeadAlert(supabase, item) {
+  await updateQueueItem(supabase, item.id, {
+    status: 'queued',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString()
+  });
+
+  if (item.alert_id) {
+    const { error } = await supabase
+      .from('alerts')
+      .update({ status: 'queued', reason: null, error: null })
+      .eq('id', item.alert_id);
+    if (error) {
+      console.error("Error resetting alert log entry:", error);
+    }
+  }
+}
+
+/**
+ * Give up on a dead alert, releasing its claim so the signal can be sent again.
+ */
+export async function discardDeadAlert(supabase, item) {
+  await updateQueueItem(supabase, item.id, { status: 'discarded', completed_at: new Date().toISOString() });
+  if (item.claim_id) {
+    await releaseAlert(supabase, { id: item.claim_id });
+  }
+}
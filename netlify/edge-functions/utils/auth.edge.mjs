@@ -0,0 +1,20 @@
+// Caller authentication for Edge Functions called by the dashboard
+// Requests carry the user's Supabase session token; the body is never trusted for identity
+
+/**
+ * Resolve the user of a request's `Authorization: Bearer <access token>` header.
+ * Returns null when the token is missing, expired or invalid.
+ */
+export async function getRequestUser(supabase, request) {
+  const token = (request.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!token) {
+    return null;
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error) {
+    console.log("Session token rejected:", error.message);
+    return null;
+  }
+  return data?.user ?? null;
+}
@@ -0,0 +1,370 @@
+// Binance USDT-M futures API client shared by Edge Functions and Netlify Functions
+// Uses the Fetch and Web Crypto APIs, which Deno and Node 20 both provide
+
+import { createServerClock } from './serverClock.edge.mjs';
+
+export const BINANCE_MAINNET_URL = 'https://fapi.binance.com';
+export const BINANCE_TESTNET_URL = 'https://testnet.binancefuture.com';
+const DEFAULT_RECV_WINDOW = '5000';
+
+// Binance error codes for settings changed to the value already set
+const MARGIN_TYPE_NOT_MODIFIED = -4046;
+const POSITION_MODE_NOT_MODIFIED = -4059;
+
+// Binance error code for a request timestamp outside the recv window
+const TIMESTAMP_OUT_OF_WINDOW = -1021;
+
+// exchangeInfo lists every symbol and cannot be filtered, so single lookups share a copy this long
+const SYMBOLS_CACHE_MS = 5 * 60 * 1000;
+
+const baseUrlFor = testnet => (testnet ? BINANCE_TESTNET_URL : BINANCE_MAINNET_URL);
+
+const toQueryString = (params = {}) => Object.keys(params)
+  .filter(k => params[k] != null)
+  .map(k => `${k}=${encodeURIComponent(params[k])}`)
+  .join('&');
+
+/**
+ * Create HMAC SHA256 signature using Web Crypto API
+ */
+async function hmacSha256(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+
+  return Array.from(new Uint8Array(signature))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Send a request and turn Binance's { code, msg } errors into exceptions.
+ * Errors carry Binance's `code` so callers can tell expected failures apart.
+ */
+async function binanceFetch(url, init) {
+  const response = await fetch(url, init);
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok || (data && typeof data.code === 'number' && data.code < 0)) {
+    const message = data?.msg || `HTTP error: ${response.status}`;
+    throw Object.assign(new Error(`Binance API error ${data?.code ?? response.status}: ${message}`), {
+      code: data?.code,
+      httpStatus: response.status
+    });
+  }
+
+  return data;
+}
+
+/**
+ * Fetch Binance server time in milliseconds.
+ */
+async function fetchServerTime(testnet) {
+  const data = await binanceFetch(`${baseUrlFor(testnet)}/fapi/v1/time`);
+  return data.serverTime;
+}
+
+const serverClocks = {
+  mainnet: createServerClock(() => fetchServerTime(false)),
+  testnet: createServerClock(() => fetchServerTime(true))
+};
+
+const serverClockFor = testnet => serverClocks[testnet ? 'testnet' : 'mainnet'];
+
+/**
+ * Perform a GET request against a public market endpoint.
+ */
+export async function binancePublicGet({ endpoint, params, testnet = false }) {
+  const queryString = toQueryString(params);
+  return binanceFetch(`${baseUrlFor(testnet)}${endpoint}${queryString ? `?${queryString}` : ''}`);
+}
+
+/**
+ * Perform a signed request against a private endpoint. Parameters are sent in
+ * the query string, signed as HMAC(secret, queryString) in `signature`.
+ */
+export async function binanceSignedRequest({
+  apiKey,
+  apiSecret,
+  method = 'GET',
+  endpoint,
+  params,
+  testnet = false,
+  recvWindow = DEFAULT_RECV_WINDOW
+}) {
+  const queryString = toQueryString({
+    ...params,
+    recvWindow,
+    timestamp: await serverClockFor(testnet).now()
+  });
+  const signature = await hmacSha256(apiSecret, queryString);
+
+  return binanceFetch(`${baseUrlFor(testnet)}${endpoint}?${queryString}&signature=${signature}`, {
+    method,
+    headers: { 'X-MBX-APIKEY': apiKey }
+  }).catch(error => {
+    // A retry signs with a fresh clock offset
+    if (error.code === TIMESTAMP_OUT_OF_WINDOW) {
+      serverClockFor(testnet).reset();
+    }
+    throw error;
+  });
+}
+
+/**
+ * Get the trading rules of every symbol from /fapi/v1/exchangeInfo.
+ * Returns the symbol objects with their filters.
+ */
+export async function getBinanceSymbols({ testnet = false }) {
+  const info = await binancePublicGet({ endpoint: '/fapi/v1/exchangeInfo', testnet });
+  return info.symbols || [];
+}
+
+// Symbols by name per network, as { symbols: Promise<Map>, loadedAt }
+const symbolsCache = {};
+
+/**
+ * Get the trading rules of a symbol from /fapi/v1/exchangeInfo. The symbols are kept
+ * for SYMBOLS_CACHE_MS, and concurrent lookups share one download.
+ * Returns the symbol object with its filters.
+ */
+export async function getBinanceSymbolInfo({ symbol, testnet = false }) {
+  const network = testnet ? 'testnet' : 'mainnet';
+  let cache = symbolsCache[network];
+  if (!cache || Date.now() - cache.loadedAt > SYMBOLS_CACHE_MS) {
+    cache = symbolsCache[network] = {
+      symbols: getBinanceSymbols({ testnet }).then(symbols => new Map(symbols.map(s => [s.symbol, s]))),
+      loadedAt: Date.now()
+    };
+    // A failed download is not kept
+    cache.symbols.catch(() => {
+      if (symbolsCache[network] === cache) delete symbolsCache[network];
+    });
+  }
+
+  const symbolInfo = (await cache.symbols).get(symbol);
+  if (!symbolInfo) {
+    throw new Error(`No instrument found for ${symbol}`);
+  }
+  return symbolInfo;
+}
+
+/**
+ * Get the last traded price of a symbol.
+ */
+export async function getBinanceLastPrice({ symbol, testnet = false }) {
+  const ticker = await binancePublicGet({ endpoint: '/fapi/v1/ticker/price', params: { symbol }, testnet });
+  return parseFloat(ticker.price);
+}
+
+/**
+ * Place an order with POST /fapi/v1/order.
+ * Returns the order object.
+ */
+export async function placeBinanceOrder({ apiKey, apiSecret, testnet = false, ...params }) {
+  try {
+    console.log('Placing Binance order:', { ...params, testnet });
+    return await binanceSignedRequest({
+      apiKey,
+      apiSecret,
+      method: 'POST',
+      endpoint: '/fapi/v1/order',
+      params,
+      testnet
+    });
+  } catch (error) {
+    console.error('Error placing Binance order:', error);
+    throw error;
+  }
+}
+
+/**
+ * Look up an order by orderId or client order id with GET /fapi/v1/order.
+ * Returns the order object, or null if Binance does not know it.
+ */
+export async function getBinanceOrder({ apiKey, apiSecret, symbol, orderId, origClientOrderId, testnet = false }) {
+  try {
+    return await binanceSignedRequest({
+      apiKey,
+      apiSecret,
+      endpoint: '/fapi/v1/order',
+      params: { symbol, orderId, origClientOrderId },
+      testnet
+    });
+  } catch (error) {
+    // -2013: order does not exist
+    if (error.code === -2013) {
+      return null;
+    }
+    console.error('Error getting Binance order:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel an order with DELETE /fapi/v1/order.
+ */
+export async function cancelBinanceOrder({ apiKey, apiSecret, symbol, orderId, origClientOrderId, testnet = false }) {
+  try {
+    console.log('Cancelling Binance order:', { symbol, orderId, origClientOrderId, testnet });
+    return await binanceSignedRequest({
+      apiKey,
+      apiSecret,
+      method: 'DELETE',
+      endpoint: '/fapi/v1/order',
+      params: { symbol, orderId, origClientOrderId },
+      testnet
+    });
+  } catch (error) {
+    console.error('Error cancelling Binance order:', error);
+    throw error;
+  }
+}
+
+/**
+ * List open orders, of one symbol or of every symbol.
+ */
+export async function getBinanceOpenOrders({ apiKey, apiSecret, symbol, testnet = false }) {
+  return binanceSignedRequest({
+    apiKey,
+    apiSecret,
+    endpoint: '/fapi/v1/openOrders',
+    params: { symbol },
+    testnet
+  });
+}
+
+/**
+ * Cancel every open order of a symbol with DELETE /fapi/v1/allOpenOrders.
+ */
+export async function cancelAllBinanceOrders({ apiKey, apiSecret, symbol, testnet = false }) {
+  try {
+    console.log('Cancelling all Binance orders:', { symbol, testnet });
+    return await binanceSignedRequest({
+      apiKey,
+      apiSecret,
+      method: 'DELETE',
+      endpoint: '/fapi/v1/allOpenOrders',
+      params: { symbol },
+      testnet
+    });
+  } catch (error) {
+    console.error('Error cancelling all Binance orders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get position risk, of one symbol or of every symbol.
+ * `positionAmt` is negative for shorts.
+ */
+export async function getBinancePositions({ apiKey, apiSecret, symbol, testnet = false }) {
+  try {
+    return await binanceSignedRequest({
+      apiKey,
+      apiSecret,
+      endpoint: '/fapi/v2/positionRisk',
+      params: { symbol },
+      testnet
+    });
+  } catch (error) {
+    console.error('Error getting Binance positions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the futures account summary from GET /fapi/v2/account.
+ */
+export async function getBinanceAccount({ apiKey, apiSecret, testnet = false }) {
+  try {
+    return await binanceSignedRequest({
+      apiKey,
+      apiSecret,
+      endpoint: '/fapi/v2/account',
+      testnet
+    });
+  } catch (error) {
+    console.error('Error getting Binance account:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the leverage of a symbol with POST /fapi/v1/leverage.
+ */
+export async function setBinanceLeverage({ apiKey, apiSecret, symbol, leverage, testnet = false }) {
+  try {
+    console.log('Setting Binance leverage:', { symbol, leverage, testnet });
+    return await binanceSignedRequest({
+      apiKey,
+      apiSecret,
+      method: 'POST',
+      endpoint: '/fapi/v1/leverage',
+      params: { symbol, leverage: Math.round(leverage) },
+      testnet
+    });
+  } catch (error) {
+    console.error('Error setting Binance leverage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the margin type of a symbol to 'ISOLATED' or 'CROSSED' with POST /fapi/v1/marginType.
+ * Setting the type it already has is not an error.
+ * Returns true when the margin type changed.
+ */
+export async function setBinanceMarginType({ apiKey, apiSecret, symbol, marginType, testnet = false }) {
+  try {
+    console.log('Setting Binance margin type:', { symbol, marginType, testnet });
+    await binanceSignedRequest({
+      apiKey,
+      apiSecret,
+      method: 'POST',
+      endpoint: '/fapi/v1/marginType',
+      params: { symbol, marginType },
+      testnet
+    });
+    return true;
+  } catch (error) {
+    if (error.code === MARGIN_TYPE_NOT_MODIFIED) {
+      return false;
+    }
+    console.error('Error setting Binance margin type:', error);
+    throw error;
+  }
+}
+
+/**
+ * Switch the whole account between one-way and hedge (dual side) positions
+ * with POST /fapi/v1/positionSide/dual. Setting the mode it already has is not an error.
+ * Returns true when the position mode changed.
+ */
+export async function setBinancePositionMode({ apiKey, apiSecret, dualSidePosition, testnet = false }) {
+  try {
+    console.log('Setting Binance position mode:', { dualSidePosition, testnet });
+    await binanceSignedRequest({
+      apiKey,
+      apiSecret,
+      method: 'POST',
+      endpoint: '/fapi/v1/positionSide/dual',
+      params: { dualSidePosition: String(dualSidePosition) },
+      testnet
+    });
+    return true;
+  } catch (error) {
+    if (error.code === POSITION_MODE_NOT_MODIFIED) {
+      return false;
+    }
+    console.error('Error setting Binance position mode:', error);
+    throw error;
+  }
+}
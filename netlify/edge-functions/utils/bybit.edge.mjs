@@ -1,74 +1,290 @@
-// Bybit API utility functions for Edge Functions
-// Uses Web Fetch API and Web Crypto API instead of axios and node:crypto
+// Bybit V5 API client shared by Edge Functions and Netlify Functions
+// Uses the Fetch and Web Crypto APIs, which Deno and Node 20 both provide
+
+import { createServerClock } from './serverClock.edge.mjs';
 
 // Base URLs - use alternative domain to avoid geo-blocks
 export const MAINNET_URL = 'https://api.bybit.com';
 export const TESTNET_URL = 'https://api-testnet.bybit.com';
+export const PRIVATE_STREAM_URL = 'wss://stream.bybit.com/v5/private';
+export const TESTNET_PRIVATE_STREAM_URL = 'wss://stream-testnet.bybit.com/v5/private';
 const DEFAULT_RECV_WINDOW = '5000';
 
+// Bybit retCodes for settings changed to the value already set
+const LEVERAGE_NOT_MODIFIED = 110043;
+const MARGIN_MODE_NOT_MODIFIED = 110026;
+const POSITION_MODE_NOT_MODIFIED = 110025;
+
+// Bybit retCode for a request timestamp outside the recv window
+const TIMESTAMP_OUT_OF_WINDOW = 10002;
+
+const baseUrlFor = testnet => (testnet ? TESTNET_URL : MAINNET_URL);
+
 /**
- * Fetch Bybit server time for precise signature timestamps.
- * Returns a string of milliseconds since epoch.
+ * Query string of the defined params, sorted by key as Bybit signs them.
  */
-async function getServerTimestamp(testnet = false) {
-  const url = `${testnet ? TESTNET_URL : MAINNET_URL}/v5/market/time`;
+function toQueryString(params = {}) {
+  return Object.keys(params)
+    .filter(k => params[k] != null)
+    .sort()
+    .map(k => `${k}=${encodeURIComponent(params[k])}`)
+    .join('&');
+}
+
+/**
+ * Fetch Bybit server time in milliseconds since epoch.
+ */
+async function fetchServerTime(testnet) {
+  const url = `${baseUrlFor(testnet)}/v5/market/time`;
   const response = await fetch(url);
   const data = await response.json();
-  
+
   if (data.retCode !== 0) {
     throw new Error(`Failed to fetch server time: ${data.retMsg}`);
   }
-  return String(data.time);
+  return data.time;
+}
+
+const serverClocks = {
+  mainnet: createServerClock(() => fetchServerTime(false)),
+  testnet: createServerClock(() => fetchServerTime(true))
+};
+
+const serverClockFor = testnet => serverClocks[testnet ? 'testnet' : 'mainnet'];
+
+/**
+ * Bybit server time for signature timestamps, from the locally tracked clock offset.
+ * Returns a string of milliseconds since epoch.
+ */
+async function getServerTimestamp(testnet = false) {
+  return String(await serverClockFor(testnet).now());
+}
+
+/**
+ * Resync the clock when Bybit refused a request's timestamp, so a retry signs with a fresh offset.
+ */
+function resyncOnTimestampError(testnet) {
+  return error => {
+    if (error.retCode === TIMESTAMP_OUT_OF_WINDOW) {
+      serverClockFor(testnet).reset();
+    }
+    throw error;
+  };
 }
 
 /**
  * Create HMAC SHA256 signature using Web Crypto API
  */
 async function hmacSha256(secret, message) {
-  // Convert secret and message to Uint8Array
   const encoder = new TextEncoder();
-  const keyData = encoder.encode(secret);
-  const messageData = encoder.encode(message);
-  
-  // Import the secret key
   const key = await crypto.subtle.importKey(
     'raw',
-    keyData,
+    encoder.encode(secret),
     { name: 'HMAC', hash: 'SHA-256' },
     false,
     ['sign']
   );
-  
-  // Sign the message
-  const signature = await crypto.subtle.sign('HMAC', key, messageData);
-  
-  // Convert to hex string
+
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+
   return Array.from(new Uint8Array(signature))
     .map(b => b.toString(16).padStart(2, '0'))
     .join('');
 }
 
 /**
- * Sign a POST request per V5 spec:
- *   signStr = timestamp + apiKey + recvWindow + bodyString
+ * Send a request and unwrap Bybit's { retCode, retMsg, result } envelope.
+ * Errors carry Bybit's `retCode`, or the `httpStatus` of a failed request,
+ * so callers can tell expected failures apart.
+ * Returns data.result.
+ */
+async function bybitFetch(url, init) {
+  const response = await fetch(url, init);
+
+  if (!response.ok) {
+    throw Object.assign(new Error(`HTTP error: ${response.status} - ${await response.text()}`), {
+      httpStatus: response.status
+    });
+  }
+
+  const data = await response.json();
+
+  if (data.retCode !== 0) {
+    throw Object.assign(new Error(`Bybit API error ${data.retCode}: ${data.retMsg}`), { retCode: data.retCode });
+  }
+
+  return data.result;
+}
+
+/**
+ * Arguments of the private WebSocket `auth` operation, signed as
+ * HMAC(secret, 'GET/realtime' + expires) and valid until `expires` (ms since epoch).
+ */
+export async function bybitStreamAuthArgs({ apiKey, apiSecret, expires }) {
+  return [apiKey, expires, await hmacSha256(apiSecret, `GET/realtime${expires}`)];
+}
+
+/**
+ * Perform a GET request against a public V5 market endpoint.
+ * Returns data.result.
+ */
+async function publicGet({ endpoint, params, testnet = false }) {
+  return bybitFetch(`${baseUrlFor(testnet)}${endpoint}?${toQueryString(params)}`);
+}
+
+/**
+ * Headers of a private request per the V5 spec:
+ *   signStr = timestamp + apiKey + recvWindow + (queryString | jsonBody)
+ */
+async function authHeaders({ apiKey, apiSecret, recvWindow, testnet, payload }) {
+  const timestamp = await getServerTimestamp(testnet);
+  return {
+    'X-BAPI-API-KEY': apiKey,
+    'X-BAPI-TIMESTAMP': timestamp,
+    'X-BAPI-RECV-WINDOW': recvWindow,
+    'X-BAPI-SIGN': await hmacSha256(apiSecret, timestamp + apiKey + recvWindow + payload)
+  };
+}
+
+/**
+ * Perform a signed GET request against a private V5 endpoint.
+ * Returns data.result.
+ */
+async function signedGet({
+  apiKey,
+  apiSecret,
+  endpoint,
+  params,
+  testnet = false,
+  recvWindow = DEFAULT_RECV_WINDOW
+}) {
+  const queryString = toQueryString(params);
+  return bybitFetch(`${baseUrlFor(testnet)}${endpoint}?${queryString}`, {
+    method: 'GET',
+    headers: await authHeaders({ apiKey, apiSecret, recvWindow, testnet, payload: queryString })
+  }).catch(resyncOnTimestampError(testnet));
+}
+
+/**
+ * Perform a signed POST request against a private V5 endpoint.
+ * Returns data.result.
+ */
+async function signedPost({
+  apiKey,
+  apiSecret,
+  endpoint,
+  payload,
+  testnet = false,
+  recvWindow = DEFAULT_RECV_WINDOW
+}) {
+  const bodyStr = JSON.stringify(payload);
+  return bybitFetch(`${baseUrlFor(testnet)}${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...await authHeaders({ apiKey, apiSecret, recvWindow, testnet, payload: bodyStr })
+    },
+    body: bodyStr
+  }).catch(resyncOnTimestampError(testnet));
+}
+
+// ─────── MARKET DATA ───────
+
+/**
+ * Get the trading rules of a symbol (lot size, price filter, leverage range).
+ * Returns the instrument object from /v5/market/instruments-info.
  */
-async function signPost({ apiSecret, apiKey, recvWindow, timestamp, body }) {
-  const plain = timestamp + apiKey + recvWindow + body;
-  return await hmacSha256(apiSecret, plain);
+export async function getBybitInstrument({ symbol, testnet = false, category = 'linear' }) {
+  const result = await publicGet({
+    endpoint: '/v5/market/instruments-info',
+    params: { category, symbol },
+    testnet
+  });
+
+  const instrument = result.list?.[0];
+  if (!instrument) {
+    throw new Error(`No instrument found for ${symbol}`);
+  }
+  return instrument;
+}
+
+/**
+ * Get the trading rules of every instrument in a category, following the pagination cursor.
+ * Returns the instrument objects from /v5/market/instruments-info.
+ */
+export async function getBybitInstruments({ testnet = false, category = 'linear' }) {
+  const instruments = [];
+  let cursor;
+  do {
+    const result = await publicGet({
+      endpoint: '/v5/market/instruments-info',
+      params: { category, limit: 1000, cursor },
+      testnet
+    });
+    instruments.push(...(result.list || []));
+    cursor = result.nextPageCursor || null;
+  } while (cursor);
+  return instruments;
+}
+
+/**
+ * Get the last traded price of a symbol from the public ticker endpoint.
+ */
+export async function getBybitLastPrice({ symbol, testnet = false, category = 'linear' }) {
+  const result = await publicGet({
+    endpoint: '/v5/market/tickers',
+    params: { category, symbol },
+    testnet
+  });
+
+  const ticker = result.list?.[0];
+  if (!ticker) {
+    throw new Error(`No ticker found for ${symbol}`);
+  }
+
+  return parseFloat(ticker.lastPrice);
 }
 
 /**
- * Sign a GET request per V5 spec:
- *   signStr = timestamp + apiKey + recvWindow + queryString
+ * Get candles from the public kline endpoint, oldest first.
+ * `interval` is a Bybit kline interval ('1', '5', '60', 'D', ...).
+ * Returns [{ start, open, high, low, close }] with numeric fields.
  */
-async function signGet({ apiSecret, apiKey, recvWindow, timestamp, queryString }) {
-  const plain = timestamp + apiKey + recvWindow + queryString;
-  return await hmacSha256(apiSecret, plain);
+export async function getBybitKlines({
+  symbol,
+  interval = '1',
+  start,
+  end,
+  limit = 1000,
+  testnet = false,
+  category = 'linear'
+}) {
+  const result = await publicGet({
+    endpoint: '/v5/market/kline',
+    params: { category, symbol, interval, limit, start, end },
+    testnet
+  });
+
+  // Bybit returns [startTime, open, high, low, close, volume, turnover], newest first
+  return (result.list || [])
+    .map(([startTime, open, high, low, close]) => ({
+      start: parseInt(startTime, 10),
+      open: parseFloat(open),
+      high: parseFloat(high),
+      low: parseFloat(low),
+      close: parseFloat(close)
+    }))
+    .reverse();
 }
 
+// ─────── ORDERS ───────
+
 /**
  * Execute an order on Bybit using V5 API.
- * Returns an object { orderId, symbol, side, orderType, qty, price, status }.
+ * Market orders are IOC and limit orders PostOnly. Spot market orders size
+ * `quantity` in `marketUnit`: 'baseCoin', or 'quoteCoin' to buy for an amount of USDT.
+ * In hedge mode `positionIdx` picks the position: 1 for the long, 2 for the short.
+ * Returns an object { orderId, symbol, side, orderType, qty, price, orderLinkId, status }.
  */
 export async function executeBybitOrder({
   apiKey,
@@ -80,90 +296,257 @@ export async function executeBybitOrder({
   price,
   stopLoss,
   takeProfit,
+  reduceOnly = false,
+  orderLinkId,
+  marketUnit,
+  positionIdx,
   testnet = false,
   category = 'linear',             // USDT perpetual
   recvWindow = DEFAULT_RECV_WINDOW
 }) {
-  const baseUrl = testnet ? TESTNET_URL : MAINNET_URL;
-  const endpoint = '/v5/order/create';
+  const payload = {
+    category,
+    symbol,
+    side,
+    orderType,
+    qty: String(quantity),
+    timeInForce: orderType === 'Market' ? 'IOC' : 'PostOnly'
+  };
+
+  if (orderType === 'Limit' && price != null) {
+    payload.price = String(price);
+  }
+  if (stopLoss != null) {
+    payload.stopLoss = String(stopLoss);
+  }
+  if (takeProfit != null) {
+    payload.takeProfit = String(takeProfit);
+  }
+  if (reduceOnly) {
+    payload.reduceOnly = true;
+  }
+  if (category === 'spot' && orderType === 'Market' && marketUnit) {
+    payload.marketUnit = marketUnit;
+  }
+  if (positionIdx != null) {
+    payload.positionIdx = positionIdx;
+  }
+
+  // Bybit rejects a repeated orderLinkId, guarding against duplicate submissions
+  if (orderLinkId) {
+    payload.orderLinkId = orderLinkId;
+  }
 
   try {
-    // 1) Build the JSON payload
-    const payload = {
-      category,
+    console.log('Executing Bybit order with params:', { ...payload, testnet });
+    const result = await signedPost({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/order/create',
+      payload,
+      testnet,
+      recvWindow
+    });
+
+    return {
+      orderId: result.orderId,
       symbol,
       side,
       orderType,
-      qty: String(quantity),
-      timeInForce: orderType === 'Market' ? 'IOC' : 'PostOnly'
+      qty: quantity,
+      price: price || 0,
+      orderLinkId: result.orderLinkId,
+      status: result.orderStatus || 'Created'
     };
-    
-    if (orderType === 'Limit' && price != null) {
-      payload.price = String(price);
-    }
-    
-    if (stopLoss != null) {
-      payload.stopLoss = String(stopLoss);
-    }
-    
-    if (takeProfit != null) {
-      payload.takeProfit = String(takeProfit);
-    }
+  } catch (error) {
+    console.error('Error executing Bybit order:', error);
+    throw error;
+  }
+}
 
-    const bodyStr = JSON.stringify(payload);
-    const timestamp = await getServerTimestamp(testnet);
-    const signature = await signPost({ 
-      apiSecret, 
-      apiKey, 
-      recvWindow, 
-      timestamp, 
-      body: bodyStr 
+/**
+ * Change the quantity, price or attached stops of an open order using V5 API.
+ * Returns data.result ({ orderId, orderLinkId }).
+ */
+export async function amendBybitOrder({
+  apiKey,
+  apiSecret,
+  symbol,
+  orderId,
+  orderLinkId,
+  quantity,
+  price,
+  stopLoss,
+  takeProfit,
+  testnet = false,
+  category = 'linear'
+}) {
+  const payload = { category, symbol };
+  if (orderId) payload.orderId = orderId;
+  if (orderLinkId) payload.orderLinkId = orderLinkId;
+  if (quantity != null) payload.qty = String(quantity);
+  if (price != null) payload.price = String(price);
+  if (stopLoss != null) payload.stopLoss = String(stopLoss);
+  if (takeProfit != null) payload.takeProfit = String(takeProfit);
+
+  try {
+    console.log('Amending Bybit order:', { ...payload, testnet });
+    return await signedPost({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/order/amend',
+      payload,
+      testnet
     });
+  } catch (error) {
+    console.error('Error amending Bybit order:', error);
+    throw error;
+  }
+}
 
-    console.log('Executing Bybit order with params:', {
-      ...payload,
-      url: `${baseUrl}${endpoint}`,
+/**
+ * Cancel an open order by orderId or orderLinkId using V5 API.
+ * Returns data.result ({ orderId, orderLinkId }).
+ */
+export async function cancelBybitOrder({
+  apiKey,
+  apiSecret,
+  symbol,
+  orderId,
+  orderLinkId,
+  testnet = false,
+  category = 'linear'
+}) {
+  const payload = { category, symbol };
+  if (orderId) payload.orderId = orderId;
+  if (orderLinkId) payload.orderLinkId = orderLinkId;
+
+  try {
+    console.log('Cancelling Bybit order:', { ...payload, testnet });
+    return await signedPost({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/order/cancel',
+      payload,
       testnet
     });
+  } catch (error) {
+    console.error('Error cancelling Bybit order:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel every open order of a category using V5 API. Linear orders are cancelled
+ * per settle coin (USDT by default), inverse orders need a `symbol`.
+ * Returns the cancelled orders ([{ orderId, orderLinkId }]).
+ */
+export async function cancelAllBybitOrders({
+  apiKey,
+  apiSecret,
+  symbol,
+  settleCoin,
+  testnet = false,
+  category = 'linear'
+}) {
+  const payload = { category };
+  if (symbol) {
+    payload.symbol = symbol;
+  } else if (category === 'linear') {
+    payload.settleCoin = settleCoin || 'USDT';
+  }
 
-    // Make the request with proper headers
-    const response = await fetch(`${baseUrl}${endpoint}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-BAPI-API-KEY': apiKey,
-        'X-BAPI-TIMESTAMP': timestamp,
-        'X-BAPI-RECV-WINDOW': recvWindow,
-        'X-BAPI-SIGN': signature
-      },
-      body: bodyStr
+  try {
+    console.log('Cancelling all Bybit orders:', { ...payload, testnet });
+    const result = await signedPost({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/order/cancel-all',
+      payload,
+      testnet
     });
+    return result.list || [];
+  } catch (error) {
+    console.error('Error cancelling all Bybit orders:', error);
+    throw error;
+  }
+}
 
-    if (!response.ok) {
-      throw new Error(`HTTP error: ${response.status} - ${await response.text()}`);
-    }
+/**
+ * Look up one order by orderId or orderLinkId using V5 API.
+ * Checks open and recently closed orders (`/v5/order/realtime`) first and falls
+ * back to the order history. Returns the order object, or null if Bybit does not know it.
+ */
+export async function getBybitOrder({
+  apiKey,
+  apiSecret,
+  symbol,
+  orderId,
+  orderLinkId,
+  testnet = false,
+  category = 'linear'
+}) {
+  try {
+    const params = { category, symbol, orderId, orderLinkId };
 
-    const data = await response.json();
-    
-    if (data.retCode !== 0) {
-      throw new Error(`Bybit API error ${data.retCode}: ${data.retMsg}`);
+    const realtime = await signedGet({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/order/realtime',
+      params,
+      testnet
+    });
+    if (realtime.list?.length > 0) {
+      return realtime.list[0];
     }
 
-    return {
-      orderId: data.result.orderId,
-      symbol,
-      side,
-      orderType,
-      qty: quantity,
-      price: price || 0,
-      status: data.result.orderStatus || 'Created'
-    };
+    const history = await signedGet({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/order/history',
+      params,
+      testnet
+    });
+    return history.list?.[0] ?? null;
   } catch (error) {
-    console.error('Error executing Bybit order:', error);
+    console.error('Error getting Bybit order:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one page of the account's executions (fills) using V5 API.
+ * Filter by `orderId` or by a `startTime`/`endTime` window of at most 7 days.
+ * Returns data.result ({ list, nextPageCursor }).
+ */
+export async function getBybitExecutions({
+  apiKey,
+  apiSecret,
+  symbol,
+  orderId,
+  startTime,
+  endTime,
+  cursor,
+  limit = 100,
+  testnet = false,
+  category = 'linear'
+}) {
+  try {
+    return await signedGet({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/execution/list',
+      params: { category, symbol, orderId, startTime, endTime, cursor, limit },
+      testnet
+    });
+  } catch (error) {
+    console.error('Error getting Bybit executions:', error);
     throw error;
   }
 }
 
+// ─────── POSITIONS ───────
+
 /**
  * Get account positions from Bybit using V5 API.
  * Returns data.result (array of position objects).
@@ -176,51 +559,346 @@ export async function getBybitPositions({
   category = 'linear',
   recvWindow = DEFAULT_RECV_WINDOW
 }) {
-  const baseUrl = testnet ? TESTNET_URL : MAINNET_URL;
-  const endpoint = '/v5/position/list';
+  try {
+    return await signedGet({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/position/list',
+      params: { category, symbol },
+      testnet,
+      recvWindow
+    });
+  } catch (error) {
+    console.error('Error getting Bybit positions:', error);
+    throw error;
+  }
+}
+
+/**
+ * List every open position of a category using V5 API, per settle coin
+ * (USDT by default) for linear contracts.
+ * Returns the position objects with a non-zero size.
+ */
+export async function getBybitOpenPositions({
+  apiKey,
+  apiSecret,
+  settleCoin,
+  testnet = false,
+  category = 'linear'
+}) {
+  if (category === 'linear') {
+    settleCoin ||= 'USDT';
+  }
 
   try {
-    // 1) Build sorted query string
-    const params = { category, symbol };
-    const queryString = Object.keys(params)
-      .sort()
-      .map(k => `${k}=${params[k]}`)
-      .join('&');
+    const positions = [];
+    let cursor;
+    do {
+      const result = await signedGet({
+        apiKey,
+        apiSecret,
+        endpoint: '/v5/position/list',
+        params: { category, settleCoin, limit: 200, cursor },
+        testnet
+      });
+      positions.push(...(result.list || []).filter(p => parseFloat(p.size) > 0));
+      cursor = result.nextPageCursor || undefined;
+    } while (cursor);
+    return positions;
+  } catch (error) {
+    console.error('Error getting Bybit open positions:', error);
+    throw error;
+  }
+}
 
-    const timestamp = await getServerTimestamp(testnet);
-    const signature = await signGet({ 
-      apiSecret, 
-      apiKey, 
-      recvWindow, 
-      timestamp, 
-      queryString 
+/**
+ * Set the leverage of a symbol using V5 API.
+ * Setting the leverage it already has is not an error.
+ * Returns true when the leverage changed.
+ */
+export async function setBybitLeverage({
+  apiKey,
+  apiSecret,
+  symbol,
+  buyLeverage,
+  sellLeverage = buyLeverage,
+  testnet = false,
+  category = 'linear'
+}) {
+  const payload = {
+    category,
+    symbol,
+    buyLeverage: String(buyLeverage),
+    sellLeverage: String(sellLeverage)
+  };
+
+  try {
+    console.log('Setting Bybit leverage:', { ...payload, testnet });
+    await signedPost({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/position/set-leverage',
+      payload,
+      testnet
     });
+    return true;
+  } catch (error) {
+    if (error.retCode === LEVERAGE_NOT_MODIFIED) {
+      return false;
+    }
+    console.error('Error setting Bybit leverage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Switch a symbol between cross (tradeMode 0) and isolated (tradeMode 1) margin
+ * using V5 API. Bybit sets the leverage along with the margin mode.
+ * Classic accounts only; unified trading accounts use setBybitAccountMarginMode.
+ * Switching to the mode it already has is not an error.
+ * Returns true when the margin mode changed.
+ */
+export async function setBybitMarginMode({
+  apiKey,
+  apiSecret,
+  symbol,
+  tradeMode,
+  leverage,
+  testnet = false,
+  category = 'linear'
+}) {
+  const payload = {
+    category,
+    symbol,
+    tradeMode,
+    buyLeverage: String(leverage),
+    sellLeverage: String(leverage)
+  };
 
-    // Make the request with proper headers
-    const url = `${baseUrl}${endpoint}?${queryString}`;
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'X-BAPI-API-KEY': apiKey,
-        'X-BAPI-TIMESTAMP': timestamp,
-        'X-BAPI-RECV-WINDOW': recvWindow,
-        'X-BAPI-SIGN': signature
-      }
+  try {
+    console.log('Setting Bybit margin mode:', { ...payload, testnet });
+    await signedPost({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/position/switch-isolated',
+      payload,
+      testnet
     });
+    return true;
+  } catch (error) {
+    if (error.retCode === MARGIN_MODE_NOT_MODIFIED) {
+      return false;
+    }
+    console.error('Error setting Bybit margin mode:', error);
+    throw error;
+  }
+}
+
+/**
+ * Switch a symbol between one-way (mode 0) and hedge (mode 3) positions using V5 API.
+ * Bybit refuses while the symbol has a position or open orders.
+ * Switching to the mode it already has is not an error.
+ * Returns true when the position mode changed.
+ */
+export async function setBybitPositionMode({
+  apiKey,
+  apiSecret,
+  symbol,
+  mode,
+  testnet = false,
+  category = 'linear'
+}) {
+  const payload = { category, symbol, mode };
 
-    if (!response.ok) {
-      throw new Error(`HTTP error: ${response.status} - ${await response.text()}`);
+  try {
+    console.log('Setting Bybit position mode:', { ...payload, testnet });
+    await signedPost({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/position/switch-mode',
+      payload,
+      testnet
+    });
+    return true;
+  } catch (error) {
+    if (error.retCode === POSITION_MODE_NOT_MODIFIED) {
+      return false;
     }
+    console.error('Error setting Bybit position mode:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set take profit, stop loss or trailing stop on an open position using V5 API.
+ * With tpslMode 'Partial', `tpSize`/`slSize` limit the order to part of the position,
+ * which allows several take-profit levels on one position.
+ */
+export async function setBybitTradingStop({
+  apiKey,
+  apiSecret,
+  symbol,
+  takeProfit,
+  stopLoss,
+  trailingStop,
+  activePrice,
+  tpslMode = 'Full',
+  tpSize,
+  slSize,
+  positionIdx = 0,
+  testnet = false,
+  category = 'linear'
+}) {
+  const payload = { category, symbol, tpslMode, positionIdx };
+
+  if (takeProfit != null) payload.takeProfit = String(takeProfit);
+  if (stopLoss != null) payload.stopLoss = String(stopLoss);
+  if (trailingStop != null) payload.trailingStop = String(trailingStop);
+  if (activePrice != null) payload.activePrice = String(activePrice);
+  if (tpSize != null) payload.tpSize = String(tpSize);
+  if (slSize != null) payload.slSize = String(slSize);
+
+  if (tpslMode === 'Partial') {
+    // Use market orders for partial TP/SL so they fill once triggered
+    if (takeProfit != null) payload.tpOrderType = 'Market';
+    if (stopLoss != null) payload.slOrderType = 'Market';
+  }
+
+  try {
+    console.log('Setting Bybit trading stop:', { ...payload, testnet });
+    return await signedPost({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/position/trading-stop',
+      payload,
+      testnet
+    });
+  } catch (error) {
+    console.error('Error setting Bybit trading stop:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one page of closed PnL records (one per closing order) using V5 API.
+ * The `startTime`/`endTime` window can span at most 7 days.
+ * Returns data.result ({ list, nextPageCursor }).
+ */
+export async function getBybitClosedPnl({
+  apiKey,
+  apiSecret,
+  symbol,
+  startTime,
+  endTime,
+  cursor,
+  limit = 100,
+  testnet = false,
+  category = 'linear'
+}) {
+  try {
+    return await signedGet({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/position/closed-pnl',
+      params: { category, symbol, startTime, endTime, cursor, limit },
+      testnet
+    });
+  } catch (error) {
+    console.error('Error getting Bybit closed PnL:', error);
+    throw error;
+  }
+}
+
+// ─────── ACCOUNT ───────
 
-    const data = await response.json();
-    
-    if (data.retCode !== 0) {
-      throw new Error(`Bybit API error ${data.retCode}: ${data.retMsg}`);
+/**
+ * Get the wallet balance of a coin from Bybit using V5 API.
+ * Returns { equity, walletBalance, availableBalance } as numbers.
+ */
+export async function getBybitWalletBalance({
+  apiKey,
+  apiSecret,
+  coin = 'USDT',
+  accountType = 'UNIFIED',
+  testnet = false
+}) {
+  try {
+    const result = await signedGet({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/account/wallet-balance',
+      params: { accountType, coin },
+      testnet
+    });
+
+    const account = result.list?.[0];
+    const coinBalance = account?.coin?.find(c => c.coin === coin);
+
+    if (!coinBalance) {
+      throw new Error(`No ${coin} balance found in ${accountType} account`);
     }
-    
-    return data.result;
+
+    const toNumber = value => (value === '' || value == null ? 0 : parseFloat(value));
+    const walletBalance = toNumber(coinBalance.walletBalance);
+
+    return {
+      equity: toNumber(coinBalance.equity),
+      walletBalance,
+      // Unified accounts report an empty availableToWithdraw for some coins
+      availableBalance: coinBalance.availableToWithdraw
+        ? toNumber(coinBalance.availableToWithdraw)
+        : walletBalance - toNumber(coinBalance.totalPositionIM) - toNumber(coinBalance.totalOrderIM)
+    };
   } catch (error) {
-    console.error('Error getting Bybit positions:', error);
+    console.error('Error getting Bybit wallet balance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the account's type and margin mode from Bybit using V5 API.
+ * `unifiedMarginStatus` is 1 for classic accounts and 3 or more for unified trading
+ * accounts (UTA); `marginMode` is REGULAR_MARGIN, ISOLATED_MARGIN or PORTFOLIO_MARGIN.
+ */
+export async function getBybitAccountInfo({ apiKey, apiSecret, testnet = false }) {
+  try {
+    return await signedGet({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/account/info',
+      params: {},
+      testnet
+    });
+  } catch (error) {
+    console.error('Error getting Bybit account info:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the margin mode of a unified trading account using V5 API: REGULAR_MARGIN
+ * (cross), ISOLATED_MARGIN or PORTFOLIO_MARGIN. Unlike classic accounts, the mode
+ * applies to every symbol of the account.
+ */
+export async function setBybitAccountMarginMode({
+  apiKey,
+  apiSecret,
+  marginMode,
+  testnet = false
+}) {
+  const payload = { setMarginMode: marginMode };
+
+  try {
+    console.log('Setting Bybit account margin mode:', { ...payload, testnet });
+    await signedPost({
+      apiKey,
+      apiSecret,
+      endpoint: '/v5/account/set-margin-mode',
+      payload,
+      testnet
+    });
+  } catch (error) {
+    console.error('Error setting Bybit account margin mode:', error);
     throw error;
   }
 }
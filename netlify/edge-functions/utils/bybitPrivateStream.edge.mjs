@@ -0,0 +1,191 @@
+// Bybit V5 private WebSocket client, used by the standalone account listener
+// Authenticates, subscribes to the account topics and reconnects with backoff when the connection drops
+
+import { PRIVATE_STREAM_URL, TESTNET_PRIVATE_STREAM_URL, bybitStreamAuthArgs } from './bybit.edge.mjs';
+
+// Account topics the listener subscribes to
+export const PRIVATE_TOPICS = ['order', 'execution', 'position', 'wallet'];
+
+// Bybit drops connections that stay silent for 30 seconds
+const PING_INTERVAL_MS = 20000;
+// Validity of the auth signature
+const AUTH_EXPIRY_MS = 10000;
+const INITIAL_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 60000;
+
+// WebSocket.OPEN
+const OPEN = 1;
+
+/**
+ * Create a private stream for one Bybit account. `WebSocket` is any implementation of
+ * the standard WebSocket interface (the global one, or the `ws` package on Node 20),
+ * and `url` overrides the network's endpoint, e.g. with a local mock server.
+ *
+ * `onEvent(topic, records, message)` receives the records of every topic message, one
+ * message at a time in arrival order; its failures are logged and the stream goes on.
+ * `onStatus(status, detail)` reports 'connecting', 'connected', 'disconnected',
+ * 'error' and 'stopped'. After any disconnect the stream reconnects, authenticates and
+ * subscribes again, waiting twice as long after each failed attempt up to a minute.
+ *
+ * Returns { start(), stop() }.
+ */
+export function createBybitPrivateStream({
+  apiKey,
+  apiSecret,
+  testnet = false,
+  url = testnet ? TESTNET_PRIVATE_STREAM_URL : PRIVATE_STREAM_URL,
+  WebSocket = globalThis.WebSocket,
+  topics = PRIVATE_TOPICS,
+  onEvent,
+  onStatus = () => {},
+  pingIntervalMs = PING_INTERVAL_MS,
+  initialReconnectDelayMs = INITIAL_RECONNECT_DELAY_MS,
+  maxReconnectDelayMs = MAX_RECONNECT_DELAY_MS
+}) {
+  let socket = null;
+  let stopped = true;
+  let reconnectDelay = initialReconnectDelayMs;
+  let reconnectTimer = null;
+  let pingTimer = null;
+  let lastMessageAt = 0;
+  // Topic messages are handled one after the other
+  let handling = Promise.resolve();
+
+  const send = message => {
+    if (socket?.readyState === OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const clearTimers = () => {
+    clearInterval(pingTimer);
+    clearTimeout(reconnectTimer);
+    pingTimer = null;
+    reconnectTimer = null;
+  };
+
+  const scheduleReconnect = () => {
+    if (stopped || reconnectTimer) return;
+    console.log(`Reconnecting to ${url} in ${reconnectDelay} ms`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, maxReconnectDelayMs);
+  };
+
+  const handleMessage = async (message) => {
+    if (message.op === 'auth') {
+      if (!message.success) {
+        onStatus('error', `Authentication failed: ${message.ret_msg}`);
+        socket.close();
+        return;
+      }
+      send({ op: 'subscribe', args: topics });
+      return;
+    }
+
+    if (message.op === 'subscribe') {
+      if (!message.success) {
+        onStatus('error', `Subscription failed: ${message.ret_msg}`);
+        socket.close();
+        return;
+      }
+      // Only a subscribed connection counts as recovered
+      reconnectDelay = initialReconnectDelayMs;
+      onStatus('connected', null);
+      return;
+    }
+
+    if (message.topic && Array.isArray(message.data)) {
+      // The topic of an all-in-one subscription can carry a category, e.g. 'order.linear'
+      const topic = message.topic.split('.')[0];
+      handling = handling
+        .then(() => onEvent(topic, message.data, message))
+        .catch(error => console.error(`Error handling ${message.topic} message:`, error));
+    }
+  };
+
+  function connect() {
+    if (stopped) return;
+    onStatus('connecting', url);
+
+    const current = new WebSocket(url);
+    socket = current;
+
+    current.addEventListener('open', async () => {
+      lastMessageAt = Date.now();
+      try {
+        const args = await bybitStreamAuthArgs({ apiKey, apiSecret, expires: Date.now() + AUTH_EXPIRY_MS });
+        // Stopped while signing: the socket is already closed and must not start pinging
+        if (socket !== current) return;
+        send({ op: 'auth', args });
+      } catch (error) {
+        onStatus('error', `Signing failed: ${error.message}`);
+        current.close();
+        return;
+      }
+
+      // A connection that stops answering pings is dropped and replaced
+      pingTimer = setInterval(() => {
+        if (Date.now() - lastMessageAt > pingIntervalMs * 2) {
+          console.error(`No message from ${url} for ${Date.now() - lastMessageAt} ms, reconnecting`);
+          current.close();
+          return;
+        }
+        send({ op: 'ping' });
+      }, pingIntervalMs);
+    });
+
+    current.addEventListener('message', event => {
+      // Messages still arriving on a stopped or replaced socket are dropped
+      if (socket !== current) return;
+      lastMessageAt = Date.now();
+      let message;
+      try {
+        message = JSON.parse(typeof event.data === 'string' ? event.data : String(event.data));
+      } catch {
+        console.error(`Unparseable message from ${url}:`, event.data);
+        return;
+      }
+      handleMessage(message);
+    });
+
+    current.addEventListener('error', event => {
+      console.error(`WebSocket error on ${url}:`, event.message || event.error?.message || 'connection error');
+    });
+
+    current.addEventListener('close', event => {
+      // Only the latest socket drives the stream; a replaced one just goes away
+      if (socket !== current) return;
+      clearInterval(pingTimer);
+      pingTimer = null;
+      socket = null;
+      if (stopped) return;
+      onStatus('disconnected', `Closed with code ${event.code}${event.reason ? `: ${event.reason}` : ''}`);
+      scheduleReconnect();
+    });
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      reconnectDelay = initialReconnectDelayMs;
+      connect();
+    },
+
+    /**
+     * Close the connection for good, resolving once the messages received so far are handled.
+     */
+    async stop() {
+      stopped = true;
+      clearTimers();
+      const current = socket;
+      socket = null;
+      current?.close();
+      onStatus('stopped', null);
+      await handling;
+    }
+  };
+}
@@ -0,0 +1,579 @@
+// Exchange adapters shared by Edge Functions and Netlify Functions
+// Gives processAlert and the scheduled jobs one interface over every supported exchange
+
+import {
+  getBybitInstrument,
+  getBybitInstruments,
+  getBybitLastPrice,
+  getBybitWalletBalance,
+  getBybitAccountInfo,
+  getBybitPositions,
+  getBybitOpenPositions,
+  executeBybitOrder,
+  getBybitOrder,
+  cancelBybitOrder,
+  cancelAllBybitOrders,
+  setBybitLeverage,
+  setBybitMarginMode,
+  setBybitAccountMarginMode,
+  setBybitPositionMode,
+  setBybitTradingStop
+} from './bybit.edge.mjs';
+import {
+  getBinanceSymbols,
+  getBinanceSymbolInfo,
+  getBinanceLastPrice,
+  getBinanceAccount,
+  getBinancePositions,
+  placeBinanceOrder,
+  getBinanceOrder,
+  cancelBinanceOrder,
+  getBinanceOpenOrders,
+  cancelAllBinanceOrders,
+  setBinanceLeverage,
+  setBinanceMarginType,
+  setBinancePositionMode
+} from './binance.edge.mjs';
+
+// Exchanges an exchange account can be opened on
+export const EXCHANGES = ['bybit', 'binance'];
+
+// Markets a bot can trade: USDT perpetuals, coin-margined perpetuals or spot
+export const MARKET_TYPES = ['linear', 'inverse', 'spot'];
+
+// Order statuses are reported in Bybit's vocabulary, which trades.status uses
+const BINANCE_ORDER_STATUSES = {
+  NEW: 'New',
+  PARTIALLY_FILLED: 'PartiallyFilled',
+  FILLED: 'Filled',
+  CANCELED: 'Cancelled',
+  REJECTED: 'Rejected',
+  EXPIRED: 'Cancelled',
+  EXPIRED_IN_MATCH: 'Cancelled'
+};
+
+// Margin and position modes a bot can ask for
+export const MARGIN_MODES = ['cross', 'isolated'];
+export const POSITION_MODES = ['one_way', 'hedge'];
+
+const oppositeSide = side => (side === 'Buy' ? 'Sell' : 'Buy');
+
+// Bybit's positionIdx: 0 in one-way mode, 1 for the long and 2 for the short in hedge mode
+const BYBIT_POSITION_IDX = { Buy: 1, Sell: 2 };
+
+/**
+ * Number of decimals of a step such as '0.0010', ignoring trailing zeros.
+ */
+const stepDecimals = step => {
+  const [, fraction = ''] = String(step).split('.');
+  return fraction.replace(/0+$/, '').length;
+};
+
+/**
+ * Lot and price filters orders are sized and priced with, from a described instrument.
+ * Bybit spot and Binance futures carry a minimum order value; only spot has a quote
+ * step, for market buys sized in USDT.
+ */
+export function instrumentFilters(instrument) {
+  return {
+    minQty: instrument.minQty,
+    maxQty: instrument.maxQty,
+    qtyStep: parseFloat(instrument.qtyStep),
+    qtyDecimals: stepDecimals(instrument.qtyStep),
+    tickSize: instrument.tickSize,
+    minNotional: instrument.minNotional,
+    ...(instrument.quoteStep != null && {
+      quoteStep: parseFloat(instrument.quoteStep),
+      quoteDecimals: stepDecimals(instrument.quoteStep)
+    })
+  };
+}
+
+/**
+ * Common description of a Bybit instrument. Steps and tick sizes stay strings so
+ * their decimals survive. Spot sizes in `basePrecision` steps, has a minimum
+ * order value (`minOrderAmt`) and no leverage.
+ */
+function describeBybitInstrument(instrument, category) {
+  const lotFilter = instrument.lotSizeFilter;
+  const isSpot = category === 'spot';
+  return {
+    symbol: instrument.symbol,
+    baseCoin: instrument.baseCoin,
+    quoteCoin: instrument.quoteCoin,
+    status: instrument.status,
+    minQty: parseFloat(lotFilter.minOrderQty),
+    maxQty: parseFloat(lotFilter.maxOrderQty) || null,
+    qtyStep: isSpot ? lotFilter.basePrecision : lotFilter.qtyStep,
+    tickSize: instrument.priceFilter.tickSize,
+    minNotional: isSpot ? parseFloat(lotFilter.minOrderAmt) : null,
+    quoteStep: isSpot ? lotFilter.quotePrecision : null,
+    minLeverage: parseFloat(instrument.leverageFilter?.minLeverage) || null,
+    maxLeverage: parseFloat(instrument.leverageFilter?.maxLeverage) || null
+  };
+}
+
+/**
+ * Common description of a Binance symbol, with its status in Bybit's vocabulary.
+ * MIN_NOTIONAL is the minimum order value, like Bybit spot's `minOrderAmt`.
+ * The leverage range is per account on Binance, so it is left out.
+ */
+function describeBinanceInstrument(info) {
+  const lotSize = info.filters.find(f => f.filterType === 'LOT_SIZE');
+  const priceFilter = info.filters.find(f => f.filterType === 'PRICE_FILTER');
+  const minNotional = info.filters.find(f => f.filterType === 'MIN_NOTIONAL');
+  return {
+    symbol: info.symbol,
+    baseCoin: info.baseAsset,
+    quoteCoin: info.quoteAsset,
+    status: info.status === 'TRADING' ? 'Trading' : info.status,
+    minQty: parseFloat(lotSize.minQty),
+    maxQty: parseFloat(lotSize.maxQty) || null,
+    qtyStep: lotSize.stepSize,
+    tickSize: priceFilter.tickSize,
+    minNotional: parseFloat(minNotional?.notional) || null,
+    quoteStep: null,
+    minLeverage: null,
+    maxLeverage: null
+  };
+}
+
+/**
+ * Strip separators some alerts put in pairs: `BTC/USDT` or `BTC-USDT` -> `BTCUSDT`.
+ */
+function normalizeSymbol(symbol) {
+  return String(symbol).trim().toUpperCase().replace(/[/-]/g, '');
+}
+
+/**
+ * Bybit V5, for any of the MARKET_TYPES, which are Bybit's categories.
+ * Spot has no positions, so position actions and stops are not supported there.
+ * In hedge mode, `positionSide` ('Buy' for the long, 'Sell' for the short) names
+ * the position an order, a stop or a lookup is for.
+ */
+function createBybitExchange(credentials, marketType) {
+  const category = marketType;
+  const isSpot = category === 'spot';
+
+  const describeInstrument = async symbol => describeBybitInstrument(
+    await getBybitInstrument({ symbol, category, testnet: credentials.testnet }),
+    category
+  );
+
+  return {
+    name: 'bybit',
+    marketType,
+    network: credentials.testnet ? 'testnet' : 'mainnet',
+    supportsPositions: !isSpot,
+    supportsStops: !isSpot,
+    normalizeSymbol,
+
+    describeInstrument,
+
+    async listInstruments() {
+      const instruments = await getBybitInstruments({ category, testnet: credentials.testnet });
+      return instruments.map(instrument => describeBybitInstrument(instrument, category));
+    },
+
+    async getInstrument(symbol) {
+      return instrumentFilters(await describeInstrument(symbol));
+    },
+
+    getLastPrice(symbol) {
+      return getBybitLastPrice({ symbol, category, testnet: credentials.testnet });
+    },
+
+    getBalance() {
+      return getBybitWalletBalance(credentials);
+    },
+
+    async getPosition(symbol, { positionSide } = {}) {
+      if (isSpot) {
+        return { side: null, size: 0 };
+      }
+      const result = await getBybitPositions({ ...credentials, symbol, category });
+      const position = (result.list || []).find(p =>
+        parseFloat(p.size) > 0 && (!positionSide || p.positionIdx === BYBIT_POSITION_IDX[positionSide]));
+      return position
+        ? { side: position.side, size: parseFloat(position.size) }
+        : { side: null, size: 0 };
+    },
+
+    async getOpenPositions() {
+      if (isSpot) {
+        return [];
+      }
+      const positions = await getBybitOpenPositions({ ...credentials, category });
+      return positions.map(p => ({
+        symbol: p.symbol,
+        side: p.side,
+        size: parseFloat(p.size),
+        positionSide: p.positionIdx ? p.side : undefined
+      }));
+    },
+
+    /**
+     * Same parameters and result as executeBybitOrder. A spot market buy with a
+     * `quoteAmount` is placed for that much USDT; the result keeps `quantity`.
+     */
+    async placeOrder({ quoteAmount, positionSide, ...params }) {
+      if (!isSpot || params.orderType !== 'Market') {
+        return executeBybitOrder({
+          ...credentials,
+          ...params,
+          positionIdx: positionSide ? BYBIT_POSITION_IDX[positionSide] : undefined,
+          category
+        });
+      }
+      const result = await executeBybitOrder({
+        ...credentials,
+        ...params,
+        ...(quoteAmount != null
+          ? { quantity: quoteAmount, marketUnit: 'quoteCoin' }
+          : { marketUnit: 'baseCoin' }),
+        category
+      });
+      return { ...result, qty: params.quantity };
+    },
+
+    async getOrder({ symbol, orderId }) {
+      const order = await getBybitOrder({ ...credentials, symbol, orderId, category });
+      if (!order) {
+        return null;
+      }
+
+      let reason = null;
+      if (order.rejectReason && order.rejectReason !== 'EC_NoError') {
+        reason = order.rejectReason;
+      } else if (order.cancelType && order.cancelType !== 'UNKNOWN') {
+        reason = order.cancelType;
+      }
+      return { status: order.orderStatus, filledQty: parseFloat(order.cumExecQty), reason };
+    },
+
+    cancelOrder({ symbol, orderId }) {
+      return cancelBybitOrder({ ...credentials, symbol, orderId, category });
+    },
+
+    /**
+     * Cancel the open orders of the category. Inverse orders can only be
+     * cancelled per symbol, so `symbols` lists the ones to clear.
+     */
+    async cancelAllOrders({ symbols = [] } = {}) {
+      if (category !== 'inverse') {
+        return cancelAllBybitOrders({ ...credentials, category });
+      }
+      const cancelled = [];
+      for (const symbol of symbols) {
+        cancelled.push(...await cancelAllBybitOrders({ ...credentials, symbol, category }));
+      }
+      return cancelled;
+    },
+
+    setTradingStop({ positionSide, ...params }) {
+      return setBybitTradingStop({
+        ...credentials,
+        ...params,
+        positionIdx: positionSide ? BYBIT_POSITION_IDX[positionSide] : 0,
+        category
+      });
+    },
+
+    /**
+     * Apply a bot's position mode, margin mode and leverage to a symbol.
+     * Settings left null keep what the account has. On classic accounts Bybit switches
+     * the margin mode together with the leverage, so without one the symbol's current
+     * leverage is sent. Unified trading accounts have one margin mode for all their
+     * symbols, so there it is set on the account.
+     */
+    async applySettings({ symbol, leverage, marginMode, positionMode }) {
+      if (positionMode) {
+        await setBybitPositionMode({ ...credentials, symbol, mode: positionMode === 'hedge' ? 3 : 0, category });
+      }
+      if (marginMode) {
+        const account = await getBybitAccountInfo(credentials);
+        // Inverse contracts of UTA 1.0 accounts still have per-symbol margin modes
+        const unified = account.unifiedMarginStatus >= 3 &&
+          !(category === 'inverse' && account.unifiedMarginStatus < 5);
+        if (unified) {
+          const wanted = marginMode === 'isolated' ? 'ISOLATED_MARGIN' : 'REGULAR_MARGIN';
+          // Portfolio margin is a cross mode too, so a cross bot leaves it in place
+          const current = account.marginMode === 'PORTFOLIO_MARGIN' ? 'REGULAR_MARGIN' : account.marginMode;
+          if (current !== wanted) {
+            await setBybitAccountMarginMode({ ...credentials, marginMode: wanted });
+          }
+        } else {
+          const currentLeverage = async () => {
+            const result = await getBybitPositions({ ...credentials, symbol, category });
+            return parseFloat(result.list?.[0]?.leverage) || 1;
+          };
+          await setBybitMarginMode({
+            ...credentials,
+            symbol,
+            tradeMode: marginMode === 'isolated' ? 1 : 0,
+            leverage: leverage ?? await currentLeverage(),
+            category
+          });
+        }
+      }
+      if (leverage != null) {
+        await setBybitLeverage({ ...credentials, symbol, buyLeverage: leverage, category });
+      }
+    }
+  };
+}
+
+/**
+ * Binance USDT-M futures.
+ * Binance has no stops attached to an order or a position, so they are placed as
+ * separate reduce-only STOP_MARKET / TAKE_PROFIT_MARKET orders. In hedge mode,
+ * `positionSide` ('Buy' for LONG, 'Sell' for SHORT) is sent instead of reduceOnly,
+ * which Binance does not accept there.
+ */
+function createBinanceExchange(credentials, marketType) {
+  if (marketType !== 'linear') {
+    throw new Error(`Binance accounts trade USDT-M futures only, not ${marketType} markets`);
+  }
+
+  const toPositionSide = side => (side === 'Buy' ? 'LONG' : 'SHORT');
+
+  const placeStopOrder = ({ symbol, side, type, stopPrice, quantity, positionSide }) => placeBinanceOrder({
+    ...credentials,
+    symbol,
+    side: side.toUpperCase(),
+    type,
+    stopPrice: String(stopPrice),
+    // Without a size the stop closes whatever position is open when it triggers
+    ...(quantity != null
+      ? { quantity: String(quantity), ...(!positionSide && { reduceOnly: 'true' }) }
+      : { closePosition: 'true' }),
+    ...(positionSide && { positionSide: toPositionSide(positionSide) })
+  });
+
+  const exchange = {
+    name: 'binance',
+    marketType,
+    network: credentials.testnet ? 'testnet' : 'mainnet',
+    supportsPositions: true,
+    supportsStops: true,
+    normalizeSymbol,
+
+    async describeInstrument(symbol) {
+      return describeBinanceInstrument(await getBinanceSymbolInfo({ symbol, testnet: credentials.testnet }));
+    },
+
+    async listInstruments() {
+      const symbols = await getBinanceSymbols({ testnet: credentials.testnet });
+      return symbols.map(describeBinanceInstrument);
+    },
+
+    async getInstrument(symbol) {
+      return instrumentFilters(await exchange.describeInstrument(symbol));
+    },
+
+    getLastPrice(symbol) {
+      return getBinanceLastPrice({ symbol, testnet: credentials.testnet });
+    },
+
+    async getBalance() {
+      const account = await getBinanceAccount(credentials);
+      return {
+        equity: parseFloat(account.totalMarginBalance),
+        walletBalance: parseFloat(account.totalWalletBalance),
+        availableBalance: parseFloat(account.availableBalance)
+      };
+    },
+
+    async getPosition(symbol, { positionSide } = {}) {
+      const positions = await getBinancePositions({ ...credentials, symbol });
+      const amount = parseFloat(positions.find(p =>
+        parseFloat(p.positionAmt) !== 0 && (!positionSide || p.positionSide === toPositionSide(positionSide))
+      )?.positionAmt ?? 0);
+      return amount === 0
+        ? { side: null, size: 0 }
+        : { side: amount > 0 ? 'Buy' : 'Sell', size: Math.abs(amount) };
+    },
+
+    async getOpenPositions() {
+      const positions = await getBinancePositions(credentials);
+      return positions
+        .filter(p => parseFloat(p.positionAmt) !== 0)
+        .map(p => ({
+          symbol: p.symbol,
+          side: parseFloat(p.positionAmt) > 0 ? 'Buy' : 'Sell',
+          size: Math.abs(parseFloat(p.positionAmt)),
+          positionSide: p.positionSide === 'BOTH' ? undefined : parseFloat(p.positionAmt) > 0 ? 'Buy' : 'Sell'
+        }));
+    },
+
+    /**
+     * Same parameters and result as executeBybitOrder. Market orders are sent
+     * without a time in force and limit orders as GTX, Binance's post-only.
+     */
+    async placeOrder({
+      symbol,
+      side,
+      orderType,
+      quantity,
+      price,
+      stopLoss,
+      takeProfit,
+      reduceOnly = false,
+      orderLinkId,
+      positionSide
+    }) {
+      const params = {
+        symbol,
+        side: side.toUpperCase(),
+        type: orderType === 'Market' ? 'MARKET' : 'LIMIT',
+        quantity: String(quantity)
+      };
+      if (orderType === 'Limit') {
+        params.price = String(price);
+        params.timeInForce = 'GTX';
+      }
+      if (positionSide) {
+        params.positionSide = toPositionSide(positionSide);
+      } else if (reduceOnly) {
+        params.reduceOnly = 'true';
+      }
+      // Binance rejects a repeated client order id, guarding against duplicate submissions
+      if (orderLinkId) {
+        params.newClientOrderId = orderLinkId;
+      }
+
+      const order = await placeBinanceOrder({ ...credentials, ...params });
+      const result = {
+        orderId: String(order.orderId),
+        symbol,
+        side,
+        orderType,
+        qty: quantity,
+        price: price || 0,
+        orderLinkId: order.clientOrderId,
+        status: BINANCE_ORDER_STATUSES[order.status] || order.status
+      };
+
+      // The entry went through, so a failed stop is reported on the trade rather than thrown
+      const stops = [
+        { type: 'STOP_MARKET', stopPrice: stopLoss },
+        { type: 'TAKE_PROFIT_MARKET', stopPrice: takeProfit }
+      ].filter(stop => stop.stopPrice != null);
+      for (const stop of stops) {
+        try {
+          await placeStopOrder({ symbol, side: oppositeSide(side), positionSide, ...stop });
+        } catch (error) {
+          result.statusReason = `${stop.type} order failed: ${error.message}`;
+        }
+      }
+
+      return result;
+    },
+
+    async getOrder({ symbol, orderId }) {
+      const order = await getBinanceOrder({ ...credentials, symbol, orderId });
+      if (!order) {
+        return null;
+      }
+
+      const filledQty = parseFloat(order.executedQty);
+      const status = order.status === 'CANCELED' && filledQty > 0
+        ? 'PartiallyFilledCanceled'
+        : BINANCE_ORDER_STATUSES[order.status] || order.status;
+      return { status, filledQty, reason: order.status === 'EXPIRED' ? 'Expired' : null };
+    },
+
+    cancelOrder({ symbol, orderId }) {
+      return cancelBinanceOrder({ ...credentials, symbol, orderId });
+    },
+
+    /**
+     * Binance cancels all orders one symbol at a time.
+     * Returns the cancelled orders ([{ orderId, orderLinkId }]).
+     */
+    async cancelAllOrders() {
+      const orders = await getBinanceOpenOrders(credentials);
+      for (const symbol of new Set(orders.map(order => order.symbol))) {
+        await cancelAllBinanceOrders({ ...credentials, symbol });
+      }
+      return orders.map(order => ({ orderId: String(order.orderId), orderLinkId: order.clientOrderId }));
+    },
+
+    /**
+     * Takes the parameters of setBybitTradingStop. Trailing stops are not supported.
+     */
+    async setTradingStop({ symbol, takeProfit, stopLoss, trailingStop, tpSize, slSize, positionSide }) {
+      if (trailingStop != null) {
+        throw new Error('Trailing stops are not supported on Binance');
+      }
+
+      const position = await exchange.getPosition(symbol, { positionSide });
+      if (!position.side) {
+        throw new Error(`No open ${symbol} position to protect`);
+      }
+
+      const side = oppositeSide(position.side);
+      if (takeProfit != null) {
+        await placeStopOrder({
+          symbol,
+          side,
+          type: 'TAKE_PROFIT_MARKET',
+          stopPrice: takeProfit,
+          quantity: tpSize,
+          positionSide
+        });
+      }
+      if (stopLoss != null) {
+        await placeStopOrder({ symbol, side, type: 'STOP_MARKET', stopPrice: stopLoss, quantity: slSize, positionSide });
+      }
+    },
+
+    /**
+     * Apply a bot's position mode, margin mode and leverage to a symbol.
+     * Binance's position mode is account-wide. Settings left null keep what the account has.
+     */
+    async applySettings({ symbol, leverage, marginMode, positionMode }) {
+      if (positionMode) {
+        await setBinancePositionMode({ ...credentials, dualSidePosition: positionMode === 'hedge' });
+      }
+      if (marginMode) {
+        await setBinanceMarginType({
+          ...credentials,
+          symbol,
+          marginType: marginMode === 'isolated' ? 'ISOLATED' : 'CROSSED'
+        });
+      }
+      if (leverage != null) {
+        await setBinanceLeverage({ ...credentials, symbol, leverage });
+      }
+    }
+  };
+
+  return exchange;
+}
+
+const ADAPTERS = {
+  bybit: createBybitExchange,
+  binance: createBinanceExchange
+};
+
+/**
+ * Exchange adapter for an api_keys row with its decrypted secret, trading `marketType`.
+ * Without an account the adapter reads Bybit mainnet market data only, as paper trading does.
+ */
+export function createExchange(apiKey = null, { marketType = 'linear' } = {}) {
+  const name = apiKey?.exchange || 'bybit';
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unsupported exchange: ${name}`);
+  }
+  if (!MARKET_TYPES.includes(marketType)) {
+    throw new Error(`Unsupported market type: ${marketType}`);
+  }
+
+  return adapter({
+    apiKey: apiKey?.api_key,
+    apiSecret: apiKey?.api_secret,
+    testnet: apiKey?.environment === 'testnet'
+  }, marketType);
+}
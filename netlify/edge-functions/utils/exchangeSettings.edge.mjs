@@ -0,0 +1,46 @@
+// Per-symbol exchange settings of live bots: leverage, margin mode and position mode
+// Applied before a bot's first order on a symbol and cached on the bot so alerts don't resend them
+
+/**
+ * Settings a bot wants on its exchange account. A null leverage or mode keeps the
+ * account's setting.
+ */
+export function desiredSettings(bot, accountId) {
+  return {
+    accountId,
+    leverage: parseFloat(bot.leverage) > 0 ? parseFloat(bot.leverage) : null,
+    marginMode: bot.margin_mode || null,
+    positionMode: bot.position_mode || null
+  };
+}
+
+/**
+ * Apply the settings the bot set to `symbol` unless bots.applied_exchange_settings
+ * shows they were already applied on this account. Saving the bot clears the cache,
+ * so changed settings are applied before the next order. A bot that sets none of
+ * them leaves the account alone.
+ * Returns true when the settings were sent to the exchange.
+ */
+export async function ensureExchangeSettings(supabase, { bot, exchange, accountId, symbol }) {
+  const desired = desiredSettings(bot, accountId);
+  if (desired.leverage == null && !desired.marginMode && !desired.positionMode) {
+    return false;
+  }
+  const applied = bot.applied_exchange_settings?.[symbol];
+  if (applied && Object.keys(desired).every(key => applied[key] === desired[key])) {
+    return false;
+  }
+
+  console.log(`Applying exchange settings for ${symbol}:`, JSON.stringify(desired));
+  await exchange.applySettings({ symbol, ...desired });
+
+  const { error } = await supabase
+    .from('bots')
+    .update({ applied_exchange_settings: { ...bot.applied_exchange_settings, [symbol]: desired } })
+    .eq('id', bot.id);
+  if (error) {
+    // Not fatal: the settings are applied, they will just be sent again next time
+    console.error("Error caching exchange settings:", error);
+  }
+  return true;
+}
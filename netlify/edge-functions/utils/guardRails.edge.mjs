@@ -0,0 +1,160 @@
+// Per-bot guard rails for Edge Functions
+// Checks incoming alerts against the bot's symbol allowlist, size and rate limits, trading hours and daily loss limit
+
+import { SIGNAL_ACTIONS } from './signalActions.edge.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Whether a symbol may be traded. An empty allowlist allows every symbol.
+ */
+export function symbolAllowed(bot, symbol) {
+  const allowed = (bot.allowed_symbols || []).map(s => String(s).trim().toUpperCase()).filter(Boolean);
+  return allowed.length === 0 || allowed.includes(symbol);
+}
+
+/**
+ * Day of week (1 = Monday) and minutes since midnight of `now` in a time zone.
+ */
+function localTime(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(now)
+      .map(part => [part.type, part.value])
+  );
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday) + 1,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+const toMinutes = time => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Whether `now` falls in one of the bot's trading windows.
+ * Windows are { days: [1..7], start: 'HH:MM', end: 'HH:MM' } in the bot's
+ * time zone; a window whose end is before its start runs past midnight.
+ * No windows means trading at any time.
+ */
+export function withinTradingHours(bot, now = new Date()) {
+  const windows = bot.trading_hours || [];
+  if (windows.length === 0) {
+    return true;
+  }
+
+  const { day, minutes } = localTime(now, bot.trading_timezone || 'UTC');
+  const previousDay = day === 1 ? 7 : day - 1;
+
+  return windows.some(window => {
+    const days = window.days?.length ? window.days : [1, 2, 3, 4, 5, 6, 7];
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    if (start <= end) {
+      return days.includes(day) && minutes >= start && minutes < end;
+    }
+    // Overnight window: the evening of a listed day or the morning after it
+    return (days.includes(day) && minutes >= start) || (days.includes(previousDay) && minutes < end);
+  });
+}
+
+/**
+ * Reason an order of `quantity` at `price` exceeds the bot's per-order limits, or null.
+ */
+export function checkOrderSize(bot, { quantity, price }) {
+  if (bot.max_order_qty > 0 && quantity > bot.max_order_qty) {
+    return `Order quantity ${quantity} exceeds the bot's maximum of ${bot.max_order_qty}`;
+  }
+  if (bot.max_order_notional > 0 && price && quantity * price > bot.max_order_notional) {
+    return `Order notional ${(quantity * price).toFixed(2)} USDT exceeds the bot's maximum of ${bot.max_order_notional} USDT`;
+  }
+  return null;
+}
+
+/**
+ * Reason the position after an order would exceed the bot's maximum position size, or null.
+ * `position` is { side, size } before the order.
+ */
+export function checkPositionSize(bot, { position, side, quantity }) {
+  if (!(bot.max_position_qty > 0)) {
+    return null;
+  }
+
+  const current = !position?.side ? 0 : position.side === 'Buy' ? position.size : -position.size;
+  const after = Math.abs(current + (side === 'Buy' ? quantity : -quantity));
+  if (after > bot.max_position_qty) {
+    return `Position of ${parseFloat(after.toFixed(8))} would exceed the bot's maximum of ${bot.max_position_qty}`;
+  }
+  return null;
+}
+
+/**
+ * Reason the bot has used up its orders for the last hour or day, or null.
+ * Only orders placed for alerts count; stop losses, take profits and liquidations
+ * recorded from the exchange or the paper account do not.
+ */
+export async function checkOrderRate(supabase, bot, now = new Date()) {
+  const limits = [
+    { limit: bot.max_orders_per_hour, since: now.getTime() - HOUR_MS, period: 'hour' },
+    { limit: bot.max_orders_per_day, since: now.getTime() - 24 * HOUR_MS, period: '24 hours' }
+  ];
+
+  for (const { limit, since, period } of limits) {
+    if (!(limit > 0)) continue;
+
+    const { count, error } = await supabase
+      .from('trades')
+      .select('id', { count: 'exact', head: true })
+      .eq('bot_id', bot.id)
+      .in('action', SIGNAL_ACTIONS)
+      .gte('created_at', new Date(since).toISOString());
+
+    if (error) {
+      throw new Error(`Order count failed: ${error.message}`);
+    }
+    if (count >= limit) {
+      return `Bot placed ${count} orders in the last ${period}, the maximum is ${limit}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reason the bot has hit its daily loss limit, or null.
+ * Realized PnL is summed over the bot's trades since midnight UTC.
+ */
+export async function checkDailyLoss(supabase, bot, now = new Date()) {
+  if (!(bot.daily_loss_limit > 0)) {
+    return null;
+  }
+
+  const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const { data, error } = await supabase
+    .from('trades')
+    .select('realized_pnl')
+    .eq('bot_id', bot.id)
+    .gte('created_at', startOfDay.toISOString())
+    .not('realized_pnl', 'is', null);
+
+  if (error) {
+    throw new Error(`Daily PnL lookup failed: ${error.message}`);
+  }
+
+  const realizedPnl = data.reduce((sum, trade) => sum + parseFloat(trade.realized_pnl), 0);
+  if (realizedPnl <= -bot.daily_loss_limit) {
+    return `Daily loss limit reached: ${realizedPnl.toFixed(2)} USDT realized today, the limit is ${bot.daily_loss_limit} USDT`;
+  }
+  return null;
+}
@@ -0,0 +1,165 @@
+// Alert idempotency helpers for Edge Functions
+// Suppresses duplicate TradingView deliveries so each signal places at most one order
+
+// Dedupe window used when the bot does not configure one
+export const DEFAULT_DEDUPE_WINDOW_SECONDS = 60;
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * SHA-256 hex digest using Web Crypto API
+ */
+async function sha256Hex(message) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(message));
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Resolve the idempotency key for an alert.
+ * Uses an explicit `alertId`/`nonce` from the payload when present,
+ * otherwise a hash of the bar time and the raw body.
+ */
+export async function resolveIdempotencyKey(alertData, rawBody) {
+  const explicitId = alertData.alertId ?? alertData.nonce;
+  if (explicitId != null && String(explicitId).trim() !== '') {
+    return `id:${String(explicitId).trim()}`;
+  }
+
+  const barTime = alertData.time ?? alertData.barTime ?? '';
+  return `hash:${await sha256Hex(`${barTime}\n${rawBody}`)}`;
+}
+
+/**
+ * Build a deterministic Bybit orderLinkId (max 36 chars) for a claimed alert.
+ */
+async function buildOrderLinkId(botId, idempotencyKey, claimedAt) {
+  const digest = await sha256Hex(`${botId}:${idempotencyKey}:${claimedAt}`);
+  return `tv-${digest.substring(0, 32)}`;
+}
+
+/**
+ * Claim an alert for execution. Claims belong to the bot, so a signal replayed on
+ * another of its webhook tokens, e.g. after a rotation, is still a duplicate.
+ * Returns { claim } when this request should place the order,
+ * { duplicate } with the stored response when the alert was already executed,
+ * or { inProgress: true } when another request is currently executing it.
+ */
+export async function claimAlert(supabase, { webhook, idempotencyKey, windowSeconds }) {
+  const { data: existing, error: lookupError } = await supabase
+    .from('alert_idempotency')
+    .select('*')
+    .eq('bot_id', webhook.bot_id)
+    .eq('idempotency_key', idempotencyKey)
+    .maybeSingle();
+
+  if (lookupError) {
+    throw new Error(`Idempotency lookup failed: ${lookupError.message}`);
+  }
+
+  if (existing) {
+    const ageSeconds = (Date.now() - new Date(existing.created_at).getTime()) / 1000;
+    if (ageSeconds < windowSeconds) {
+      return existing.response
+        ? { duplicate: existing }
+        : { inProgress: true };
+    }
+
+    // Outside the dedupe window the same signal is treated as a new alert
+    console.log(`Idempotency key ${idempotencyKey} is ${Math.round(ageSeconds)}s old, releasing it`);
+    await releaseAlert(supabase, existing);
+  }
+
+  const claimedAt = new Date().toISOString();
+  const orderLinkId = await buildOrderLinkId(webhook.bot_id, idempotencyKey, claimedAt);
+
+  const { data: claim, error: claimError } = await supabase
+    .from('alert_idempotency')
+    .insert({
+      webhook_id: webhook.id,
+      bot_id: webhook.bot_id,
+      idempotency_key: idempotencyKey,
+      order_link_id: orderLinkId,
+      created_at: claimedAt
+    })
+    .select()
+    .single();
+
+  if (claimError) {
+    if (claimError.code === UNIQUE_VIOLATION) {
+      return { inProgress: true };
+    }
+    throw new Error(`Idempotency claim failed: ${claimError.message}`);
+  }
+
+  return { claim };
+}
+
+/**
+ * Stored response of an alert the bot already executed within the dedupe window,
+ * or null. Lets a duplicate delivery be answered with the original result right away.
+ */
+export async function findCompletedAlert(supabase, { botId, idempotencyKey, windowSeconds }) {
+  const { data, error } = await supabase
+    .from('alert_idempotency')
+    .select('*')
+    .eq('bot_id', botId)
+    .eq('idempotency_key', idempotencyKey)
+    .not('response', 'is', null)
+    .gte('created_at', new Date(Date.now() - windowSeconds * 1000).toISOString())
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Idempotency lookup failed: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Load a claim kept for a retried alert. Returns null when it was released since,
+ * e.g. because a new delivery of the alert arrived after the dedupe window.
+ */
+export async function loadClaim(supabase, claimId) {
+  const { data, error } = await supabase
+    .from('alert_idempotency')
+    .select('*')
+    .eq('id', claimId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Idempotency lookup failed: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Store the response of an executed alert so replays can return it.
+ */
+export async function completeAlert(supabase, claim, response) {
+  const { error } = await supabase
+    .from('alert_idempotency')
+    .update({ response, completed_at: new Date().toISOString() })
+    .eq('id', claim.id);
+
+  if (error) {
+    console.error("Error storing idempotent response:", error);
+  }
+}
+
+/**
+ * Drop a claim so the alert can be retried, e.g. after the order failed.
+ */
+export async function releaseAlert(supabase, claim) {
+  const { error } = await supabase
+    .from('alert_idempotency')
+    .delete()
+    .eq('id', claim.id);
+
+  if (error) {
+    console.error("Error releasing idempotency claim:", error);
+  }
+}
@@ -0,0 +1,150 @@
+// Instrument cache shared by Edge Functions and Netlify Functions
+// Keeps every exchange's symbol filters in the `instruments` table, so alerts don't fetch them before trading
+
+import { createExchange, instrumentFilters } from './exchange.edge.mjs';
+
+// Markets the cache holds, per network; Binance accounts trade USDT-M futures only
+const CACHED_MARKETS = [
+  { exchange: 'bybit', marketType: 'linear' },
+  { exchange: 'bybit', marketType: 'inverse' },
+  { exchange: 'bybit', marketType: 'spot' },
+  { exchange: 'binance', marketType: 'linear' }
+];
+const NETWORKS = ['mainnet', 'testnet'];
+
+// Cached filters older than this are fetched from the exchange again; refreshes run every 6 hours
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Rows upserted per request
+const UPSERT_BATCH_SIZE = 500;
+
+/**
+ * `instruments` row of a described instrument.
+ */
+function toInstrumentRow(exchange, instrument, updatedAt) {
+  return {
+    exchange: exchange.name,
+    market_type: exchange.marketType,
+    network: exchange.network,
+    symbol: instrument.symbol,
+    base_coin: instrument.baseCoin,
+    quote_coin: instrument.quoteCoin,
+    status: instrument.status,
+    min_qty: instrument.minQty,
+    max_qty: instrument.maxQty,
+    qty_step: instrument.qtyStep,
+    tick_size: instrument.tickSize,
+    min_notional: instrument.minNotional,
+    quote_step: instrument.quoteStep,
+    min_leverage: instrument.minLeverage,
+    max_leverage: instrument.maxLeverage,
+    updated_at: updatedAt
+  };
+}
+
+/**
+ * Described instrument of an `instruments` row.
+ */
+function fromInstrumentRow(row) {
+  return {
+    symbol: row.symbol,
+    baseCoin: row.base_coin,
+    quoteCoin: row.quote_coin,
+    status: row.status,
+    minQty: Number(row.min_qty),
+    maxQty: row.max_qty != null ? Number(row.max_qty) : null,
+    qtyStep: row.qty_step,
+    tickSize: row.tick_size,
+    minNotional: row.min_notional != null ? Number(row.min_notional) : null,
+    quoteStep: row.quote_step,
+    minLeverage: row.min_leverage != null ? Number(row.min_leverage) : null,
+    maxLeverage: row.max_leverage != null ? Number(row.max_leverage) : null
+  };
+}
+
+/**
+ * Lot and price filters of `symbol` on the exchange adapter's market, from the cache
+ * when it holds a recent entry and from the exchange otherwise. Instruments fetched
+ * from the exchange are cached for the next alert. Cache failures are logged and the
+ * exchange is asked instead, so the cache can never stop an alert.
+ */
+export async function loadInstrument(supabase, exchange, symbol) {
+  const { data: row, error } = await supabase
+    .from('instruments')
+    .select('*')
+    .eq('exchange', exchange.name)
+    .eq('market_type', exchange.marketType)
+    .eq('network', exchange.network)
+    .eq('symbol', symbol)
+    .maybeSingle();
+
+  if (error) {
+    console.error("Error reading instrument cache:", error);
+  } else if (row && Date.now() - new Date(row.updated_at).getTime() < MAX_AGE_MS) {
+    return instrumentFilters(fromInstrumentRow(row));
+  }
+
+  const instrument = await exchange.describeInstrument(symbol);
+  const { error: upsertError } = await supabase
+    .from('instruments')
+    .upsert(toInstrumentRow(exchange, instrument, new Date().toISOString()), {
+      onConflict: 'exchange,market_type,network,symbol'
+    });
+  if (upsertError) {
+    console.error("Error caching instrument:", upsertError);
+  }
+
+  return instrumentFilters(instrument);
+}
+
+/**
+ * Reload every cached market from the exchanges and drop instruments they no longer list.
+ * A market that fails to load keeps its cached rows and is reported in the summary.
+ * Returns { updated, removed, failed } with one entry per failed market.
+ */
+export async function refreshInstruments(supabase) {
+  const summary = { updated: 0, removed: 0, failed: [] };
+
+  for (const { exchange: name, marketType } of CACHED_MARKETS) {
+    for (const network of NETWORKS) {
+      const market = `${name} ${marketType} ${network}`;
+      const exchange = createExchange({ exchange: name, environment: network }, { marketType });
+      const refreshedAt = new Date().toISOString();
+
+      try {
+        const rows = (await exchange.listInstruments())
+          .map(instrument => toInstrumentRow(exchange, instrument, refreshedAt));
+
+        for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+          const { error } = await supabase
+            .from('instruments')
+            .upsert(rows.slice(i, i + UPSERT_BATCH_SIZE), { onConflict: 'exchange,market_type,network,symbol' });
+          if (error) {
+            throw new Error(`Upsert failed: ${error.message}`);
+          }
+        }
+
+        const { data: removed, error: removeError } = await supabase
+          .from('instruments')
+          .delete()
+          .eq('exchange', name)
+          .eq('market_type', marketType)
+          .eq('network', network)
+          .lt('updated_at', refreshedAt)
+          .select('symbol');
+        if (removeError) {
+          throw new Error(`Removing delisted instruments failed: ${removeError.message}`);
+        }
+
+        console.log(`Refreshed ${rows.length} ${market} instruments, removed ${removed.length}`);
+        summary.updated += rows.length;
+        summary.removed += removed.length;
+      } catch (error) {
+        console.error(`Error refreshing ${market} instruments:`, error);
+        summary.failed.push(`${market}: ${error.message}`);
+      }
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,69 @@
+// Iteration over live bots grouped by exchange account, for scheduled jobs
+// Paper (test_mode) bots never touch the exchange and are skipped
+
+import { resolveApiSecret } from './secrets.edge.mjs';
+
+/**
+ * Load live bots with `columns`, group them by exchange account and call
+ * `fn(apiKey, bots)` for each account, one account at a time to stay well
+ * inside the exchanges' rate limits. With `exchanges`, accounts on other
+ * exchanges are skipped. The account's secret is decrypted with `keyring`
+ * before it is handed to `fn`.
+ * Returns { accounts, failed, results } where results are fn's return values.
+ */
+export async function forEachLiveAccount(supabase, { columns, keyring, exchanges }, fn) {
+  const { data: bots, error } = await supabase
+    .from('bots')
+    .select(`id, user_id, exchange_account_id, ${columns}`)
+    .eq('test_mode', false)
+    .not('exchange_account_id', 'is', null);
+
+  if (error) {
+    throw new Error(`Bot lookup failed: ${error.message}`);
+  }
+
+  const botsByAccount = new Map();
+  for (const bot of bots) {
+    botsByAccount.set(bot.exchange_account_id, [...(botsByAccount.get(bot.exchange_account_id) || []), bot]);
+  }
+
+  const summary = { accounts: 0, failed: 0, results: [] };
+
+  for (const [accountId, accountBots] of botsByAccount) {
+    const { data: apiKey, error: apiKeyError } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('id', accountId)
+      .maybeSingle();
+
+    if (apiKeyError || !apiKey) {
+      console.log(`Skipping exchange account ${accountId}: not found`);
+      continue;
+    }
+    if (exchanges && !exchanges.includes(apiKey.exchange)) {
+      continue;
+    }
+
+    try {
+      const apiSecret = await resolveApiSecret(apiKey, keyring);
+      summary.results.push(await fn({ ...apiKey, api_secret: apiSecret }, accountBots));
+      summary.accounts++;
+    } catch (error) {
+      console.error(`Error processing exchange account ${accountId}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Bybit credentials of an api_keys row, as taken by the Bybit client.
+ */
+export function accountCredentials(apiKey) {
+  return {
+    apiKey: apiKey.api_key,
+    apiSecret: apiKey.api_secret,
+    testnet: apiKey.environment === 'testnet'
+  };
+}
@@ -0,0 +1,163 @@
+// Delivery of user notifications to their notification channels
+// Channels are Telegram bots, Discord and Slack incoming webhooks, generic webhooks and email
+
+import { sendSmtpMail } from './smtp.edge.mjs';
+
+// Events a channel can subscribe to
+export const NOTIFICATION_EVENTS = ['fill', 'error', 'rejection', 'webhook_expiry'];
+
+export const CHANNEL_TYPES = ['telegram', 'discord', 'slack', 'webhook', 'email'];
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/**
+ * Render a notification as plain text: the title, the message and one line per field.
+ */
+function formatText({ title, message, fields = {} }) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([name, value]) => `${name}: ${value}`);
+  return [title, message, ...lines].filter(Boolean).join('\n');
+}
+
+async function postJson(url, body) {
+  if (!/^https:\/\//i.test(url || '')) {
+    throw new Error('Notification URLs must start with https://');
+  }
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  }
+}
+
+/**
+ * SMTP server for notification emails, from SMTP_HOST, SMTP_PORT, SMTP_USERNAME,
+ * SMTP_PASSWORD and SMTP_FROM. Returns null when SMTP_HOST is not set.
+ */
+export function loadSmtpServer(getEnv) {
+  const host = getEnv('SMTP_HOST');
+  if (!host) {
+    return null;
+  }
+  return {
+    host,
+    port: parseInt(getEnv('SMTP_PORT') || '465', 10),
+    username: getEnv('SMTP_USERNAME'),
+    password: getEnv('SMTP_PASSWORD'),
+    from: getEnv('SMTP_FROM') || getEnv('SMTP_USERNAME')
+  };
+}
+
+/**
+ * The sign-in email of a Supabase auth user once it is verified, otherwise null.
+ */
+export function verifiedEmail(user) {
+  return user?.email && user.email_confirmed_at ? user.email : null;
+}
+
+/**
+ * Send a notification through one channel, throwing when delivery fails.
+ * `notification` is { event, title, message, fields }. Email goes only to
+ * `accountEmail`, the owner's verified sign-in email, so the server's SMTP
+ * account cannot be used to mail anyone else.
+ */
+export async function deliverNotification(channel, notification, { smtp = null, accountEmail = null } = {}) {
+  const { config = {} } = channel;
+  const text = formatText(notification);
+
+  switch (channel.type) {
+    case 'telegram':
+      return postJson(`https://api.telegram.org/bot${config.bot_token}/sendMessage`, {
+        chat_id: config.chat_id,
+        text,
+        disable_web_page_preview: true
+      });
+    case 'discord':
+      return postJson(config.url, { content: text.slice(0, 2000) });
+    case 'slack':
+      return postJson(config.url, { text });
+    case 'webhook':
+      return postJson(config.url, {
+        event: notification.event,
+        title: notification.title,
+        message: notification.message,
+        fields: notification.fields || {},
+        sentAt: new Date().toISOString()
+      });
+    case 'email':
+      if (!smtp) {
+        throw new Error('Email notifications are not configured on this server');
+      }
+      if (!accountEmail || String(config.email).toLowerCase() !== accountEmail.toLowerCase()) {
+        throw new Error('Email notifications can only be sent to your verified account email');
+      }
+      return sendSmtpMail(smtp, { from: smtp.from, to: config.email, subject: notification.title, text });
+    default:
+      throw new Error(`Unknown notification channel type: ${channel.type}`);
+  }
+}
+
+/**
+ * Record the outcome of a delivery on the channel, for the settings page.
+ */
+async function recordDelivery(supabase, channel, error) {
+  const { error: updateError } = await supabase
+    .from('notification_channels')
+    .update(error
+      ? { last_error: error.message, last_error_at: new Date().toISOString() }
+      : { last_sent_at: new Date().toISOString(), last_error: null })
+    .eq('id', channel.id);
+  if (updateError) {
+    console.error("Error recording notification delivery:", updateError);
+  }
+}
+
+/**
+ * Create `notify(userId, notification)`, which sends `notification` to every enabled
+ * channel of the user subscribed to its event. Channels are sent to in parallel and
+ * failures are logged and recorded on the channel, never thrown, so a notification
+ * cannot fail the work that raised it.
+ */
+export function createNotifier(supabase, getEnv) {
+  const smtp = loadSmtpServer(getEnv);
+
+  return async function notify(userId, notification) {
+    const { data: channels, error } = await supabase
+      .from('notification_channels')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('enabled', true)
+      .contains('events', [notification.event]);
+
+    if (error) {
+      console.error("Error loading notification channels:", error);
+      return;
+    }
+
+    // Only email channels need the owner's address, read from auth where users cannot edit it
+    let accountEmail = null;
+    if (channels.some(channel => channel.type === 'email')) {
+      const { data, error: userError } = await supabase.auth.admin.getUserById(userId);
+      if (userError) {
+        console.error("Error loading the account email:", userError);
+      }
+      accountEmail = verifiedEmail(data?.user);
+    }
+
+    await Promise.all(channels.map(async channel => {
+      try {
+        await deliverNotification(channel, notification, { smtp, accountEmail });
+        await recordDelivery(supabase, channel, null);
+      } catch (deliveryError) {
+        console.error(`Error sending ${notification.event} notification to channel ${channel.id}:`, deliveryError);
+        await recordDelivery(supabase, channel, deliveryError);
+      }
+    }));
+  };
+}
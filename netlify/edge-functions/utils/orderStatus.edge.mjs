@@ -0,0 +1,112 @@
+// Order lifecycle tracking against the exchange
+// Polls the status of open trades and cancels limit orders that outlived the bot's expiry
+
+import { createExchange } from './exchange.edge.mjs';
+
+// Order statuses (in Bybit's vocabulary) after which an order can no longer change
+export const FINAL_ORDER_STATUSES = ['Filled', 'Cancelled', 'Rejected', 'Deactivated', 'PartiallyFilledCanceled'];
+
+// Older open trades are no longer polled
+const LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Whether an open limit order has outlived its bot's `limit_order_expiry_minutes`.
+ */
+export function isOrderExpired(trade, bot, now = Date.now()) {
+  const minutes = parseFloat(bot.limit_order_expiry_minutes);
+  return trade.order_type === 'Limit' &&
+    minutes > 0 &&
+    Date.parse(trade.created_at) + minutes * 60000 <= now;
+}
+
+/**
+ * Poll the open trades of one exchange account's live bots, cancelling expired
+ * limit orders, and write status changes to the trades. Every status change
+ * is appended to trades.status_history by a database trigger. Orders seen to fill
+ * are reported through `notify(userId, notification)` when it is given.
+ * Returns { checked, updated, expired } counts.
+ */
+export async function syncAccountOrders(supabase, { apiKey, bots, now = Date.now(), notify = null }) {
+  const botsById = new Map(bots.map(bot => [bot.id, bot]));
+  // Orders are looked up in the market their bot trades
+  const exchangeFor = trade => createExchange(apiKey, { marketType: botsById.get(trade.bot_id).market_type });
+
+  const { data: trades, error } = await supabase
+    .from('trades')
+    .select('*')
+    .in('bot_id', [...botsById.keys()])
+    .not('status', 'in', `(${FINAL_ORDER_STATUSES.join(',')})`)
+    .not('order_id', 'like', 'paper-%')
+    .not('order_id', 'like', 'test-%')
+    .gte('created_at', new Date(now - LOOKBACK_MS).toISOString());
+
+  if (error) {
+    throw new Error(`Open trade lookup failed: ${error.message}`);
+  }
+
+  const summary = { checked: 0, updated: 0, expired: 0 };
+
+  for (const trade of trades) {
+    summary.checked++;
+
+    let exchange;
+    let order;
+    try {
+      exchange = exchangeFor(trade);
+      order = await exchange.getOrder({ symbol: trade.symbol, orderId: trade.order_id });
+    } catch (error) {
+      console.error(`Error polling order ${trade.order_id}:`, error);
+      continue;
+    }
+
+    if (!order) {
+      console.log(`Order ${trade.order_id} of trade ${trade.id} not found on ${exchange.name}`);
+      continue;
+    }
+
+    let { status, reason } = order;
+
+    if (!FINAL_ORDER_STATUSES.includes(status) && isOrderExpired(trade, botsById.get(trade.bot_id), now)) {
+      try {
+        await exchange.cancelOrder({ symbol: trade.symbol, orderId: trade.order_id });
+        status = order.filledQty > 0 ? 'PartiallyFilledCanceled' : 'Cancelled';
+        reason = `Expired after ${botsById.get(trade.bot_id).limit_order_expiry_minutes} minutes`;
+        summary.expired++;
+      } catch (error) {
+        // Usually the order filled or was cancelled in the meantime; the next poll picks that up
+        console.error(`Error cancelling expired order ${trade.order_id}:`, error);
+      }
+    }
+
+    const filledQuantity = order.filledQty;
+    if (status === trade.status && filledQuantity === parseFloat(trade.filled_quantity)) {
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from('trades')
+      .update({
+        status,
+        status_reason: reason,
+        filled_quantity: filledQuantity
+      })
+      .eq('id', trade.id);
+
+    if (updateError) {
+      console.error(`Error updating status of trade ${trade.id}:`, updateError);
+      continue;
+    }
+    summary.updated++;
+
+    if (notify && status === 'Filled' && trade.status !== 'Filled') {
+      await notify(trade.user_id, {
+        event: 'fill',
+        title: `${trade.side} ${trade.symbol} filled`,
+        message: `${trade.order_type} order for ${filledQuantity} ${trade.symbol} filled`,
+        fields: { Bot: botsById.get(trade.bot_id).name, Price: trade.price, 'Order ID': trade.order_id }
+      });
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,665 @@
+// Paper trading engine for Edge Functions
+// Simulates fills, positions, balances and fees for test_mode bots against live market prices
+
+import { getBybitKlines } from './bybit.edge.mjs';
+
+// Used when the bot does not configure its own paper settings (fees in percent of notional)
+export const DEFAULT_PAPER_BALANCE = 10000;
+export const DEFAULT_TAKER_FEE_PERCENT = 0.055;
+export const DEFAULT_MAKER_FEE_PERCENT = 0.02;
+
+// Kline intervals, finest first; the finest one covering the time since the last check is used
+const KLINE_INTERVALS = [
+  { interval: '1', minutes: 1 },
+  { interval: '5', minutes: 5 },
+  { interval: '15', minutes: 15 },
+  { interval: '60', minutes: 60 },
+  { interval: '240', minutes: 240 },
+  { interval: 'D', minutes: 1440 }
+];
+const MAX_KLINES = 1000;
+
+const FLAT_POSITION = {
+  side: null,
+  size: 0,
+  entryPrice: null,
+  stopLoss: null,
+  takeProfit: null,
+  takeProfitLevels: [],
+  trailingStop: null,
+  trailingAnchor: null
+};
+
+const round = value => parseFloat(value.toFixed(8));
+const direction = side => (side === 'Buy' ? 1 : -1);
+const oppositeSide = side => (side === 'Buy' ? 'Sell' : 'Buy');
+const newPaperOrderId = () => `paper-${crypto.randomUUID()}`;
+const toNumber = value => (value == null ? null : parseFloat(value));
+
+/**
+ * Fee rates of a bot's paper account, in percent of notional.
+ */
+export function paperFees(bot) {
+  return {
+    taker: toNumber(bot.paper_taker_fee) ?? DEFAULT_TAKER_FEE_PERCENT,
+    maker: toNumber(bot.paper_maker_fee) ?? DEFAULT_MAKER_FEE_PERCENT
+  };
+}
+
+/**
+ * Apply a fill to a one-way position.
+ * Fills on the opposite side close the position first and reverse it with the rest,
+ * unless `reduceOnly` caps them at the position size.
+ * Returns { position, quantity, realizedPnl } with the quantity actually filled.
+ */
+export function applyFill(position, { side, quantity, price, reduceOnly = false }) {
+  const open = position.size > 0;
+
+  if (reduceOnly && (!open || position.side === side)) {
+    return { position, quantity: 0, realizedPnl: 0 };
+  }
+
+  const qty = reduceOnly ? Math.min(quantity, position.size) : quantity;
+
+  if (!open || position.side === side) {
+    const size = round(position.size + qty);
+    const entryPrice = open
+      ? (position.entryPrice * position.size + price * qty) / size
+      : price;
+    return {
+      position: { ...(open ? position : FLAT_POSITION), side, size, entryPrice },
+      quantity: qty,
+      realizedPnl: 0
+    };
+  }
+
+  const closed = Math.min(qty, position.size);
+  const realizedPnl = (price - position.entryPrice) * closed * direction(position.side);
+  const remaining = round(qty - closed);
+  const size = round(position.size - closed);
+
+  let next;
+  if (remaining > 0) {
+    next = { ...FLAT_POSITION, side, size: remaining, entryPrice: price };
+  } else if (size > 0) {
+    next = { ...position, size };
+  } else {
+    next = FLAT_POSITION;
+  }
+
+  return { position: next, quantity: qty, realizedPnl };
+}
+
+/**
+ * Attach stops from an order to the position it filled into, replacing the
+ * position's previous ones the way Bybit does for orders carrying TP/SL.
+ * `stops.takeProfitLevels` are `[{ price, size }]` with sizes already rounded to the lot step.
+ */
+export function attachStops(position, stops, fillPrice) {
+  if (!(position.size > 0) || !stops) {
+    return position;
+  }
+
+  const next = { ...position };
+  if (stops.stopLoss != null) {
+    next.stopLoss = stops.stopLoss;
+  }
+  if (stops.takeProfit != null) {
+    next.takeProfit = stops.takeProfit;
+    next.takeProfitLevels = [];
+  }
+  if (stops.takeProfitLevels?.length > 0) {
+    next.takeProfit = null;
+    next.takeProfitLevels = stops.takeProfitLevels.map(({ price, size }) => ({ price, size }));
+  }
+  if (stops.trailingStop != null) {
+    next.trailingStop = stops.trailingStop;
+    next.trailingAnchor = fillPrice;
+  }
+  return next;
+}
+
+/**
+ * Fill an order against a position and charge the fee.
+ * Returns { position, fill } where fill is null when nothing was filled.
+ */
+function fillOrder(position, { side, quantity, price, reduceOnly, feePercent }) {
+  const result = applyFill(position, { side, quantity, price, reduceOnly });
+  if (!(result.quantity > 0)) {
+    return { position, fill: null };
+  }
+
+  return {
+    position: result.position,
+    fill: {
+      side,
+      quantity: result.quantity,
+      price,
+      fee: round(result.quantity * price * feePercent / 100),
+      realizedPnl: round(result.realizedPnl)
+    }
+  };
+}
+
+/**
+ * Replay candles against resting limit orders and the position's stops.
+ * Limit orders fill at their price once the market trades through it; stops
+ * fill at the trigger price, or at the open when the candle gaps past it.
+ * Within one candle stops are checked before take profits, so an ambiguous
+ * candle resolves to the worse outcome. Orders with an `expiresAt` are
+ * cancelled by the first candle starting after it.
+ * Returns { position, orders, fills, cancelled } where `orders` are the ones still resting.
+ */
+export function replayCandles({ position, orders }, candles, fees) {
+  let current = position;
+  let resting = [...orders];
+  const fills = [];
+  const cancelled = [];
+
+  const exit = (source, quantity, price) => {
+    const result = fillOrder(current, {
+      side: oppositeSide(current.side),
+      quantity,
+      price,
+      reduceOnly: true,
+      feePercent: fees.taker
+    });
+    current = result.position;
+    if (result.fill) {
+      fills.push({ ...result.fill, source });
+    }
+  };
+
+  for (const candle of candles) {
+    resting = resting.filter(order => {
+      if (order.expiresAt != null && candle.start >= order.expiresAt) {
+        cancelled.push({ ...order, reason: 'Expired' });
+        return false;
+      }
+
+      const crossed = order.side === 'Buy' ? candle.low <= order.price : candle.high >= order.price;
+      if (!crossed) {
+        return true;
+      }
+
+      const result = fillOrder(current, {
+        side: order.side,
+        quantity: order.quantity,
+        price: order.price,
+        reduceOnly: order.reduceOnly,
+        feePercent: fees.maker
+      });
+      if (result.fill) {
+        current = attachStops(result.position, order, order.price);
+        fills.push({ ...result.fill, source: 'limit', order });
+      } else {
+        cancelled.push({ ...order, reason: 'No position to reduce' });
+      }
+      return false;
+    });
+
+    if (!(current.size > 0)) {
+      continue;
+    }
+
+    const dir = direction(current.side);
+    const adverse = dir > 0 ? candle.low : candle.high;
+    const favorable = dir > 0 ? candle.high : candle.low;
+    const stopFillPrice = trigger => (dir > 0 ? Math.min(trigger, candle.open) : Math.max(trigger, candle.open));
+    const targetFillPrice = trigger => (dir > 0 ? Math.max(trigger, candle.open) : Math.min(trigger, candle.open));
+
+    // Stop loss or trailing stop, whichever is tighter
+    const trailingPrice = current.trailingStop != null
+      ? current.trailingAnchor - dir * current.trailingStop
+      : null;
+    const stops = [
+      { source: 'stop_loss', price: current.stopLoss },
+      { source: 'trailing_stop', price: trailingPrice }
+    ].filter(stop => stop.price != null);
+    const stop = stops.sort((a, b) => (b.price - a.price) * dir)[0];
+
+    if (stop && (adverse - stop.price) * dir <= 0) {
+      exit(stop.source, current.size, stopFillPrice(stop.price));
+      continue;
+    }
+
+    if (current.trailingStop != null) {
+      current = {
+        ...current,
+        trailingAnchor: dir > 0
+          ? Math.max(current.trailingAnchor, favorable)
+          : Math.min(current.trailingAnchor, favorable)
+      };
+    }
+
+    const levels = [...current.takeProfitLevels].sort((a, b) => (a.price - b.price) * dir);
+    for (const level of levels) {
+      if (!(current.size > 0) || (favorable - level.price) * dir < 0) {
+        break;
+      }
+      exit('take_profit', Math.min(level.size, current.size), targetFillPrice(level.price));
+      current = {
+        ...current,
+        takeProfitLevels: current.takeProfitLevels.filter(l => l !== level)
+      };
+    }
+
+    if (current.size > 0 && current.takeProfit != null && (favorable - current.takeProfit) * dir >= 0) {
+      exit('take_profit', current.size, targetFillPrice(current.takeProfit));
+    }
+  }
+
+  return { position: current, orders: resting, fills, cancelled };
+}
+
+/**
+ * Current balance of a paper account in the shape of an exchange adapter's getBalance.
+ */
+export function paperWalletBalance(state, price) {
+  const { position, account } = state;
+  const balance = parseFloat(account.balance);
+  const unrealized = position.size > 0
+    ? (price - position.entryPrice) * position.size * direction(position.side)
+    : 0;
+
+  return { equity: balance + unrealized, walletBalance: balance, availableBalance: balance };
+}
+
+/**
+ * Current paper position in the shape of an exchange adapter's getPosition.
+ */
+export function paperPosition(state) {
+  const { position } = state;
+  return position.size > 0
+    ? { side: position.side, size: position.size }
+    : { side: null, size: 0 };
+}
+
+const fromPositionRow = row => (
+  parseFloat(row.size) > 0
+    ? {
+        side: row.side,
+        size: parseFloat(row.size),
+        entryPrice: toNumber(row.entry_price),
+        stopLoss: toNumber(row.stop_loss),
+        takeProfit: toNumber(row.take_profit),
+        takeProfitLevels: row.take_profit_levels || [],
+        trailingStop: toNumber(row.trailing_stop),
+        trailingAnchor: toNumber(row.trailing_anchor)
+      }
+    : FLAT_POSITION
+);
+
+const toPositionRow = position => ({
+  side: position.side,
+  size: position.size,
+  entry_price: position.entryPrice,
+  stop_loss: position.stopLoss,
+  take_profit: position.takeProfit,
+  take_profit_levels: position.takeProfitLevels,
+  trailing_stop: position.trailingStop,
+  trailing_anchor: position.trailingAnchor
+});
+
+const fromOrderRow = row => ({
+  id: row.id,
+  orderId: row.order_id,
+  orderLinkId: row.order_link_id,
+  side: row.side,
+  quantity: parseFloat(row.quantity),
+  price: parseFloat(row.price),
+  reduceOnly: row.reduce_only,
+  stopLoss: toNumber(row.stop_loss),
+  takeProfit: toNumber(row.take_profit),
+  createdAt: row.created_at
+});
+
+/**
+ * Select a row, inserting it when missing. A concurrent insert is re-read.
+ */
+async function selectOrInsert(supabase, table, match, row) {
+  const select = () => supabase.from(table).select('*').match(match).maybeSingle();
+
+  const { data: existing, error: selectError } = await select();
+  if (selectError) {
+    throw new Error(`Paper ${table} lookup failed: ${selectError.message}`);
+  }
+  if (existing) {
+    return existing;
+  }
+
+  const { data: inserted, error: insertError } = await supabase
+    .from(table)
+    .insert({ ...match, ...row })
+    .select()
+    .single();
+
+  if (insertError) {
+    const { data: raced } = await select();
+    if (raced) {
+      return raced;
+    }
+    throw new Error(`Paper ${table} insert failed: ${insertError.message}`);
+  }
+  return inserted;
+}
+
+/**
+ * Load the paper account of a bot with its position and resting orders for a symbol,
+ * opening the account with the bot's starting balance on first use.
+ */
+export async function loadPaperState(supabase, { bot, symbol }) {
+  const account = await selectOrInsert(supabase, 'paper_accounts', { bot_id: bot.id }, {
+    user_id: bot.user_id,
+    balance: toNumber(bot.paper_starting_balance) ?? DEFAULT_PAPER_BALANCE
+  });
+
+  const positionRow = await selectOrInsert(supabase, 'paper_positions', { bot_id: bot.id, symbol }, {
+    user_id: bot.user_id,
+    size: 0,
+    last_checked_at: new Date().toISOString()
+  });
+
+  const { data: orderRows, error: ordersError } = await supabase
+    .from('paper_orders')
+    .select('*')
+    .eq('bot_id', bot.id)
+    .eq('symbol', symbol)
+    .eq('status', 'New')
+    .order('created_at', { ascending: true });
+
+  if (ordersError) {
+    throw new Error(`Paper orders lookup failed: ${ordersError.message}`);
+  }
+
+  return {
+    account,
+    positionId: positionRow.id,
+    lastCheckedAt: positionRow.last_checked_at,
+    position: fromPositionRow(positionRow),
+    orders: (orderRows || []).map(fromOrderRow)
+  };
+}
+
+/**
+ * Fetch the candles of a Bybit `category` that started after `since`, using the
+ * finest interval whose MAX_KLINES candles cover the time since then.
+ */
+async function getCandlesSince(symbol, category, since, now) {
+  const elapsedMinutes = (now - since) / 60000;
+  const { interval, minutes } =
+    KLINE_INTERVALS.find(k => elapsedMinutes / k.minutes <= MAX_KLINES) ??
+    KLINE_INTERVALS[KLINE_INTERVALS.length - 1];
+
+  const candles = await getBybitKlines({
+    symbol,
+    category,
+    interval,
+    start: Math.max(since, now - minutes * 60000 * MAX_KLINES),
+    end: now,
+    limit: MAX_KLINES
+  });
+
+  // A candle that started before the last check may contain moves that were already seen
+  return candles.filter(candle => candle.start >= since);
+}
+
+/**
+ * Write the outcome of a replay or an order: settled limit orders and their trades,
+ * trades for triggered stops, the position, the account balance and the bot's PnL.
+ */
+async function persistPaperState(supabase, { bot, symbol, state, result, checkedAt }) {
+  const now = new Date().toISOString();
+
+  for (const fill of result.fills) {
+    if (fill.source === 'limit') {
+      const { error: orderError } = await supabase
+        .from('paper_orders')
+        .update({ status: 'Filled', filled_price: fill.price, filled_at: now })
+        .eq('id', fill.order.id);
+
+      if (orderError) {
+        throw new Error(`Paper order update failed: ${orderError.message}`);
+      }
+
+      // The trade row was written when the order was placed
+      const { error: tradeError } = await supabase
+        .from('trades')
+        .update({
+          status: 'Filled',
+          filled_quantity: fill.quantity,
+          price: fill.price,
+          fee: fill.fee,
+          realized_pnl: fill.realizedPnl
+        })
+        .eq('bot_id', bot.id)
+        .eq('order_link_id', fill.order.orderLinkId);
+
+      if (tradeError) {
+        throw new Error(`Paper trade update failed: ${tradeError.message}`);
+      }
+    } else if (fill.source !== 'entry') {
+      const { error } = await supabase
+        .from('trades')
+        .insert({
+          user_id: bot.user_id,
+          bot_id: bot.id,
+          symbol,
+          side: fill.side,
+          order_type: 'Market',
+          quantity: fill.quantity,
+          price: fill.price,
+          order_id: newPaperOrderId(),
+          action: fill.source,
+          reduce_only: true,
+          status: 'Filled',
+          filled_quantity: fill.quantity,
+          fee: fill.fee,
+          realized_pnl: fill.realizedPnl,
+          created_at: now
+        });
+
+      if (error) {
+        console.error("Error logging paper trade:", error);
+      }
+    }
+  }
+
+  for (const order of result.cancelled) {
+    const { error: orderError } = await supabase
+      .from('paper_orders')
+      .update({ status: 'Cancelled' })
+      .eq('id', order.id);
+
+    if (orderError) {
+      throw new Error(`Paper order update failed: ${orderError.message}`);
+    }
+
+    const { error: tradeError } = await supabase
+      .from('trades')
+      .update({ status: 'Cancelled', status_reason: order.reason })
+      .eq('bot_id', bot.id)
+      .eq('order_link_id', order.orderLinkId);
+
+    if (tradeError) {
+      throw new Error(`Paper trade update failed: ${tradeError.message}`);
+    }
+  }
+
+  const { error: positionError } = await supabase
+    .from('paper_positions')
+    .update({
+      ...toPositionRow(result.position),
+      ...(checkedAt && { last_checked_at: new Date(checkedAt).toISOString() }),
+      updated_at: now
+    })
+    .eq('id', state.positionId);
+
+  if (positionError) {
+    throw new Error(`Paper position update failed: ${positionError.message}`);
+  }
+
+  const net = result.fills.reduce((sum, fill) => sum + fill.realizedPnl - fill.fee, 0);
+  let account = state.account;
+
+  if (net !== 0) {
+    const balance = round(parseFloat(account.balance) + net);
+    const { data, error: accountError } = await supabase
+      .from('paper_accounts')
+      .update({ balance, updated_at: now })
+      .eq('bot_id', bot.id)
+      .select()
+      .single();
+
+    if (accountError) {
+      throw new Error(`Paper balance update failed: ${accountError.message}`);
+    }
+    account = data;
+
+    bot.profit_loss = round((parseFloat(bot.profit_loss) || 0) + net);
+    const { error: botError } = await supabase
+      .from('bots')
+      .update({ profit_loss: bot.profit_loss })
+      .eq('id', bot.id);
+
+    if (botError) {
+      console.error("Error updating paper profit/loss:", botError);
+    }
+  }
+
+  return {
+    ...state,
+    account,
+    position: result.position,
+    orders: result.orders,
+    ...(checkedAt && { lastCheckedAt: new Date(checkedAt).toISOString() })
+  };
+}
+
+/**
+ * Bring a paper account up to date with the market: replay the candles since
+ * the last check, then the current price, against resting orders and stops.
+ * Limit orders expire after the bot's `limit_order_expiry_minutes`, like live ones.
+ */
+export async function syncPaperState(supabase, { bot, symbol, category = 'linear', state, price }) {
+  const now = Date.now();
+  const hasExposure = state.position.size > 0 || state.orders.length > 0;
+
+  const candles = hasExposure
+    ? await getCandlesSince(symbol, category, new Date(state.lastCheckedAt).getTime(), now)
+    : [];
+  candles.push({ start: now, open: price, high: price, low: price, close: price });
+
+  const expiryMinutes = parseFloat(bot.limit_order_expiry_minutes);
+  const orders = expiryMinutes > 0
+    ? state.orders.map(order => ({ ...order, expiresAt: Date.parse(order.createdAt) + expiryMinutes * 60000 }))
+    : state.orders;
+
+  const result = replayCandles({ ...state, orders }, candles, paperFees(bot));
+  if (result.fills.length > 0 || result.cancelled.length > 0) {
+    console.log("Paper fills since last check:", JSON.stringify(result.fills));
+  }
+
+  return await persistPaperState(supabase, { bot, symbol, state, result, checkedAt: now });
+}
+
+/**
+ * Execute an order on the paper account at the current market price.
+ * Market orders fill immediately with the taker fee. Limit orders are post-only:
+ * they rest until the price trades through them, or are cancelled when they would take.
+ * Returns an object shaped like executeBybitOrder's result plus
+ * { filledQty, fee, realizedPnl } and a statusReason for cancelled orders and for
+ * reduce-only orders rejected because there is no position to reduce.
+ */
+export async function executePaperOrder(supabase, { bot, state, orderParams, price, stops }) {
+  const { symbol, side, orderType, quantity, reduceOnly, orderLinkId } = orderParams;
+  const orderId = newPaperOrderId();
+  const order = { orderId, symbol, side, orderType, qty: quantity, orderLinkId };
+
+  if (orderType !== 'Market') {
+    const limitPrice = parseFloat(orderParams.price);
+    if (!(limitPrice > 0)) {
+      throw new Error('Limit orders require a price');
+    }
+
+    if ((price - limitPrice) * direction(side) <= 0) {
+      console.log(`Paper post-only ${side} at ${limitPrice} would take at ${price}, cancelling`);
+      return {
+        ...order,
+        price: limitPrice,
+        status: 'Cancelled',
+        statusReason: 'Post-only order would take liquidity',
+        filledQty: 0,
+        fee: 0,
+        realizedPnl: 0
+      };
+    }
+
+    const { error } = await supabase
+      .from('paper_orders')
+      .insert({
+        bot_id: bot.id,
+        user_id: bot.user_id,
+        symbol,
+        side,
+        order_type: orderType,
+        quantity,
+        price: limitPrice,
+        reduce_only: reduceOnly,
+        stop_loss: stops?.stopLoss,
+        take_profit: stops?.takeProfit,
+        order_id: orderId,
+        order_link_id: orderLinkId,
+        status: 'New'
+      });
+
+    if (error) {
+      throw new Error(`Paper order insert failed: ${error.message}`);
+    }
+    return { ...order, price: limitPrice, status: 'New', filledQty: 0, fee: null, realizedPnl: null };
+  }
+
+  const { position, fill } = fillOrder(state.position, {
+    side,
+    quantity,
+    price,
+    reduceOnly,
+    feePercent: paperFees(bot).taker
+  });
+
+  // Nothing to reduce is a no-op, not a failure worth retrying
+  if (!fill) {
+    console.log(`Paper reduce-only ${side} ${symbol} has no position to reduce, rejecting`);
+    return {
+      ...order,
+      price,
+      status: 'Rejected',
+      statusReason: 'No paper position to reduce',
+      filledQty: 0,
+      fee: 0,
+      realizedPnl: 0
+    };
+  }
+
+  await persistPaperState(supabase, {
+    bot,
+    symbol,
+    state,
+    result: {
+      position: reduceOnly ? position : attachStops(position, stops, price),
+      orders: state.orders,
+      fills: [{ ...fill, source: 'entry' }],
+      cancelled: []
+    }
+  });
+
+  return {
+    ...order,
+    qty: fill.quantity,
+    price,
+    status: 'Filled',
+    filledQty: fill.quantity,
+    fee: fill.fee,
+    realizedPnl: fill.realizedPnl
+  };
+}
@@ -0,0 +1,294 @@
+// Profit & loss reconciliation against Bybit fills
+// Stores average fill price, fees and realized PnL on trades and rolls them up into bots.profit_loss
+
+import { getBybitExecutions, getBybitClosedPnl } from './bybit.edge.mjs';
+import { accountCredentials } from './liveAccounts.edge.mjs';
+
+// Bybit only serves executions and closed PnL in windows of up to 7 days
+const LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+// Re-read a little before the last run so records that appear late are not missed
+const OVERLAP_MS = 5 * 60 * 1000;
+
+// Execution types that are fills of an order (funding and settlement are not)
+const FILL_EXEC_TYPES = ['Trade', 'AdlTrade', 'BustTrade'];
+
+// Trade statuses of orders that ended without filling completely
+const UNFILLED_FINAL_STATUSES = ['Cancelled', 'Rejected', 'Deactivated', 'PartiallyFilledCanceled'];
+
+// trades.action for exits the exchange placed on its own, by stopOrderType
+export const EXIT_ACTIONS = {
+  StopLoss: 'stop_loss',
+  PartialStopLoss: 'stop_loss',
+  TakeProfit: 'take_profit',
+  PartialTakeProfit: 'take_profit',
+  TrailingStop: 'trailing_stop'
+};
+
+const round = value => parseFloat(value.toFixed(8));
+
+const groupByOrderId = records => {
+  const groups = new Map();
+  for (const record of records) {
+    groups.set(record.orderId, [...(groups.get(record.orderId) || []), record]);
+  }
+  return groups;
+};
+
+/**
+ * Fetch every page of a cursor-paginated V5 list.
+ */
+async function fetchAllPages(fetchPage) {
+  const list = [];
+  let cursor;
+  do {
+    const result = await fetchPage(cursor);
+    list.push(...(result.list || []));
+    cursor = result.nextPageCursor || undefined;
+  } while (cursor);
+  return list;
+}
+
+/**
+ * Sum the fills of one order.
+ * Returns { quantity, avgPrice, fee } where avgPrice is null without fills.
+ */
+export function aggregateExecutions(executions) {
+  let quantity = 0;
+  let value = 0;
+  let fee = 0;
+
+  for (const execution of executions) {
+    if (!FILL_EXEC_TYPES.includes(execution.execType)) continue;
+    const qty = parseFloat(execution.execQty);
+    quantity += qty;
+    value += qty * parseFloat(execution.execPrice);
+    fee += parseFloat(execution.execFee || 0);
+  }
+
+  return {
+    quantity: round(quantity),
+    avgPrice: quantity > 0 ? value / quantity : null,
+    fee: round(fee)
+  };
+}
+
+/**
+ * Realized PnL of a closed PnL record before fees, matching how paper trades record it.
+ * `side` is the side of the closing order, so a Sell closed a long position.
+ */
+export function closedPnlBeforeFees(record) {
+  const entryValue = parseFloat(record.cumEntryValue);
+  const exitValue = parseFloat(record.cumExitValue);
+  return round(record.side === 'Sell' ? exitValue - entryValue : entryValue - exitValue);
+}
+
+/**
+ * Recompute a bot's profit_loss as realized PnL minus fees over all of its trades.
+ */
+export async function rollUpBotProfitLoss(supabase, botId) {
+  const { data: trades, error } = await supabase
+    .from('trades')
+    .select('realized_pnl, fee')
+    .eq('bot_id', botId);
+
+  if (error) {
+    throw new Error(`Trade lookup failed: ${error.message}`);
+  }
+
+  const profitLoss = round(
+    trades.reduce((sum, trade) => sum + (parseFloat(trade.realized_pnl) || 0) - (parseFloat(trade.fee) || 0), 0)
+  );
+
+  const { error: updateError } = await supabase
+    .from('bots')
+    .update({ profit_loss: profitLoss })
+    .eq('id', botId);
+
+  if (updateError) {
+    throw new Error(`Bot profit/loss update failed: ${updateError.message}`);
+  }
+  return profitLoss;
+}
+
+/**
+ * Reconcile one symbol of one Bybit category (a bot's market type) of one account:
+ * update the bots' trades from the fills and closed PnL since `startTime`, and record
+ * exits Bybit placed itself (TP/SL, trailing stops, liquidations) when a single bot
+ * trades the symbol. Spot has no positions, so no closed PnL and no such exits.
+ * Returns the number of trades written.
+ */
+async function reconcileSymbol(supabase, { apiKey, category, symbol, bots, trades, startTime, endTime }) {
+  const credentials = accountCredentials(apiKey);
+
+  const [executions, closedPnl] = await Promise.all([
+    fetchAllPages(cursor => getBybitExecutions({ ...credentials, symbol, category, startTime, endTime, cursor })),
+    category === 'spot'
+      ? []
+      : fetchAllPages(cursor => getBybitClosedPnl({ ...credentials, symbol, category, startTime, endTime, cursor }))
+  ]);
+
+  const executionsByOrder = groupByOrderId(executions);
+  const closedPnlByOrder = groupByOrderId(closedPnl);
+  const realizedPnlOf = orderId => {
+    const records = closedPnlByOrder.get(orderId);
+    return records ? round(records.reduce((sum, r) => sum + closedPnlBeforeFees(r), 0)) : null;
+  };
+
+  let written = 0;
+
+  for (const trade of trades) {
+    const fills = aggregateExecutions(executionsByOrder.get(trade.order_id) || []);
+    const realizedPnl = realizedPnlOf(trade.order_id);
+    const complete =
+      fills.quantity >= parseFloat(trade.quantity) ||
+      UNFILLED_FINAL_STATUSES.includes(trade.status) ||
+      Date.parse(trade.created_at) < endTime - LOOKBACK_MS;
+
+    if (fills.quantity === 0 && !complete) continue;
+
+    const { error } = await supabase
+      .from('trades')
+      .update({
+        ...(fills.avgPrice != null && { price: fills.avgPrice }),
+        fee: fills.fee,
+        realized_pnl: realizedPnl,
+        ...(complete && { reconciled_at: new Date(endTime).toISOString() })
+      })
+      .eq('id', trade.id);
+
+    if (error) {
+      console.error(`Error reconciling trade ${trade.id}:`, error);
+    } else {
+      written++;
+    }
+  }
+
+  // Closing orders that no alert placed
+  const knownOrderIds = new Set(trades.map(trade => trade.order_id));
+  const unknownOrderIds = [...closedPnlByOrder.keys()].filter(orderId => !knownOrderIds.has(orderId));
+  if (unknownOrderIds.length === 0) {
+    return written;
+  }
+
+  if (bots.length !== 1) {
+    console.log(`Skipping ${unknownOrderIds.length} ${category} ${symbol} exits: ${bots.length} bots trade this symbol`);
+    return written;
+  }
+
+  const { data: existing } = await supabase
+    .from('trades')
+    .select('order_id')
+    .eq('bot_id', bots[0].id)
+    .in('order_id', unknownOrderIds);
+  const existingOrderIds = new Set((existing || []).map(trade => trade.order_id));
+
+  for (const orderId of unknownOrderIds) {
+    if (existingOrderIds.has(orderId)) continue;
+
+    const records = closedPnlByOrder.get(orderId);
+    const orderExecutions = executionsByOrder.get(orderId) || [];
+    const fills = aggregateExecutions(orderExecutions);
+    const first = orderExecutions[0];
+    const action = first?.execType === 'BustTrade'
+      ? 'liquidation'
+      : EXIT_ACTIONS[first?.stopOrderType] || 'manual';
+
+    const { error } = await supabase
+      .from('trades')
+      .insert({
+        user_id: bots[0].user_id,
+        bot_id: bots[0].id,
+        symbol,
+        side: records[0].side,
+        order_type: records[0].orderType,
+        quantity: fills.quantity || records.reduce((sum, r) => sum + parseFloat(r.closedSize), 0),
+        price: fills.avgPrice ?? parseFloat(records[0].avgExitPrice),
+        order_id: orderId,
+        order_link_id: first?.orderLinkId || null,
+        action,
+        reduce_only: true,
+        status: 'Filled',
+        fee: fills.fee,
+        realized_pnl: realizedPnlOf(orderId),
+        reconciled_at: new Date(endTime).toISOString(),
+        created_at: new Date(parseInt(records[0].createdTime, 10)).toISOString()
+      });
+
+    if (error) {
+      console.error(`Error recording ${category} ${symbol} exit ${orderId}:`, error);
+    } else {
+      written++;
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Reconcile the live bots of one Bybit account, given with their `symbol`,
+ * `market_type` and `pnl_reconciled_at`. Each symbol of each market type is read
+ * from the bots' last reconciliation (or the start of their oldest unreconciled
+ * trade) up to `now`, bounded by Bybit's 7-day window.
+ * Returns { trades, bots } counts of what was written.
+ */
+export async function reconcileAccountPnl(supabase, { apiKey, bots, now = Date.now() }) {
+  const botIds = bots.map(bot => bot.id);
+  const earliest = now - LOOKBACK_MS + OVERLAP_MS;
+
+  const { data: openTrades, error } = await supabase
+    .from('trades')
+    .select('*')
+    .in('bot_id', botIds)
+    .is('reconciled_at', null)
+    .not('order_id', 'like', 'paper-%')
+    .not('order_id', 'like', 'test-%');
+
+  if (error) {
+    throw new Error(`Trade lookup failed: ${error.message}`);
+  }
+
+  // A trade is in its bot's market; the same symbol names a different instrument in each category
+  const categoryOf = botId => bots.find(bot => bot.id === botId)?.market_type || 'linear';
+  const markets = new Map();
+  const marketOf = (category, symbol) => {
+    const key = `${category}:${symbol}`;
+    if (!markets.has(key)) markets.set(key, { category, symbol });
+    return markets.get(key);
+  };
+  for (const bot of bots) marketOf(categoryOf(bot.id), bot.symbol);
+  for (const trade of openTrades) marketOf(categoryOf(trade.bot_id), trade.symbol);
+
+  let written = 0;
+
+  for (const { category, symbol } of markets.values()) {
+    const symbolTrades = openTrades.filter(trade => trade.symbol === symbol && categoryOf(trade.bot_id) === category);
+    const symbolBots = bots.filter(bot => categoryOf(bot.id) === category &&
+      (bot.symbol === symbol || symbolTrades.some(trade => trade.bot_id === bot.id))
+    );
+
+    const since = Math.min(
+      ...symbolBots.map(bot => (bot.pnl_reconciled_at ? Date.parse(bot.pnl_reconciled_at) : earliest)),
+      ...symbolTrades.map(trade => Date.parse(trade.created_at))
+    ) - OVERLAP_MS;
+
+    written += await reconcileSymbol(supabase, {
+      apiKey,
+      category,
+      symbol,
+      bots: symbolBots,
+      trades: symbolTrades,
+      startTime: Math.max(since, earliest),
+      endTime: now
+    });
+  }
+
+  for (const bot of bots) {
+    await rollUpBotProfitLoss(supabase, bot.id);
+    await supabase
+      .from('bots')
+      .update({ pnl_reconciled_at: new Date(now).toISOString() })
+      .eq('id', bot.id);
+  }
+
+  return { trades: written, bots: bots.length };
+}
@@ -0,0 +1,156 @@
+// Envelope encryption of exchange API secrets using Web Crypto API
+// Each secret is encrypted with its own data key, which is wrapped with a key held only in the server environment
+
+const ENVELOPE_VERSION = 1;
+
+// Key id used when API_KEY_ENCRYPTION_KEY_ID is not set
+const DEFAULT_KEY_ID = 'k1';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = value => Uint8Array.from(atob(value), c => c.charCodeAt(0));
+
+/**
+ * Import a base64-encoded 256-bit key for AES-GCM
+ */
+async function importKey(base64Key, name) {
+  const raw = fromBase64(base64Key.trim());
+  if (raw.length !== 32) {
+    throw new Error(`Encryption key ${name} must be 32 bytes, base64-encoded`);
+  }
+  return crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+async function aesGcm(operation, key, iv, data, aad) {
+  const result = await crypto.subtle[operation](
+    { name: 'AES-GCM', iv, additionalData: encoder.encode(aad) },
+    key,
+    data
+  );
+  return new Uint8Array(result);
+}
+
+/**
+ * Load the key-encryption keys from the environment.
+ * `getEnv(name)` reads a variable: API_KEY_ENCRYPTION_KEY is the current key,
+ * API_KEY_ENCRYPTION_KEY_ID its id, and API_KEY_PREVIOUS_KEYS a comma-separated
+ * list of `id:key` pairs still needed to decrypt rows written before a rotation.
+ * Returns null when no encryption key is configured.
+ */
+export async function loadKeyring(getEnv) {
+  const currentKey = getEnv('API_KEY_ENCRYPTION_KEY');
+  if (!currentKey) {
+    return null;
+  }
+
+  const currentId = getEnv('API_KEY_ENCRYPTION_KEY_ID') || DEFAULT_KEY_ID;
+  const keys = new Map([[currentId, await importKey(currentKey, currentId)]]);
+
+  for (const entry of (getEnv('API_KEY_PREVIOUS_KEYS') || '').split(',')) {
+    if (!entry.trim()) continue;
+    const [id, key] = entry.trim().split(':');
+    if (!id || !key) {
+      throw new Error('API_KEY_PREVIOUS_KEYS entries must look like id:base64key');
+    }
+    if (!keys.has(id)) {
+      keys.set(id, await importKey(key, id));
+    }
+  }
+
+  return { currentId, keys };
+}
+
+/**
+ * Encrypt `plaintext` under a fresh data key wrapped with the current key.
+ * `aad` is the owning user's id, so the ciphertext cannot be moved to another user's
+ * row; it can still be copied between accounts of the same user.
+ * Returns the envelope stored in api_keys.api_secret_encrypted.
+ */
+export async function encryptSecret(plaintext, keyring, aad) {
+  const dataKey = crypto.getRandomValues(new Uint8Array(32));
+  const wrapIv = crypto.getRandomValues(new Uint8Array(12));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const key = await crypto.subtle.importKey('raw', dataKey, 'AES-GCM', false, ['encrypt']);
+  const ciphertext = await aesGcm('encrypt', key, iv, encoder.encode(plaintext), aad);
+  const wrappedKey = await aesGcm('encrypt', keyring.keys.get(keyring.currentId), wrapIv, dataKey, aad);
+
+  return {
+    v: ENVELOPE_VERSION,
+    kid: keyring.currentId,
+    wrappedKey: toBase64(wrappedKey),
+    wrapIv: toBase64(wrapIv),
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext)
+  };
+}
+
+/**
+ * Unwrap the data key of an envelope with whichever key it was wrapped with.
+ */
+async function unwrapDataKey(envelope, keyring, aad) {
+  const wrappingKey = keyring.keys.get(envelope.kid);
+  if (!wrappingKey) {
+    throw new Error(`Encryption key ${envelope.kid} is not configured`);
+  }
+  return aesGcm('decrypt', wrappingKey, fromBase64(envelope.wrapIv), fromBase64(envelope.wrappedKey), aad);
+}
+
+/**
+ * Decrypt an envelope written by encryptSecret.
+ */
+export async function decryptSecret(envelope, keyring, aad) {
+  const dataKey = await unwrapDataKey(envelope, keyring, aad);
+  const key = await crypto.subtle.importKey('raw', dataKey, 'AES-GCM', false, ['decrypt']);
+  const plaintext = await aesGcm('decrypt', key, fromBase64(envelope.iv), fromBase64(envelope.ciphertext), aad);
+  return decoder.decode(plaintext);
+}
+
+/**
+ * Re-wrap an envelope's data key with the current key, leaving the ciphertext as is.
+ * Returns the envelope unchanged when it already uses the current key.
+ */
+export async function rewrapSecret(envelope, keyring, aad) {
+  if (envelope.kid === keyring.currentId) {
+    return envelope;
+  }
+
+  const dataKey = await unwrapDataKey(envelope, keyring, aad);
+  const wrapIv = crypto.getRandomValues(new Uint8Array(12));
+  const wrappedKey = await aesGcm('encrypt', keyring.keys.get(keyring.currentId), wrapIv, dataKey, aad);
+
+  return {
+    ...envelope,
+    kid: keyring.currentId,
+    wrappedKey: toBase64(wrappedKey),
+    wrapIv: toBase64(wrapIv)
+  };
+}
+
+/**
+ * Last characters of a secret, the only part ever shown back to its owner.
+ */
+export function secretHint(secret) {
+  return secret.slice(-4);
+}
+
+/**
+ * Plaintext API secret of an api_keys row.
+ * Rows saved before encryption was introduced still hold it in `api_secret`
+ * until the rotation command encrypts them.
+ */
+export async function resolveApiSecret(row, keyring) {
+  if (row.api_secret_encrypted) {
+    if (!keyring) {
+      throw new Error('API_KEY_ENCRYPTION_KEY is not configured');
+    }
+    return decryptSecret(row.api_secret_encrypted, keyring, row.user_id);
+  }
+  if (row.api_secret) {
+    console.warn(`API key ${row.id} is stored unencrypted; run the key rotation command to encrypt it`);
+    return row.api_secret;
+  }
+  throw new Error(`API key ${row.id} has no secret`);
+}
@@ -0,0 +1,40 @@
+// Exchange server clocks for request signatures, shared by the exchange clients
+// The offset to the exchange's clock is measured once per resync interval instead of before every signed request
+
+// Clock drift over this interval stays far inside the exchanges' 5 second recv windows
+const RESYNC_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Track an exchange's clock. `fetchServerTime()` returns the server time in milliseconds;
+ * the offset to it is taken at the midpoint of the round trip.
+ * Returns { now(), reset() }: `now()` resolves to the current server time, and `reset()`
+ * forces a resync, e.g. after the exchange refused a request's timestamp.
+ */
+export function createServerClock(fetchServerTime, { resyncIntervalMs = RESYNC_INTERVAL_MS } = {}) {
+  let offset = null;
+  let syncedAt = 0;
+  let syncing = null;
+
+  const sync = async () => {
+    const sentAt = Date.now();
+    const serverTime = Number(await fetchServerTime());
+    const receivedAt = Date.now();
+    offset = serverTime - Math.round((sentAt + receivedAt) / 2);
+    syncedAt = receivedAt;
+  };
+
+  return {
+    async now() {
+      if (offset === null || Date.now() - syncedAt > resyncIntervalMs) {
+        // Concurrent requests share one resync
+        syncing ??= sync().finally(() => { syncing = null; });
+        await syncing;
+      }
+      return Date.now() + offset;
+    },
+
+    reset() {
+      offset = null;
+    }
+  };
+}
@@ -0,0 +1,135 @@
+// Position-aware signal actions for Edge Functions
+// Maps alert actions (close, reverse, flat, ...) to the side, quantity and reduceOnly flag of an order
+
+export const SIGNAL_ACTIONS = ['open', 'add', 'close', 'close_partial', 'reverse', 'flat'];
+
+// TradingView {{strategy.market_position}} values and the side they hold
+const MARKET_POSITION_SIDES = {
+  long: 'Buy',
+  short: 'Sell'
+};
+
+const oppositeSide = side => (side === 'Buy' ? 'Sell' : 'Buy');
+
+/**
+ * Round a quantity down to the instrument's lot step.
+ */
+export function floorToStep(quantity, { step, decimals }) {
+  return parseFloat((Math.floor(quantity / step) * step).toFixed(decimals));
+}
+
+/**
+ * Normalize the requested action from an alert.
+ * An explicit `action` wins; otherwise `marketPosition` (from
+ * {{strategy.market_position}}) is translated into a target position
+ * whose size is the alert quantity.
+ */
+export function resolveSignalAction(alertData) {
+  if (alertData.action != null) {
+    const action = String(alertData.action).toLowerCase();
+    if (!SIGNAL_ACTIONS.includes(action)) {
+      return { error: `Unsupported action: ${alertData.action}` };
+    }
+    return { action };
+  }
+
+  const marketPosition = alertData.marketPosition ?? alertData.market_position;
+  if (marketPosition != null) {
+    const target = String(marketPosition).toLowerCase();
+    if (target === 'flat') {
+      return { action: 'flat' };
+    }
+    if (!MARKET_POSITION_SIDES[target]) {
+      return { error: `Unsupported market position: ${marketPosition}` };
+    }
+    return { action: 'open', targetSide: MARKET_POSITION_SIDES[target] };
+  }
+
+  return { action: 'open' };
+}
+
+/**
+ * Whether an action only reduces the position and ignores the entry quantity.
+ */
+export function isExitAction(action) {
+  return action === 'close' || action === 'close_partial' || action === 'flat';
+}
+
+/**
+ * Whether an action needs the current position to be resolved.
+ */
+export function requiresPosition(action, targetSide) {
+  return action !== 'open' || targetSide != null;
+}
+
+/**
+ * Compute the order for an action against the current position.
+ * Returns { side, quantity, reduceOnly } or { reject, noop } when no order should be placed.
+ */
+export function planOrder({ action, targetSide, side, entryQty, percent, position, lot }) {
+  const hasPosition = position && position.size > 0;
+
+  // A target position from {{strategy.market_position}}: order the difference to the current one
+  if (targetSide) {
+    const current = !hasPosition ? 0 : position.side === 'Buy' ? position.size : -position.size;
+    const target = targetSide === 'Buy' ? entryQty : -entryQty;
+    const delta = parseFloat((target - current).toFixed(lot.decimals));
+    if (delta === 0) {
+      return { reject: 'Position already matches target', noop: true };
+    }
+    return {
+      side: delta > 0 ? 'Buy' : 'Sell',
+      quantity: Math.abs(delta),
+      reduceOnly: Math.sign(target) === Math.sign(current) && Math.abs(target) < Math.abs(current)
+    };
+  }
+
+  switch (action) {
+    case 'open':
+      return { side, quantity: entryQty, reduceOnly: false };
+
+    case 'add':
+      if (!hasPosition) {
+        return { reject: 'No open position to add to' };
+      }
+      return { side: position.side, quantity: entryQty, reduceOnly: false };
+
+    case 'close':
+    case 'flat':
+      if (!hasPosition) {
+        // 'flat' only asks for no position, which already holds
+        return action === 'flat'
+          ? { reject: 'Already flat', noop: true }
+          : { reject: 'No open position to close' };
+      }
+      return { side: oppositeSide(position.side), quantity: position.size, reduceOnly: true };
+
+    case 'close_partial': {
+      if (!hasPosition) {
+        return { reject: 'No open position to close' };
+      }
+      const pct = parseFloat(percent);
+      if (!(pct > 0 && pct <= 100)) {
+        return { reject: `close_partial requires a percent between 0 and 100, got ${percent}` };
+      }
+      const quantity = floorToStep(position.size * pct / 100, lot);
+      if (quantity < lot.minQty) {
+        return { reject: `${pct}% of position ${position.size} is below the minimum order quantity ${lot.minQty}` };
+      }
+      return { side: oppositeSide(position.side), quantity, reduceOnly: true };
+    }
+
+    case 'reverse':
+      if (!hasPosition) {
+        return { side, quantity: entryQty, reduceOnly: false };
+      }
+      return {
+        side: oppositeSide(position.side),
+        quantity: parseFloat((position.size + entryQty).toFixed(lot.decimals)),
+        reduceOnly: false
+      };
+
+    default:
+      return { reject: `Unsupported action: ${action}` };
+  }
+}
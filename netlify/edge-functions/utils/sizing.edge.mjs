@@ -0,0 +1,94 @@
+// Position sizing for Edge Functions
+// Turns a bot's sizing mode into an order quantity before lot-step rounding
+
+export const SIZING_MODES = ['fixed_qty', 'fixed_notional', 'wallet_percent', 'risk_percent'];
+
+/**
+ * Whether a sizing mode needs the wallet balance.
+ */
+export function needsBalance(mode) {
+  return mode === 'wallet_percent' || mode === 'risk_percent';
+}
+
+/**
+ * Whether the entry price is needed to size the order or apply the caps.
+ */
+export function needsPrice(mode, { maxNotional } = {}) {
+  return mode !== 'fixed_qty' || maxNotional > 0;
+}
+
+/**
+ * Compute the raw order quantity for a sizing mode.
+ *
+ *   fixed_qty      - `quantity` as given
+ *   fixed_notional - `value` USDT of notional
+ *   wallet_percent - `value` percent of the wallet balance, times leverage
+ *   risk_percent   - lose `value` percent of equity over `stopDistance`
+ *
+ * The notional is then capped at equity × leverage and at `maxNotional`.
+ * Returns { quantity, notional, capped } or { error }.
+ */
+export function computeOrderQuantity({
+  mode = 'fixed_qty',
+  value,
+  quantity,
+  price,
+  stopDistance,
+  balance,
+  leverage = 1,
+  maxNotional
+}) {
+  const sizingValue = parseFloat(value);
+  const lev = parseFloat(leverage) > 0 ? parseFloat(leverage) : 1;
+  let rawQty;
+
+  switch (mode) {
+    case 'fixed_qty':
+      rawQty = parseFloat(quantity);
+      break;
+
+    case 'fixed_notional':
+      if (!(sizingValue > 0)) return { error: 'Fixed notional sizing requires a positive USDT amount' };
+      rawQty = sizingValue / price;
+      break;
+
+    case 'wallet_percent':
+      if (!(sizingValue > 0)) return { error: 'Wallet percent sizing requires a positive percent' };
+      rawQty = (balance.walletBalance * sizingValue / 100 * lev) / price;
+      break;
+
+    case 'risk_percent': {
+      if (!(sizingValue > 0)) return { error: 'Risk sizing requires a positive risk percent' };
+      if (stopDistance == null) return { error: 'Risk sizing requires a stop loss' };
+      if (!(stopDistance > 0)) return { error: 'Stop loss equals the entry price' };
+      rawQty = (balance.equity * sizingValue / 100) / stopDistance;
+      break;
+    }
+
+    default:
+      return { error: `Unsupported sizing mode: ${mode}` };
+  }
+
+  if (!(rawQty > 0)) {
+    return { error: `Sizing mode ${mode} produced no quantity` };
+  }
+
+  if (!price) {
+    return { quantity: rawQty, notional: null, capped: false };
+  }
+
+  let notional = rawQty * price;
+  let capped = false;
+
+  if (balance && notional > balance.equity * lev) {
+    notional = balance.equity * lev;
+    capped = true;
+  }
+
+  if (maxNotional > 0 && notional > maxNotional) {
+    notional = parseFloat(maxNotional);
+    capped = true;
+  }
+
+  return { quantity: notional / price, notional, capped };
+}
@@ -0,0 +1,187 @@
+// Minimal SMTP client for notification emails, shared by Edge Functions and Netlify Functions
+// Speaks SMTP over implicit TLS (usually port 465) with AUTH PLAIN; Deno and Node each open the socket their own way
+
+const encoder = new TextEncoder();
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Addresses are sent as they are in MAIL FROM, RCPT TO and the headers, so they are kept
+// to plain local@domain; notification_channels_email_check holds stored ones to the same pattern
+const EMAIL_ADDRESS = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/;
+
+/**
+ * Whether `value` is a plain email address that is safe to put into an SMTP session.
+ */
+export function isEmailAddress(value) {
+  return typeof value === 'string' && value.length <= 254 && EMAIL_ADDRESS.test(value);
+}
+
+/**
+ * Refuse the values of an SMTP session that could break out of their command or header:
+ * addresses that are not plain addresses, and line breaks anywhere else.
+ */
+function checkSessionValues(server, { from, to, subject }) {
+  for (const [name, address] of Object.entries({ sender: from, recipient: to })) {
+    if (!isEmailAddress(address)) {
+      throw new Error(`Invalid ${name} address: ${JSON.stringify(address)}`);
+    }
+  }
+  for (const [name, value] of Object.entries({ subject, username: server.username, password: server.password })) {
+    if (value != null && /[\r\n]/.test(value)) {
+      throw new Error(`SMTP ${name} must not contain line breaks`);
+    }
+  }
+}
+
+/**
+ * Open a TLS connection exposing write(text), read() → text or null at EOF, and close().
+ */
+async function openTlsConnection(hostname, port) {
+  if (globalThis.Deno) {
+    const conn = await Deno.connectTls({ hostname, port });
+    const decoder = new TextDecoder();
+    return {
+      async write(text) {
+        const data = encoder.encode(text);
+        for (let written = 0; written < data.length;) {
+          written += await conn.write(data.subarray(written));
+        }
+      },
+      async read() {
+        const buffer = new Uint8Array(4096);
+        const n = await conn.read(buffer);
+        return n === null ? null : decoder.decode(buffer.subarray(0, n), { stream: true });
+      },
+      close: () => conn.close()
+    };
+  }
+
+  const tls = await import('node:tls');
+  const socket = tls.connect({ host: hostname, port, servername: hostname });
+  socket.setEncoding('utf8');
+  await new Promise((resolve, reject) => {
+    socket.once('secureConnect', resolve);
+    socket.once('error', reject);
+  });
+
+  // Buffer incoming data until read() asks for it
+  const chunks = [];
+  let waiting = null;
+  let failure = null;
+  const wake = () => {
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve();
+    }
+  };
+  socket.on('data', chunk => { chunks.push(chunk); wake(); });
+  socket.on('end', () => { chunks.push(null); wake(); });
+  socket.on('error', error => { failure = error; wake(); });
+
+  return {
+    write: text => new Promise((resolve, reject) => socket.write(text, error => (error ? reject(error) : resolve()))),
+    async read() {
+      while (!chunks.length && !failure) {
+        await new Promise(resolve => { waiting = resolve; });
+      }
+      if (failure) throw failure;
+      return chunks.shift();
+    },
+    close: () => socket.destroy()
+  };
+}
+
+/**
+ * Read one SMTP reply, multiline replies included, and check its code.
+ */
+async function readReply(connection, state, expected) {
+  for (;;) {
+    const end = state.buffer.search(/^\d{3} .*\r\n/m);
+    if (end !== -1) {
+      const lineEnd = state.buffer.indexOf('\r\n', end) + 2;
+      const reply = state.buffer.slice(0, lineEnd);
+      state.buffer = state.buffer.slice(lineEnd);
+      const code = parseInt(reply.slice(end, end + 3), 10);
+      if (code !== expected) {
+        throw new Error(`SMTP error: ${reply.trim()}`);
+      }
+      return reply;
+    }
+
+    const chunk = await connection.read();
+    if (chunk == null) {
+      throw new Error('SMTP server closed the connection');
+    }
+    state.buffer += chunk;
+  }
+}
+
+// Header values outside ASCII are sent as RFC 2047 encoded words
+const encodeHeader = value => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${btoa(String.fromCharCode(...encoder.encode(value)))}?=`);
+
+/**
+ * Build a plain-text message, dot-stuffed and terminated for the DATA command.
+ */
+function buildMessage({ from, to, subject, text }) {
+  const domain = from.split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  const body = text
+    .replace(/\r\n?|\n/g, '\r\n')
+    .replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+/**
+ * Send one plain-text email. `server` is { host, port, username, password }.
+ * Fails before connecting when an address or header is unsafe, and with the
+ * server's reply when any step is refused.
+ */
+export async function sendSmtpMail(server, { from, to, subject, text }, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  checkSessionValues(server, { from, to, subject });
+
+  const connection = await openTlsConnection(server.host, server.port || 465);
+  const state = { buffer: '' };
+  const command = async (line, expected) => {
+    await connection.write(`${line}\r\n`);
+    return readReply(connection, state, expected);
+  };
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`SMTP timed out after ${timeoutMs} ms`)), timeoutMs);
+  });
+
+  const conversation = async () => {
+    await readReply(connection, state, 220);
+    await command(`EHLO ${from.split('@')[1] || 'localhost'}`, 250);
+    if (server.username) {
+      const credentials = String.fromCharCode(...encoder.encode(`\0${server.username}\0${server.password || ''}`));
+      await command(`AUTH PLAIN ${btoa(credentials)}`, 235);
+    }
+    await command(`MAIL FROM:<${from}>`, 250);
+    await command(`RCPT TO:<${to}>`, 250);
+    await command('DATA', 354);
+    await connection.write(buildMessage({ from, to, subject, text }));
+    await readReply(connection, state, 250);
+    await command('QUIT', 221).catch(() => {});
+  };
+
+  try {
+    await Promise.race([conversation(), timeout]);
+  } finally {
+    clearTimeout(timer);
+    connection.close();
+  }
+}
@@ -0,0 +1,121 @@
+// Stop-loss / take-profit computation for Edge Functions
+// Converts bot stop settings into exchange prices relative to the entry price
+
+// How stop values on a bot are interpreted:
+//   price    - absolute prices (distance for trailing stops)
+//   percent  - percent of the entry price
+//   distance - price distance from entry
+//   atr      - multiples of the `atr` value sent in the alert
+export const STOP_MODES = ['price', 'percent', 'distance', 'atr'];
+
+/**
+ * Round a price to the instrument's tick size.
+ */
+export function roundToTick(price, tickSize) {
+  const tick = parseFloat(tickSize);
+  const decimals = String(tickSize).includes('.')
+    ? String(tickSize).replace(/0+$/, '').split('.')[1].length
+    : 0;
+  return parseFloat((Math.round(price / tick) * tick).toFixed(decimals));
+}
+
+/**
+ * Whether the bot's stop settings need the entry price to be resolved.
+ */
+export function usesRelativeStops(bot) {
+  return (bot.stop_mode || 'price') !== 'price' &&
+    (bot.default_stop_loss > 0 || bot.default_take_profit > 0 ||
+      bot.trailing_stop > 0 || (bot.take_profit_levels || []).length > 0);
+}
+
+/**
+ * Convert a relative stop value into a price distance from entry.
+ * Returns null when the value is not set.
+ */
+export function stopDistance(value, { mode, entryPrice, atr }) {
+  const v = parseFloat(value);
+  if (!(v > 0)) return null;
+
+  switch (mode) {
+    case 'percent':
+      return entryPrice * v / 100;
+    case 'distance':
+    case 'price':
+      return v;
+    case 'atr': {
+      const atrValue = parseFloat(atr);
+      if (!(atrValue > 0)) {
+        throw new Error('ATR stop mode requires an `atr` value in the alert');
+      }
+      return atrValue * v;
+    }
+    default:
+      throw new Error(`Unsupported stop mode: ${mode}`);
+  }
+}
+
+/**
+ * Distance between entry and stop loss, used for risk-based sizing.
+ * Alert prices take precedence over the bot's defaults.
+ */
+export function resolveStopLossDistance({ bot, alertData, entryPrice }) {
+  const mode = bot.stop_mode || 'price';
+  const alertStop = parseFloat(alertData.stopLoss);
+
+  if (alertStop > 0) {
+    return Math.abs(entryPrice - alertStop);
+  }
+  if (mode === 'price') {
+    const stop = parseFloat(bot.default_stop_loss);
+    return stop > 0 ? Math.abs(entryPrice - stop) : null;
+  }
+  return stopDistance(bot.default_stop_loss, { mode, entryPrice, atr: alertData.atr });
+}
+
+/**
+ * Compute stop loss, take profit, take-profit levels and trailing stop prices
+ * for an entry order on `side` at `entryPrice`.
+ * Alert `stopLoss`/`takeProfit` prices take precedence over the bot's defaults.
+ * `entryPrice` may be null when the bot uses absolute prices.
+ */
+export function computeStops({ bot, alertData, side, entryPrice, tickSize }) {
+  const mode = bot.stop_mode || 'price';
+  const direction = side === 'Buy' ? 1 : -1;
+  const context = { mode, entryPrice, atr: alertData.atr };
+
+  const fromEntry = (value, sign) => {
+    if (mode === 'price') {
+      const price = parseFloat(value);
+      return price > 0 ? roundToTick(price, tickSize) : null;
+    }
+    const distance = stopDistance(value, context);
+    return distance == null
+      ? null
+      : roundToTick(entryPrice + sign * direction * distance, tickSize);
+  };
+
+  const alertStop = parseFloat(alertData.stopLoss);
+  const alertTarget = parseFloat(alertData.takeProfit);
+
+  const stopLoss = alertStop > 0 ? alertStop : fromEntry(bot.default_stop_loss, -1);
+
+  // Take-profit levels replace the single take profit unless the alert sets one
+  const takeProfitLevels = alertTarget > 0
+    ? []
+    : (bot.take_profit_levels || [])
+        .map(level => ({ price: fromEntry(level.value, 1), percent: parseFloat(level.percent) }))
+        .filter(level => level.price != null && level.percent > 0);
+
+  const takeProfit = alertTarget > 0
+    ? alertTarget
+    : takeProfitLevels.length > 0 ? null : fromEntry(bot.default_take_profit, 1);
+
+  const trailingDistance = stopDistance(bot.trailing_stop, context);
+  const trailingStop = trailingDistance == null ? null : roundToTick(trailingDistance, tickSize);
+
+  if (stopLoss != null && entryPrice && (stopLoss - entryPrice) * direction >= 0) {
+    throw new Error(`Stop loss ${stopLoss} is on the wrong side of entry ${entryPrice} for a ${side} order`);
+  }
+
+  return { stopLoss, takeProfit, takeProfitLevels, trailingStop };
+}
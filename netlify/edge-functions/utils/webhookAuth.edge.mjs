@@ -0,0 +1,244 @@
+// Webhook authentication for Edge Functions
+// Checks the optional per-webhook source-IP allowlist, passphrase and HMAC signature of inbound alerts
+
+import { decryptSecret } from './secrets.edge.mjs';
+
+// Addresses TradingView sends webhook alerts from
+// https://www.tradingview.com/support/solutions/43000529348
+export const TRADINGVIEW_IPS = ['52.89.214.238', '34.212.75.30', '54.218.53.128', '52.32.178.7'];
+
+// `token` relies on the URL alone; `passphrase` also requires a `passphrase` field in the
+// alert (TradingView cannot set headers); `hmac` requires signed requests
+export const WEBHOOK_AUTH_MODES = ['token', 'passphrase', 'hmac'];
+
+export const SIGNATURE_HEADER = 'x-signature';
+export const TIMESTAMP_HEADER = 'x-timestamp';
+
+// Signed requests older or further in the future than this are rejected
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+// Prefix of keyed passphrase hashes; hashes without it are unsalted SHA-256
+const PASSPHRASE_HASH_SCHEME = 'hmac-sha256';
+
+const encoder = new TextEncoder();
+
+const toHex = bytes => Array.from(new Uint8Array(bytes))
+  .map(b => b.toString(16).padStart(2, '0'))
+  .join('');
+
+/**
+ * Compare two strings without leaking where they differ through timing.
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Hex HMAC-SHA256 of `message` keyed with `secret`
+ */
+async function hmacHex(secret, message) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+/**
+ * Hash of a passphrase as stored in webhooks.passphrase_hash: `hmac-sha256$<salt>$<digest>`,
+ * the HMAC of a random salt and the passphrase keyed with the server's passphrase key
+ * (WEBHOOK_PASSPHRASE_KEY), so a leaked hash cannot be brute-forced without that key.
+ * `salt` is only passed to recompute a stored hash.
+ */
+export async function hashPassphrase(passphrase, passphraseKey, salt = toHex(crypto.getRandomValues(new Uint8Array(16)))) {
+  if (!passphraseKey) {
+    throw new Error('WEBHOOK_PASSPHRASE_KEY is not configured');
+  }
+  return `${PASSPHRASE_HASH_SCHEME}$${salt}$${await hmacHex(passphraseKey, `${salt}.${passphrase}`)}`;
+}
+
+/**
+ * Unsalted SHA-256 hex digest, the passphrase hash of webhooks configured before keyed hashes
+ */
+async function legacyPassphraseHash(passphrase) {
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(passphrase)));
+}
+
+/**
+ * Random secret for HMAC-signed webhooks, hex-encoded
+ */
+export function generateSigningSecret() {
+  return toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * HMAC-SHA256 signature of a request: hex of HMAC(secret, `${timestamp}.${body}`)
+ */
+export async function signWebhookBody(secret, timestamp, body) {
+  return hmacHex(secret, `${timestamp}.${body}`);
+}
+
+/**
+ * Hide the passphrase of a raw alert body before it is logged.
+ */
+export function redactPassphrase(rawBody) {
+  return rawBody.replace(/("passphrase"\s*:\s*)"(?:[^"\\]|\\.)*"/g, '$1"REDACTED"');
+}
+
+const parseIpv4 = ip => {
+  const parts = ip.split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => (value << 8) + Number(part), 0) >>> 0;
+};
+
+/**
+ * Whether a string is an IPv4 address, IPv4 CIDR range or IPv6 address allowlist entry.
+ */
+export function isValidIpEntry(entry) {
+  const [ip, bits] = entry.split('/');
+  if (ip.includes(':')) {
+    return bits === undefined && /^[0-9a-f:]+$/i.test(ip);
+  }
+  return parseIpv4(ip) !== null && (bits === undefined || (/^\d{1,2}$/.test(bits) && Number(bits) <= 32));
+}
+
+/**
+ * Whether `ip` matches an allowlist of addresses and IPv4 CIDR ranges.
+ */
+export function ipAllowed(ip, allowlist) {
+  const address = (ip || '').replace(/^::ffff:/i, '');
+  return allowlist.some(entry => {
+    const [range, bits] = entry.split('/');
+    if (bits === undefined) {
+      return range.toLowerCase() === address.toLowerCase();
+    }
+    const rangeValue = parseIpv4(range);
+    const addressValue = parseIpv4(address);
+    if (rangeValue === null || addressValue === null) return false;
+    const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+    return ((rangeValue & mask) >>> 0) === ((addressValue & mask) >>> 0);
+  });
+}
+
+/**
+ * Verify a signed request and record its signature so it cannot be replayed.
+ * Returns the reason the request is rejected, or null.
+ */
+async function verifySignature(supabase, { webhook, headers, rawBody, keyring, now }) {
+  const signature = (headers[SIGNATURE_HEADER] || '').replace(/^sha256=/, '').toLowerCase();
+  const timestampHeader = headers[TIMESTAMP_HEADER];
+
+  if (!signature || !timestampHeader) {
+    return `Missing ${SIGNATURE_HEADER} or ${TIMESTAMP_HEADER} header`;
+  }
+
+  // Unix seconds; milliseconds are accepted too
+  let timestamp = Number(timestampHeader);
+  if (!Number.isFinite(timestamp)) {
+    return `Invalid ${TIMESTAMP_HEADER} header`;
+  }
+  if (timestamp > 1e12) timestamp /= 1000;
+
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return `Signature timestamp is more than ${SIGNATURE_TOLERANCE_SECONDS} seconds old or in the future`;
+  }
+
+  if (!webhook.hmac_secret_encrypted || !keyring) {
+    return 'Webhook signing secret is not available';
+  }
+
+  const secret = await decryptSecret(webhook.hmac_secret_encrypted, keyring, webhook.id);
+  const expected = await signWebhookBody(secret, timestampHeader, rawBody);
+  if (!timingSafeEqual(signature, expected)) {
+    return 'Invalid signature';
+  }
+
+  // A signature is only accepted once within the tolerance window
+  const { error } = await supabase
+    .from('webhook_signatures')
+    .insert({ webhook_id: webhook.id, signature });
+
+  if (error?.code === UNIQUE_VIOLATION) {
+    return 'Signature was already used';
+  }
+  if (error) {
+    throw new Error(`Signature record failed: ${error.message}`);
+  }
+
+  await supabase
+    .from('webhook_signatures')
+    .delete()
+    .eq('webhook_id', webhook.id)
+    .lt('created_at', new Date(now - 2 * SIGNATURE_TOLERANCE_SECONDS * 1000).toISOString());
+
+  return null;
+}
+
+/**
+ * Check the parts of a webhook's authentication that don't need the parsed
+ * payload: the source-IP allowlist and, in `hmac` mode, the signature.
+ * Returns the reason the request is rejected, or null.
+ */
+export async function verifyWebhookRequest(supabase, { webhook, headers, rawBody, clientIp, keyring, now = Date.now() }) {
+  if (webhook.allowed_ips?.length > 0 && !ipAllowed(clientIp, webhook.allowed_ips)) {
+    return `Source IP ${clientIp || 'unknown'} is not allowed`;
+  }
+
+  if (webhook.auth_mode === 'hmac') {
+    return verifySignature(supabase, { webhook, headers, rawBody, keyring, now });
+  }
+
+  return null;
+}
+
+/**
+ * Check the `passphrase` field of an alert in `passphrase` mode.
+ * A passphrase matching an unsalted hash from before keyed hashes is accepted and
+ * its hash replaced with a keyed one.
+ * Returns the reason the alert is rejected, or null.
+ */
+export async function verifyPassphrase(supabase, { webhook, alertData, passphraseKey }) {
+  if (webhook.auth_mode !== 'passphrase') {
+    return null;
+  }
+  if (typeof alertData?.passphrase !== 'string' || !webhook.passphrase_hash) {
+    return 'Missing passphrase';
+  }
+
+  const stored = webhook.passphrase_hash;
+  if (stored.startsWith(`${PASSPHRASE_HASH_SCHEME}$`)) {
+    if (!passphraseKey) {
+      return 'Webhook passphrase key is not configured';
+    }
+    const salt = stored.split('$')[1];
+    const hash = await hashPassphrase(alertData.passphrase, passphraseKey, salt);
+    return timingSafeEqual(hash, stored) ? null : 'Invalid passphrase';
+  }
+
+  if (!timingSafeEqual(await legacyPassphraseHash(alertData.passphrase), stored)) {
+    return 'Invalid passphrase';
+  }
+  if (passphraseKey) {
+    const { error } = await supabase
+      .from('webhooks')
+      .update({ passphrase_hash: await hashPassphrase(alertData.passphrase, passphraseKey) })
+      .eq('id', webhook.id);
+    if (error) {
+      console.error("Error upgrading passphrase hash:", error);
+    }
+  }
+  return null;
+}
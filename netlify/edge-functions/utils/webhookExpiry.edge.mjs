@@ -0,0 +1,93 @@
+// Webhook expiry tracking for the checkWebhookExpiry scheduled function
+// Owners are warned before a webhook expires, unless its bot renews its webhooks automatically
+
+// Webhooks expiring within this many days are warned about or renewed
+export const EXPIRY_WARNING_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Time left until `expiresAt`, e.g. "2 days 5 hours" or "40 minutes".
+ */
+function formatTimeLeft(expiresAt, now = Date.now()) {
+  const minutes = Math.max(0, Math.round((Date.parse(expiresAt) - now) / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const plural = (value, unit) => `${value} ${unit}${value === 1 ? '' : 's'}`;
+
+  if (days > 0) return `${plural(days, 'day')}${hours ? ` ${plural(hours, 'hour')}` : ''}`;
+  if (hours > 0) return plural(hours, 'hour');
+  return plural(minutes % 60, 'minute');
+}
+
+/**
+ * Renew or warn about every live webhook expiring within EXPIRY_WARNING_DAYS.
+ * Webhooks of active bots with `webhook_auto_renew_days` are extended to that many
+ * days from now; the others are reported once through `notify(userId, notification)`.
+ * Rotated webhooks in their grace period are left to expire.
+ * Returns { checked, renewed, warned } counts.
+ */
+export async function checkWebhookExpiry(supabase, { notify = null, now = Date.now() } = {}) {
+  const { data: webhooks, error } = await supabase
+    .from('webhooks')
+    .select('id, user_id, label, expires_at, expiry_warned_at, bots(id, name, status, webhook_auto_renew_days)')
+    .is('revoked_at', null)
+    .is('replaced_by', null)
+    .gt('expires_at', new Date(now).toISOString())
+    .lte('expires_at', new Date(now + EXPIRY_WARNING_DAYS * DAY_MS).toISOString());
+
+  if (error) {
+    throw new Error(`Webhook lookup failed: ${error.message}`);
+  }
+
+  const summary = { checked: 0, renewed: 0, warned: 0 };
+
+  for (const webhook of webhooks) {
+    summary.checked++;
+    const bot = webhook.bots;
+    const name = webhook.label ? `webhook "${webhook.label}"` : 'webhook';
+
+    if (bot?.status === 'active' && bot.webhook_auto_renew_days > 0) {
+      const expiresAt = new Date(now + bot.webhook_auto_renew_days * DAY_MS).toISOString();
+      const { error: renewError } = await supabase
+        .from('webhooks')
+        .update({ expires_at: expiresAt, expiry_warned_at: null })
+        .eq('id', webhook.id);
+
+      if (renewError) {
+        console.error(`Error renewing webhook ${webhook.id}:`, renewError);
+        continue;
+      }
+      console.log(`Webhook ${webhook.id} of bot ${bot.id} renewed until ${expiresAt}`);
+      summary.renewed++;
+      continue;
+    }
+
+    if (webhook.expiry_warned_at) {
+      continue;
+    }
+
+    if (notify) {
+      await notify(webhook.user_id, {
+        event: 'webhook_expiry',
+        title: `Webhook expires in ${formatTimeLeft(webhook.expires_at, now)}`,
+        message: `The ${name} stops accepting alerts at ${webhook.expires_at}. ` +
+          'Extend it in the bot configuration, or turn on auto-renewal.',
+        fields: { Bot: bot?.name }
+      });
+    }
+
+    const { error: warnError } = await supabase
+      .from('webhooks')
+      .update({ expiry_warned_at: new Date(now).toISOString() })
+      .eq('id', webhook.id);
+
+    if (warnError) {
+      console.error(`Error recording expiry warning of webhook ${webhook.id}:`, warnError);
+    } else {
+      summary.warned++;
+    }
+  }
+
+  return summary;
+}
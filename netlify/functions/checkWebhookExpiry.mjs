@@ -0,0 +1,39 @@
+// Scheduled Netlify Function warning about webhooks nearing expiry and renewing them for bots that opt in
+import { createClient } from '@supabase/supabase-js';
+import { checkWebhookExpiry } from '../edge-functions/utils/webhookExpiry.edge.mjs';
+import { createNotifier } from '../edge-functions/utils/notifications.edge.mjs';
+
+export const handler = async () => {
+  console.log("checkWebhookExpiry function started");
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error("Missing Supabase environment variables");
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: "Server configuration error" })
+    };
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+  try {
+    const summary = await checkWebhookExpiry(supabase, {
+      notify: createNotifier(supabase, name => process.env[name])
+    });
+
+    console.log("checkWebhookExpiry completed:", JSON.stringify(summary));
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary)
+    };
+  } catch (error) {
+    console.error("Error checking webhook expiry:", error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
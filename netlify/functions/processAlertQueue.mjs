@@ -0,0 +1,49 @@
+// Scheduled Netlify Function executing queued alerts that are due, retries included,
+// and moving alerts left executing by a stopped worker to the dead letters
+import { createClient } from '@supabase/supabase-js';
+import { drainAlertQueue, recoverStaleAlerts } from '../edge-functions/utils/alertQueue.edge.mjs';
+import { createNotifier } from '../edge-functions/utils/notifications.edge.mjs';
+
+// Scheduled functions are stopped after 30 seconds, so alerts are only claimed while an
+// alert started last still has time to finish
+const RUN_BUDGET_MS = 15000;
+
+export const handler = async () => {
+  console.log("processAlertQueue function started");
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error("Missing Supabase environment variables");
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: "Server configuration error" })
+    };
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+  const getEnv = name => process.env[name];
+  const notifier = createNotifier(supabase, getEnv);
+
+  try {
+    const stale = await recoverStaleAlerts(supabase, { notifier });
+    const summary = await drainAlertQueue(supabase, {
+      getEnv,
+      notifier,
+      deadline: Date.now() + RUN_BUDGET_MS
+    });
+
+    console.log("processAlertQueue completed:", JSON.stringify({ ...summary, stale }));
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ ...summary, stale })
+    };
+  } catch (error) {
+    console.error("Error processing the alert queue:", error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
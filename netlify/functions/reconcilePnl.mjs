@@ -0,0 +1,53 @@
+// Scheduled Netlify Function reconciling live bots' trades with Bybit fills and closed PnL
+import { createClient } from '@supabase/supabase-js';
+import { forEachLiveAccount } from '../edge-functions/utils/liveAccounts.edge.mjs';
+import { loadKeyring } from '../edge-functions/utils/secrets.edge.mjs';
+import { reconcileAccountPnl } from '../edge-functions/utils/pnlReconciliation.edge.mjs';
+
+export const handler = async () => {
+  console.log("reconcilePnl function started");
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error("Missing Supabase environment variables");
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: "Server configuration error" })
+    };
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+  try {
+    const keyring = await loadKeyring(name => process.env[name]);
+
+    // Paper bots keep their PnL up to date on every alert; fills and closed PnL
+    // are only read from Bybit so far
+    const { accounts, failed, results } = await forEachLiveAccount(
+      supabase,
+      { columns: 'symbol, market_type, pnl_reconciled_at', keyring, exchanges: ['bybit'] },
+      (apiKey, bots) => reconcileAccountPnl(supabase, { apiKey, bots })
+    );
+
+    const summary = {
+      accounts,
+      failed,
+      bots: results.reduce((sum, result) => sum + result.bots, 0),
+      trades: results.reduce((sum, result) => sum + result.trades, 0)
+    };
+
+    console.log("reconcilePnl completed:", JSON.stringify(summary));
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary)
+    };
+  } catch (error) {
+    console.error("Error reconciling PnL:", error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,36 @@
+// Scheduled Netlify Function reloading the instrument cache from every supported exchange
+import { createClient } from '@supabase/supabase-js';
+import { refreshInstruments } from '../edge-functions/utils/instruments.edge.mjs';
+
+export const handler = async () => {
+  console.log("refreshInstruments function started");
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error("Missing Supabase environment variables");
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: "Server configuration error" })
+    };
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+  try {
+    const summary = await refreshInstruments(supabase);
+
+    console.log("refreshInstruments completed:", JSON.stringify(summary));
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary)
+    };
+  } catch (error) {
+    console.error("Error refreshing instruments:", error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
@@ -0,0 +1,54 @@
+// Scheduled Netlify Function tracking the lifecycle of live bots' orders on their exchange
+import { createClient } from '@supabase/supabase-js';
+import { forEachLiveAccount } from '../edge-functions/utils/liveAccounts.edge.mjs';
+import { loadKeyring } from '../edge-functions/utils/secrets.edge.mjs';
+import { syncAccountOrders } from '../edge-functions/utils/orderStatus.edge.mjs';
+import { createNotifier } from '../edge-functions/utils/notifications.edge.mjs';
+
+export const handler = async () => {
+  console.log("syncOrderStatus function started");
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!supabaseUrl || !supabaseServiceKey) {
+    console.error("Missing Supabase environment variables");
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: "Server configuration error" })
+    };
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+  try {
+    const keyring = await loadKeyring(name => process.env[name]);
+    const notify = createNotifier(supabase, name => process.env[name]);
+
+    // Paper orders are settled and expired by the paper engine on every alert
+    const { accounts, failed, results } = await forEachLiveAccount(
+      supabase,
+      { columns: 'name, limit_order_expiry_minutes, market_type', keyring },
+      (apiKey, bots) => syncAccountOrders(supabase, { apiKey, bots, notify })
+    );
+
+    const summary = { accounts, failed, checked: 0, updated: 0, expired: 0 };
+    for (const result of results) {
+      summary.checked += result.checked;
+      summary.updated += result.updated;
+      summary.expired += result.expired;
+    }
+
+    console.log("syncOrderStatus completed:", JSON.stringify(summary));
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary)
+    };
+  } catch (error) {
+    console.error("Error syncing order status:", error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
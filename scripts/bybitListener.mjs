@@ -0,0 +1,144 @@
+// Long-running listener for the private WebSocket streams of Bybit exchange accounts
+//
+// Keeps one stream open per Bybit account with live bots, records order, execution,
+// position and wallet events in `exchange_events` and updates trade status and bot
+// profit/loss as they arrive, instead of waiting for the scheduled sync and reconciliation.
+//
+// Run `npm run bybit-listener` with SUPABASE_URL, SUPABASE_SERVICE_KEY and the
+// API_KEY_ENCRYPTION_* variables (plus SMTP_* for email notifications). BYBIT_STREAM_URL
+// connects every stream to another endpoint instead, such as a local mock server.
+import { createClient } from '@supabase/supabase-js';
+import { loadKeyring } from '../netlify/edge-functions/utils/secrets.edge.mjs';
+import { forEachLiveAccount, accountCredentials } from '../netlify/edge-functions/utils/liveAccounts.edge.mjs';
+import { createNotifier } from '../netlify/edge-functions/utils/notifications.edge.mjs';
+import { createBybitPrivateStream } from '../netlify/edge-functions/utils/bybitPrivateStream.edge.mjs';
+import { createAccountStreamHandler } from '../netlify/edge-functions/utils/accountStream.edge.mjs';
+
+// Accounts are looked up again this often, to follow bots being started, stopped or moved
+const ACCOUNT_RELOAD_INTERVAL_MS = 5 * 60 * 1000;
+// Order and fill events that arrived before their trade was saved are tried again this often
+const PENDING_EVENTS_INTERVAL_MS = 15000;
+
+const getEnv = name => process.env[name];
+const supabaseUrl = getEnv('SUPABASE_URL');
+const supabaseServiceKey = getEnv('SUPABASE_SERVICE_KEY');
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error("Missing SUPABASE_URL or SUPABASE_SERVICE_KEY");
+  process.exit(1);
+}
+
+const keyring = await loadKeyring(getEnv);
+// Node 20 has no global WebSocket
+const WebSocket = globalThis.WebSocket ?? (await import('ws')).default;
+const streamUrl = getEnv('BYBIT_STREAM_URL') || undefined;
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+const notify = createNotifier(supabase, getEnv);
+
+// Open streams by exchange account id, with the account's bots as last loaded
+const listeners = new Map();
+let reloadTimer = null;
+let pendingTimer = null;
+let shuttingDown = false;
+
+const sameCredentials = (a, b) =>
+  a.api_key === b.api_key && a.api_secret === b.api_secret && a.environment === b.environment;
+
+function openStream(apiKey, bots) {
+  const listener = { apiKey, bots };
+  listener.handler = createAccountStreamHandler(supabase, { apiKey, getBots: () => listener.bots, notify });
+  listener.stream = createBybitPrivateStream({
+    ...accountCredentials(apiKey),
+    url: streamUrl,
+    WebSocket,
+    onEvent: listener.handler.handleEvent,
+    onStatus: (status, detail) => {
+      console.log(`Exchange account ${apiKey.id} stream ${status}${detail ? `: ${detail}` : ''}`);
+    }
+  });
+  listeners.set(apiKey.id, listener);
+  listener.stream.start();
+}
+
+/**
+ * Open streams for new accounts, reopen those whose credentials changed and close
+ * those left without live bots. Streams are only closed after a reload that loaded
+ * every account, so a failed lookup never takes an account offline.
+ */
+async function reloadAccounts() {
+  const loaded = new Set();
+
+  const summary = await forEachLiveAccount(supabase, { columns: 'name, market_type', keyring, exchanges: ['bybit'] }, async (apiKey, bots) => {
+    loaded.add(apiKey.id);
+    const listener = listeners.get(apiKey.id);
+
+    if (listener && sameCredentials(listener.apiKey, apiKey)) {
+      listener.bots = bots;
+      return;
+    }
+    if (listener) {
+      console.log(`Exchange account ${apiKey.id} credentials changed, reconnecting`);
+      await listener.stream.stop();
+    }
+    openStream(apiKey, bots);
+  });
+
+  if (summary.failed === 0) {
+    for (const [accountId, listener] of listeners) {
+      if (!loaded.has(accountId)) {
+        console.log(`Exchange account ${accountId} has no live bots left, closing its stream`);
+        listeners.delete(accountId);
+        await listener.stream.stop();
+      }
+    }
+  }
+
+  console.log(`Listening to ${listeners.size} Bybit account(s)`);
+}
+
+function scheduleReload() {
+  reloadTimer = setTimeout(async () => {
+    try {
+      await reloadAccounts();
+    } catch (error) {
+      console.error("Error reloading exchange accounts:", error);
+    }
+    if (!shuttingDown) scheduleReload();
+  }, ACCOUNT_RELOAD_INTERVAL_MS);
+}
+
+function schedulePendingEvents() {
+  pendingTimer = setTimeout(async () => {
+    for (const listener of listeners.values()) {
+      try {
+        await listener.handler.applyPendingEvents();
+      } catch (error) {
+        console.error(`Error applying pending events of exchange account ${listener.apiKey.id}:`, error);
+      }
+    }
+    if (!shuttingDown) schedulePendingEvents();
+  }, PENDING_EVENTS_INTERVAL_MS);
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, closing ${listeners.size} stream(s)`);
+  clearTimeout(reloadTimer);
+  clearTimeout(pendingTimer);
+  await Promise.all([...listeners.values()].map(listener => listener.stream.stop()));
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+try {
+  await reloadAccounts();
+} catch (error) {
+  console.error("Error loading exchange accounts:", error);
+  process.exit(1);
+}
+scheduleReload();
+schedulePendingEvents();
@@ -0,0 +1,80 @@
+// Re-encrypts every stored exchange API secret under the current encryption key
+//
+// Rotation:
+//   1. Move the old key into API_KEY_PREVIOUS_KEYS as `oldId:oldKey`
+//   2. Set API_KEY_ENCRYPTION_KEY / API_KEY_ENCRYPTION_KEY_ID to the new key
+//   3. Run `npm run rotate-api-keys` with the same environment (plus SUPABASE_URL and SUPABASE_SERVICE_KEY)
+//   4. Once it reports no failures, drop the old key from API_KEY_PREVIOUS_KEYS
+//
+// Secrets still stored in plaintext are encrypted on the way.
+import { createClient } from '@supabase/supabase-js';
+import {
+  loadKeyring,
+  encryptSecret,
+  rewrapSecret,
+  secretHint
+} from '../netlify/edge-functions/utils/secrets.edge.mjs';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error("Missing SUPABASE_URL or SUPABASE_SERVICE_KEY");
+  process.exit(1);
+}
+
+const keyring = await loadKeyring(name => process.env[name]);
+if (!keyring) {
+  console.error("Missing API_KEY_ENCRYPTION_KEY");
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const { data: rows, error } = await supabase
+  .from('api_keys')
+  .select('id, user_id, api_secret, api_secret_encrypted');
+
+if (error) {
+  console.error("API key lookup failed:", error.message);
+  process.exit(1);
+}
+
+const summary = { total: rows.length, rewrapped: 0, encrypted: 0, unchanged: 0, failed: 0 };
+
+for (const row of rows) {
+  try {
+    let update;
+    if (row.api_secret_encrypted) {
+      const envelope = await rewrapSecret(row.api_secret_encrypted, keyring, row.user_id);
+      if (envelope === row.api_secret_encrypted) {
+        summary.unchanged++;
+        continue;
+      }
+      update = { api_secret_encrypted: envelope };
+      summary.rewrapped++;
+    } else {
+      update = {
+        api_secret: null,
+        api_secret_encrypted: await encryptSecret(row.api_secret, keyring, row.user_id),
+        api_secret_last4: secretHint(row.api_secret)
+      };
+      summary.encrypted++;
+    }
+
+    const { error: updateError } = await supabase
+      .from('api_keys')
+      .update(update)
+      .eq('id', row.id);
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+  } catch (rowError) {
+    console.error(`Error re-encrypting API key ${row.id}:`, rowError.message);
+    summary.failed++;
+  }
+}
+
+console.log(`API keys re-encrypted with ${keyring.currentId}:`, JSON.stringify(summary));
+process.exit(summary.failed > 0 ? 1 : 0);
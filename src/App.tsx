@@ -10,6 +10,7 @@ import DashboardLayout from './layouts/DashboardLayout';
 import Dashboard from './pages/Dashboard';
 import BotConfiguration from './pages/BotConfiguration';
 import TradeHistory from './pages/TradeHistory';
+import AlertLog from './pages/AlertLog';
 import AccountSettings from './pages/AccountSettings';
 import Documentation from './pages/Documentation';
 import Login from './pages/Login';
@@ -45,6 +46,7 @@ function App() {
               <Route path="bots/new" element={<BotConfiguration isNew />} />
               <Route path="bots/:id" element={<BotConfiguration />} />
               <Route path="trades" element={<TradeHistory />} />
+              <Route path="alerts" element={<AlertLog />} />
               <Route path="settings" element={<AccountSettings />} />
               <Route path="docs" element={<Documentation />} />
             </Route>
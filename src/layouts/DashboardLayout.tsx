@@ -1,12 +1,90 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Outlet, Link, useLocation, useNavigate } from 'react-router-dom';
-import { Bot, LineChart, History, Settings, FileText, LogOut, BarChart3 } from 'lucide-react';
+import { Bot, LineChart, History, Settings, FileText, LogOut, BarChart3, Bell, XOctagon, RefreshCw, AlertTriangle } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { useSupabase } from '../contexts/SupabaseContext';
+
+type KillSwitchEvent = {
+  id: string;
+  action: 'engage' | 'release';
+  flatten: boolean;
+  paused_bots: { id: string; name: string }[];
+  cancelled_orders: unknown[];
+  cancelled_paper_orders: number;
+  closed_positions: { symbol: string; side: string; size: number }[];
+  errors: { step: string; symbol?: string; error: string }[];
+  created_at: string;
+};
 
 const DashboardLayout: React.FC = () => {
-  const { signOut } = useAuth();
+  const { signOut, user } = useAuth();
+  const { supabase } = useSupabase();
   const location = useLocation();
   const navigate = useNavigate();
+  const [haltedAt, setHaltedAt] = useState<string | null>(null);
+  const [showKillSwitch, setShowKillSwitch] = useState(false);
+  const [flatten, setFlatten] = useState(false);
+  const [killSwitchBusy, setKillSwitchBusy] = useState(false);
+  const [killSwitchError, setKillSwitchError] = useState<string | null>(null);
+  const [lastEvent, setLastEvent] = useState<KillSwitchEvent | null>(null);
+
+  // Whether the account kill switch is engaged, and what it last did
+  useEffect(() => {
+    const fetchKillSwitch = async () => {
+      if (!user) return;
+      
+      const [userResult, eventResult] = await Promise.all([
+        supabase.from('users').select('trading_halted_at').eq('id', user.id).maybeSingle(),
+        supabase
+          .from('kill_switch_events')
+          .select('*')
+          .eq('user_id', user.id)
+          .eq('action', 'engage')
+          .order('created_at', { ascending: false })
+          .limit(1)
+          .maybeSingle()
+      ]);
+      
+      setHaltedAt(userResult.data?.trading_halted_at || null);
+      setLastEvent(eventResult.data || null);
+    };
+    
+    fetchKillSwitch();
+  }, [user, supabase]);
+
+  // The kill switch runs server-side so it can reach the exchange and record an audit entry
+  const runKillSwitch = async (action: 'engage' | 'release') => {
+    setKillSwitchBusy(true);
+    setKillSwitchError(null);
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) throw new Error('Your session has expired, please sign in again');
+      
+      const response = await fetch('/.netlify/functions/killSwitch', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({ action, flatten })
+      });
+      
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Kill switch request failed');
+      
+      if (action === 'engage') {
+        setHaltedAt(result.event.created_at);
+        setLastEvent(result.event);
+        setShowKillSwitch(false);
+      } else {
+        setHaltedAt(null);
+      }
+    } catch (error) {
+      setKillSwitchError(error instanceof Error ? error.message : 'Kill switch request failed');
+    } finally {
+      setKillSwitchBusy(false);
+    }
+  };
 
   const handleSignOut = async () => {
     await signOut();
@@ -17,6 +95,7 @@ const DashboardLayout: React.FC = () => {
     { path: '/', label: 'Dashboard', icon: <BarChart3 size={20} /> },
     { path: '/bots', label: 'Bots', icon: <Bot size={20} /> },
     { path: '/trades', label: 'Trade History', icon: <History size={20} /> },
+    { path: '/alerts', label: 'Alert Log', icon: <Bell size={20} /> },
     { path: '/settings', label: 'Settings', icon: <Settings size={20} /> },
     { path: '/docs', label: 'Documentation', icon: <FileText size={20} /> },
   ];
@@ -47,6 +126,51 @@ const DashboardLayout: React.FC = () => {
               </li>
             ))}
           </ul>
+          <div className="px-6 pt-4">
+            {!haltedAt && !showKillSwitch && (
+              <button
+                onClick={() => setShowKillSwitch(true)}
+                className="w-full flex items-center justify-center px-3 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors"
+              >
+                <XOctagon size={18} className="mr-2" />
+                Kill Switch
+              </button>
+            )}
+            {!haltedAt && showKillSwitch && (
+              <div className="p-3 border border-red-200 bg-red-50 rounded-md">
+                <p className="text-sm text-red-800 mb-2">
+                  Pause every bot, reject all alerts and cancel all open orders?
+                </p>
+                <label className="flex items-center text-sm text-red-800 mb-3">
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 mr-2"
+                    checked={flatten}
+                    onChange={(e) => setFlatten(e.target.checked)}
+                  />
+                  Also close all positions at market
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => runKillSwitch('engage')}
+                    disabled={killSwitchBusy}
+                    className="flex-1 flex items-center justify-center px-3 py-1.5 bg-red-600 text-white text-sm rounded-md hover:bg-red-700 disabled:opacity-50"
+                  >
+                    {killSwitchBusy && <RefreshCw size={14} className="mr-1 animate-spin" />}
+                    Stop Everything
+                  </button>
+                  <button
+                    onClick={() => setShowKillSwitch(false)}
+                    disabled={killSwitchBusy}
+                    className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+            {killSwitchError && !haltedAt && <p className="mt-2 text-xs text-red-600">{killSwitchError}</p>}
+          </div>
           <div className="px-6 py-4 mt-auto">
             <button
               onClick={handleSignOut}
@@ -62,6 +186,37 @@ const DashboardLayout: React.FC = () => {
       {/* Main content */}
       <main className="flex-1 overflow-auto">
         <div className="p-8">
+          {haltedAt && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-md flex items-start">
+              <AlertTriangle size={20} className="text-red-500 mr-3 mt-0.5" />
+              <div className="flex-1">
+                <h3 className="font-medium text-red-800">
+                  Trading halted by the kill switch since {new Date(haltedAt).toLocaleString()}
+                </h3>
+                {lastEvent && (
+                  <p className="text-sm text-red-700 mt-1">
+                    {lastEvent.paused_bots.length} bots paused, {lastEvent.cancelled_orders.length + lastEvent.cancelled_paper_orders} open orders cancelled
+                    {lastEvent.flatten && `, ${lastEvent.closed_positions.length} positions closed`}.
+                    {lastEvent.errors.length > 0 && (
+                      <> Some steps failed: {lastEvent.errors.map(e => `${e.step}${e.symbol ? ` ${e.symbol}` : ''}: ${e.error}`).join('; ')}.</>
+                    )}
+                  </p>
+                )}
+                <p className="text-sm text-red-700 mt-1">
+                  All alerts are rejected until trading is resumed. Bots stay paused and need to be activated again one by one.
+                </p>
+                {killSwitchError && <p className="mt-1 text-sm text-red-600">{killSwitchError}</p>}
+              </div>
+              <button
+                onClick={() => runKillSwitch('release')}
+                disabled={killSwitchBusy}
+                className="ml-4 flex items-center px-3 py-1.5 bg-white border border-red-300 text-red-700 text-sm rounded-md hover:bg-red-100 disabled:opacity-50"
+              >
+                {killSwitchBusy && <RefreshCw size={14} className="mr-1 animate-spin" />}
+                Resume Trading
+              </button>
+            </div>
+          )}
           <Outlet />
         </div>
       </main>
@@ -1,20 +1,127 @@
 import React, { useState, useEffect } from 'react';
 import { useForm } from 'react-hook-form';
-import { RefreshCw, Key, Shield, AlertTriangle, CheckCircle, XCircle } from 'lucide-react';
+import { RefreshCw, Key, Shield, AlertTriangle, CheckCircle, XCircle, Trash2, Bell, Send } from 'lucide-react';
 import { useSupabase } from '../contexts/SupabaseContext';
 import { useAuth } from '../contexts/AuthContext';
 
-type ApiKeyFormData = {
+type ExchangeEnvironment = 'mainnet' | 'testnet';
+
+type ExchangeName = 'bybit' | 'binance';
+
+type ExchangeAccountFormData = {
+  label: string;
+  exchange: ExchangeName;
+  environment: ExchangeEnvironment;
   api_key: string;
   api_secret: string;
 };
 
+type ExchangeAccount = {
+  id: string;
+  label: string;
+  exchange: ExchangeName;
+  environment: ExchangeEnvironment;
+  api_key: string;
+  api_secret_last4: string | null;
+  updated_at: string | null;
+};
+
+type NotificationChannelType = 'telegram' | 'discord' | 'slack' | 'webhook' | 'email';
+
+type NotificationEvent = 'fill' | 'error' | 'rejection' | 'webhook_expiry';
+
+type NotificationChannelConfig = {
+  bot_token?: string;
+  chat_id?: string;
+  url?: string;
+  email?: string;
+};
+
+type NotificationChannel = {
+  id: string;
+  name: string;
+  type: NotificationChannelType;
+  config: NotificationChannelConfig;
+  events: NotificationEvent[];
+  enabled: boolean;
+  last_sent_at: string | null;
+  last_error: string | null;
+  last_error_at: string | null;
+};
+
+type NotificationChannelFormData = {
+  name: string;
+  type: NotificationChannelType;
+  bot_token: string;
+  chat_id: string;
+  url: string;
+  email: string;
+  events: NotificationEvent[];
+  enabled: boolean;
+};
+
 type PasswordFormData = {
   current_password: string;
   new_password: string;
   confirm_password: string;
 };
 
+// Only the ends of a saved API key are shown
+const maskApiKey = (apiKey: string) =>
+  apiKey.length > 8 ? `${apiKey.slice(0, 4)}••••${apiKey.slice(-4)}` : '••••';
+
+// Exchanges an account can be opened on, as named in the UI
+const EXCHANGE_NAMES: Record<ExchangeName, string> = {
+  bybit: 'Bybit',
+  binance: 'Binance USDT-M Futures'
+};
+
+const CHANNEL_TYPE_NAMES: Record<NotificationChannelType, string> = {
+  telegram: 'Telegram',
+  discord: 'Discord',
+  slack: 'Slack',
+  webhook: 'Webhook',
+  email: 'Email'
+};
+
+const NOTIFICATION_EVENT_NAMES: Record<NotificationEvent, string> = {
+  fill: 'Order fills',
+  error: 'Exchange and processing errors',
+  rejection: 'Rejected alerts (guard rails, paused bots)',
+  webhook_expiry: 'Webhook expiry'
+};
+
+const emptyChannelForm: NotificationChannelFormData = {
+  name: '',
+  type: 'telegram',
+  bot_token: '',
+  chat_id: '',
+  url: '',
+  email: '',
+  events: ['fill', 'error', 'rejection', 'webhook_expiry'],
+  enabled: true
+};
+
+// Only the fields of the channel's type are stored
+const toChannelConfig = (data: NotificationChannelFormData): NotificationChannelConfig => {
+  switch (data.type) {
+    case 'telegram':
+      return { bot_token: data.bot_token.trim(), chat_id: data.chat_id.trim() };
+    case 'email':
+      return { email: data.email.trim() };
+    default:
+      return { url: data.url.trim() };
+  }
+};
+
+const emptyAccountForm: ExchangeAccountFormData = {
+  label: '',
+  exchange: 'bybit',
+  environment: 'mainnet',
+  api_key: '',
+  api_secret: ''
+};
+
 const AccountSettings: React.FC = () => {
   const { supabase } = useSupabase();
   const { user } = useAuth();
@@ -22,14 +129,20 @@ const AccountSettings: React.FC = () => {
   const [savingKeys, setSavingKeys] = useState(false);
   const [savingPassword, setSavingPassword] = useState(false);
   const [apiKeySuccess, setApiKeySuccess] = useState(false);
+  const [apiKeyError, setApiKeyError] = useState<string | null>(null);
+  const [accounts, setAccounts] = useState<ExchangeAccount[]>([]);
+  const [editingAccountId, setEditingAccountId] = useState<string | null>(null);
   const [passwordSuccess, setPasswordSuccess] = useState(false);
   const [passwordError, setPasswordError] = useState<string | null>(null);
+  const [channels, setChannels] = useState<NotificationChannel[]>([]);
+  const [editingChannelId, setEditingChannelId] = useState<string | null>(null);
+  const [savingChannel, setSavingChannel] = useState(false);
+  const [channelError, setChannelError] = useState<string | null>(null);
+  const [testingChannelId, setTestingChannelId] = useState<string | null>(null);
+  const [testResults, setTestResults] = useState<Record<string, { success: boolean; message: string }>>({});
   
-  const apiKeyForm = useForm<ApiKeyFormData>({
-    defaultValues: {
-      api_key: '',
-      api_secret: ''
-    }
+  const apiKeyForm = useForm<ExchangeAccountFormData>({
+    defaultValues: emptyAccountForm
   });
   
   const passwordForm = useForm<PasswordFormData>({
@@ -40,92 +153,264 @@ const AccountSettings: React.FC = () => {
     }
   });
   
-  const { register: registerApiKey, handleSubmit: handleSubmitApiKey, setValue: setApiKeyValue } = apiKeyForm;
+  const { register: registerApiKey, handleSubmit: handleSubmitApiKey, reset: resetApiKey, watch: watchApiKey, formState: { errors: apiKeyErrors } } = apiKeyForm;
+  const selectedExchange = EXCHANGE_NAMES[watchApiKey('exchange')];
   const { register: registerPassword, handleSubmit: handleSubmitPassword, reset: resetPassword, formState: { errors: passwordErrors } } = passwordForm;
 
-  // Fetch API keys if they exist
+  const channelForm = useForm<NotificationChannelFormData>({
+    defaultValues: emptyChannelForm
+  });
+  const { register: registerChannel, handleSubmit: handleSubmitChannel, reset: resetChannel, watch: watchChannel, formState: { errors: channelErrors } } = channelForm;
+  const selectedChannelType = watchChannel('type');
+
+  // Fetch exchange accounts
   useEffect(() => {
-    const fetchApiKeys = async () => {
+    const fetchAccounts = async () => {
       if (!user) return;
       
       setLoading(true);
       try {
+        // The secret itself is not readable; only its last characters are shown
         const { data, error } = await supabase
           .from('api_keys')
-          .select('*')
+          .select('id, label, exchange, environment, api_key, api_secret_last4, updated_at')
           .eq('user_id', user.id)
-          .eq('exchange', 'bybit')
-          .single();
+          .order('created_at', { ascending: true });
           
-        if (error && error.code !== 'PGRST116') throw error; // PGRST116 is "not found"
+        if (error) throw error;
         
-        if (data) {
-          setApiKeyValue('api_key', data.api_key || '');
-          setApiKeyValue('api_secret', data.api_secret || '');
-        }
+        setAccounts(data || []);
+
+        const { data: channelData, error: channelsError } = await supabase
+          .from('notification_channels')
+          .select('id, name, type, config, events, enabled, last_sent_at, last_error, last_error_at')
+          .eq('user_id', user.id)
+          .order('created_at', { ascending: true });
+
+        if (channelsError) throw channelsError;
+
+        setChannels(channelData || []);
       } catch (error) {
-        console.error('Error fetching API keys:', error);
+        console.error('Error fetching exchange accounts:', error);
       } finally {
         setLoading(false);
       }
     };
     
-    fetchApiKeys();
-  }, [user, supabase, setApiKeyValue]);
+    fetchAccounts();
+  }, [user, supabase]);
 
-  // Save API keys
-  const onSaveApiKeys = async (data: ApiKeyFormData) => {
+  const editAccount = (account: ExchangeAccount) => {
+    setEditingAccountId(account.id);
+    setApiKeyError(null);
+    resetApiKey({
+      label: account.label,
+      exchange: account.exchange,
+      environment: account.environment,
+      api_key: '',
+      api_secret: ''
+    });
+  };
+
+  const cancelEditAccount = () => {
+    setEditingAccountId(null);
+    setApiKeyError(null);
+    resetApiKey(emptyAccountForm);
+  };
+
+  // Save an exchange account
+  const onSaveApiKeys = async (data: ExchangeAccountFormData) => {
     if (!user) return;
     
     setSavingKeys(true);
     setApiKeySuccess(false);
+    setApiKeyError(null);
     
     try {
-      // Check if API keys already exist
-      const { data: existingKey } = await supabase
-        .from('api_keys')
-        .select('id')
-        .eq('user_id', user.id)
-        .eq('exchange', 'bybit')
-        .single();
-        
-      if (existingKey) {
-        // Update existing keys
-        const { error } = await supabase
-          .from('api_keys')
-          .update({
-            api_key: data.api_key,
-            api_secret: data.api_secret,
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', existingKey.id);
-          
-        if (error) throw error;
-      } else {
-        // Insert new keys
-        const { error } = await supabase
-          .from('api_keys')
-          .insert({
-            user_id: user.id,
-            exchange: 'bybit',
-            api_key: data.api_key,
-            api_secret: data.api_secret,
-            created_at: new Date().toISOString()
-          });
-          
-        if (error) throw error;
-      }
+      // Secrets are encrypted server-side, so they are saved through the edge function
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) throw new Error('Your session has expired, please sign in again');
+      
+      // Switching an account to another exchange needs that exchange's keys, which the server checks
+      const editedAccount = accounts.find(account => account.id === editingAccountId);
+      const exchangeChanged = !editedAccount || data.api_key || data.exchange !== editedAccount.exchange;
+
+      const response = await fetch('/.netlify/functions/saveApiKey', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({
+          id: editingAccountId,
+          label: data.label,
+          exchange: exchangeChanged ? data.exchange : undefined,
+          environment: data.environment,
+          apiKey: data.api_key,
+          apiSecret: data.api_secret
+        })
+      });
+      
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save exchange account');
       
+      setAccounts(prev => editingAccountId
+        ? prev.map(account => account.id === editingAccountId ? result.account : account)
+        : [...prev, result.account]);
+      setEditingAccountId(null);
+      resetApiKey(emptyAccountForm);
       setApiKeySuccess(true);
       setTimeout(() => setApiKeySuccess(false), 3000);
     } catch (error) {
-      console.error('Error saving API keys:', error);
-      alert('Failed to save API keys');
+      console.error('Error saving exchange account:', error);
+      setApiKeyError(error instanceof Error ? error.message : 'Failed to save exchange account');
     } finally {
       setSavingKeys(false);
     }
   };
 
+  // Delete an exchange account; bots bound to it stop trading until bound to another
+  const deleteAccount = async (account: ExchangeAccount) => {
+    if (!window.confirm(`Delete the exchange account "${account.label}"? Live bots using it will reject alerts until you select another account.`)) {
+      return;
+    }
+    
+    try {
+      const { error } = await supabase
+        .from('api_keys')
+        .delete()
+        .eq('id', account.id);
+        
+      if (error) throw error;
+      
+      setAccounts(prev => prev.filter(a => a.id !== account.id));
+      if (editingAccountId === account.id) cancelEditAccount();
+    } catch (error) {
+      console.error('Error deleting exchange account:', error);
+      alert('Failed to delete exchange account');
+    }
+  };
+
+  const editChannel = (channel: NotificationChannel) => {
+    setEditingChannelId(channel.id);
+    setChannelError(null);
+    resetChannel({
+      name: channel.name,
+      type: channel.type,
+      bot_token: channel.config.bot_token || '',
+      chat_id: channel.config.chat_id || '',
+      url: channel.config.url || '',
+      email: channel.config.email || '',
+      events: channel.events,
+      enabled: channel.enabled
+    });
+  };
+
+  const cancelEditChannel = () => {
+    setEditingChannelId(null);
+    setChannelError(null);
+    resetChannel(emptyChannelForm);
+  };
+
+  // Save a notification channel
+  const onSaveChannel = async (data: NotificationChannelFormData) => {
+    if (!user) return;
+
+    setSavingChannel(true);
+    setChannelError(null);
+
+    try {
+      const record = {
+        name: data.name,
+        type: data.type,
+        config: toChannelConfig(data),
+        events: data.events || [],
+        enabled: data.enabled,
+        updated_at: new Date().toISOString()
+      };
+      const columns = 'id, name, type, config, events, enabled, last_sent_at, last_error, last_error_at';
+
+      const { data: saved, error } = editingChannelId
+        ? await supabase
+          .from('notification_channels')
+          .update(record)
+          .eq('id', editingChannelId)
+          .select(columns)
+          .single()
+        : await supabase
+          .from('notification_channels')
+          .insert({ ...record, user_id: user.id })
+          .select(columns)
+          .single();
+
+      if (error) throw error;
+
+      setChannels(prev => editingChannelId
+        ? prev.map(channel => channel.id === editingChannelId ? saved : channel)
+        : [...prev, saved]);
+      setEditingChannelId(null);
+      resetChannel(emptyChannelForm);
+    } catch (error) {
+      console.error('Error saving notification channel:', error);
+      setChannelError(error instanceof Error ? error.message : 'Failed to save notification channel');
+    } finally {
+      setSavingChannel(false);
+    }
+  };
+
+  const deleteChannel = async (channel: NotificationChannel) => {
+    if (!window.confirm(`Delete the notification channel "${channel.name}"?`)) {
+      return;
+    }
+
+    try {
+      const { error } = await supabase
+        .from('notification_channels')
+        .delete()
+        .eq('id', channel.id);
+
+      if (error) throw error;
+
+      setChannels(prev => prev.filter(c => c.id !== channel.id));
+      if (editingChannelId === channel.id) cancelEditChannel();
+    } catch (error) {
+      console.error('Error deleting notification channel:', error);
+      alert('Failed to delete notification channel');
+    }
+  };
+
+  // Deliveries happen server-side, where the channel's secrets and the SMTP account are available
+  const testChannel = async (channel: NotificationChannel) => {
+    setTestingChannelId(channel.id);
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) throw new Error('Your session has expired, please sign in again');
+
+      const response = await fetch('/.netlify/functions/testNotification', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({ channelId: channel.id })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to send test notification');
+
+      setTestResults(prev => ({ ...prev, [channel.id]: { success: true, message: 'Test notification sent' } }));
+    } catch (error) {
+      console.error('Error sending test notification:', error);
+      setTestResults(prev => ({
+        ...prev,
+        [channel.id]: { success: false, message: error instanceof Error ? error.message : 'Failed to send test notification' }
+      }));
+    } finally {
+      setTestingChannelId(null);
+    }
+  };
+
   // Change password
   const onChangePassword = async (data: PasswordFormData) => {
     setSavingPassword(true);
@@ -173,17 +458,109 @@ const AccountSettings: React.FC = () => {
         <div className="bg-white rounded-lg shadow-sm p-6">
           <div className="flex items-center mb-4">
             <Key className="text-blue-600 mr-2" size={20} />
-            <h2 className="text-xl font-semibold">Bybit API Keys</h2>
+            <h2 className="text-xl font-semibold">Exchange Accounts</h2>
           </div>
           
+          {accounts.length > 0 ? (
+            <div className="mb-6 divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {accounts.map(account => (
+                <div key={account.id} className="p-3 text-sm">
+                  <div className="flex justify-between items-center">
+                    <div className="flex items-center">
+                      <span className="font-medium">{account.label}</span>
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                        {EXCHANGE_NAMES[account.exchange] ?? account.exchange}
+                      </span>
+                      <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${
+                        account.environment === 'testnet'
+                          ? 'bg-yellow-100 text-yellow-800'
+                          : 'bg-green-100 text-green-800'
+                      }`}>
+                        {account.environment === 'testnet' ? 'Testnet' : 'Mainnet'}
+                      </span>
+                    </div>
+                    <div className="flex gap-3">
+                      <button
+                        type="button"
+                        onClick={() => editAccount(account)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => deleteAccount(account)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  </div>
+                  <div className="mt-1 text-gray-500 font-mono">
+                    {maskApiKey(account.api_key)} / {account.api_secret_last4 ? `••••••••${account.api_secret_last4}` : '••••••••'}
+                  </div>
+                  {account.updated_at && (
+                    <div className="mt-1 text-xs text-gray-400">
+                      Updated {new Date(account.updated_at).toLocaleString()}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="mb-6 text-sm text-gray-500">
+              No exchange accounts yet. Live bots need an account to place orders.
+            </p>
+          )}
+          
+          <h3 className="font-medium mb-3">
+            {editingAccountId ? 'Edit Account' : 'Add Account'}
+          </h3>
+          
           <form onSubmit={handleSubmitApiKey(onSaveApiKeys)}>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Label</label>
+                <input
+                  type="text"
+                  className={`w-full px-3 py-2 border rounded-md ${apiKeyErrors.label ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="Main account"
+                  {...registerApiKey('label', { required: 'Label is required' })}
+                />
+                {apiKeyErrors.label && <p className="mt-1 text-xs text-red-600">{apiKeyErrors.label.message}</p>}
+              </div>
+              
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Exchange</label>
+                <select
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  {...registerApiKey('exchange')}
+                >
+                  {(Object.keys(EXCHANGE_NAMES) as ExchangeName[]).map(exchange => (
+                    <option key={exchange} value={exchange}>{EXCHANGE_NAMES[exchange]}</option>
+                  ))}
+                </select>
+              </div>
+              
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Environment</label>
+                <select
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  {...registerApiKey('environment')}
+                >
+                  <option value="mainnet">Mainnet</option>
+                  <option value="testnet">Testnet</option>
+                </select>
+              </div>
+            </div>
+            
             <div className="mb-4">
               <label className="block text-sm font-medium text-gray-700 mb-1">API Key</label>
               <input
                 type="text"
                 className="w-full px-3 py-2 border border-gray-300 rounded-md"
-                placeholder="Enter your Bybit API key"
-                {...registerApiKey('api_key', { required: true })}
+                placeholder={editingAccountId ? 'Leave blank to keep the saved key' : `Enter your ${selectedExchange} API key`}
+                {...registerApiKey('api_key', { required: !editingAccountId })}
               />
             </div>
             
@@ -192,17 +569,25 @@ const AccountSettings: React.FC = () => {
               <input
                 type="password"
                 className="w-full px-3 py-2 border border-gray-300 rounded-md"
-                placeholder="Enter your Bybit API secret"
-                {...registerApiKey('api_secret', { required: true })}
+                placeholder={editingAccountId ? 'Leave blank to keep the saved secret' : `Enter your ${selectedExchange} API secret`}
+                autoComplete="off"
+                {...registerApiKey('api_secret', { required: !editingAccountId })}
               />
             </div>
             
             <div className="mb-6">
+              <div className="flex items-start p-3 mb-3 bg-blue-50 border border-blue-200 rounded-md">
+                <Shield size={16} className="text-blue-500 mr-2 mt-0.5" />
+                <p className="text-sm text-blue-700">
+                  Your API secret is encrypted before it is stored and is never shown again after saving. 
+                  To change it, enter the API key and secret again.
+                </p>
+              </div>
               <div className="flex items-start p-3 bg-blue-50 border border-blue-200 rounded-md">
                 <AlertTriangle size={16} className="text-blue-500 mr-2 mt-0.5" />
                 <p className="text-sm text-blue-700">
-                  The test mode setting is now controlled at the individual bot level. 
-                  Please configure each bot's test mode setting separately.
+                  Each live bot trades on the exchange account selected in its configuration. 
+                  Test mode bots paper trade and don't need an account.
                 </p>
               </div>
             </div>
@@ -218,13 +603,30 @@ const AccountSettings: React.FC = () => {
                 ) : (
                   <Key size={16} className="mr-2" />
                 )}
-                Save API Keys
+                {editingAccountId ? 'Save Account' : 'Add Account'}
               </button>
               
+              {editingAccountId && (
+                <button
+                  type="button"
+                  onClick={cancelEditAccount}
+                  className="ml-2 px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
+              
               {apiKeySuccess && (
                 <div className="ml-3 flex items-center text-green-600">
                   <CheckCircle size={16} className="mr-1" />
-                  <span className="text-sm">API keys saved successfully!</span>
+                  <span className="text-sm">Exchange account saved!</span>
+                </div>
+              )}
+              
+              {apiKeyError && (
+                <div className="ml-3 flex items-center text-red-600">
+                  <XCircle size={16} className="mr-1" />
+                  <span className="text-sm">{apiKeyError}</span>
                 </div>
               )}
             </div>
@@ -311,6 +713,265 @@ const AccountSettings: React.FC = () => {
             </div>
           </form>
         </div>
+
+        {/* Notifications */}
+        <div className="bg-white rounded-lg shadow-sm p-6 lg:col-span-2">
+          <div className="flex items-center mb-4">
+            <Bell className="text-blue-600 mr-2" size={20} />
+            <h2 className="text-xl font-semibold">Notifications</h2>
+          </div>
+
+          {channels.length > 0 ? (
+            <div className="mb-6 divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {channels.map(channel => (
+                <div key={channel.id} className="p-3 text-sm">
+                  <div className="flex justify-between items-center">
+                    <div className="flex items-center">
+                      <span className="font-medium">{channel.name}</span>
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                        {CHANNEL_TYPE_NAMES[channel.type] ?? channel.type}
+                      </span>
+                      {!channel.enabled && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800">
+                          Disabled
+                        </span>
+                      )}
+                    </div>
+                    <div className="flex gap-3 items-center">
+                      <button
+                        type="button"
+                        onClick={() => testChannel(channel)}
+                        disabled={testingChannelId === channel.id}
+                        className="text-blue-600 hover:text-blue-800 flex items-center"
+                      >
+                        {testingChannelId === channel.id ? (
+                          <RefreshCw size={14} className="mr-1 animate-spin" />
+                        ) : (
+                          <Send size={14} className="mr-1" />
+                        )}
+                        Send test
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => editChannel(channel)}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => deleteChannel(channel)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  </div>
+                  <div className="mt-1 text-gray-500">
+                    {channel.events.length > 0
+                      ? channel.events.map(event => NOTIFICATION_EVENT_NAMES[event] ?? event).join(', ')
+                      : 'No events selected'}
+                  </div>
+                  {testResults[channel.id] && (
+                    <div className={`mt-1 text-xs ${testResults[channel.id].success ? 'text-green-600' : 'text-red-600'}`}>
+                      {testResults[channel.id].message}
+                    </div>
+                  )}
+                  {channel.last_error && (
+                    <div className="mt-1 text-xs text-red-600">
+                      Last delivery failed{channel.last_error_at ? ` ${new Date(channel.last_error_at).toLocaleString()}` : ''}: {channel.last_error}
+                    </div>
+                  )}
+                  {!channel.last_error && channel.last_sent_at && (
+                    <div className="mt-1 text-xs text-gray-400">
+                      Last sent {new Date(channel.last_sent_at).toLocaleString()}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="mb-6 text-sm text-gray-500">
+              No notification channels yet. Add one to hear about fills, errors and rejected alerts.
+            </p>
+          )}
+
+          <h3 className="font-medium mb-3">
+            {editingChannelId ? 'Edit Channel' : 'Add Channel'}
+          </h3>
+
+          <form onSubmit={handleSubmitChannel(onSaveChannel)}>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  className={`w-full px-3 py-2 border rounded-md ${channelErrors.name ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="My phone"
+                  {...registerChannel('name', { required: 'Name is required' })}
+                />
+                {channelErrors.name && <p className="mt-1 text-xs text-red-600">{channelErrors.name.message}</p>}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Channel</label>
+                <select
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  {...registerChannel('type')}
+                >
+                  {(Object.keys(CHANNEL_TYPE_NAMES) as NotificationChannelType[]).map(type => (
+                    <option key={type} value={type}>{CHANNEL_TYPE_NAMES[type]}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {selectedChannelType === 'telegram' && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Bot Token</label>
+                  <input
+                    type="password"
+                    className={`w-full px-3 py-2 border rounded-md ${channelErrors.bot_token ? 'border-red-500' : 'border-gray-300'}`}
+                    placeholder="123456:ABC-DEF..."
+                    autoComplete="off"
+                    {...registerChannel('bot_token', {
+                      validate: (value, formValues) =>
+                        formValues.type !== 'telegram' || !!value.trim() || 'Bot token is required'
+                    })}
+                  />
+                  {channelErrors.bot_token && <p className="mt-1 text-xs text-red-600">{channelErrors.bot_token.message}</p>}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Chat ID</label>
+                  <input
+                    type="text"
+                    className={`w-full px-3 py-2 border rounded-md ${channelErrors.chat_id ? 'border-red-500' : 'border-gray-300'}`}
+                    placeholder="123456789"
+                    {...registerChannel('chat_id', {
+                      validate: (value, formValues) =>
+                        formValues.type !== 'telegram' || !!value.trim() || 'Chat ID is required'
+                    })}
+                  />
+                  {channelErrors.chat_id && <p className="mt-1 text-xs text-red-600">{channelErrors.chat_id.message}</p>}
+                </div>
+                <p className="md:col-span-2 text-xs text-gray-500">
+                  Create a bot with @BotFather and send it a message first; the chat ID is your user or group ID.
+                </p>
+              </div>
+            )}
+
+            {['discord', 'slack', 'webhook'].includes(selectedChannelType) && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {selectedChannelType === 'webhook' ? 'Webhook URL' : 'Incoming Webhook URL'}
+                </label>
+                <input
+                  type="text"
+                  className={`w-full px-3 py-2 border rounded-md ${channelErrors.url ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="https://..."
+                  autoComplete="off"
+                  {...registerChannel('url', {
+                    validate: (value, formValues) =>
+                      ['telegram', 'email'].includes(formValues.type) || /^https:\/\/\S+$/i.test(value.trim()) ||
+                      'Enter an https:// URL'
+                  })}
+                />
+                {channelErrors.url && <p className="mt-1 text-xs text-red-600">{channelErrors.url.message}</p>}
+                {selectedChannelType === 'webhook' && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Receives a JSON POST with the event, title, message and fields of each notification.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {selectedChannelType === 'email' && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Email Address</label>
+                <input
+                  type="email"
+                  className={`w-full px-3 py-2 border rounded-md ${channelErrors.email ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder={user?.email || 'you@example.com'}
+                  {...registerChannel('email', {
+                    validate: (value, formValues) => {
+                      if (formValues.type !== 'email') return true;
+                      if (!/^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/.test(value.trim())) {
+                        return 'Enter an email address';
+                      }
+                      return value.trim().toLowerCase() === user?.email?.toLowerCase() ||
+                        'Email notifications can only be sent to your account email';
+                    }
+                  })}
+                />
+                {channelErrors.email
+                  ? <p className="mt-1 text-xs text-red-600">{channelErrors.email.message}</p>
+                  : <p className="mt-1 text-xs text-gray-500">Notifications are emailed to your verified account address only.</p>}
+              </div>
+            )}
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Events</label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {(Object.keys(NOTIFICATION_EVENT_NAMES) as NotificationEvent[]).map(event => (
+                  <label key={event} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      value={event}
+                      className="h-4 w-4 text-blue-600 rounded mr-2"
+                      {...registerChannel('events')}
+                    />
+                    {NOTIFICATION_EVENT_NAMES[event]}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="mb-6 flex items-center">
+              <input
+                type="checkbox"
+                id="channel_enabled"
+                className="h-4 w-4 text-blue-600 rounded"
+                {...registerChannel('enabled')}
+              />
+              <label htmlFor="channel_enabled" className="ml-2 block text-sm text-gray-700">
+                Enabled
+              </label>
+            </div>
+
+            <div className="flex items-center">
+              <button
+                type="submit"
+                disabled={savingChannel}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors flex items-center"
+              >
+                {savingChannel ? (
+                  <RefreshCw size={16} className="mr-2 animate-spin" />
+                ) : (
+                  <Bell size={16} className="mr-2" />
+                )}
+                {editingChannelId ? 'Save Channel' : 'Add Channel'}
+              </button>
+
+              {editingChannelId && (
+                <button
+                  type="button"
+                  onClick={cancelEditChannel}
+                  className="ml-2 px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
+
+              {channelError && (
+                <div className="ml-3 flex items-center text-red-600">
+                  <XCircle size={16} className="mr-1" />
+                  <span className="text-sm">{channelError}</span>
+                </div>
+              )}
+            </div>
+          </form>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,416 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useSupabase } from '../contexts/SupabaseContext';
+import { useAuth } from '../contexts/AuthContext';
+import { format } from 'date-fns';
+import { RefreshCw, Search, ChevronDown, ChevronRight, AlertTriangle, RotateCcw, Trash2 } from 'lucide-react';
+
+type AlertStatus = 'executed' | 'duplicate' | 'rejected' | 'invalid' | 'failed' | 'unauthorized' | 'expired' | 'queued';
+
+type AlertEntry = {
+  id: string;
+  bot_id: string | null;
+  bot_name: string;
+  status: AlertStatus;
+  reason: string | null;
+  error: string | null;
+  http_status: number | null;
+  raw_body: string | null;
+  headers: Record<string, string> | null;
+  payload: Record<string, unknown> | null;
+  order_params: Record<string, unknown> | null;
+  exchange_response: Record<string, unknown> | null;
+  latency_ms: number | null;
+  created_at: string;
+};
+
+// Alerts the queue gave up on after their retries, waiting for a manual retry or discard
+type DeadLetter = {
+  id: string;
+  bot_name: string;
+  payload: Record<string, unknown>;
+  attempts: number;
+  last_error: string | null;
+  last_error_code: string | null;
+  created_at: string;
+  updated_at: string;
+};
+
+// Number of most recent alerts loaded into the log
+const ALERT_LIMIT = 200;
+
+const statusStyles: Record<AlertStatus, string> = {
+  executed: 'bg-green-100 text-green-800',
+  duplicate: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-yellow-100 text-yellow-800',
+  invalid: 'bg-gray-100 text-gray-800',
+  failed: 'bg-red-100 text-red-800',
+  unauthorized: 'bg-purple-100 text-purple-800',
+  expired: 'bg-orange-100 text-orange-800',
+  queued: 'bg-indigo-100 text-indigo-800'
+};
+
+const AlertLog: React.FC = () => {
+  const { supabase } = useSupabase();
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [alerts, setAlerts] = useState<AlertEntry[]>([]);
+  const [bots, setBots] = useState<{id: string; name: string}[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [deadLetters, setDeadLetters] = useState<DeadLetter[]>([]);
+  const [deadLetterActionId, setDeadLetterActionId] = useState<string | null>(null);
+  const [deadLetterError, setDeadLetterError] = useState<string | null>(null);
+
+  const botFilter = searchParams.get('bot') || '';
+
+  const fetchAlerts = useCallback(async () => {
+    if (!user) return;
+
+    setLoading(true);
+    try {
+      const { data: botsData, error: botsError } = await supabase
+        .from('bots')
+        .select('id, name')
+        .eq('user_id', user.id)
+        .order('name');
+
+      if (botsError) throw botsError;
+      setBots(botsData || []);
+
+      let query = supabase
+        .from('alerts')
+        .select(`
+          *,
+          bots:bot_id (name)
+        `)
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(ALERT_LIMIT);
+
+      let deadQuery = supabase
+        .from('alert_queue')
+        .select(`
+          id, payload, attempts, last_error, last_error_code, created_at, updated_at,
+          bots:bot_id (name)
+        `)
+        .eq('user_id', user.id)
+        .eq('status', 'dead')
+        .order('created_at', { ascending: false });
+
+      if (botFilter) {
+        query = query.eq('bot_id', botFilter);
+        deadQuery = deadQuery.eq('bot_id', botFilter);
+      }
+
+      const [{ data, error }, { data: deadData, error: deadError }] = await Promise.all([query, deadQuery]);
+
+      if (error) throw error;
+      if (deadError) throw deadError;
+
+      setAlerts(data?.map(alert => ({
+        ...alert,
+        bot_name: alert.bots?.name || 'Unknown'
+      })) || []);
+      setDeadLetters(deadData?.map(item => ({
+        ...item,
+        bot_name: (item.bots as { name?: string } | null)?.name || 'Unknown'
+      })) || []);
+    } catch (error) {
+      console.error('Error fetching alert log:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [supabase, user, botFilter]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  // Retries run server-side, where the exchange credentials can be decrypted
+  const updateDeadLetter = async (item: DeadLetter, action: 'retry' | 'discard') => {
+    if (action === 'discard' && !window.confirm('Discard this alert? Its order will not be placed.')) return;
+
+    setDeadLetterActionId(item.id);
+    setDeadLetterError(null);
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) throw new Error('Your session has expired, please sign in again');
+
+      const response = await fetch('/.netlify/functions/alertQueue', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session.access_token}`
+        },
+        body: JSON.stringify({ action, id: item.id })
+      });
+
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `Failed to ${action} the alert`);
+
+      await fetchAlerts();
+    } catch (error) {
+      console.error(`Error trying to ${action} dead letter:`, error);
+      setDeadLetterError(error instanceof Error ? error.message : `Failed to ${action} the alert`);
+    } finally {
+      setDeadLetterActionId(null);
+    }
+  };
+
+  const setBotFilter = (botId: string) => {
+    setSearchParams(botId ? { bot: botId } : {});
+  };
+
+  // Filter alerts based on search and status
+  const filteredAlerts = alerts.filter(alert => {
+    const term = searchTerm.toLowerCase();
+    const matchesSearch = term === '' ||
+      alert.bot_name.toLowerCase().includes(term) ||
+      (alert.reason || '').toLowerCase().includes(term) ||
+      (alert.error || '').toLowerCase().includes(term) ||
+      (alert.raw_body || '').toLowerCase().includes(term);
+
+    const matchesStatus = statusFilter === '' || alert.status === statusFilter;
+
+    return matchesSearch && matchesStatus;
+  });
+
+  const renderJson = (label: string, value: unknown) => (
+    <div>
+      <div className="text-xs font-medium text-gray-500 uppercase mb-1">{label}</div>
+      <pre className="bg-gray-800 text-gray-200 p-3 rounded-md text-xs overflow-x-auto max-h-64">
+        {value == null ? '—' : typeof value === 'string' ? value : JSON.stringify(value, null, 2)}
+      </pre>
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold">Alert Log</h1>
+        <button
+          onClick={fetchAlerts}
+          disabled={loading}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:bg-gray-400"
+        >
+          <RefreshCw size={18} className={`mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
+        <div className="flex flex-col md:flex-row gap-4">
+          <div className="flex-1">
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Search size={18} className="text-gray-400" />
+              </div>
+              <input
+                type="text"
+                placeholder="Search alerts..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md"
+              />
+            </div>
+          </div>
+
+          <div className="flex gap-4">
+            <div className="w-48">
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md"
+              >
+                <option value="">All Statuses</option>
+                <option value="executed">Executed</option>
+                <option value="duplicate">Duplicate</option>
+                <option value="rejected">Rejected</option>
+                <option value="invalid">Invalid</option>
+                <option value="failed">Failed</option>
+                <option value="unauthorized">Unauthorized</option>
+                <option value="expired">Expired webhook</option>
+                <option value="queued">Queued</option>
+              </select>
+            </div>
+
+            <div className="w-48">
+              <select
+                value={botFilter}
+                onChange={(e) => setBotFilter(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md"
+              >
+                <option value="">All Bots</option>
+                {bots.map(bot => (
+                  <option key={bot.id} value={bot.id}>{bot.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {!loading && deadLetters.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm mb-6 border border-red-200">
+          <div className="p-4 border-b border-red-200 bg-red-50 rounded-t-lg flex items-start">
+            <AlertTriangle size={20} className="text-red-600 mr-3 mt-0.5 flex-shrink-0" />
+            <div>
+              <h2 className="font-semibold text-red-800">Dead letters</h2>
+              <p className="text-sm text-red-700">
+                These alerts still failed after their retries and were not executed.
+                A retry reuses the original order link ID, so an order that did reach the exchange is not placed twice.
+              </p>
+            </div>
+          </div>
+          {deadLetterError && (
+            <div className="px-4 py-2 text-sm text-red-700 bg-red-50 border-b border-red-200">{deadLetterError}</div>
+          )}
+          <ul className="divide-y divide-gray-200">
+            {deadLetters.map(item => (
+              <li key={item.id} className="p-4">
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="text-sm text-gray-900">
+                      <span className="font-medium">{item.bot_name}</span>
+                      <span className="text-gray-500"> · received {format(new Date(item.created_at), 'MMM dd, yyyy HH:mm:ss')}</span>
+                      <span className="text-gray-500"> · {item.attempts} attempt{item.attempts === 1 ? '' : 's'}</span>
+                    </div>
+                    <div className="text-sm text-red-700 break-words">
+                      {item.last_error || 'Unknown error'}
+                      {item.last_error_code && <span className="ml-1 font-mono text-xs text-gray-500">({item.last_error_code})</span>}
+                    </div>
+                    <button
+                      onClick={() => setExpandedId(expandedId === item.id ? null : item.id)}
+                      className="mt-1 flex items-center text-xs text-gray-500 hover:text-gray-700"
+                    >
+                      {expandedId === item.id ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                      Payload
+                    </button>
+                  </div>
+                  <div className="flex gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => updateDeadLetter(item, 'retry')}
+                      disabled={deadLetterActionId === item.id}
+                      className="flex items-center px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+                    >
+                      <RotateCcw size={14} className="mr-1" />
+                      Retry now
+                    </button>
+                    <button
+                      onClick={() => updateDeadLetter(item, 'discard')}
+                      disabled={deadLetterActionId === item.id}
+                      className="flex items-center px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <Trash2 size={14} className="mr-1" />
+                      Discard
+                    </button>
+                  </div>
+                </div>
+                {expandedId === item.id && (
+                  <div className="mt-3">
+                    {renderJson('Parsed payload', item.payload)}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <RefreshCw size={32} className="text-blue-600 animate-spin" />
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+          {filteredAlerts.length === 0 ? (
+            <div className="p-8 text-center">
+              <p className="text-gray-500">No alerts found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3" />
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Date
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Bot
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Reason
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      HTTP
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Latency
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {filteredAlerts.map((alert) => (
+                    <React.Fragment key={alert.id}>
+                      <tr
+                        className="cursor-pointer hover:bg-gray-50"
+                        onClick={() => setExpandedId(expandedId === alert.id ? null : alert.id)}
+                      >
+                        <td className="pl-6 py-4 text-gray-400">
+                          {expandedId === alert.id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {format(new Date(alert.created_at), 'MMM dd, yyyy HH:mm:ss')}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {alert.bot_name}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${statusStyles[alert.status]}`}>
+                            {alert.status}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-700">
+                          {alert.error || alert.reason || '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">
+                          {alert.http_status ?? '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {alert.latency_ms != null ? `${alert.latency_ms} ms` : '—'}
+                        </td>
+                      </tr>
+                      {expandedId === alert.id && (
+                        <tr className="bg-gray-50">
+                          <td colSpan={7} className="px-6 py-4">
+                            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                              {renderJson('Raw body', alert.raw_body)}
+                              {renderJson('Parsed payload', alert.payload)}
+                              {renderJson('Order parameters', alert.order_params)}
+                              {renderJson('Exchange response', alert.exchange_response)}
+                              {renderJson('Headers', alert.headers)}
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertLog;
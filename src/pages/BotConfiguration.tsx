@@ -1,22 +1,367 @@
-import React, { useState, useEffect } from 'react';
-import { useForm } from 'react-hook-form';
-import { useParams, useNavigate } from 'react-router-dom';
-import { Bot, Copy, AlertTriangle, RefreshCw, CheckCircle, XCircle, Play, Pause, Trash2 } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Bot, Copy, AlertTriangle, RefreshCw, CheckCircle, XCircle, Play, Pause, Trash2, Plus, Shield } from 'lucide-react';
 import { useSupabase } from '../contexts/SupabaseContext';
 import { useAuth } from '../contexts/AuthContext';
 
 type BotFormData = {
   name: string;
   symbol: string;
+  market_type: MarketType;
   default_quantity: number;
   default_order_type: 'Market' | 'Limit';
   default_side: 'Buy' | 'Sell' | '';
   default_stop_loss: number;
   default_take_profit: number;
+  stop_mode: StopMode;
+  take_profit_levels: { value: number; percent: number }[];
+  trailing_stop: number;
   test_mode: boolean;
+  exchange_account_id: string;
+  paper_starting_balance: number;
+  paper_taker_fee: number;
+  paper_maker_fee: number;
+  dedupe_window_seconds: number;
+  webhook_auto_renew_days: number;
+  limit_order_expiry_minutes: number;
+  sizing_mode: SizingMode;
+  sizing_value: number;
+  leverage: number;
+  margin_mode: 'cross' | 'isolated' | '';
+  position_mode: 'one_way' | 'hedge' | '';
+  max_notional: number;
+  allowed_symbols: string;
+  max_order_qty: number;
+  max_order_notional: number;
+  max_position_qty: number;
+  max_orders_per_hour: number;
+  max_orders_per_day: number;
+  daily_loss_limit: number;
+  trading_timezone: string;
+  trading_hours: { days: string; start: string; end: string }[];
+  payload_text_template: string;
+  payload_field_aliases: { field: string; source: string }[];
+  payload_value_aliases: { value: string; meaning: string }[];
   description: string;
 };
 
+type WebhookAuthMode = 'token' | 'passphrase' | 'hmac';
+
+type Webhook = {
+  id: string;
+  label: string | null;
+  url: string;
+  expires_at: string | null;
+  revoked_at: string | null;
+  last_used_at: string | null;
+  replaced_by: string | null;
+  created_at: string;
+  auth_mode: WebhookAuthMode | null;
+  allowed_ips: string[] | null;
+  has_passphrase: boolean;
+  has_signing_secret: boolean;
+  missed_alerts: number;
+  last_missed_at: string | null;
+};
+
+type WebhookSecurityFormData = {
+  auth_mode: WebhookAuthMode;
+  passphrase: string;
+  allowed_ips: string;
+  regenerate_secret: boolean;
+};
+
+const webhookAuthModeOptions: Record<WebhookAuthMode, { label: string; help: string }> = {
+  token: {
+    label: 'URL token only',
+    help: 'Anyone who knows the webhook URL can send alerts.'
+  },
+  passphrase: {
+    label: 'Passphrase in alert message',
+    help: 'Alerts must include "passphrase": "<your passphrase>" in their JSON. Works with TradingView.'
+  },
+  hmac: {
+    label: 'HMAC-signed requests',
+    help: 'For senders that can set headers: X-Timestamp (unix seconds) and X-Signature, the hex HMAC-SHA256 of "<timestamp>.<body>" with the signing secret. Requests older than 5 minutes or sent twice are rejected.'
+  }
+};
+
+// Addresses TradingView sends webhook alerts from
+const TRADINGVIEW_IPS = ['52.89.214.238', '34.212.75.30', '54.218.53.128', '52.32.178.7'];
+
+// Expiry choices for new webhooks, in days
+const webhookExpiryOptions = [
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: 'custom', label: 'Custom' },
+  { value: 'never', label: 'Never' }
+];
+
+// Webhooks expiring within this many days are flagged, as in the expiry warnings
+const EXPIRY_WARNING_DAYS = 3;
+
+// Time left until `expiresAt`, e.g. "2d 5h" or "40m"
+const formatTimeLeft = (expiresAt: string, now: number) => {
+  const minutes = Math.max(0, Math.round((new Date(expiresAt).getTime() - now) / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+};
+
+// Live webhooks expiring within EXPIRY_WARNING_DAYS, and expired ones TradingView still sends alerts to
+const needsRenewal = (webhook: Webhook, now: number) => {
+  if (webhook.revoked_at || webhook.replaced_by || !webhook.expires_at) return false;
+  const timeLeft = new Date(webhook.expires_at).getTime() - now;
+  return timeLeft > 0
+    ? timeLeft <= EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000
+    : webhook.missed_alerts > 0;
+};
+
+// Auto-renewal choices, in days; 0 never renews
+const webhookAutoRenewOptions = [
+  { value: 0, label: 'Off' },
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' }
+];
+
+const webhookStatus = (webhook: Webhook) => {
+  if (webhook.revoked_at) {
+    return { label: 'Revoked', style: 'bg-red-100 text-red-800' };
+  }
+  if (webhook.expires_at && new Date(webhook.expires_at) <= new Date()) {
+    return { label: 'Expired', style: 'bg-gray-100 text-gray-800' };
+  }
+  if (webhook.replaced_by) {
+    return { label: 'Rotated', style: 'bg-yellow-100 text-yellow-800' };
+  }
+  return { label: 'Active', style: 'bg-green-100 text-green-800' };
+};
+
+type ExchangeAccount = {
+  id: string;
+  label: string;
+  exchange: 'bybit' | 'binance';
+  environment: 'mainnet' | 'testnet';
+};
+
+// Trading rules of a symbol, from the instrument cache
+type Instrument = {
+  symbol: string;
+  min_qty: number;
+  max_qty: number | null;
+  qty_step: string;
+  tick_size: string;
+  max_leverage: number | null;
+};
+
+type PaperPosition = {
+  symbol: string;
+  side: 'Buy' | 'Sell' | null;
+  size: number;
+  entry_price: number | null;
+  stop_loss: number | null;
+  take_profit: number | null;
+};
+
+type PaperAccount = {
+  balance: number;
+  positions: PaperPosition[];
+  openOrders: number;
+};
+
+type MarketType = 'linear' | 'inverse' | 'spot';
+
+const marketTypeOptions: Record<MarketType, { label: string; help: string }> = {
+  linear: {
+    label: 'USDT perpetual',
+    help: 'Quantities are in the base coin, e.g. BTC for BTCUSDT.'
+  },
+  inverse: {
+    label: 'Inverse perpetual',
+    help: 'Coin-margined contracts such as BTCUSD. Quantities are in USD contracts and only fixed quantity sizing is supported. Bybit accounts only.'
+  },
+  spot: {
+    label: 'Spot',
+    help: 'Buys and sells the coin itself, without leverage. Position actions, stop losses and take profits are not available. Bybit accounts only.'
+  }
+};
+
+type SizingMode = 'fixed_qty' | 'fixed_notional' | 'wallet_percent' | 'risk_percent';
+
+const sizingModeOptions: Record<SizingMode, { label: string; valueLabel: string; help: string }> = {
+  fixed_qty: {
+    label: 'Fixed quantity',
+    valueLabel: '',
+    help: 'Every order uses the default quantity, or the quantity sent in the alert.'
+  },
+  fixed_notional: {
+    label: 'Fixed USDT notional',
+    valueLabel: 'Notional per order (USDT)',
+    help: 'Quantity is the notional divided by the entry price.'
+  },
+  wallet_percent: {
+    label: 'Percent of wallet balance',
+    valueLabel: 'Wallet balance per order (%)',
+    help: 'Uses this share of the USDT wallet balance as margin, multiplied by the leverage.'
+  },
+  risk_percent: {
+    label: 'Risk per trade',
+    valueLabel: 'Equity risked per trade (%)',
+    help: 'Sized so that hitting the stop loss loses this share of equity. Requires a stop loss in the alert or bot defaults.'
+  }
+};
+
+type StopMode = 'price' | 'percent' | 'distance' | 'atr';
+
+const stopModeOptions: Record<StopMode, { label: string; unit: string; help: string }> = {
+  price: {
+    label: 'Absolute price',
+    unit: 'price',
+    help: 'Stop loss and take profit are fixed prices. The trailing stop is a price distance.'
+  },
+  percent: {
+    label: 'Percent from entry',
+    unit: '%',
+    help: 'Values are a percentage of the entry price.'
+  },
+  distance: {
+    label: 'Price distance from entry',
+    unit: 'distance',
+    help: 'Values are added to or subtracted from the entry price.'
+  },
+  atr: {
+    label: 'ATR multiple',
+    unit: '× ATR',
+    help: 'Values are multiples of the "atr" field sent in the alert, e.g. "atr": {{plot("ATR")}}.'
+  }
+};
+
+// Days a trading window applies to, as ISO weekdays (1 = Monday)
+const tradingDayOptions: Record<string, string> = {
+  '1,2,3,4,5,6,7': 'Every day',
+  '1,2,3,4,5': 'Monday to Friday',
+  '6,7': 'Weekend',
+  '1': 'Monday',
+  '2': 'Tuesday',
+  '3': 'Wednesday',
+  '4': 'Thursday',
+  '5': 'Friday',
+  '6': 'Saturday',
+  '7': 'Sunday'
+};
+
+// Alert fields a payload key can be mapped to
+const payloadFields: Record<string, string> = {
+  symbol: 'Symbol',
+  side: 'Side',
+  action: 'Action',
+  orderType: 'Order type',
+  quantity: 'Quantity',
+  price: 'Price',
+  stopLoss: 'Stop loss',
+  takeProfit: 'Take profit',
+  marketPosition: 'Market position',
+  percent: 'Close percent',
+  atr: 'ATR',
+  alertId: 'Alert ID',
+  passphrase: 'Passphrase'
+};
+
+// What a custom side/action word can mean
+const payloadValueMeanings: Record<string, string> = {
+  Buy: 'Buy (long)',
+  Sell: 'Sell (short)',
+  open: 'Open',
+  add: 'Add to position',
+  close: 'Close position',
+  close_partial: 'Close part of position',
+  reverse: 'Reverse position',
+  flat: 'Flatten'
+};
+
+const DEFAULT_TEXT_TEMPLATE = '{side} {symbol} {quantity?}';
+
+type AlertPreview = {
+  error?: string;
+  format?: 'json' | 'text';
+  action?: string;
+  targetSide?: 'Buy' | 'Sell' | null;
+  alertData?: Record<string, string | number | undefined>;
+};
+
+// Stored form of the payload mapping editor, as read by the alert parser
+const toPayloadMapping = (data: Pick<BotFormData, 'payload_text_template' | 'payload_field_aliases' | 'payload_value_aliases'>) => ({
+  ...(data.payload_text_template.trim() && data.payload_text_template.trim() !== DEFAULT_TEXT_TEMPLATE
+    ? { textTemplate: data.payload_text_template.trim() }
+    : {}),
+  fields: Object.fromEntries(
+    data.payload_field_aliases
+      .filter(alias => alias.field && alias.source.trim())
+      .map(alias => [alias.field, alias.source.trim()])
+  ),
+  values: Object.fromEntries(
+    data.payload_value_aliases
+      .filter(alias => alias.value.trim() && alias.meaning)
+      .map(alias => [alias.value.trim().toLowerCase(), alias.meaning])
+  )
+});
+
+// Columns shared by bot inserts and updates; spot bots keep no stops
+const toBotRecord = (data: BotFormData) => ({
+  name: data.name,
+  symbol: data.symbol,
+  market_type: data.market_type,
+  default_quantity: data.default_quantity,
+  default_order_type: data.default_order_type,
+  default_side: data.default_side || null,
+  default_stop_loss: data.market_type === 'spot' ? null : data.default_stop_loss || null,
+  default_take_profit: data.market_type === 'spot' ? null : data.default_take_profit || null,
+  stop_mode: data.stop_mode,
+  take_profit_levels: data.market_type === 'spot'
+    ? []
+    : data.take_profit_levels.filter(level => level.value > 0 && level.percent > 0),
+  trailing_stop: data.market_type === 'spot' ? null : data.trailing_stop || null,
+  test_mode: data.test_mode,
+  exchange_account_id: data.exchange_account_id || null,
+  paper_starting_balance: data.paper_starting_balance || 10000,
+  paper_taker_fee: data.paper_taker_fee || 0,
+  paper_maker_fee: data.paper_maker_fee || 0,
+  dedupe_window_seconds: data.dedupe_window_seconds,
+  webhook_auto_renew_days: data.webhook_auto_renew_days || null,
+  limit_order_expiry_minutes: data.limit_order_expiry_minutes || null,
+  sizing_mode: data.sizing_mode,
+  sizing_value: data.sizing_mode === 'fixed_qty' ? null : data.sizing_value || null,
+  leverage: data.leverage || null,
+  margin_mode: data.margin_mode || null,
+  position_mode: data.position_mode || null,
+  // Saved settings are applied to the exchange again before the next order
+  applied_exchange_settings: {},
+  max_notional: data.max_notional || null,
+  allowed_symbols: data.allowed_symbols
+    .split(/[\s,]+/)
+    .map(symbol => symbol.trim().toUpperCase())
+    .filter(Boolean),
+  max_order_qty: data.max_order_qty || null,
+  max_order_notional: data.max_order_notional || null,
+  max_position_qty: data.max_position_qty || null,
+  max_orders_per_hour: data.max_orders_per_hour || null,
+  max_orders_per_day: data.max_orders_per_day || null,
+  daily_loss_limit: data.daily_loss_limit || null,
+  trading_timezone: data.trading_timezone.trim() || 'UTC',
+  trading_hours: data.trading_hours
+    .filter(window => window.start && window.end)
+    .map(window => ({ days: window.days.split(',').map(Number), start: window.start, end: window.end })),
+  payload_mapping: toPayloadMapping(data),
+  description: data.description,
+});
+
 interface BotConfigurationProps {
   isNew?: boolean;
 }
@@ -29,26 +374,118 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
   
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
-  const [webhookUrl, setWebhookUrl] = useState<string | null>(null);
-  const [copySuccess, setCopySuccess] = useState(false);
+  const [webhooks, setWebhooks] = useState<Webhook[]>([]);
+  const [copiedWebhookId, setCopiedWebhookId] = useState<string | null>(null);
   const [botStatus, setBotStatus] = useState<'active' | 'paused' | 'error'>('paused');
+  const [lastError, setLastError] = useState<string | null>(null);
+  const [pausedReason, setPausedReason] = useState<string | null>(null);
   const [generateLoading, setGenerateLoading] = useState(false);
+  const [paperAccount, setPaperAccount] = useState<PaperAccount | null>(null);
+  const [exchangeAccounts, setExchangeAccounts] = useState<ExchangeAccount[]>([]);
+  const [instruments, setInstruments] = useState<Instrument[]>([]);
+  const [newWebhookLabel, setNewWebhookLabel] = useState('');
+  const [newWebhookExpiry, setNewWebhookExpiry] = useState('30');
+  const [newWebhookExpiryDays, setNewWebhookExpiryDays] = useState(30);
+  const [securityWebhookId, setSecurityWebhookId] = useState<string | null>(null);
+  const [now, setNow] = useState(Date.now());
+  const [savingSecurity, setSavingSecurity] = useState(false);
+  const [securityError, setSecurityError] = useState<string | null>(null);
+  const [signingSecret, setSigningSecret] = useState<string | null>(null);
+  const [sampleAlert, setSampleAlert] = useState('');
+  const [alertPreview, setAlertPreview] = useState<AlertPreview | null>(null);
   
-  const { register, handleSubmit, setValue, watch, formState: { errors } } = useForm<BotFormData>({
+  const { register, handleSubmit, setValue, watch, control, formState: { errors } } = useForm<BotFormData>({
     defaultValues: {
       name: '',
       symbol: 'BTCUSDT',
+      market_type: 'linear',
       default_quantity: 0.001,
       default_order_type: 'Market',
       default_side: '',
       default_stop_loss: 0,
       default_take_profit: 0,
+      stop_mode: 'price',
+      take_profit_levels: [],
+      trailing_stop: 0,
       test_mode: true,
+      exchange_account_id: '',
+      paper_starting_balance: 10000,
+      paper_taker_fee: 0.055,
+      paper_maker_fee: 0.02,
+      dedupe_window_seconds: 60,
+      webhook_auto_renew_days: 0,
+      limit_order_expiry_minutes: 0,
+      sizing_mode: 'fixed_qty',
+      sizing_value: 0,
+      leverage: 0,
+      margin_mode: '',
+      position_mode: '',
+      max_notional: 0,
+      allowed_symbols: '',
+      max_order_qty: 0,
+      max_order_notional: 0,
+      max_position_qty: 0,
+      max_orders_per_hour: 0,
+      max_orders_per_day: 0,
+      daily_loss_limit: 0,
+      trading_timezone: 'UTC',
+      trading_hours: [],
+      payload_text_template: DEFAULT_TEXT_TEMPLATE,
+      payload_field_aliases: [],
+      payload_value_aliases: [],
       description: '',
     }
   });
 
   const watchTestMode = watch('test_mode');
+  const watchMarketType = watch('market_type');
+  const watchSizingMode = watch('sizing_mode');
+  const watchStopMode = watch('stop_mode');
+  const watchExchangeAccountId = watch('exchange_account_id');
+  const normalizedSymbol = (watch('symbol') || '').trim().toUpperCase();
+  const selectedInstrument = instruments.find(instrument => instrument.symbol === normalizedSymbol);
+  const stopUnit = stopModeOptions[watchStopMode]?.unit;
+  const takeProfitLevels = useFieldArray({ control, name: 'take_profit_levels' });
+  const tradingHours = useFieldArray({ control, name: 'trading_hours' });
+  const payloadFieldAliases = useFieldArray({ control, name: 'payload_field_aliases' });
+  const payloadValueAliases = useFieldArray({ control, name: 'payload_value_aliases' });
+  const payloadMapping = JSON.stringify(toPayloadMapping({
+    payload_text_template: watch('payload_text_template') || '',
+    payload_field_aliases: watch('payload_field_aliases') || [],
+    payload_value_aliases: watch('payload_value_aliases') || []
+  }));
+
+  const securityForm = useForm<WebhookSecurityFormData>({
+    defaultValues: {
+      auth_mode: 'token',
+      passphrase: '',
+      allowed_ips: '',
+      regenerate_secret: false
+    }
+  });
+  const { register: registerSecurity, handleSubmit: handleSubmitSecurity, reset: resetSecurity, setValue: setSecurityValue, watch: watchSecurity } = securityForm;
+  const watchAuthMode = watchSecurity('auth_mode');
+
+  const securityWebhook = webhooks.find(webhook => webhook.id === securityWebhookId) || null;
+
+  // Webhooks are managed by edge functions that identify the caller by their session
+  const callWebhookFunction = useCallback(async (name: string, body: object) => {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) throw new Error('Your session has expired, please sign in again');
+    
+    const response = await fetch(`/.netlify/functions/${name}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`
+      },
+      body: JSON.stringify(body)
+    });
+    
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || `Request to ${name} failed`);
+    return result;
+  }, [supabase]);
 
   // Fetch bot data if editing
   useEffect(() => {
@@ -71,32 +508,54 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
           // Set form values
           setValue('name', botData.name);
           setValue('symbol', botData.symbol);
+          setValue('market_type', botData.market_type || 'linear');
           setValue('default_quantity', botData.default_quantity);
           setValue('default_order_type', botData.default_order_type);
           setValue('default_side', botData.default_side || '');
           setValue('default_stop_loss', botData.default_stop_loss || 0);
           setValue('default_take_profit', botData.default_take_profit || 0);
+          setValue('stop_mode', botData.stop_mode || 'price');
+          setValue('take_profit_levels', botData.take_profit_levels || []);
+          setValue('trailing_stop', botData.trailing_stop || 0);
           setValue('test_mode', botData.test_mode || false);
+          setValue('exchange_account_id', botData.exchange_account_id || '');
+          setValue('paper_starting_balance', botData.paper_starting_balance ?? 10000);
+          setValue('paper_taker_fee', botData.paper_taker_fee ?? 0.055);
+          setValue('paper_maker_fee', botData.paper_maker_fee ?? 0.02);
+          setValue('dedupe_window_seconds', botData.dedupe_window_seconds ?? 60);
+          setValue('webhook_auto_renew_days', botData.webhook_auto_renew_days || 0);
+          setValue('limit_order_expiry_minutes', botData.limit_order_expiry_minutes || 0);
+          setValue('sizing_mode', botData.sizing_mode || 'fixed_qty');
+          setValue('sizing_value', botData.sizing_value || 0);
+          setValue('leverage', botData.leverage || 0);
+          setValue('margin_mode', botData.margin_mode || '');
+          setValue('position_mode', botData.position_mode || '');
+          setValue('max_notional', botData.max_notional || 0);
+          setValue('allowed_symbols', (botData.allowed_symbols || []).join(', '));
+          setValue('max_order_qty', botData.max_order_qty || 0);
+          setValue('max_order_notional', botData.max_order_notional || 0);
+          setValue('max_position_qty', botData.max_position_qty || 0);
+          setValue('max_orders_per_hour', botData.max_orders_per_hour || 0);
+          setValue('max_orders_per_day', botData.max_orders_per_day || 0);
+          setValue('daily_loss_limit', botData.daily_loss_limit || 0);
+          setValue('trading_timezone', botData.trading_timezone || 'UTC');
+          setValue('trading_hours', (botData.trading_hours || []).map((window: { days: number[]; start: string; end: string }) => ({
+            days: window.days.join(','),
+            start: window.start,
+            end: window.end
+          })));
+          setValue('payload_text_template', botData.payload_mapping?.textTemplate || DEFAULT_TEXT_TEMPLATE);
+          setValue('payload_field_aliases', Object.entries(botData.payload_mapping?.fields || {})
+            .map(([field, source]) => ({ field, source: String(source) })));
+          setValue('payload_value_aliases', Object.entries(botData.payload_mapping?.values || {})
+            .map(([value, meaning]) => ({ value, meaning: String(meaning) })));
           setValue('description', botData.description || '');
           
           // Set bot status
           setBotStatus(botData.status || 'paused');
+          setLastError(botData.status === 'error' ? botData.last_error : null);
+          setPausedReason(botData.status === 'paused' ? botData.paused_reason : null);
           
-          // Fetch webhook URL if exists
-          const { data: webhookData } = await supabase
-            .from('webhooks')
-            .select('webhook_token')
-            .eq('bot_id', id)
-            .gt('expires_at', new Date().toISOString())
-            .order('created_at', { ascending: false })
-            .limit(1)
-            .single();
-            
-          if (webhookData?.webhook_token) {
-            // Construct webhook URL
-            const baseUrl = window.location.origin;
-            setWebhookUrl(`${baseUrl}/.netlify/functions/processAlert/${webhookData.webhook_token}`);
-          }
         }
       } catch (error) {
         console.error('Error fetching bot data:', error);
@@ -108,6 +567,127 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
     fetchBotData();
   }, [isNew, id, user, supabase, setValue]);
 
+  // Keeps webhook expiry countdowns current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Fetch the bot's webhooks
+  useEffect(() => {
+    const fetchWebhooks = async () => {
+      if (isNew || !id || !user) return;
+      
+      try {
+        const result = await callWebhookFunction('generateWebhook', { action: 'list', botId: id });
+        setWebhooks(result.webhooks);
+      } catch (error) {
+        console.error('Error fetching webhooks:', error);
+      }
+    };
+    
+    fetchWebhooks();
+  }, [isNew, id, user, callWebhookFunction]);
+
+  // Preview a pasted sample alert with the mapping being edited, parsed the same way as live alerts
+  useEffect(() => {
+    if (!sampleAlert.trim()) {
+      setAlertPreview(null);
+      return;
+    }
+    
+    const timeout = setTimeout(async () => {
+      try {
+        setAlertPreview(await callWebhookFunction('previewAlert', {
+          sample: sampleAlert,
+          mapping: JSON.parse(payloadMapping)
+        }));
+      } catch (error) {
+        setAlertPreview({ error: error instanceof Error ? error.message : 'Preview failed' });
+      }
+    }, 400);
+    
+    return () => clearTimeout(timeout);
+  }, [sampleAlert, payloadMapping, callWebhookFunction]);
+
+  // Fetch the exchange accounts a live bot can trade on
+  useEffect(() => {
+    const fetchExchangeAccounts = async () => {
+      if (!user) return;
+      
+      const { data, error } = await supabase
+        .from('api_keys')
+        .select('id, label, exchange, environment')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: true });
+        
+      if (error) {
+        console.error('Error fetching exchange accounts:', error);
+        return;
+      }
+      setExchangeAccounts(data || []);
+    };
+    
+    fetchExchangeAccounts();
+  }, [user, supabase]);
+
+  // Fetch the symbols of the market the bot trades on, for suggestions and validation.
+  // Paper trading uses Bybit mainnet market data
+  useEffect(() => {
+    const fetchInstruments = async () => {
+      const account = exchangeAccounts.find(a => a.id === watchExchangeAccountId);
+      const exchange = watchTestMode ? 'bybit' : account?.exchange;
+      const network = watchTestMode ? 'mainnet' : account?.environment;
+      if (!exchange || !network) {
+        setInstruments([]);
+        return;
+      }
+
+      const { data, error } = await supabase
+        .from('instruments')
+        .select('symbol, min_qty, max_qty, qty_step, tick_size, max_leverage')
+        .eq('exchange', exchange)
+        .eq('market_type', watchMarketType)
+        .eq('network', network)
+        .eq('status', 'Trading')
+        .order('symbol');
+
+      if (error) {
+        console.error('Error fetching instruments:', error);
+        setInstruments([]);
+        return;
+      }
+      setInstruments(data || []);
+    };
+
+    fetchInstruments();
+  }, [supabase, exchangeAccounts, watchExchangeAccountId, watchTestMode, watchMarketType]);
+
+  // Fetch the paper account of a test mode bot
+  useEffect(() => {
+    const fetchPaperAccount = async () => {
+      if (isNew || !id || !watchTestMode) return;
+      
+      const [accountResult, positionsResult, ordersResult] = await Promise.all([
+        supabase.from('paper_accounts').select('balance').eq('bot_id', id).maybeSingle(),
+        supabase.from('paper_positions').select('*').eq('bot_id', id).gt('size', 0),
+        supabase
+          .from('paper_orders')
+          .select('id', { count: 'exact', head: true })
+          .eq('bot_id', id)
+          .eq('status', 'New')
+      ]);
+      
+      setPaperAccount(accountResult.data ? {
+        balance: accountResult.data.balance,
+        positions: positionsResult.data || [],
+        openOrders: ordersResult.count || 0
+      } : null);
+    };
+    
+    fetchPaperAccount();
+  }, [isNew, id, watchTestMode, supabase]);
+
   const onSubmit = async (data: BotFormData) => {
     if (!user) return;
     
@@ -119,15 +699,7 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
           .from('bots')
           .insert({
             user_id: user.id,
-            name: data.name,
-            symbol: data.symbol,
-            default_quantity: data.default_quantity,
-            default_order_type: data.default_order_type,
-            default_side: data.default_side || null,
-            default_stop_loss: data.default_stop_loss || null,
-            default_take_profit: data.default_take_profit || null,
-            test_mode: data.test_mode,
-            description: data.description,
+            ...toBotRecord(data),
             status: 'paused',
             created_at: new Date().toISOString()
           })
@@ -143,15 +715,7 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
         const { error } = await supabase
           .from('bots')
           .update({
-            name: data.name,
-            symbol: data.symbol,
-            default_quantity: data.default_quantity,
-            default_order_type: data.default_order_type,
-            default_side: data.default_side || null,
-            default_stop_loss: data.default_stop_loss || null,
-            default_take_profit: data.default_take_profit || null,
-            test_mode: data.test_mode,
-            description: data.description,
+            ...toBotRecord(data),
             updated_at: new Date().toISOString()
           })
           .eq('id', id)
@@ -172,56 +736,134 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
     
     setGenerateLoading(true);
     try {
-      // First, check if we already have a valid webhook
-      const { data: existingWebhook } = await supabase
-        .from('webhooks')
-        .select('*')
-        .eq('bot_id', id)
-        .gt('expires_at', new Date().toISOString())
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
-        
-      if (existingWebhook) {
-        // Use existing webhook
-        const baseUrl = window.location.origin;
-        setWebhookUrl(`${baseUrl}/.netlify/functions/processAlert/${existingWebhook.webhook_token}`);
-      } else {
-        // Generate a new webhook
-        // In a real app, this would call the Netlify Function
-        // For this demo, we'll simulate it
-        const { data: newWebhook, error } = await supabase
-          .from('webhooks')
-          .insert({
-            user_id: user.id,
-            bot_id: id,
-            webhook_token: generateRandomToken(),
-            expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days
-            created_at: new Date().toISOString()
-          })
-          .select()
-          .single();
-          
-        if (error) throw error;
-        
-        // Set the webhook URL
-        const baseUrl = window.location.origin;
-        setWebhookUrl(`${baseUrl}/.netlify/functions/processAlert/${newWebhook.webhook_token}`);
-      }
+      const result = await callWebhookFunction('generateWebhook', {
+        action: 'create',
+        botId: id,
+        label: newWebhookLabel,
+        expiresInDays: newWebhookExpiry === 'never'
+          ? null
+          : newWebhookExpiry === 'custom' ? newWebhookExpiryDays : Number(newWebhookExpiry)
+      });
+      
+      setWebhooks(prev => [result.webhook, ...prev]);
+      setNewWebhookLabel('');
     } catch (error) {
       console.error('Error generating webhook:', error);
-      alert('Failed to generate webhook URL');
+      alert(error instanceof Error ? error.message : 'Failed to generate webhook URL');
     } finally {
       setGenerateLoading(false);
     }
   };
 
-  const copyWebhookUrl = () => {
-    if (!webhookUrl) return;
+  // The current URL keeps working for the grace period so alerts can be moved over
+  const rotateWebhook = async (webhook: Webhook) => {
+    const graceHours = prompt('Keep the current URL working for how many hours? Enter 0 to stop it immediately.', '24');
+    if (graceHours === null) return;
     
-    navigator.clipboard.writeText(webhookUrl);
-    setCopySuccess(true);
-    setTimeout(() => setCopySuccess(false), 2000);
+    try {
+      const result = await callWebhookFunction('generateWebhook', {
+        action: 'rotate',
+        webhookId: webhook.id,
+        gracePeriodHours: Number(graceHours)
+      });
+      
+      setWebhooks(prev => [
+        result.webhook,
+        ...prev.map(w => (w.id === webhook.id ? result.previous : w))
+      ]);
+    } catch (error) {
+      console.error('Error rotating webhook:', error);
+      alert(error instanceof Error ? error.message : 'Failed to rotate webhook');
+    }
+  };
+
+  // Extending also brings an expired webhook back, on the same URL
+  const extendWebhook = async (webhook: Webhook) => {
+    const days = prompt('Extend the webhook to expire in how many days from now? Leave empty to never expire.', '30');
+    if (days === null) return;
+
+    try {
+      const result = await callWebhookFunction('generateWebhook', {
+        action: 'extend',
+        webhookId: webhook.id,
+        expiresInDays: days.trim() === '' ? null : Number(days)
+      });
+
+      setWebhooks(prev => prev.map(w => (w.id === webhook.id ? result.webhook : w)));
+    } catch (error) {
+      console.error('Error extending webhook:', error);
+      alert(error instanceof Error ? error.message : 'Failed to extend webhook');
+    }
+  };
+
+  const revokeWebhook = async (webhook: Webhook) => {
+    if (!confirm('Revoke this webhook? Alerts sent to its URL will be rejected.')) return;
+    
+    try {
+      const result = await callWebhookFunction('generateWebhook', {
+        action: 'revoke',
+        webhookId: webhook.id
+      });
+      
+      setWebhooks(prev => prev.map(w => (w.id === webhook.id ? result.webhook : w)));
+      if (securityWebhookId === webhook.id) setSecurityWebhookId(null);
+    } catch (error) {
+      console.error('Error revoking webhook:', error);
+      alert(error instanceof Error ? error.message : 'Failed to revoke webhook');
+    }
+  };
+
+  // Open a webhook's authentication settings
+  const editWebhookSecurity = (webhook: Webhook) => {
+    setSecurityWebhookId(webhook.id === securityWebhookId ? null : webhook.id);
+    setSecurityError(null);
+    setSigningSecret(null);
+    resetSecurity({
+      auth_mode: webhook.auth_mode || 'token',
+      passphrase: '',
+      allowed_ips: (webhook.allowed_ips || []).join('\n'),
+      regenerate_secret: false
+    });
+  };
+
+  // Authentication settings are saved server-side, where the passphrase is hashed and the signing secret encrypted
+  const onSaveWebhookSecurity = async (data: WebhookSecurityFormData) => {
+    if (!securityWebhook) return;
+    
+    setSavingSecurity(true);
+    setSecurityError(null);
+    setSigningSecret(null);
+    try {
+      const result = await callWebhookFunction('configureWebhook', {
+        webhookId: securityWebhook.id,
+        authMode: data.auth_mode,
+        passphrase: data.passphrase,
+        allowedIps: data.allowed_ips.split(/[\s,]+/).filter(Boolean),
+        regenerateSecret: data.regenerate_secret
+      });
+      
+      setWebhooks(prev => prev.map(w => (w.id === securityWebhook.id ? {
+        ...w,
+        auth_mode: result.authMode,
+        allowed_ips: result.allowedIps,
+        has_passphrase: result.hasPassphrase,
+        has_signing_secret: result.hasSigningSecret
+      } : w)));
+      setSigningSecret(result.signingSecret);
+      setSecurityValue('passphrase', '');
+      setSecurityValue('regenerate_secret', false);
+    } catch (error) {
+      console.error('Error saving webhook security:', error);
+      setSecurityError(error instanceof Error ? error.message : 'Failed to save webhook security');
+    } finally {
+      setSavingSecurity(false);
+    }
+  };
+
+  const copyWebhookUrl = (webhook: Webhook) => {
+    navigator.clipboard.writeText(webhook.url);
+    setCopiedWebhookId(webhook.id);
+    setTimeout(() => setCopiedWebhookId(null), 2000);
   };
 
   const toggleBotStatus = async () => {
@@ -230,21 +872,47 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
     const newStatus = botStatus === 'active' ? 'paused' : 'active';
     
     try {
+      // Re-activating a bot also clears the failure streak that may have put it in error
       const { error } = await supabase
         .from('bots')
-        .update({ status: newStatus })
+        .update({
+          status: newStatus,
+          ...(newStatus === 'active' && { consecutive_failures: 0, last_error: null, paused_reason: null }),
+          updated_at: new Date().toISOString()
+        })
         .eq('id', id)
         .eq('user_id', user.id);
         
       if (error) throw error;
       
       setBotStatus(newStatus);
+      if (newStatus === 'active') {
+        setLastError(null);
+        setPausedReason(null);
+      }
     } catch (error) {
       console.error('Error toggling bot status:', error);
       alert('Failed to update bot status');
     }
   };
 
+  const resetPaperAccount = async () => {
+    if (!id || !user || !confirm('Reset the paper account? Its balance, positions and resting orders will be cleared. Past trades stay in the trade history.')) return;
+    
+    try {
+      // The next alert opens a fresh account with the starting balance
+      for (const table of ['paper_orders', 'paper_positions', 'paper_accounts']) {
+        const { error } = await supabase.from(table).delete().eq('bot_id', id);
+        if (error) throw error;
+      }
+      
+      setPaperAccount(null);
+    } catch (error) {
+      console.error('Error resetting paper account:', error);
+      alert('Failed to reset paper account');
+    }
+  };
+
   const deleteBot = async () => {
     if (!id || !user || !confirm('Are you sure you want to delete this bot?')) return;
     
@@ -273,11 +941,6 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
     }
   };
 
-  // Helper to generate a random token (simplified version)
-  const generateRandomToken = () => {
-    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-  };
-
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -328,6 +991,47 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
         )}
       </div>
 
+      {!isNew && botStatus === 'error' && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-md flex items-start">
+          <XCircle size={20} className="text-red-500 mr-3 mt-0.5" />
+          <div>
+            <h3 className="font-medium text-red-800">Bot stopped after repeated exchange errors</h3>
+            <p className="text-sm text-red-700 mt-1">
+              {lastError || 'The exchange rejected several orders in a row.'} Incoming alerts are rejected until the bot is activated again.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {!isNew && webhooks.some(webhook => needsRenewal(webhook, now)) && (
+        <div className="mb-6 p-3 bg-orange-50 border border-orange-200 rounded-md flex items-start">
+          <AlertTriangle size={16} className="text-orange-500 mr-2 mt-0.5" />
+          <div className="text-sm text-orange-800">
+            {webhooks.filter(webhook => needsRenewal(webhook, now)).map(webhook => (
+              <p key={webhook.id}>
+                {webhook.label || 'Unlabelled webhook'}{' '}
+                {new Date(webhook.expires_at!).getTime() <= now
+                  ? `expired ${new Date(webhook.expires_at!).toLocaleString()}${webhook.missed_alerts > 0 ? ` and has missed ${webhook.missed_alerts} alert${webhook.missed_alerts === 1 ? '' : 's'}` : ''}.`
+                  : `expires in ${formatTimeLeft(webhook.expires_at!, now)}.`}
+              </p>
+            ))}
+            <p className="mt-1 text-orange-700">
+              Extend the webhook below to keep its URL working, or turn on webhook auto-renewal.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {!isNew && botStatus === 'paused' && (
+        <div className="mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-md flex items-start">
+          <AlertTriangle size={16} className="text-yellow-500 mr-2 mt-0.5" />
+          <p className="text-sm text-yellow-700">
+            {pausedReason && <>{pausedReason}. </>}
+            This bot is paused. Alerts sent to its webhook are recorded but no orders are placed.
+          </p>
+        </div>
+      )}
+
       <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
         <form onSubmit={handleSubmit(onSubmit)}>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
@@ -348,13 +1052,50 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
                 type="text"
                 className={`w-full px-3 py-2 border rounded-md ${errors.symbol ? 'border-red-500' : 'border-gray-300'}`}
                 placeholder="BTCUSDT"
-                {...register('symbol', { required: 'Symbol is required' })}
+                list="instrument-symbols"
+                {...register('symbol', {
+                  required: 'Symbol is required',
+                  // Without cached instruments for the market any symbol is accepted
+                  validate: value => instruments.length === 0 ||
+                    instruments.some(instrument => instrument.symbol === value.trim().toUpperCase()) ||
+                    `${value.trim().toUpperCase()} is not trading on this market`
+                })}
               />
+              <datalist id="instrument-symbols">
+                {instruments.map(instrument => (
+                  <option key={instrument.symbol} value={instrument.symbol} />
+                ))}
+              </datalist>
               {errors.symbol && <p className="mt-1 text-xs text-red-600">{errors.symbol.message}</p>}
+              {selectedInstrument && (
+                <p className="mt-1 text-xs text-gray-500">
+                  Min quantity {selectedInstrument.min_qty}
+                  {selectedInstrument.max_qty != null && `, max ${selectedInstrument.max_qty}`}, step {selectedInstrument.qty_step},
+                  tick size {selectedInstrument.tick_size}
+                  {selectedInstrument.max_leverage != null && `, leverage up to ${selectedInstrument.max_leverage}x`}
+                </p>
+              )}
             </div>
           </div>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Market</label>
+              <select
+                className={`w-full px-3 py-2 border rounded-md ${errors.market_type ? 'border-red-500' : 'border-gray-300'}`}
+                {...register('market_type', {
+                  validate: (value, formValues) =>
+                    !(value === 'inverse' && formValues.test_mode) || 'Test mode is not available for inverse markets'
+                })}
+              >
+                {(Object.keys(marketTypeOptions) as MarketType[]).map(type => (
+                  <option key={type} value={type}>{marketTypeOptions[type].label}</option>
+                ))}
+              </select>
+              {errors.market_type && <p className="mt-1 text-xs text-red-600">{errors.market_type.message}</p>}
+              <p className="mt-1 text-xs text-gray-500">{marketTypeOptions[watchMarketType]?.help}</p>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Default Order Type</label>
               <select
@@ -367,7 +1108,9 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
             </div>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Default Quantity</label>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Default Quantity{watchMarketType === 'inverse' ? ' (USD contracts)' : ''}
+              </label>
               <input
                 type="number"
                 step="0.000001"
@@ -396,26 +1139,608 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
               </select>
             </div>
             
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Default Stop Loss % (optional)</label>
-              <input
-                type="number"
-                step="0.1"
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Stop Loss / Take Profit Mode</label>
+              <select
                 className="w-full px-3 py-2 border border-gray-300 rounded-md"
-                placeholder="0"
-                {...register('default_stop_loss', { valueAsNumber: true })}
+                {...register('stop_mode')}
+              >
+                {(Object.keys(stopModeOptions) as StopMode[]).map(mode => (
+                  <option key={mode} value={mode}>{stopModeOptions[mode].label}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">{stopModeOptions[watchStopMode]?.help}</p>
+            </div>
+          </div>
+
+          {watchMarketType === 'spot' && (
+            <p className="mb-2 text-xs text-gray-500">
+              Spot bots place no stop losses or take profits; these settings are not saved.
+            </p>
+          )}
+          <fieldset disabled={watchMarketType === 'spot'} className="disabled:opacity-50">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Default Stop Loss ({stopUnit}, optional)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  placeholder="0"
+                  {...register('default_stop_loss', { valueAsNumber: true })}
+                />
+              </div>
+            
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Default Take Profit ({stopUnit}, optional)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md disabled:bg-gray-50"
+                  placeholder="0"
+                  disabled={takeProfitLevels.fields.length > 0}
+                  {...register('default_take_profit', { valueAsNumber: true })}
+                />
+                {takeProfitLevels.fields.length > 0 && (
+                  <p className="mt-1 text-xs text-gray-500">Replaced by the take-profit levels below.</p>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Trailing Stop ({watchStopMode === 'price' ? 'distance' : stopUnit}, optional)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  placeholder="0"
+                  {...register('trailing_stop', { valueAsNumber: true })}
+                />
+              </div>
+            </div>
+
+            <div className="mb-6">
+              <div className="flex justify-between items-center mb-2">
+                <label className="block text-sm font-medium text-gray-700">Take-Profit Levels (optional)</label>
+                <button
+                  type="button"
+                  onClick={() => takeProfitLevels.append({ value: 0, percent: 0 })}
+                  className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Plus size={16} className="mr-1" />
+                  Add level
+                </button>
+              </div>
+              {takeProfitLevels.fields.map((field, index) => (
+                <div key={field.id} className="flex gap-4 mb-2 items-center">
+                  <input
+                    type="number"
+                    step="0.1"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder={`Target (${stopUnit})`}
+                    {...register(`take_profit_levels.${index}.value` as const, { valueAsNumber: true })}
+                  />
+                  <input
+                    type="number"
+                    step="1"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="Close % of position"
+                    {...register(`take_profit_levels.${index}.percent` as const, { valueAsNumber: true })}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => takeProfitLevels.remove(index)}
+                    className="p-2 text-red-600 hover:text-red-800"
+                    aria-label="Remove level"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+              <p className="mt-1 text-xs text-gray-500">
+                Each level closes a share of the entry with a partial take profit. Levels and trailing stops are set on the position after market entries fill.
+              </p>
+            </div>
+          </fieldset>
+
+          <div className="mb-6 p-4 border border-gray-200 rounded-md">
+            <h3 className="font-medium text-gray-800 mb-3">Position Sizing</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Sizing Mode</label>
+                <select
+                  className={`w-full px-3 py-2 border rounded-md ${errors.sizing_mode ? 'border-red-500' : 'border-gray-300'}`}
+                  {...register('sizing_mode', {
+                    validate: (value, formValues) =>
+                      formValues.market_type !== 'inverse' || value === 'fixed_qty' ||
+                      'Inverse markets only support fixed quantity sizing'
+                  })}
+                >
+                  {(Object.keys(sizingModeOptions) as SizingMode[]).map(mode => (
+                    <option key={mode} value={mode}>{sizingModeOptions[mode].label}</option>
+                  ))}
+                </select>
+                {errors.sizing_mode && <p className="mt-1 text-xs text-red-600">{errors.sizing_mode.message}</p>}
+                <p className="mt-1 text-xs text-gray-500">{sizingModeOptions[watchSizingMode]?.help}</p>
+                {watchMarketType === 'spot' && watchSizingMode !== 'fixed_qty' && (
+                  <p className="mt-1 text-xs text-gray-500">Spot market buys are placed for the computed USDT amount.</p>
+                )}
+              </div>
+
+              {watchSizingMode !== 'fixed_qty' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {sizingModeOptions[watchSizingMode]?.valueLabel}
+                  </label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    className={`w-full px-3 py-2 border rounded-md ${errors.sizing_value ? 'border-red-500' : 'border-gray-300'}`}
+                    {...register('sizing_value', {
+                      valueAsNumber: true,
+                      validate: (value, formValues) =>
+                        formValues.sizing_mode === 'fixed_qty' || value > 0 || 'Enter a value greater than 0'
+                    })}
+                  />
+                  {errors.sizing_value && <p className="mt-1 text-xs text-red-600">{errors.sizing_value.message}</p>}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Leverage</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  className={`w-full px-3 py-2 border rounded-md ${errors.leverage ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="0"
+                  {...register('leverage', {
+                    valueAsNumber: true,
+                    validate: (value, formValues) => {
+                      if (!value) return true;
+                      if (value < 1) return 'Leverage must be at least 1';
+                      return formValues.market_type === 'spot' ||
+                        selectedInstrument?.max_leverage == null || value <= selectedInstrument.max_leverage ||
+                        `${selectedInstrument.symbol} allows at most ${selectedInstrument.max_leverage}x leverage`;
+                    }
+                  })}
+                />
+                {errors.leverage && <p className="mt-1 text-xs text-red-600">{errors.leverage.message}</p>}
+                <p className="mt-1 text-xs text-gray-500">
+                  Computed orders are capped at equity × leverage. Live bots also set this leverage on the exchange;
+                  0 keeps the account's leverage and sizes as 1x.
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Max Notional per Order (USDT, optional)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  placeholder="0"
+                  {...register('max_notional', { valueAsNumber: true })}
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  0 disables the cap.
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Margin Mode</label>
+                <select
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  disabled={watchMarketType === 'spot'}
+                  {...register('margin_mode')}
+                >
+                  <option value="">Account setting</option>
+                  <option value="cross">Cross</option>
+                  <option value="isolated">Isolated</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Position Mode</label>
+                <select
+                  className={`w-full px-3 py-2 border rounded-md ${errors.position_mode ? 'border-red-500' : 'border-gray-300'}`}
+                  disabled={watchMarketType === 'spot'}
+                  {...register('position_mode', {
+                    validate: (value, formValues) => {
+                      if (value !== 'hedge') return true;
+                      if (formValues.test_mode) return 'Test mode does not support hedge mode';
+                      return formValues.market_type === 'linear' || 'Hedge mode is available for USDT perpetuals only';
+                    }
+                  })}
+                >
+                  <option value="">Account setting</option>
+                  <option value="one_way">One-way</option>
+                  <option value="hedge">Hedge</option>
+                </select>
+                {errors.position_mode && <p className="mt-1 text-xs text-red-600">{errors.position_mode.message}</p>}
+                <p className="mt-1 text-xs text-gray-500">
+                  In hedge mode the alert's side picks the long or short position that close and reduce actions work on.
+                </p>
+              </div>
+
+              <p className="md:col-span-2 text-xs text-gray-500">
+                Live bots apply leverage, margin mode and position mode before their first order on a symbol, and again after the bot is saved. Spot bots trade without them.
+              </p>
+            </div>
+          </div>
+
+          <div className="mb-6 p-4 border border-gray-200 rounded-md">
+            <h3 className="font-medium text-gray-800 mb-1">Guard Rails</h3>
+            <p className="mb-3 text-xs text-gray-500">
+              Alerts that break a guard rail are rejected and shown in the alert log. Limits set to 0 are off. Exits are only checked against the allowed symbols, so positions can always be closed.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Allowed Symbols</label>
+                <input
+                  type="text"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  placeholder="e.g. BTCUSDT, ETHUSDT"
+                  {...register('allowed_symbols')}
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Alerts for other symbols are rejected. Leave empty to allow any symbol.
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Max Quantity per Order</label>
+                <input
+                  type="number"
+                  step="any"
+                  className={`w-full px-3 py-2 border rounded-md ${errors.max_order_qty ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="0"
+                  {...register('max_order_qty', {
+                    valueAsNumber: true,
+                    min: { value: 0, message: 'Limit cannot be negative' }
+                  })}
+                />
+                {errors.max_order_qty && <p className="mt-1 text-xs text-red-600">{errors.max_order_qty.message}</p>}
+                <p className="mt-1 text-xs text-gray-500">Entries above this quantity are rejected rather than reduced.</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Max Notional per Order (USDT)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  className={`w-full px-3 py-2 border rounded-md ${errors.max_order_notional ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="0"
+                  {...register('max_order_notional', {
+                    valueAsNumber: true,
+                    min: { value: 0, message: 'Limit cannot be negative' }
+                  })}
+                />
+                {errors.max_order_notional && <p className="mt-1 text-xs text-red-600">{errors.max_order_notional.message}</p>}
+                <p className="mt-1 text-xs text-gray-500">Entries above this value are rejected. Max Notional under Position Sizing reduces computed orders instead.</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Max Position Size</label>
+                <input
+                  type="number"
+                  step="any"
+                  className={`w-full px-3 py-2 border rounded-md ${errors.max_position_qty ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="0"
+                  {...register('max_position_qty', {
+                    valueAsNumber: true,
+                    min: { value: 0, message: 'Limit cannot be negative' }
+                  })}
+                />
+                {errors.max_position_qty && <p className="mt-1 text-xs text-red-600">{errors.max_position_qty.message}</p>}
+                <p className="mt-1 text-xs text-gray-500">Entries that would grow the position beyond this size are rejected.</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Daily Loss Limit (USDT)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  className={`w-full px-3 py-2 border rounded-md ${errors.daily_loss_limit ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="0"
+                  {...register('daily_loss_limit', {
+                    valueAsNumber: true,
+                    min: { value: 0, message: 'Limit cannot be negative' }
+                  })}
+                />
+                {errors.daily_loss_limit && <p className="mt-1 text-xs text-red-600">{errors.daily_loss_limit.message}</p>}
+                <p className="mt-1 text-xs text-gray-500">The bot pauses itself once realized losses since midnight UTC reach this amount.</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Max Orders per Hour</label>
+                <input
+                  type="number"
+                  step="1"
+                  className={`w-full px-3 py-2 border rounded-md ${errors.max_orders_per_hour ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="0"
+                  {...register('max_orders_per_hour', {
+                    valueAsNumber: true,
+                    min: { value: 0, message: 'Limit cannot be negative' }
+                  })}
+                />
+                {errors.max_orders_per_hour && <p className="mt-1 text-xs text-red-600">{errors.max_orders_per_hour.message}</p>}
+                <p className="mt-1 text-xs text-gray-500">Counted over the last 60 minutes.</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Max Orders per Day</label>
+                <input
+                  type="number"
+                  step="1"
+                  className={`w-full px-3 py-2 border rounded-md ${errors.max_orders_per_day ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="0"
+                  {...register('max_orders_per_day', {
+                    valueAsNumber: true,
+                    min: { value: 0, message: 'Limit cannot be negative' }
+                  })}
+                />
+                {errors.max_orders_per_day && <p className="mt-1 text-xs text-red-600">{errors.max_orders_per_day.message}</p>}
+                <p className="mt-1 text-xs text-gray-500">Counted over the last 24 hours.</p>
+              </div>
+
+            </div>
+
+            <div className="mt-6">
+              <div className="flex justify-between items-center mb-2">
+                <label className="block text-sm font-medium text-gray-700">Trading Hours</label>
+                <button
+                  type="button"
+                  onClick={() => tradingHours.append({ days: '1,2,3,4,5', start: '09:00', end: '17:00' })}
+                  className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Plus size={16} className="mr-1" />
+                  Add window
+                </button>
+              </div>
+              {tradingHours.fields.map((field, index) => (
+                <div key={field.id} className="flex gap-4 mb-2 items-center">
+                  <select
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                    {...register(`trading_hours.${index}.days` as const)}
+                  >
+                    {Object.entries(tradingDayOptions).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="time"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                    {...register(`trading_hours.${index}.start` as const, { required: true })}
+                  />
+                  <input
+                    type="time"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                    {...register(`trading_hours.${index}.end` as const, { required: true })}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => tradingHours.remove(index)}
+                    className="p-2 text-red-600 hover:text-red-800"
+                    aria-label="Remove window"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+              <div className="flex items-center gap-2 mt-2">
+                <label className="text-sm text-gray-700">Time zone</label>
+                <input
+                  type="text"
+                  className={`w-48 px-3 py-2 border rounded-md ${errors.trading_timezone ? 'border-red-500' : 'border-gray-300'}`}
+                  placeholder="UTC"
+                  {...register('trading_timezone', {
+                    validate: value => {
+                      try {
+                        new Intl.DateTimeFormat('en-US', { timeZone: value.trim() || 'UTC' });
+                        return true;
+                      } catch {
+                        return 'Unknown time zone';
+                      }
+                    }
+                  })}
+                />
+                {errors.trading_timezone && <p className="text-xs text-red-600">{errors.trading_timezone.message}</p>}
+              </div>
+              <p className="mt-1 text-xs text-gray-500">
+                New positions are only opened inside these windows. A window ending before it starts runs past midnight. Use a time zone name such as Europe/London or America/New_York. No windows means any time.
+              </p>
+            </div>
+          </div>
+
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Duplicate Alert Window (seconds)</label>
+            <input
+              type="number"
+              step="1"
+              className={`w-full md:w-1/3 px-3 py-2 border rounded-md ${errors.dedupe_window_seconds ? 'border-red-500' : 'border-gray-300'}`}
+              placeholder="60"
+              {...register('dedupe_window_seconds', {
+                valueAsNumber: true,
+                min: { value: 0, message: 'Window cannot be negative' }
+              })}
+            />
+            {errors.dedupe_window_seconds && <p className="mt-1 text-xs text-red-600">{errors.dedupe_window_seconds.message}</p>}
+            <p className="mt-1 text-xs text-gray-500">
+              Repeated deliveries of the same alert within this window return the original result instead of placing another order. Set to 0 to disable.
+            </p>
+          </div>
+
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Webhook Auto-Renewal</label>
+            <select
+              className="w-full md:w-1/3 px-3 py-2 border border-gray-300 rounded-md"
+              {...register('webhook_auto_renew_days', { valueAsNumber: true })}
+            >
+              {webhookAutoRenewOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">
+              While the bot is active, webhooks expiring within {EXPIRY_WARNING_DAYS} days are extended to this long from then. When off, you are notified before they expire instead.
+            </p>
+          </div>
+
+          <div className="mb-6">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Limit Order Expiry (minutes)</label>
+            <input
+              type="number"
+              step="1"
+              className={`w-full md:w-1/3 px-3 py-2 border rounded-md ${errors.limit_order_expiry_minutes ? 'border-red-500' : 'border-gray-300'}`}
+              placeholder="0"
+              {...register('limit_order_expiry_minutes', {
+                valueAsNumber: true,
+                min: { value: 0, message: 'Expiry cannot be negative' }
+              })}
+            />
+            {errors.limit_order_expiry_minutes && <p className="mt-1 text-xs text-red-600">{errors.limit_order_expiry_minutes.message}</p>}
+            <p className="mt-1 text-xs text-gray-500">
+              Limit orders that are still open after this long are cancelled. Order status is checked every 5 minutes. Set to 0 to keep orders until they fill.
+            </p>
+          </div>
+
+          <div className="mb-6 p-4 border border-gray-200 rounded-md">
+            <h3 className="font-medium text-gray-800 mb-1">Alert Format</h3>
+            <p className="mb-3 text-xs text-gray-500">
+              Alerts can be JSON or plain text. Common field names (ticker, qty, action, ...), values (long, short, exit, ...) in any case and TradingView symbols such as BYBIT:BTCUSDT.P are understood without any mapping.
+            </p>
+            
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Plain-Text Template</label>
+              <input
+                type="text"
+                className="w-full md:w-1/2 px-3 py-2 border border-gray-300 rounded-md font-mono text-sm"
+                placeholder={DEFAULT_TEXT_TEMPLATE}
+                {...register('payload_text_template')}
               />
+              <p className="mt-1 text-xs text-gray-500">
+                Read non-JSON alerts word by word, e.g. "buy BTCUSDT 0.01". Use {'{field}'} for values and {'{field?}'} for values that may be left out; other words must appear as written.
+              </p>
+            </div>
+            
+            <div className="mb-4">
+              <div className="flex justify-between items-center mb-2">
+                <label className="block text-sm font-medium text-gray-700">Field Mapping</label>
+                <button
+                  type="button"
+                  onClick={() => payloadFieldAliases.append({ field: 'quantity', source: '' })}
+                  className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Plus size={16} className="mr-1" />
+                  Add field
+                </button>
+              </div>
+              {payloadFieldAliases.fields.map((field, index) => (
+                <div key={field.id} className="flex gap-4 mb-2 items-center">
+                  <input
+                    type="text"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="Key in your alert, e.g. contracts"
+                    {...register(`payload_field_aliases.${index}.source` as const)}
+                  />
+                  <select
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                    {...register(`payload_field_aliases.${index}.field` as const)}
+                  >
+                    {Object.entries(payloadFields).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => payloadFieldAliases.remove(index)}
+                    className="p-2 text-red-600 hover:text-red-800"
+                    aria-label="Remove field"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            
+            <div className="mb-4">
+              <div className="flex justify-between items-center mb-2">
+                <label className="block text-sm font-medium text-gray-700">Value Mapping</label>
+                <button
+                  type="button"
+                  onClick={() => payloadValueAliases.append({ value: '', meaning: 'close' })}
+                  className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Plus size={16} className="mr-1" />
+                  Add value
+                </button>
+              </div>
+              {payloadValueAliases.fields.map((field, index) => (
+                <div key={field.id} className="flex gap-4 mb-2 items-center">
+                  <input
+                    type="text"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder="Side or action word, e.g. tp_hit"
+                    {...register(`payload_value_aliases.${index}.value` as const)}
+                  />
+                  <select
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+                    {...register(`payload_value_aliases.${index}.meaning` as const)}
+                  >
+                    {Object.entries(payloadValueMeanings).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => payloadValueAliases.remove(index)}
+                    className="p-2 text-red-600 hover:text-red-800"
+                    aria-label="Remove value"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
             </div>
             
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Default Take Profit % (optional)</label>
-              <input
-                type="number"
-                step="0.1"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md"
-                placeholder="0"
-                {...register('default_take_profit', { valueAsNumber: true })}
+              <label className="block text-sm font-medium text-gray-700 mb-1">Preview</label>
+              <textarea
+                className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm"
+                rows={4}
+                placeholder='Paste a sample alert, e.g. {"action": "long", "ticker": "BYBIT:BTCUSDT.P", "qty": 0.01}'
+                value={sampleAlert}
+                onChange={(e) => setSampleAlert(e.target.value)}
               />
+              {alertPreview?.error && (
+                <div className="mt-2 flex items-center text-red-600">
+                  <XCircle size={16} className="mr-1" />
+                  <span className="text-sm">{alertPreview.error}</span>
+                </div>
+              )}
+              {alertPreview?.alertData && !alertPreview.error && (
+                <div className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-md">
+                  <p className="text-xs text-gray-500 mb-2">
+                    Read as {alertPreview.format === 'text' ? 'plain text' : 'JSON'}. Values not in the alert come from the bot defaults.
+                  </p>
+                  <dl className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                    {[
+                      ['Action', alertPreview.action],
+                      ['Side', alertPreview.targetSide || alertPreview.alertData.side || watch('default_side') || 'Buy'],
+                      ['Symbol', alertPreview.alertData.symbol || watch('symbol').toUpperCase()],
+                      ['Quantity', alertPreview.alertData.quantity ?? (
+                        watchSizingMode === 'fixed_qty' ? watch('default_quantity') : sizingModeOptions[watchSizingMode].label
+                      )],
+                      ['Order Type', alertPreview.alertData.orderType || watch('default_order_type')],
+                      ['Price', alertPreview.alertData.price ?? '—'],
+                      ['Stop Loss', alertPreview.alertData.stopLoss ?? (watch('default_stop_loss') || '—')],
+                      ['Take Profit', alertPreview.alertData.takeProfit ?? (watch('default_take_profit') || '—')]
+                    ].map(([label, value]) => (
+                      <div key={label}>
+                        <dt className="text-xs text-gray-500">{label}</dt>
+                        <dd className="font-medium">{value}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                </div>
+              )}
             </div>
           </div>
 
@@ -442,16 +1767,113 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
               </label>
             </div>
             <p className="mt-1 text-xs text-gray-500">
-              In test mode, no real trades will be executed. This is useful for testing your TradingView alerts.
+              In test mode, orders are filled on a paper account at live Bybit prices. No API keys are needed and no real trades are executed.
             </p>
-            {watchTestMode && (
-              <div className="mt-2 p-3 bg-yellow-50 border border-yellow-200 rounded-md flex items-start">
-                <AlertTriangle size={16} className="text-yellow-500 mr-2 mt-0.5" />
-                <p className="text-sm text-yellow-700">
-                  Test mode is enabled. The bot will process incoming signals but will not execute actual trades.
+            {!watchTestMode && (
+              <div className="mt-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Exchange Account</label>
+                <select
+                  className={`w-full px-3 py-2 border rounded-md ${errors.exchange_account_id ? 'border-red-500' : 'border-gray-300'}`}
+                  {...register('exchange_account_id', {
+                    validate: (value, formValues) => {
+                      if (watchTestMode) return true;
+                      if (!value) return 'Select the exchange account this bot trades on';
+                      const account = exchangeAccounts.find(a => a.id === value);
+                      return account?.exchange !== 'binance' || formValues.market_type === 'linear' ||
+                        'Binance accounts trade USDT perpetuals only';
+                    }
+                  })}
+                >
+                  <option value="">Select an account</option>
+                  {exchangeAccounts.map(account => (
+                    <option key={account.id} value={account.id}>
+                      {account.label} ({account.exchange === 'binance' ? 'Binance' : 'Bybit'} {account.environment === 'testnet' ? 'Testnet' : 'Mainnet'})
+                    </option>
+                  ))}
+                </select>
+                {errors.exchange_account_id && <p className="mt-1 text-xs text-red-600">{errors.exchange_account_id.message}</p>}
+                <p className="mt-1 text-xs text-gray-500">
+                  Orders are placed with this account's API key. Manage accounts in <Link to="/settings" className="text-blue-600 hover:underline">Account Settings</Link>.
                 </p>
               </div>
             )}
+            {watchTestMode && (
+              <>
+                <div className="mt-2 p-3 bg-yellow-50 border border-yellow-200 rounded-md flex items-start">
+                  <AlertTriangle size={16} className="text-yellow-500 mr-2 mt-0.5" />
+                  <p className="text-sm text-yellow-700">
+                    Test mode is enabled. The bot will paper trade incoming signals but will not execute actual trades.
+                  </p>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Paper Starting Balance (USDT)</label>
+                    <input
+                      type="number"
+                      step="any"
+                      min="0"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                      {...register('paper_starting_balance', { valueAsNumber: true, min: 0 })}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Taker Fee (%)</label>
+                    <input
+                      type="number"
+                      step="any"
+                      min="0"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                      {...register('paper_taker_fee', { valueAsNumber: true, min: 0 })}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Maker Fee (%)</label>
+                    <input
+                      type="number"
+                      step="any"
+                      min="0"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                      {...register('paper_maker_fee', { valueAsNumber: true, min: 0 })}
+                    />
+                  </div>
+                </div>
+                <p className="mt-1 text-xs text-gray-500">
+                  Market orders and triggered stops pay the taker fee; resting limit orders pay the maker fee. The starting balance applies when the paper account is opened or reset.
+                </p>
+
+                {!isNew && (
+                  <div className="mt-4 p-4 bg-gray-50 rounded-md">
+                    <div className="flex justify-between items-center">
+                      <div>
+                        <p className="text-sm font-medium text-gray-700">Paper Account</p>
+                        <p className="text-sm text-gray-600">
+                          {paperAccount
+                            ? `Balance: ${Number(paperAccount.balance).toFixed(2)} USDT | Resting orders: ${paperAccount.openOrders}`
+                            : 'Opens with the starting balance on the next alert'}
+                        </p>
+                      </div>
+                      {paperAccount && (
+                        <button
+                          type="button"
+                          onClick={resetPaperAccount}
+                          className="text-sm text-red-600 hover:text-red-800"
+                        >
+                          Reset paper account
+                        </button>
+                      )}
+                    </div>
+                    {paperAccount?.positions.map(position => (
+                      <p key={position.symbol} className="mt-2 text-sm text-gray-600">
+                        {position.symbol}: {position.side === 'Buy' ? 'Long' : 'Short'} {position.size} @ {Number(position.entry_price).toFixed(2)}
+                        {position.stop_loss != null && ` | SL ${position.stop_loss}`}
+                        {position.take_profit != null && ` | TP ${position.take_profit}`}
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
           </div>
 
           <div className="flex justify-end">
@@ -469,49 +1891,268 @@ const BotConfiguration: React.FC<BotConfigurationProps> = ({ isNew = false }) =>
 
       {!isNew && (
         <div className="bg-white rounded-lg shadow-sm p-6">
-          <h2 className="text-lg font-semibold mb-4">TradingView Webhook</h2>
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold">TradingView Webhooks</h2>
+            <Link to={`/alerts?bot=${id}`} className="text-sm text-blue-600 hover:text-blue-800">
+              View alert log
+            </Link>
+          </div>
           
-          {webhookUrl ? (
-            <div className="mb-4">
-              <label className="block text-sm font-medium text-gray-700 mb-1">Your Webhook URL</label>
-              <div className="flex">
+          {webhooks.length > 0 ? (
+            <div className="mb-4 divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {webhooks.map(webhook => {
+                const status = webhookStatus(webhook);
+                const usable = status.label === 'Active' || status.label === 'Rotated';
+                return (
+                  <div key={webhook.id} className={`p-3 ${usable ? '' : 'bg-gray-50'}`}>
+                    <div className="flex justify-between items-center mb-2">
+                      <div className="flex items-center">
+                        <span className="text-sm font-medium">{webhook.label || 'Unlabelled webhook'}</span>
+                        <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${status.style}`}>{status.label}</span>
+                        {webhook.auth_mode && webhook.auth_mode !== 'token' && (
+                          <Shield size={14} className="ml-2 text-blue-600" />
+                        )}
+                      </div>
+                      {!usable && status.label === 'Expired' && !webhook.replaced_by && (
+                        <div className="flex gap-3 text-sm">
+                          <button
+                            type="button"
+                            onClick={() => extendWebhook(webhook)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Extend
+                          </button>
+                        </div>
+                      )}
+                      {usable && (
+                        <div className="flex gap-3 text-sm">
+                          {webhook.expires_at && !webhook.replaced_by && (
+                            <button
+                              type="button"
+                              onClick={() => extendWebhook(webhook)}
+                              className="text-blue-600 hover:text-blue-800"
+                            >
+                              Extend
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => editWebhookSecurity(webhook)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Security
+                          </button>
+                          {!webhook.replaced_by && (
+                            <button
+                              type="button"
+                              onClick={() => rotateWebhook(webhook)}
+                              className="text-blue-600 hover:text-blue-800"
+                            >
+                              Rotate
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => revokeWebhook(webhook)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Revoke
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                    {usable && (
+                      <div className="flex">
+                        <input
+                          type="text"
+                          value={webhook.url}
+                          readOnly
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-l-md bg-gray-50 text-sm"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => copyWebhookUrl(webhook)}
+                          className="px-3 py-2 bg-gray-100 border border-gray-300 border-l-0 rounded-r-md hover:bg-gray-200 transition-colors flex items-center"
+                        >
+                          {copiedWebhookId === webhook.id ? <CheckCircle size={18} className="text-green-600" /> : <Copy size={18} />}
+                        </button>
+                      </div>
+                    )}
+                    <p className="mt-1 text-xs text-gray-500">
+                      Created {new Date(webhook.created_at).toLocaleString()}
+                      {' | '}
+                      {webhook.revoked_at
+                        ? `Revoked ${new Date(webhook.revoked_at).toLocaleString()}`
+                        : webhook.expires_at
+                          ? status.label === 'Expired'
+                            ? `Expired ${new Date(webhook.expires_at).toLocaleString()}`
+                            : `Expires ${new Date(webhook.expires_at).toLocaleString()} (in ${formatTimeLeft(webhook.expires_at, now)})`
+                          : 'Never expires'}
+                      {' | '}
+                      {webhook.last_used_at ? `Last used ${new Date(webhook.last_used_at).toLocaleString()}` : 'Never used'}
+                    </p>
+                    {webhook.missed_alerts > 0 && (
+                      <p className="mt-1 text-xs text-red-600">
+                        {webhook.missed_alerts} alert{webhook.missed_alerts === 1 ? '' : 's'} arrived after expiry and {webhook.missed_alerts === 1 ? 'was' : 'were'} not processed
+                        {webhook.last_missed_at && `, latest ${new Date(webhook.last_missed_at).toLocaleString()}`}.{' '}
+                        <Link to={`/alerts?bot=${id}`} className="underline">See the alert log</Link>
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-700 mb-4">
+              Generate a webhook URL to connect this bot with TradingView alerts.
+            </p>
+          )}
+          
+          <div className="mb-4 flex flex-wrap items-end gap-3">
+            <div className="flex-1 min-w-[12rem]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Label (optional)</label>
+              <input
+                type="text"
+                value={newWebhookLabel}
+                onChange={(e) => setNewWebhookLabel(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                placeholder="e.g. 15m breakout alert"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Expires after</label>
+              <select
+                value={newWebhookExpiry}
+                onChange={(e) => setNewWebhookExpiry(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md"
+              >
+                {webhookExpiryOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            {newWebhookExpiry === 'custom' && (
+              <div className="w-28">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Days</label>
                 <input
-                  type="text"
-                  value={webhookUrl}
-                  readOnly
-                  className="flex-1 px-3 py-2 border border-gray-300 rounded-l-md bg-gray-50"
+                  type="number"
+                  min="1"
+                  value={newWebhookExpiryDays}
+                  onChange={(e) => setNewWebhookExpiryDays(Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
                 />
+              </div>
+            )}
+            <button
+              type="button"
+              onClick={generateWebhook}
+              disabled={generateLoading}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors flex items-center"
+            >
+              {generateLoading ? (
+                <RefreshCw size={16} className="mr-2 animate-spin" />
+              ) : (
+                <Bot size={16} className="mr-2" />
+              )}
+              Generate Webhook URL
+            </button>
+          </div>
+          <p className="mb-4 text-xs text-gray-500">
+            Each TradingView alert can use its own URL. Rotating a URL issues a new one with the same settings and keeps the old one working for a grace period; revoking stops it immediately.
+          </p>
+          
+          {securityWebhook && (
+            <form onSubmit={handleSubmitSecurity(onSaveWebhookSecurity)} className="mt-4 p-4 border border-gray-200 rounded-md">
+              <h3 className="font-medium mb-3 flex items-center">
+                <Shield size={16} className="mr-2 text-blue-600" />
+                Webhook Security: {securityWebhook.label || 'Unlabelled webhook'}
+              </h3>
+              
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Authentication</label>
+                <select
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  {...registerSecurity('auth_mode')}
+                >
+                  {(Object.keys(webhookAuthModeOptions) as WebhookAuthMode[]).map(mode => (
+                    <option key={mode} value={mode}>{webhookAuthModeOptions[mode].label}</option>
+                  ))}
+                </select>
+                <p className="mt-1 text-xs text-gray-500">{webhookAuthModeOptions[watchAuthMode]?.help}</p>
+              </div>
+              
+              {watchAuthMode === 'passphrase' && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Passphrase</label>
+                  <input
+                    type="password"
+                    autoComplete="new-password"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                    placeholder={securityWebhook.has_passphrase ? 'Leave blank to keep the current passphrase' : 'Enter a passphrase'}
+                    {...registerSecurity('passphrase')}
+                  />
+                </div>
+              )}
+              
+              {watchAuthMode === 'hmac' && securityWebhook.has_signing_secret && (
+                <div className="mb-4 flex items-center">
+                  <input
+                    type="checkbox"
+                    id="regenerate_secret"
+                    className="h-4 w-4 text-blue-600 rounded"
+                    {...registerSecurity('regenerate_secret')}
+                  />
+                  <label htmlFor="regenerate_secret" className="ml-2 block text-sm text-gray-700">
+                    Generate a new signing secret (the current one stops working)
+                  </label>
+                </div>
+              )}
+              
+              {signingSecret && (
+                <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+                  <p className="text-sm text-yellow-800 mb-1">
+                    Signing secret. Copy it now; it is not shown again.
+                  </p>
+                  <code className="block text-xs break-all bg-white p-2 rounded border border-yellow-200">{signingSecret}</code>
+                </div>
+              )}
+              
+              <div className="mb-4">
+                <div className="flex justify-between items-center mb-1">
+                  <label className="block text-sm font-medium text-gray-700">Allowed Source IPs (optional)</label>
+                  <button
+                    type="button"
+                    onClick={() => setSecurityValue('allowed_ips', TRADINGVIEW_IPS.join('\n'))}
+                    className="text-xs text-blue-600 hover:text-blue-800"
+                  >
+                    Use TradingView addresses
+                  </button>
+                </div>
+                <textarea
+                  rows={3}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm"
+                  placeholder="One address or IPv4 CIDR range per line. Leave empty to allow any source."
+                  {...registerSecurity('allowed_ips')}
+                />
+              </div>
+              
+              <div className="flex items-center">
                 <button
-                  type="button"
-                  onClick={copyWebhookUrl}
-                  className="px-3 py-2 bg-gray-100 border border-gray-300 border-l-0 rounded-r-md hover:bg-gray-200 transition-colors flex items-center"
+                  type="submit"
+                  disabled={savingSecurity}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors flex items-center"
                 >
-                  {copySuccess ? <CheckCircle size={18} className="text-green-600" /> : <Copy size={18} />}
+                  {savingSecurity && <RefreshCw size={16} className="mr-2 animate-spin" />}
+                  Save Security Settings
                 </button>
-              </div>
-              <p className="mt-1 text-xs text-gray-500">
-                Use this URL in your TradingView alerts to send signals to this bot.
-              </p>
-            </div>
-          ) : (
-            <div className="mb-4">
-              <p className="text-sm text-gray-700 mb-3">
-                Generate a webhook URL to connect this bot with TradingView alerts.
-              </p>
-              <button
-                type="button"
-                onClick={generateWebhook}
-                disabled={generateLoading}
-                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors flex items-center"
-              >
-                {generateLoading ? (
-                  <RefreshCw size={16} className="mr-2 animate-spin" />
-                ) : (
-                  <Bot size={16} className="mr-2" />
+                {securityError && (
+                  <div className="ml-3 flex items-center text-red-600">
+                    <XCircle size={16} className="mr-1" />
+                    <span className="text-sm">{securityError}</span>
+                  </div>
                 )}
-                Generate Webhook URL
-              </button>
-            </div>
+              </div>
+            </form>
           )}
           
           <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-md">
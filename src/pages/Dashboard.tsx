@@ -14,7 +14,7 @@ import {
 } from 'chart.js';
 import { useSupabase } from '../contexts/SupabaseContext';
 import { useAuth } from '../contexts/AuthContext';
-import { format } from 'date-fns';
+import { format, formatDistanceToNow } from 'date-fns';
 
 // Register ChartJS components
 ChartJS.register(
@@ -46,14 +46,38 @@ type Trade = {
   price: number;
   quantity: number;
   status: string;
+  fee: number | null;
+  realized_pnl: number | null;
   created_at: string;
 };
 
+type ExpiringWebhook = {
+  id: string;
+  bot_id: string;
+  label: string | null;
+  expires_at: string;
+  missed_alerts: number;
+};
+
+// Webhooks expiring within this many days are listed, as in the expiry warnings
+const EXPIRY_WARNING_DAYS = 3;
+
+type BotPnl = {
+  realized: number;
+  fees: number;
+  closedTrades: number;
+  wins: number;
+};
+
+const formatPnl = (value: number) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
 const Dashboard: React.FC = () => {
   const { supabase } = useSupabase();
   const { user } = useAuth();
   const [bots, setBots] = useState<Bot[]>([]);
   const [recentTrades, setRecentTrades] = useState<Trade[]>([]);
+  const [pnlByBot, setPnlByBot] = useState<Record<string, BotPnl>>({});
+  const [expiringWebhooks, setExpiringWebhooks] = useState<ExpiringWebhook[]>([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -81,9 +105,44 @@ const Dashboard: React.FC = () => {
           .limit(10);
 
         if (tradesError) throw tradesError;
+
+        // Fees and realized PnL of every trade, rolled up per bot
+        const { data: pnlData, error: pnlError } = await supabase
+          .from('trades')
+          .select('bot_id, realized_pnl, fee')
+          .eq('user_id', user.id)
+          .or('realized_pnl.not.is.null,fee.not.is.null');
+
+        if (pnlError) throw pnlError;
+
+        // Live webhooks about to expire, and expired ones TradingView still sends alerts to
+        const { data: webhooksData, error: webhooksError } = await supabase
+          .from('webhooks')
+          .select('id, bot_id, label, expires_at, missed_alerts')
+          .eq('user_id', user.id)
+          .is('revoked_at', null)
+          .is('replaced_by', null)
+          .lte('expires_at', new Date(Date.now() + EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000).toISOString())
+          .order('expires_at', { ascending: true });
+
+        if (webhooksError) throw webhooksError;
+
+        const pnl: Record<string, BotPnl> = {};
+        for (const trade of pnlData || []) {
+          const entry = pnl[trade.bot_id] ??= { realized: 0, fees: 0, closedTrades: 0, wins: 0 };
+          entry.fees += Number(trade.fee) || 0;
+          if (trade.realized_pnl != null) {
+            entry.realized += Number(trade.realized_pnl);
+            entry.closedTrades += 1;
+            if (Number(trade.realized_pnl) > 0) entry.wins += 1;
+          }
+        }
         
         setBots(botsData || []);
         setRecentTrades(tradesData || []);
+        setPnlByBot(pnl);
+        setExpiringWebhooks((webhooksData || []).filter(webhook =>
+          new Date(webhook.expires_at) > new Date() || webhook.missed_alerts > 0));
       } catch (error) {
         console.error('Error fetching dashboard data:', error);
       } finally {
@@ -151,6 +210,32 @@ const Dashboard: React.FC = () => {
         </div>
       ) : (
         <>
+          {expiringWebhooks.length > 0 && (
+            <div className="mb-6 p-4 bg-orange-50 border border-orange-200 rounded-md flex items-start">
+              <AlertTriangle size={20} className="text-orange-500 mr-3 mt-0.5" />
+              <div>
+                <h3 className="font-medium text-orange-800">Webhooks need renewal</h3>
+                <ul className="text-sm text-orange-700 mt-1 space-y-1">
+                  {expiringWebhooks.map(webhook => {
+                    const bot = bots.find(b => b.id === webhook.bot_id);
+                    const expired = new Date(webhook.expires_at) <= new Date();
+                    return (
+                      <li key={webhook.id}>
+                        <Link to={`/bots/${webhook.bot_id}`} className="underline">
+                          {bot?.name || 'Bot'}{webhook.label ? ` - ${webhook.label}` : ''}
+                        </Link>
+                        {expired
+                          ? ` expired ${formatDistanceToNow(new Date(webhook.expires_at), { addSuffix: true })}`
+                          : ` expires ${formatDistanceToNow(new Date(webhook.expires_at), { addSuffix: true })}`}
+                        {webhook.missed_alerts > 0 && ` (${webhook.missed_alerts} missed alert${webhook.missed_alerts === 1 ? '' : 's'})`}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            </div>
+          )}
+
           {/* Summary stats */}
           <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
             <div className="bg-white p-6 rounded-lg shadow-sm">
@@ -209,7 +294,10 @@ const Dashboard: React.FC = () => {
                     </div>
                     <div className="text-gray-600 mb-1">Symbol: {bot.symbol}</div>
                     <div className="text-gray-600 mb-4">
-                      Trades: {bot.trade_count || 0} | P/L: {(bot.profit_loss || 0).toFixed(2)} USDT
+                      Trades: {bot.trade_count || 0} | P/L:{' '}
+                      <span className={(bot.profit_loss || 0) >= 0 ? 'text-green-600' : 'text-red-600'}>
+                        {formatPnl(bot.profit_loss || 0)} USDT
+                      </span>
                     </div>
                     <div className="text-xs text-gray-500">
                       Created: {format(new Date(bot.created_at), 'MMM dd, yyyy')}
@@ -225,6 +313,66 @@ const Dashboard: React.FC = () => {
             )}
           </div>
 
+          {/* Profit & loss section */}
+          {bots.length > 0 && (
+            <div className="mb-8">
+              <h2 className="text-xl font-semibold mb-4">Profit &amp; Loss by Bot</h2>
+              <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Bot
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Realized P/L
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Fees
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Net P/L
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Win Rate
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {bots.map((bot) => {
+                      const pnl = pnlByBot[bot.id] ?? { realized: 0, fees: 0, closedTrades: 0, wins: 0 };
+                      const net = pnl.realized - pnl.fees;
+                      return (
+                        <tr key={bot.id}>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            <Link to={`/bots/${bot.id}`} className="hover:text-blue-600">{bot.name}</Link>
+                          </td>
+                          <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${pnl.realized >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            {formatPnl(pnl.realized)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">
+                            {pnl.fees.toFixed(2)}
+                          </td>
+                          <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${net >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            {formatPnl(net)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                            {pnl.closedTrades > 0
+                              ? `${((pnl.wins / pnl.closedTrades) * 100).toFixed(0)}% of ${pnl.closedTrades}`
+                              : '—'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <p className="mt-2 text-xs text-gray-500">
+                Live trades are reconciled with Bybit fills every 15 minutes. Amounts are in USDT.
+              </p>
+            </div>
+          )}
+
           {/* Chart section */}
           <div className="mb-8">
             <h2 className="text-xl font-semibold mb-4">Trading Activity</h2>
@@ -278,6 +426,9 @@ const Dashboard: React.FC = () => {
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Quantity
                       </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        P/L
+                      </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Date
                       </th>
@@ -307,6 +458,12 @@ const Dashboard: React.FC = () => {
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                             {trade.quantity}
                           </td>
+                          <td className={`px-6 py-4 whitespace-nowrap text-sm ${
+                            trade.realized_pnl == null ? 'text-gray-400' :
+                            trade.realized_pnl >= 0 ? 'text-green-600' : 'text-red-600'
+                          }`}>
+                            {trade.realized_pnl == null ? '—' : formatPnl(Number(trade.realized_pnl))}
+                          </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                             {format(new Date(trade.created_at), 'MMM dd, HH:mm')}
                           </td>
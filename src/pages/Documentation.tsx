@@ -28,6 +28,11 @@ const Documentation: React.FC = () => {
   "side": "{{strategy.order.action}}",
   "price": {{close}},
   "quantity": {{strategy.position_size}}
+}`,
+    marketPosition: `{
+  "symbol": "{{ticker}}",
+  "marketPosition": "{{strategy.market_position}}",
+  "quantity": {{strategy.position_size}}
 }`,
   };
 
@@ -40,7 +45,7 @@ const Documentation: React.FC = () => {
         
         <div className="space-y-4">
           <p className="text-gray-700">
-            Welcome to the Trading Bot Platform! This guide will help you set up your trading bots and connect them to TradingView for automated trade execution on Bybit.
+            Welcome to the Trading Bot Platform! This guide will help you set up your trading bots and connect them to TradingView for automated trade execution on Bybit or Binance USDT-M Futures.
           </p>
           
           <div className="flex items-start p-4 bg-yellow-50 border border-yellow-200 rounded-md">
@@ -57,7 +62,7 @@ const Documentation: React.FC = () => {
           <ul className="list-disc list-inside ml-4 text-gray-700 space-y-2">
             <li>Create multiple trading bots with custom configurations</li>
             <li>Connect each bot to TradingView alerts via unique webhook URLs</li>
-            <li>Execute trades automatically on Bybit based on TradingView signals</li>
+            <li>Execute trades automatically on Bybit or Binance based on TradingView signals</li>
             <li>Monitor performance and trade history</li>
             <li>Test your strategy without risking real funds</li>
           </ul>
@@ -75,9 +80,13 @@ const Documentation: React.FC = () => {
           <ol className="list-decimal list-inside ml-4 text-gray-700 space-y-2">
             <li>Go to the "Bots" section of the dashboard</li>
             <li>Select the bot you want to connect to TradingView</li>
+            <li>Optionally give the URL a label and choose when it expires (or never)</li>
             <li>Click "Generate Webhook URL"</li>
             <li>Copy the generated URL</li>
           </ol>
+          <p className="text-gray-700 mt-2">
+            A bot can have several webhook URLs, each with its own label, expiry and last-used time. Use "Rotate" to replace a URL that may have leaked: the new URL keeps the same settings and the old one keeps working for a grace period while you update your alerts. "Revoke" stops a URL immediately. "Extend" moves a URL's expiry, and brings an expired URL back without changing it in TradingView. Webhooks expiring within 3 days are flagged on the dashboard and notified once; with Webhook Auto-Renewal, an active bot's webhooks are extended automatically instead. Alerts sent to an expired URL show in the alert log as expired webhook.
+          </p>
           
           <h3 className="font-medium text-lg mt-6">Step 2: Create an Alert in TradingView</h3>
           <p className="text-gray-700">
@@ -130,6 +139,77 @@ const Documentation: React.FC = () => {
             </button>
           </div>
           
+          <h3 className="font-medium text-lg mt-6">Other Alert Formats</h3>
+          <p className="text-gray-700 mb-2">
+            Alerts from other tools or existing strategies usually work as they are:
+          </p>
+          <ul className="list-disc list-inside ml-4 text-gray-700 space-y-2">
+            <li>Field names are matched in any case, and common aliases are understood: <code className="bg-gray-100 px-1 rounded">ticker</code> for symbol, <code className="bg-gray-100 px-1 rounded">qty</code>/<code className="bg-gray-100 px-1 rounded">contracts</code> for quantity, <code className="bg-gray-100 px-1 rounded">direction</code> for side, <code className="bg-gray-100 px-1 rounded">sl</code>/<code className="bg-gray-100 px-1 rounded">tp</code> for stops</li>
+            <li>Sides and actions can be <code className="bg-gray-100 px-1 rounded">long</code>, <code className="bg-gray-100 px-1 rounded">short</code> or <code className="bg-gray-100 px-1 rounded">exit</code>, in any case; <code className="bg-gray-100 px-1 rounded">{'"action": "long"'}</code> is read as the side</li>
+            <li>Symbols like <code className="bg-gray-100 px-1 rounded">BYBIT:BTCUSDT.P</code> from <code className="bg-gray-100 px-1 rounded">{'{{ticker}}'}</code> lose the exchange prefix and perpetual suffix</li>
+            <li>Plain-text alerts such as <code className="bg-gray-100 px-1 rounded">buy BTCUSDT 0.01</code> are read with the bot's plain-text template</li>
+          </ul>
+          <p className="text-gray-700 mt-2">
+            Anything else can be mapped per bot under Alert Format in the bot settings, where you can paste a sample alert and preview the order it resolves to.
+          </p>
+
+          <h3 className="font-medium text-lg mt-6">Position Actions</h3>
+          <p className="text-gray-700 mb-2">
+            Add an <code className="bg-gray-100 px-1 rounded">action</code> field to work with the open position instead of always opening a new one:
+          </p>
+          <ul className="list-disc list-inside ml-4 text-gray-700 space-y-2">
+            <li><code className="bg-gray-100 px-1 rounded">open</code> (default) - place an order on the given side</li>
+            <li><code className="bg-gray-100 px-1 rounded">add</code> - scale into the open position on its own side</li>
+            <li><code className="bg-gray-100 px-1 rounded">close</code> - close the whole position with a reduce-only order</li>
+            <li><code className="bg-gray-100 px-1 rounded">close_partial</code> - close <code className="bg-gray-100 px-1 rounded">percent</code> of the position</li>
+            <li><code className="bg-gray-100 px-1 rounded">reverse</code> - close the position and open the same size plus the quantity on the other side</li>
+            <li><code className="bg-gray-100 px-1 rounded">flat</code> - like close, but succeeds quietly when there is no position</li>
+          </ul>
+          <p className="text-gray-700 mt-2 mb-2">
+            Bots in hedge mode can hold a long and a short at once. There, <code className="bg-gray-100 px-1 rounded">side</code> names the position an action works on (<code className="bg-gray-100 px-1 rounded">Buy</code> for the long, <code className="bg-gray-100 px-1 rounded">Sell</code> for the short), so <code className="bg-gray-100 px-1 rounded">{'"action": "close", "side": "Sell"'}</code> closes the short. <code className="bg-gray-100 px-1 rounded">reverse</code> and target positions are not available in hedge mode.
+          </p>
+          <p className="text-gray-700 mt-2 mb-2">
+            Strategies can instead send their target position and size. The bot compares it with the open position and orders the difference, so entries, scale-ins, partial exits, reversals and exits to <code className="bg-gray-100 px-1 rounded">flat</code> all map correctly:
+          </p>
+          <div className="relative">
+            <pre className="bg-gray-800 text-gray-200 p-4 rounded-md text-sm overflow-x-auto">
+              {codeSnippets.marketPosition}
+            </pre>
+            <button
+              onClick={() => copyToClipboard(codeSnippets.marketPosition, 'marketPosition')}
+              className="absolute top-2 right-2 p-1.5 bg-gray-700 text-gray-200 rounded-md hover:bg-gray-600 transition-colors"
+              aria-label="Copy code"
+            >
+              {copySuccess['marketPosition'] ? <CheckCircle size={16} /> : <Copy size={16} />}
+            </button>
+          </div>
+
+          <h3 className="font-medium text-lg mt-6">Duplicate Alerts</h3>
+          <p className="text-gray-700">
+            TradingView may deliver the same alert more than once. Add an <code className="bg-gray-100 px-1 rounded">alertId</code> (or <code className="bg-gray-100 px-1 rounded">nonce</code>) field that is unique per signal, for example <code className="bg-gray-100 px-1 rounded">{'"{{strategy.order.id}}-{{time}}"'}</code>. Alerts without one are identified by their message and bar time. A repeated alert within the bot's duplicate window returns the original order result instead of placing a second order, also when it arrives on a rotated webhook URL of the same bot.
+          </p>
+
+          <h3 className="font-medium text-lg mt-6">Alert Queue and Retries</h3>
+          <p className="text-gray-700">
+            Accepted alerts are queued and answered with HTTP 202 straight away, then executed in the order they arrived, one at a time per bot. They show in the alert log as queued until they have run. When the exchange is rate limiting, reports a clock mismatch or fails to answer, the alert is retried with a growing delay, up to 5 attempts in total; a bot's later alerts wait until it has run. Alerts the exchange refuses, for example for an insufficient balance, are not retried.
+          </p>
+          <p className="text-gray-700">
+            Alerts that still fail are listed as dead letters at the top of the alert log and notified as errors. "Retry now" queues a dead letter again with the order link ID of its first attempt, so an order that did reach the exchange is not placed twice; "Discard" drops it.
+          </p>
+
+          <h3 className="font-medium text-lg mt-6">Securing Your Webhook</h3>
+          <p className="text-gray-700">
+            By default the token in the webhook URL is the only credential. Under Webhook Security on the bot page you can additionally require:
+          </p>
+          <ul className="list-disc list-inside ml-4 text-gray-700 space-y-2">
+            <li>A passphrase: add <code className="bg-gray-100 px-1 rounded">"passphrase": "your passphrase"</code> to the alert message. It is stored hashed and removed from the alert log.</li>
+            <li>HMAC-signed requests, for senders other than TradingView: send <code className="bg-gray-100 px-1 rounded">X-Timestamp</code> (unix seconds) and <code className="bg-gray-100 px-1 rounded">X-Signature</code>, the hex HMAC-SHA256 of <code className="bg-gray-100 px-1 rounded">{'<timestamp>.<body>'}</code> with the webhook's signing secret. Requests more than 5 minutes old or sent twice are rejected.</li>
+            <li>A source-IP allowlist, which can be filled with TradingView's published alert addresses.</li>
+          </ul>
+          <p className="text-gray-700">
+            Requests failing these checks receive HTTP 401 and appear in the alert log as unauthorized.
+          </p>
+
           <h3 className="font-medium text-lg mt-6">Testing Your Webhook</h3>
           <p className="text-gray-700">
             To test your webhook before using it with real money:
@@ -141,6 +221,16 @@ const Documentation: React.FC = () => {
             <li>Trigger the alert manually or wait for it to trigger</li>
             <li>Check the "Trade History" section to see if the test order was processed correctly</li>
           </ol>
+
+          <h3 className="font-medium text-lg mt-6">Paper Trading</h3>
+          <p className="text-gray-700">
+            Bots in Test Mode trade on a paper account with its own USDT balance. Market orders fill at the current Bybit price and pay the taker fee. Limit orders are post-only: they rest until the price trades through them and pay the maker fee. Stop losses, take profits, take-profit levels and trailing stops are checked against the price history since the previous alert whenever the next alert for the bot arrives. Paper fills appear in Trade History with their fees and realized P/L, just like live trades.
+          </p>
+
+          <h3 className="font-medium text-lg mt-6">Kill Switch</h3>
+          <p className="text-gray-700">
+            The Kill Switch button in the sidebar stops all trading at once. It rejects every alert for your account, exits included, pauses all active bots and cancels every open order on each of your exchange accounts and paper accounts. You can also have it close every exchange position with a reduce-only market order. Each use is recorded with what was paused, cancelled and closed. After you resume trading, bots stay paused until you activate them again.
+          </p>
         </div>
       </div>
       
@@ -169,9 +259,19 @@ const Documentation: React.FC = () => {
                 </tr>
                 <tr className="border-b">
                   <td className="px-6 py-4 font-medium">Trading Symbol</td>
-                  <td className="px-6 py-4">The trading pair (e.g., BTCUSDT)</td>
+                  <td className="px-6 py-4">The trading pair (e.g., BTCUSDT). Symbols trading on the bot's exchange and market are suggested as you type, with their minimum quantity, step and tick size.</td>
                   <td className="px-6 py-4">BTCUSDT</td>
                 </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Market</td>
+                  <td className="px-6 py-4">
+                    USDT perpetual, inverse perpetual (coin-margined, sized in USD contracts with fixed quantities only) or spot.
+                    Spot bots only open and sell: position actions, stop losses and take profits are rejected, and value-based sizing
+                    places market buys for the computed USDT amount. Inverse and spot markets need a Bybit account, and inverse bots
+                    cannot paper trade.
+                  </td>
+                  <td className="px-6 py-4">USDT perpetual</td>
+                </tr>
                 <tr className="border-b">
                   <td className="px-6 py-4 font-medium">Default Order Type</td>
                   <td className="px-6 py-4">Market or Limit order</td>
@@ -188,18 +288,88 @@ const Documentation: React.FC = () => {
                   <td className="px-6 py-4">None</td>
                 </tr>
                 <tr className="border-b">
-                  <td className="px-6 py-4 font-medium">Default Stop Loss %</td>
-                  <td className="px-6 py-4">Automatic stop loss percentage</td>
+                  <td className="px-6 py-4 font-medium">Stop Loss / Take Profit Mode</td>
+                  <td className="px-6 py-4">How stop values are read: absolute prices, percent from entry, price distance from entry, or multiples of the <code>atr</code> value sent in the alert</td>
+                  <td className="px-6 py-4">Absolute price</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Default Stop Loss</td>
+                  <td className="px-6 py-4">Automatic stop loss, in the unit of the stop mode</td>
+                  <td className="px-6 py-4">0 (disabled)</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Default Take Profit</td>
+                  <td className="px-6 py-4">Automatic take profit, in the unit of the stop mode</td>
+                  <td className="px-6 py-4">0 (disabled)</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Take-Profit Levels</td>
+                  <td className="px-6 py-4">Several targets, each closing a percentage of the entry. Replaces the single take profit.</td>
+                  <td className="px-6 py-4">None</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Trailing Stop</td>
+                  <td className="px-6 py-4">Trailing stop distance set on the position after a market entry</td>
                   <td className="px-6 py-4">0 (disabled)</td>
                 </tr>
                 <tr className="border-b">
-                  <td className="px-6 py-4 font-medium">Default Take Profit %</td>
-                  <td className="px-6 py-4">Automatic take profit percentage</td>
+                  <td className="px-6 py-4 font-medium">Sizing Mode</td>
+                  <td className="px-6 py-4">Fixed quantity, fixed USDT notional, percent of wallet balance, or risk per trade based on the stop loss. A quantity in the alert always takes precedence.</td>
+                  <td className="px-6 py-4">Fixed quantity</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Leverage</td>
+                  <td className="px-6 py-4">Multiplies wallet-percent sizing and caps the notional of computed orders at equity × leverage. Live bots set it on the exchange for each symbol they trade; left at 0 the account's leverage is kept and sizing uses 1x. It can't exceed the symbol's maximum leverage.</td>
+                  <td className="px-6 py-4">1</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Margin Mode / Position Mode</td>
+                  <td className="px-6 py-4">Cross or isolated margin, and one-way or hedge positions. Live bots apply the ones they set with the leverage before their first order on a symbol and again after the bot is saved; exits never change them. Bybit unified trading accounts have one margin mode for the whole account, so it applies to every bot on that account.</td>
+                  <td className="px-6 py-4">Account setting</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Max Notional per Order</td>
+                  <td className="px-6 py-4">Upper bound on the USDT value of any single order</td>
                   <td className="px-6 py-4">0 (disabled)</td>
                 </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Allowed Symbols</td>
+                  <td className="px-6 py-4">Symbols alerts may trade. Alerts for any other symbol are rejected.</td>
+                  <td className="px-6 py-4">Any symbol</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Max Quantity / Notional per Order</td>
+                  <td className="px-6 py-4">Entries above these limits are rejected instead of placed</td>
+                  <td className="px-6 py-4">0 (disabled)</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Max Position Size</td>
+                  <td className="px-6 py-4">Largest position the bot may build; entries that would exceed it are rejected</td>
+                  <td className="px-6 py-4">0 (disabled)</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Max Orders per Hour / Day</td>
+                  <td className="px-6 py-4">Entries are rejected once the bot has placed this many orders in the last hour or 24 hours</td>
+                  <td className="px-6 py-4">0 (disabled)</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Trading Hours</td>
+                  <td className="px-6 py-4">Windows, in a time zone of your choice, in which the bot may open positions</td>
+                  <td className="px-6 py-4">Any time</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Daily Loss Limit</td>
+                  <td className="px-6 py-4">Pauses the bot once realized losses since midnight UTC reach this many USDT</td>
+                  <td className="px-6 py-4">0 (disabled)</td>
+                </tr>
+                <tr className="border-b">
+                  <td className="px-6 py-4 font-medium">Limit Order Expiry</td>
+                  <td className="px-6 py-4">Cancel limit orders that have not filled after this many minutes. Each order's status changes are shown in Trade History.</td>
+                  <td className="px-6 py-4">0 (never)</td>
+                </tr>
                 <tr>
                   <td className="px-6 py-4 font-medium">Test Mode</td>
-                  <td className="px-6 py-4">Process signals without executing real trades</td>
+                  <td className="px-6 py-4">Paper trade signals with a simulated balance, starting balance and fees instead of executing real trades</td>
                   <td className="px-6 py-4">Enabled</td>
                 </tr>
               </tbody>
@@ -209,9 +379,31 @@ const Documentation: React.FC = () => {
           <p className="text-gray-700 mt-4">
             While these settings provide defaults for your bot, you can override them in each TradingView alert by including the specific values in your alert message.
           </p>
+          <p className="text-gray-700">
+            Guard rails are the exception: they always apply, and an alert that breaks one is rejected and shown in the alert log with the reason. Exits are only checked against the allowed symbols, so an open position can always be closed.
+          </p>
         </div>
       </div>
       
+      <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+        <h2 className="text-xl font-semibold mb-4">Notifications</h2>
+
+        <div className="space-y-4">
+          <p className="text-gray-700">
+            Add notification channels in Account Settings to hear about your bots without watching the alert log. Each channel picks the events it receives:
+          </p>
+          <ul className="list-disc list-inside ml-4 text-gray-700 space-y-2">
+            <li><span className="font-medium">Order fills</span> - market orders when they are placed, limit orders when the order sync sees them fill</li>
+            <li><span className="font-medium">Exchange and processing errors</span> - alerts that failed after their retries, e.g. because the exchange refused the order</li>
+            <li><span className="font-medium">Rejected alerts</span> - alerts stopped by a guard rail, a paused bot or the kill switch</li>
+            <li><span className="font-medium">Webhook expiry</span> - webhook URLs expiring within 3 days, and the first alert sent to one that has expired</li>
+          </ul>
+          <p className="text-gray-700">
+            Telegram channels need a bot token from @BotFather and the chat ID to post to. Discord and Slack take an incoming webhook URL, and generic webhooks receive a JSON POST with the event, title, message and fields. Email is sent from the platform's SMTP account to your verified account email only. Use "Send test" to check a channel before relying on it.
+          </p>
+        </div>
+      </div>
+
       <div className="bg-white rounded-lg shadow-sm p-6">
         <h2 className="text-xl font-semibold mb-4">Bybit API Setup</h2>
         
@@ -235,7 +427,8 @@ const Documentation: React.FC = () => {
             </li>
             <li>Enter your 2FA code to confirm</li>
             <li>Copy both the API Key and API Secret</li>
-            <li>Enter these credentials in the Account Settings page of this platform</li>
+            <li>Add them as a named exchange account in the Account Settings page of this platform</li>
+            <li>Select that account in each live bot's configuration; bots can use different accounts, e.g. a main account and a sub-account</li>
           </ol>
           
           <div className="flex items-start p-4 bg-blue-50 border border-blue-200 rounded-md mt-4">
@@ -243,10 +436,27 @@ const Documentation: React.FC = () => {
             <div>
               <h3 className="font-medium text-blue-800">Testing with Bybit Testnet</h3>
               <p className="text-sm text-blue-700 mt-1">
-                We recommend using Bybit Testnet for initial setup and testing. Create a Testnet account at <a href="https://testnet.bybit.com" target="_blank" rel="noopener noreferrer" className="underline">testnet.bybit.com</a> and generate API keys there. Enable "Use Bybit Testnet" in your account settings.
+                We recommend using Bybit Testnet for initial setup and testing. Create a Testnet account at <a href="https://testnet.bybit.com" target="_blank" rel="noopener noreferrer" className="underline">testnet.bybit.com</a> and generate API keys there. Add them in Account Settings as an exchange account with the Testnet environment, and bind your bot to it.
               </p>
             </div>
           </div>
+
+          <h3 className="font-medium text-lg mt-6">Real-time Updates</h3>
+          <p className="text-gray-700">
+            When the account listener (<code className="bg-gray-100 px-1 rounded">npm run bybit-listener</code>) is running, it keeps a private WebSocket connection open to each Bybit account with live bots. Order updates and fills then reach Trade History within seconds: statuses, filled quantities, average prices, fees and the bot's P/L follow the exchange as it happens, updates that arrive before the alert has saved its trade are applied once it has, and stop losses, take profits, trailing stops and liquidations Bybit executes are recorded as trades when a single bot trades the symbol. Dropped connections are re-established and subscribed again automatically. Without the listener, the scheduled order sync and P/L reconciliation bring the same changes within minutes, and they still correct the final figures when it runs.
+          </p>
+          
+          <h3 className="font-medium text-lg mt-6">Binance USDT-M Futures</h3>
+          <p className="text-gray-700">
+            Exchange accounts can also be opened on Binance USDT-M Futures. Create an API key in Binance's API Management with "Enable Futures" ticked and withdrawals off, then add it in Account Settings with Binance selected as the exchange. Testnet keys come from <a href="https://testnet.binancefuture.com" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">testnet.binancefuture.com</a>.
+          </p>
+          <ul className="list-disc list-inside ml-4 text-gray-700 space-y-2">
+            <li>Accounts use one-way position mode, Binance's default, unless a bot sets hedge mode; Binance's position mode applies to the whole account</li>
+            <li>Limit orders are post-only (GTX), as on Bybit</li>
+            <li>Stop losses and take profits are placed as separate reduce-only stop orders right after the entry</li>
+            <li>Trailing stops are not supported, and P/L reconciliation with exchange fills runs for Bybit accounts only</li>
+            <li>Symbols use the same names as on Bybit, e.g. <code>BTCUSDT</code></li>
+          </ul>
           
           <div className="flex items-start p-4 bg-red-50 border border-red-200 rounded-md mt-4">
             <AlertTriangle size={20} className="text-red-500 mr-3 mt-0.5" />
@@ -2,7 +2,14 @@ import React, { useState, useEffect } from 'react';
 import { useSupabase } from '../contexts/SupabaseContext';
 import { useAuth } from '../contexts/AuthContext';
 import { format } from 'date-fns';
-import { RefreshCw, Search, Filter, Download } from 'lucide-react';
+import { RefreshCw, Search, Filter, Download, ChevronDown, ChevronRight } from 'lucide-react';
+
+type StatusChange = {
+  status: string;
+  at: string;
+  reason?: string;
+  filled_quantity?: number;
+};
 
 type Trade = {
   id: string;
@@ -14,6 +21,9 @@ type Trade = {
   quantity: number;
   price: number;
   status: string;
+  status_reason: string | null;
+  status_history: StatusChange[] | null;
+  filled_quantity: number | null;
   order_id: string;
   created_at: string;
 };
@@ -28,6 +38,7 @@ const TradeHistory: React.FC = () => {
   const [botFilter, setBotFilter] = useState('');
   const [uniqueSymbols, setUniqueSymbols] = useState<string[]>([]);
   const [uniqueBots, setUniqueBots] = useState<{id: string; name: string}[]>([]);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
 
   useEffect(() => {
     const fetchTradeHistory = async () => {
@@ -196,6 +207,7 @@ const TradeHistory: React.FC = () => {
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
                   <tr>
+                    <th className="w-10"></th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Date
                     </th>
@@ -227,45 +239,77 @@ const TradeHistory: React.FC = () => {
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {filteredTrades.map((trade) => (
-                    <tr key={trade.id}>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {format(new Date(trade.created_at), 'MMM dd, yyyy HH:mm:ss')}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        {trade.bot_name}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                        {trade.symbol}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                          trade.side === 'Buy' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
-                        }`}>
-                          {trade.side}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {trade.order_type}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        {trade.price.toFixed(2)}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        {trade.quantity}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                          trade.status === 'Filled' ? 'bg-green-100 text-green-800' :
-                          trade.status === 'Cancelled' ? 'bg-red-100 text-red-800' :
-                          'bg-yellow-100 text-yellow-800'
-                        }`}>
-                          {trade.status}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">
-                        {trade.order_id.substring(0, 8)}...
-                      </td>
-                    </tr>
+                    <React.Fragment key={trade.id}>
+                      <tr
+                        className="cursor-pointer hover:bg-gray-50"
+                        onClick={() => setExpandedId(expandedId === trade.id ? null : trade.id)}
+                      >
+                        <td className="pl-6 py-4 text-gray-400">
+                          {expandedId === trade.id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {format(new Date(trade.created_at), 'MMM dd, yyyy HH:mm:ss')}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {trade.bot_name}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          {trade.symbol}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                            trade.side === 'Buy' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                          }`}>
+                            {trade.side}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {trade.order_type}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {trade.price.toFixed(2)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {trade.filled_quantity != null && trade.filled_quantity !== trade.quantity
+                            ? `${trade.filled_quantity} / ${trade.quantity}`
+                            : trade.quantity}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                            trade.status === 'Filled' ? 'bg-green-100 text-green-800' :
+                            ['Cancelled', 'Rejected', 'Deactivated', 'PartiallyFilledCanceled'].includes(trade.status) ? 'bg-red-100 text-red-800' :
+                            'bg-yellow-100 text-yellow-800'
+                          }`}>
+                            {trade.status}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">
+                          {trade.order_id.substring(0, 8)}...
+                        </td>
+                      </tr>
+                      {expandedId === trade.id && (
+                        <tr className="bg-gray-50">
+                          <td colSpan={10} className="px-6 py-4">
+                            <div className="text-xs font-medium text-gray-500 uppercase mb-2">Status history</div>
+                            {(trade.status_history || []).length === 0 ? (
+                              <p className="text-sm text-gray-500">No status changes recorded</p>
+                            ) : (
+                              <ol className="space-y-1">
+                                {(trade.status_history || []).map((change, index) => (
+                                  <li key={index} className="text-sm text-gray-700">
+                                    <span className="text-gray-500">{format(new Date(change.at), 'MMM dd, yyyy HH:mm:ss')}</span>
+                                    {' '}<span className="font-medium">{change.status}</span>
+                                    {change.filled_quantity != null && ` (filled ${change.filled_quantity})`}
+                                    {change.reason && <span className="text-gray-500"> — {change.reason}</span>}
+                                  </li>
+                                ))}
+                              </ol>
+                            )}
+                            <p className="mt-2 text-xs text-gray-500 font-mono">Order ID: {trade.order_id}</p>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
                   ))}
                 </tbody>
               </table>
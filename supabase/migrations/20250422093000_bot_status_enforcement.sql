@@ -0,0 +1,68 @@
+/*
+  # Enforce bot status when processing alerts
+
+  1. Changes
+    - Constrain `bots.status` to `active`, `paused` or `error`
+    - Add `consecutive_failures` (integer) and `last_error` (text) to `bots`
+      so repeated exchange failures can move a bot into the `error` state
+
+  2. New Tables
+    - `alerts`
+      - `id` (uuid, primary key)
+      - `user_id` (uuid, foreign key)
+      - `bot_id` (uuid, foreign key)
+      - `webhook_id` (uuid, foreign key, nullable)
+      - `status` (text) - outcome of the alert, e.g. `rejected`
+      - `reason` (text) - why the alert was not executed
+      - `payload` (jsonb) - the parsed alert body
+      - `created_at` (timestamp)
+
+  3. Security
+    - Enable RLS on `alerts`
+    - Users can read their own alerts, only the service role can write them
+*/
+
+UPDATE bots SET status = 'paused' WHERE status IS NULL OR status NOT IN ('active', 'paused', 'error');
+
+ALTER TABLE bots ALTER COLUMN status SET NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'bots' AND constraint_name = 'bots_status_check'
+  ) THEN
+    ALTER TABLE bots
+      ADD CONSTRAINT bots_status_check CHECK (status IN ('active', 'paused', 'error'));
+  END IF;
+END $$;
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS consecutive_failures integer DEFAULT 0;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS last_error text;
+
+CREATE TABLE IF NOT EXISTS alerts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  bot_id uuid REFERENCES bots(id) ON DELETE CASCADE NOT NULL,
+  webhook_id uuid REFERENCES webhooks(id) ON DELETE SET NULL,
+  status text NOT NULL,
+  reason text,
+  payload jsonb,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS alerts_bot_id_created_at_idx ON alerts (bot_id, created_at DESC);
+
+ALTER TABLE alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own alerts"
+  ON alerts
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role can create alerts"
+  ON alerts
+  FOR INSERT
+  TO service_role
+  WITH CHECK (true);
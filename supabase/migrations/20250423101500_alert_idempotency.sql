@@ -0,0 +1,45 @@
+/*
+  # Alert idempotency and duplicate-signal suppression
+
+  1. Changes
+    - Add `dedupe_window_seconds` (integer) to `bots`
+    - Add `order_link_id` (text) to `trades`
+
+  2. New Tables
+    - `alert_idempotency`
+      - `id` (uuid, primary key)
+      - `webhook_id` (uuid, foreign key)
+      - `bot_id` (uuid, foreign key)
+      - `idempotency_key` (text) - `alertId`/`nonce` from the payload or a hash of the body
+      - `order_link_id` (text) - deterministic client order id sent to Bybit
+      - `response` (jsonb) - response returned for the original alert, replayed on duplicates
+      - `created_at` (timestamp)
+      - `completed_at` (timestamp)
+
+  3. Security
+    - Enable RLS on `alert_idempotency`, only the service role accesses it
+*/
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS dedupe_window_seconds integer DEFAULT 60;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS order_link_id text;
+
+CREATE TABLE IF NOT EXISTS alert_idempotency (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id uuid REFERENCES webhooks(id) ON DELETE CASCADE NOT NULL,
+  bot_id uuid REFERENCES bots(id) ON DELETE CASCADE NOT NULL,
+  idempotency_key text NOT NULL,
+  order_link_id text NOT NULL,
+  response jsonb,
+  created_at timestamptz DEFAULT now(),
+  completed_at timestamptz,
+  UNIQUE (webhook_id, idempotency_key)
+);
+
+ALTER TABLE alert_idempotency ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage alert idempotency"
+  ON alert_idempotency
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,46 @@
+/*
+  # Persistent alert log
+
+  1. Changes
+    - `alerts` now records every inbound webhook request, not only rejections
+    - `user_id` and `bot_id` become nullable so requests with unknown tokens can be kept
+    - New columns on `alerts`
+      - `webhook_token` (text) - token from the URL when it matched no webhook
+      - `raw_body` (text) - request body exactly as received
+      - `headers` (jsonb) - subset of request headers
+      - `order_params` (jsonb) - resolved order parameters, without credentials
+      - `exchange_response` (jsonb) - order result returned by the exchange
+      - `error` (text) - error message for failed alerts
+      - `http_status` (integer) - status code returned to the sender
+      - `latency_ms` (integer) - processing time of the request
+    - `status` is one of `executed`, `duplicate`, `rejected`, `invalid` or `failed`
+
+  2. Security
+    - Existing policies are unchanged; rows without a user are only visible to the service role
+*/
+
+ALTER TABLE alerts ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE alerts ALTER COLUMN bot_id DROP NOT NULL;
+
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS webhook_token text;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS raw_body text;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS headers jsonb;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS order_params jsonb;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS exchange_response jsonb;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS error text;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS http_status integer;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS latency_ms integer;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'alerts' AND constraint_name = 'alerts_status_check'
+  ) THEN
+    ALTER TABLE alerts
+      ADD CONSTRAINT alerts_status_check
+      CHECK (status IN ('executed', 'duplicate', 'rejected', 'invalid', 'failed'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS alerts_user_id_created_at_idx ON alerts (user_id, created_at DESC);
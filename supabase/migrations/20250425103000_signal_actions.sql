@@ -0,0 +1,11 @@
+/*
+  # Position-aware signal actions
+
+  1. Changes
+    - Add `action` (text) to `trades` - alert action that produced the order
+      (`open`, `add`, `close`, `close_partial`, `reverse` or `flat`)
+    - Add `reduce_only` (boolean) to `trades` - whether the order could only reduce a position
+*/
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS action text DEFAULT 'open';
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS reduce_only boolean DEFAULT false;
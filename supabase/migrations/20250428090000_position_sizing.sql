@@ -0,0 +1,27 @@
+/*
+  # Risk-based position sizing modes
+
+  1. Changes
+    - Add to `bots`
+      - `sizing_mode` (text) - `fixed_qty`, `fixed_notional`, `wallet_percent` or `risk_percent`
+      - `sizing_value` (numeric) - USDT notional or percent, depending on the mode
+      - `leverage` (numeric) - leverage used to size and cap orders
+      - `max_notional` (numeric) - upper bound on the notional of a single order
+*/
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS sizing_mode text DEFAULT 'fixed_qty';
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS sizing_value numeric;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS leverage numeric DEFAULT 1;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS max_notional numeric;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'bots' AND constraint_name = 'bots_sizing_mode_check'
+  ) THEN
+    ALTER TABLE bots
+      ADD CONSTRAINT bots_sizing_mode_check
+      CHECK (sizing_mode IN ('fixed_qty', 'fixed_notional', 'wallet_percent', 'risk_percent'));
+  END IF;
+END $$;
@@ -0,0 +1,32 @@
+/*
+  # Relative stop-loss / take-profit, take-profit levels and trailing stops
+
+  1. Changes
+    - Add to `bots`
+      - `stop_mode` (text) - how `default_stop_loss`, `default_take_profit`,
+        `take_profit_levels` and `trailing_stop` are interpreted:
+        `price` (absolute), `percent` (of entry), `distance` (from entry) or `atr` (multiples of the alert's ATR)
+      - `take_profit_levels` (jsonb) - array of `{ "value": number, "percent": number }`,
+        each closing `percent` of the entry quantity at `value`
+      - `trailing_stop` (numeric) - trailing stop distance in `stop_mode` units
+
+  2. Reason
+    - Absolute stop prices stop making sense once price moves away from where the bot was configured
+    - Existing bots keep `price` mode so their behaviour does not change
+*/
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS stop_mode text DEFAULT 'price';
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS take_profit_levels jsonb DEFAULT '[]'::jsonb;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS trailing_stop numeric;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'bots' AND constraint_name = 'bots_stop_mode_check'
+  ) THEN
+    ALTER TABLE bots
+      ADD CONSTRAINT bots_stop_mode_check
+      CHECK (stop_mode IN ('price', 'percent', 'distance', 'atr'));
+  END IF;
+END $$;
@@ -0,0 +1,142 @@
+/*
+  # Paper trading for test mode bots
+
+  1. Changes
+    - Add to `bots`
+      - `paper_starting_balance` (numeric) - USDT balance a paper account opens with
+      - `paper_taker_fee` (numeric) - fee in percent of notional for market fills and triggered stops
+      - `paper_maker_fee` (numeric) - fee in percent of notional for resting limit fills
+    - Add to `trades`
+      - `fee` (numeric) - fee paid for the fill
+      - `realized_pnl` (numeric) - profit or loss realized by the fill, before fees
+    - `trades.action` also records `stop_loss`, `take_profit` and `trailing_stop`
+      for exits triggered on paper positions
+
+  2. New Tables
+    - `paper_accounts` - simulated USDT balance per bot
+    - `paper_positions` - simulated one-way position per bot and symbol, with its stops
+      and the time prices were last replayed against it
+    - `paper_orders` - resting post-only limit orders of paper bots
+
+  3. Security
+    - Users can read their own paper data and delete it to reset a paper account
+    - Only the service role writes paper data
+*/
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS paper_starting_balance numeric DEFAULT 10000;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS paper_taker_fee numeric DEFAULT 0.055;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS paper_maker_fee numeric DEFAULT 0.02;
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS fee numeric;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS realized_pnl numeric;
+
+CREATE TABLE IF NOT EXISTS paper_accounts (
+  bot_id uuid PRIMARY KEY REFERENCES bots(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  balance numeric NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS paper_positions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  bot_id uuid REFERENCES bots(id) ON DELETE CASCADE NOT NULL,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  symbol text NOT NULL,
+  side text,
+  size numeric NOT NULL DEFAULT 0,
+  entry_price numeric,
+  stop_loss numeric,
+  take_profit numeric,
+  take_profit_levels jsonb DEFAULT '[]'::jsonb,
+  trailing_stop numeric,
+  trailing_anchor numeric,
+  last_checked_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz,
+  UNIQUE (bot_id, symbol)
+);
+
+CREATE TABLE IF NOT EXISTS paper_orders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  bot_id uuid REFERENCES bots(id) ON DELETE CASCADE NOT NULL,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  symbol text NOT NULL,
+  side text NOT NULL,
+  order_type text NOT NULL,
+  quantity numeric NOT NULL,
+  price numeric NOT NULL,
+  reduce_only boolean DEFAULT false,
+  stop_loss numeric,
+  take_profit numeric,
+  order_id text NOT NULL,
+  order_link_id text,
+  status text NOT NULL DEFAULT 'New',
+  filled_price numeric,
+  filled_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  CONSTRAINT paper_orders_status_check CHECK (status IN ('New', 'Filled', 'Cancelled'))
+);
+
+CREATE INDEX IF NOT EXISTS paper_orders_bot_symbol_status_idx
+  ON paper_orders (bot_id, symbol, status);
+
+ALTER TABLE paper_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE paper_positions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE paper_orders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own paper accounts"
+  ON paper_accounts
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own paper accounts"
+  ON paper_accounts
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role can manage paper accounts"
+  ON paper_accounts
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Users can read own paper positions"
+  ON paper_positions
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own paper positions"
+  ON paper_positions
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role can manage paper positions"
+  ON paper_positions
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE POLICY "Users can read own paper orders"
+  ON paper_orders
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own paper orders"
+  ON paper_orders
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role can manage paper orders"
+  ON paper_orders
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,20 @@
+/*
+  # Profit & loss reconciliation
+
+  1. Changes
+    - Add `reconciled_at` (timestamptz) to `trades` - when the trade's fills were final;
+      until then the reconciliation job keeps updating price, fee and realized_pnl
+    - Add `pnl_reconciled_at` (timestamptz) to `bots` - end of the last reconciliation run for the bot
+    - `trades.action` also records `liquidation` and `manual` for exits placed outside of alerts
+    - `bots.profit_loss` is the sum of `realized_pnl - fee` over the bot's trades
+
+  2. Indexes
+    - Partial index on trades still waiting for reconciliation
+*/
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS reconciled_at timestamptz;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS pnl_reconciled_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS trades_unreconciled_idx
+  ON trades (bot_id)
+  WHERE reconciled_at IS NULL;
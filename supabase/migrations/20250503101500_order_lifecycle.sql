@@ -0,0 +1,60 @@
+/*
+  # Order status tracking and limit-order expiry
+
+  1. Changes
+    - Add to `trades`
+      - `filled_quantity` (numeric) - cumulative filled quantity reported by the exchange
+      - `status_reason` (text) - why the order was rejected or cancelled, when known
+      - `status_history` (jsonb) - every status the order went through,
+        as `{ "status", "at", "reason", "filled_quantity" }` entries in order
+      - `status_updated_at` (timestamptz) - when the status last changed
+    - Add `limit_order_expiry_minutes` (integer) to `bots` - cancel limit orders
+      still open after this many minutes; null or 0 keeps them until they fill
+
+  2. Triggers
+    - `trades_status_history` appends to `status_history` whenever a trade is
+      inserted or its status changes, whichever function wrote it
+*/
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS filled_quantity numeric;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS status_reason text;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS status_history jsonb NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS status_updated_at timestamptz;
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS limit_order_expiry_minutes integer;
+
+CREATE OR REPLACE FUNCTION append_trade_status_history()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    NEW.status_history := COALESCE(NEW.status_history, '[]'::jsonb) || jsonb_build_array(
+      jsonb_strip_nulls(jsonb_build_object(
+        'status', NEW.status,
+        'at', now(),
+        'reason', NEW.status_reason,
+        'filled_quantity', NEW.filled_quantity
+      ))
+    );
+    NEW.status_updated_at := now();
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trades_status_history ON trades;
+CREATE TRIGGER trades_status_history
+  BEFORE INSERT OR UPDATE OF status ON trades
+  FOR EACH ROW
+  EXECUTE FUNCTION append_trade_status_history();
+
+-- Existing trades start their history with the status they were logged with
+UPDATE trades
+SET status_history = jsonb_build_array(jsonb_build_object('status', status, 'at', created_at)),
+    status_updated_at = created_at
+WHERE status_history = '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS trades_open_status_idx
+  ON trades (bot_id, created_at)
+  WHERE status NOT IN ('Filled', 'Cancelled', 'Rejected', 'Deactivated', 'PartiallyFilledCanceled');
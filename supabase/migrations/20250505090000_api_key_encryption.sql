@@ -0,0 +1,52 @@
+/*
+  # Encrypt exchange API secrets at rest
+
+  1. Changes
+    - Add to `api_keys`
+      - `api_secret_encrypted` (jsonb) - envelope holding the secret encrypted with a per-row
+        data key, and that data key wrapped with the server-held key it names (`kid`)
+      - `api_secret_last4` (text) - last characters of the secret, for masked display
+    - `api_secret` becomes nullable; it only holds secrets saved before encryption
+      until the key rotation command encrypts them
+
+  2. Security
+    - API keys are saved through the `saveApiKey` edge function, which encrypts the secret
+      server-side; users can no longer insert or update `api_keys` directly
+    - Users can only read the non-secret columns of their own API keys
+    - Only the service role reads the secret columns
+*/
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS api_secret_encrypted jsonb;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS api_secret_last4 text;
+
+ALTER TABLE api_keys ALTER COLUMN api_secret DROP NOT NULL;
+
+UPDATE api_keys
+SET api_secret_last4 = right(api_secret, 4)
+WHERE api_secret IS NOT NULL AND api_secret_last4 IS NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'api_keys_secret_present_check'
+  ) THEN
+    ALTER TABLE api_keys
+      ADD CONSTRAINT api_keys_secret_present_check
+      CHECK (api_secret IS NOT NULL OR api_secret_encrypted IS NOT NULL);
+  END IF;
+END $$;
+
+DROP POLICY IF EXISTS "Users can create own API keys" ON api_keys;
+DROP POLICY IF EXISTS "Users can update own API keys" ON api_keys;
+
+REVOKE INSERT, UPDATE ON api_keys FROM authenticated, anon;
+REVOKE SELECT ON api_keys FROM authenticated, anon;
+GRANT SELECT (id, user_id, exchange, api_key, api_secret_last4, created_at, updated_at)
+  ON api_keys TO authenticated;
+
+CREATE POLICY "Service role can manage API keys"
+  ON api_keys
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
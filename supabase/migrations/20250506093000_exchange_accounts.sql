@@ -0,0 +1,79 @@
+/*
+  # Multiple exchange accounts per user
+
+  1. Changes
+    - `api_keys` rows become named exchange accounts; a user can have any number of them
+      - Drop the unique constraint on `user_id`
+      - `label` (text) - name of the account, unique per user
+      - `environment` (text) - `mainnet` or `testnet`
+    - Add to `bots`
+      - `exchange_account_id` (uuid) - exchange account the bot trades on; cleared when
+        the account is deleted
+    - Existing bots are bound to their owner's existing API key
+
+  2. Security
+    - A bot can only be bound to an exchange account of its own user
+    - Users can read the label and environment of their accounts and delete their accounts
+*/
+
+ALTER TABLE api_keys DROP CONSTRAINT IF EXISTS api_keys_user_id_key;
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS label text NOT NULL DEFAULT 'Main';
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS environment text NOT NULL DEFAULT 'mainnet';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'api_keys_environment_check'
+  ) THEN
+    ALTER TABLE api_keys
+      ADD CONSTRAINT api_keys_environment_check
+      CHECK (environment IN ('mainnet', 'testnet'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'api_keys_user_id_label_key'
+  ) THEN
+    ALTER TABLE api_keys
+      ADD CONSTRAINT api_keys_user_id_label_key UNIQUE (user_id, label);
+  END IF;
+
+  -- Target of the composite foreign key below
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'api_keys_id_user_id_key'
+  ) THEN
+    ALTER TABLE api_keys
+      ADD CONSTRAINT api_keys_id_user_id_key UNIQUE (id, user_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS api_keys_user_id_idx ON api_keys (user_id);
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS exchange_account_id uuid;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'bots_exchange_account_fkey'
+  ) THEN
+    ALTER TABLE bots
+      ADD CONSTRAINT bots_exchange_account_fkey
+      FOREIGN KEY (exchange_account_id, user_id)
+      REFERENCES api_keys (id, user_id)
+      ON DELETE SET NULL (exchange_account_id);
+  END IF;
+END $$;
+
+UPDATE bots
+SET exchange_account_id = api_keys.id
+FROM api_keys
+WHERE api_keys.user_id = bots.user_id
+  AND bots.exchange_account_id IS NULL;
+
+GRANT SELECT (label, environment) ON api_keys TO authenticated;
+
+CREATE POLICY "Users can delete own API keys"
+  ON api_keys
+  FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
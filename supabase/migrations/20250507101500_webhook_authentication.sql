@@ -0,0 +1,59 @@
+/*
+  # Webhook authentication
+
+  1. Changes
+    - Add to `webhooks`
+      - `auth_mode` (text) - `token` (URL token only), `passphrase` or `hmac`
+      - `passphrase_hash` (text) - SHA-256 of the passphrase alerts must include in `passphrase`
+      - `hmac_secret_encrypted` (jsonb) - signing secret of `hmac` webhooks, encrypted like API secrets
+      - `allowed_ips` (text[]) - source addresses and IPv4 CIDR ranges allowed to call the
+        webhook; empty allows any
+    - `alerts.status` also records `unauthorized` for requests failing these checks
+
+  2. New Tables
+    - `webhook_signatures` - signatures of accepted signed requests, so none is accepted twice
+
+  3. Security
+    - Webhook authentication is only changed through the `configureWebhook` edge function
+    - Only the service role reads and writes `webhook_signatures`
+*/
+
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS auth_mode text NOT NULL DEFAULT 'token';
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS passphrase_hash text;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS hmac_secret_encrypted jsonb;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS allowed_ips text[] NOT NULL DEFAULT '{}';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'webhooks_auth_mode_check'
+  ) THEN
+    ALTER TABLE webhooks
+      ADD CONSTRAINT webhooks_auth_mode_check
+      CHECK (auth_mode IN ('token', 'passphrase', 'hmac'));
+  END IF;
+END $$;
+
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_status_check;
+ALTER TABLE alerts
+  ADD CONSTRAINT alerts_status_check
+  CHECK (status IN ('executed', 'duplicate', 'rejected', 'invalid', 'failed', 'unauthorized'));
+
+CREATE TABLE IF NOT EXISTS webhook_signatures (
+  webhook_id uuid REFERENCES webhooks(id) ON DELETE CASCADE NOT NULL,
+  signature text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (webhook_id, signature)
+);
+
+CREATE INDEX IF NOT EXISTS webhook_signatures_created_at_idx
+  ON webhook_signatures (webhook_id, created_at);
+
+ALTER TABLE webhook_signatures ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage webhook signatures"
+  ON webhook_signatures
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
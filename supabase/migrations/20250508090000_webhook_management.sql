@@ -0,0 +1,46 @@
+/*
+  # Webhook management
+
+  1. Changes
+    - Add to `webhooks`
+      - `label` (text) - name shown in the dashboard, e.g. the TradingView alert using it
+      - `revoked_at` (timestamptz) - when the webhook was revoked; revoked webhooks reject alerts
+      - `last_used_at` (timestamptz) - when an alert last arrived on the webhook
+      - `replaced_by` (uuid) - webhook that replaced this one when it was rotated
+    - `expires_at` becomes nullable for webhooks that never expire
+
+  2. Security
+    - Webhooks are only issued, rotated and revoked through the `generateWebhook` edge
+      function, which checks ownership against the caller's session; users can no longer
+      insert webhooks directly
+*/
+
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS label text;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS revoked_at timestamptz;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS last_used_at timestamptz;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS replaced_by uuid REFERENCES webhooks(id) ON DELETE SET NULL;
+
+ALTER TABLE webhooks ALTER COLUMN expires_at DROP NOT NULL;
+
+UPDATE webhooks
+SET last_used_at = latest.created_at
+FROM (
+  SELECT webhook_id, max(created_at) AS created_at
+  FROM alerts
+  WHERE webhook_id IS NOT NULL
+  GROUP BY webhook_id
+) AS latest
+WHERE latest.webhook_id = webhooks.id
+  AND webhooks.last_used_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS webhooks_bot_id_idx ON webhooks (bot_id, created_at DESC);
+
+DROP POLICY IF EXISTS "Users can create own webhooks" ON webhooks;
+REVOKE INSERT ON webhooks FROM authenticated, anon;
+
+CREATE POLICY "Service role can manage webhooks"
+  ON webhooks
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
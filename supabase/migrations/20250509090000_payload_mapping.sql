@@ -0,0 +1,15 @@
+/*
+  # Alert payload mapping
+
+  1. Changes
+    - Add `payload_mapping` (jsonb) to `bots`: how the bot reads incoming alerts
+      - `fields` - extra payload keys per alert field, e.g. {"quantity": "contracts"}
+      - `values` - extra words for the side or action, e.g. {"tp_hit": "close"}
+      - `textTemplate` - layout of plain-text alerts, e.g. "{side} {symbol} {quantity}"
+
+  2. Notes
+    - Common aliases (ticker, qty, long/short, exit, ...) and TradingView symbols such as
+      `BYBIT:BTCUSDT.P` are understood without any mapping
+*/
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS payload_mapping jsonb NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,36 @@
+/*
+  # Per-bot guard rails
+
+  1. Changes
+    - Add to `bots`
+      - `allowed_symbols` (text[]) - symbols alerts may trade; empty allows any symbol
+      - `max_order_qty` (numeric) - largest entry quantity accepted from an alert
+      - `max_order_notional` (numeric) - largest entry notional in USDT; unlike `max_notional`,
+        which caps computed sizes, orders above it are rejected
+      - `max_position_qty` (numeric) - largest position the bot may build on a symbol
+      - `max_orders_per_hour` / `max_orders_per_day` (integer) - order limits over the last
+        hour and 24 hours
+      - `trading_hours` (jsonb) - windows of { days, start, end } the bot may open positions in
+      - `trading_timezone` (text) - IANA time zone of the trading windows
+      - `daily_loss_limit` (numeric) - realized loss in USDT since midnight UTC after which
+        the bot is paused
+      - `paused_reason` (text) - why the bot paused itself; cleared when it is activated again
+
+  2. Notes
+    - Alerts that break a guard rail are logged as `rejected` and place no order
+    - Exits are only held to the symbol allowlist so positions can always be closed
+*/
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS allowed_symbols text[] NOT NULL DEFAULT '{}';
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS max_order_qty numeric;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS max_order_notional numeric;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS max_position_qty numeric;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS max_orders_per_hour integer;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS max_orders_per_day integer;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS trading_hours jsonb NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS trading_timezone text NOT NULL DEFAULT 'UTC';
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS daily_loss_limit numeric;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS paused_reason text;
+
+-- Order counts and daily PnL are read per bot over recent trades
+CREATE INDEX IF NOT EXISTS trades_bot_id_created_at_idx ON trades (bot_id, created_at DESC);
@@ -0,0 +1,59 @@
+/*
+  # Account-level kill switch
+
+  1. Changes
+    - Add `trading_halted_at` (timestamptz) to `users`; while it is set every alert for the
+      user is rejected
+    - New table `kill_switch_events`, an audit trail of each use of the kill switch
+      - `triggered_by` (uuid) - user who engaged or released it
+      - `action` (text) - `engage` or `release`
+      - `flatten` (boolean) - whether positions were closed at market
+      - `paused_bots` (jsonb) - bots paused, as [{ id, name }]
+      - `cancelled_orders` (jsonb) - exchange orders cancelled, per account
+      - `cancelled_paper_orders` (integer) - resting paper orders cancelled
+      - `closed_positions` (jsonb) - positions closed, with the closing order
+      - `errors` (jsonb) - steps that failed, per account
+
+  2. Security
+    - The kill switch is only engaged and released through the `killSwitch` edge function,
+      so every change is audited; users can no longer update `trading_halted_at` directly
+    - Users can read their own kill switch events
+*/
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS trading_halted_at timestamptz;
+
+REVOKE UPDATE ON users FROM authenticated, anon;
+GRANT UPDATE (email) ON users TO authenticated;
+
+CREATE TABLE IF NOT EXISTS kill_switch_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  triggered_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  action text NOT NULL,
+  flatten boolean NOT NULL DEFAULT false,
+  paused_bots jsonb NOT NULL DEFAULT '[]'::jsonb,
+  cancelled_orders jsonb NOT NULL DEFAULT '[]'::jsonb,
+  cancelled_paper_orders integer NOT NULL DEFAULT 0,
+  closed_positions jsonb NOT NULL DEFAULT '[]'::jsonb,
+  errors jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT kill_switch_events_action_check CHECK (action IN ('engage', 'release'))
+);
+
+CREATE INDEX IF NOT EXISTS kill_switch_events_user_id_idx
+  ON kill_switch_events (user_id, created_at DESC);
+
+ALTER TABLE kill_switch_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own kill switch events"
+  ON kill_switch_events
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role can manage kill switch events"
+  ON kill_switch_events
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
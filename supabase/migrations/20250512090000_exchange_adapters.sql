@@ -0,0 +1,24 @@
+/*
+  # Exchange per account
+
+  1. Changes
+    - `api_keys.exchange` is limited to the supported exchanges, `bybit` or `binance`
+    - Existing accounts keep `bybit`
+
+  2. Notes
+    - The exchange is set by the saveApiKey function together with the account's
+      credentials; users keep read-only access to it
+*/
+
+UPDATE api_keys SET exchange = lower(exchange) WHERE exchange <> lower(exchange);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'api_keys_exchange_check'
+  ) THEN
+    ALTER TABLE api_keys
+      ADD CONSTRAINT api_keys_exchange_check
+      CHECK (exchange IN ('bybit', 'binance'));
+  END IF;
+END $$;
@@ -0,0 +1,26 @@
+/*
+  # Market type per bot
+
+  1. Changes
+    - Add to `bots`
+      - `market_type` (text) - `linear` (USDT perpetuals), `inverse` (coin-margined
+        perpetuals) or `spot`; existing bots keep `linear`
+
+  2. Notes
+    - Spot bots cannot use position actions or stops, and size market buys in USDT when
+      a value-based sizing mode is used
+    - Inverse bots are sized in contracts with fixed quantities and cannot paper trade
+*/
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS market_type text NOT NULL DEFAULT 'linear';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'bots_market_type_check'
+  ) THEN
+    ALTER TABLE bots
+      ADD CONSTRAINT bots_market_type_check
+      CHECK (market_type IN ('linear', 'inverse', 'spot'));
+  END IF;
+END $$;
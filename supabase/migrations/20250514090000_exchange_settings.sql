@@ -0,0 +1,38 @@
+/*
+  # Leverage, margin mode and position mode per bot
+
+  1. Changes
+    - Add to `bots`
+      - `margin_mode` (text) - `cross` or `isolated`; null keeps the account's setting
+      - `position_mode` (text) - `one_way` or `hedge`; null keeps the account's setting
+      - `applied_exchange_settings` (jsonb) - settings last applied per symbol, as
+        { accountId, leverage, marginMode, positionMode }; cleared when the bot is saved
+
+  2. Notes
+    - Live bots now also apply their `leverage` to the exchange before their first order
+      on a symbol, so check the leverage of existing live bots
+    - Exits never change settings, so they are not blocked by positions or open orders
+*/
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS margin_mode text;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS position_mode text;
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS applied_exchange_settings jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'bots_margin_mode_check'
+  ) THEN
+    ALTER TABLE bots
+      ADD CONSTRAINT bots_margin_mode_check
+      CHECK (margin_mode IN ('cross', 'isolated'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'bots_position_mode_check'
+  ) THEN
+    ALTER TABLE bots
+      ADD CONSTRAINT bots_position_mode_check
+      CHECK (position_mode IN ('one_way', 'hedge'));
+  END IF;
+END $$;
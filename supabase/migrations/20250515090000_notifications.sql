@@ -0,0 +1,57 @@
+/*
+  # Notification channels
+
+  1. Changes
+    - New table `notification_channels`, where users send notifications about their bots
+      - `name` (text) - label shown in the settings
+      - `type` (text) - `telegram`, `discord`, `slack`, `webhook` or `email`
+      - `config` (jsonb) - { bot_token, chat_id } for Telegram, { url } for Discord, Slack
+        and generic webhooks, { email } for email
+      - `events` (text[]) - events sent to the channel: `fill`, `error`, `rejection`,
+        `webhook_expiry`
+      - `enabled` (boolean)
+      - `last_sent_at`, `last_error`, `last_error_at` - outcome of the latest delivery
+
+  2. Security
+    - Users manage their own channels; Telegram bot tokens and webhook URLs are readable
+      only by their owner and the service role
+    - Emails are sent through the server's SMTP account (SMTP_* environment variables)
+*/
+
+CREATE TABLE IF NOT EXISTS notification_channels (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL,
+  type text NOT NULL,
+  config jsonb NOT NULL DEFAULT '{}'::jsonb,
+  events text[] NOT NULL DEFAULT ARRAY['fill', 'error', 'rejection', 'webhook_expiry'],
+  enabled boolean NOT NULL DEFAULT true,
+  last_sent_at timestamptz,
+  last_error text,
+  last_error_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT notification_channels_type_check
+    CHECK (type IN ('telegram', 'discord', 'slack', 'webhook', 'email')),
+  CONSTRAINT notification_channels_events_check
+    CHECK (events <@ ARRAY['fill', 'error', 'rejection', 'webhook_expiry'])
+);
+
+CREATE INDEX IF NOT EXISTS notification_channels_user_id_idx
+  ON notification_channels (user_id);
+
+ALTER TABLE notification_channels ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own notification channels"
+  ON notification_channels
+  FOR ALL
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Service role can manage notification channels"
+  ON notification_channels
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,42 @@
+/*
+  # Webhook expiry warnings and auto-renewal
+
+  1. Changes
+    - Add to `webhooks`
+      - `expiry_warned_at` (timestamptz) - when the owner was warned that the webhook expires soon
+      - `missed_alerts` (integer) - alerts that arrived after the webhook expired
+      - `last_missed_at` (timestamptz) - when the latest of those alerts arrived
+    - Add `webhook_auto_renew_days` (integer) to `bots` - active bots' webhooks about to
+      expire are extended to this many days from now; null never renews
+    - `alerts.status` gains `expired` for requests to an expired webhook
+
+  2. Notes
+    - The `checkWebhookExpiry` scheduled function sends the warnings and renewals
+    - Requests to expired webhooks used to be logged as `invalid`; they are left as they are
+*/
+
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS expiry_warned_at timestamptz;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS missed_alerts integer NOT NULL DEFAULT 0;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS last_missed_at timestamptz;
+
+ALTER TABLE bots ADD COLUMN IF NOT EXISTS webhook_auto_renew_days integer;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'bots_webhook_auto_renew_days_check'
+  ) THEN
+    ALTER TABLE bots
+      ADD CONSTRAINT bots_webhook_auto_renew_days_check
+      CHECK (webhook_auto_renew_days > 0);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS webhooks_expires_at_idx
+  ON webhooks (expires_at)
+  WHERE revoked_at IS NULL AND replaced_by IS NULL AND expires_at IS NOT NULL;
+
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_status_check;
+ALTER TABLE alerts
+  ADD CONSTRAINT alerts_status_check
+  CHECK (status IN ('executed', 'duplicate', 'rejected', 'invalid', 'failed', 'unauthorized', 'expired'));
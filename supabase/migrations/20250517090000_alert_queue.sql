@@ -0,0 +1,113 @@
+/*
+  # Asynchronous alert queue
+
+  1. Changes
+    - New table `alert_queue`, alerts accepted by `processAlert` and waiting to be executed
+      - `alert_id` (uuid) - the alert log entry, updated with the final outcome
+      - `payload` (jsonb) - the parsed alert, without its passphrase
+      - `idempotency_key` (text) - key the alert is deduplicated with
+      - `claim_id` (uuid) - idempotency claim kept between retries, so a retried order
+        reuses its orderLinkId
+      - `status` (text) - `queued`, `processing`, `retrying`, `completed`, `dead` or `discarded`
+      - `attempts` (integer), `next_attempt_at` (timestamptz) - retry bookkeeping
+      - `locked_at` (timestamptz) - when a worker took the alert
+      - `last_error` (text), `last_error_code` (text) - latest failure and its exchange code
+      - `outcome` (text) - alert log status of a completed alert
+    - `alerts.status` gains `queued` for alerts accepted but not yet executed
+    - New function `claim_queued_alert(bot_id)`, which takes the next alert due for execution
+
+  2. Notes
+    - Alerts of one bot are executed one at a time in arrival order: an alert waiting for a
+      retry holds back the bot's later alerts, while dead alerts no longer do
+    - Alerts still `processing` after a worker died are moved to `dead`, as their order may
+      have been placed; they are only retried by hand
+
+  3. Security
+    - Users can read their own queued alerts; retries and discards go through the
+      `alertQueue` edge function
+*/
+
+CREATE TABLE IF NOT EXISTS alert_queue (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  bot_id uuid REFERENCES bots(id) ON DELETE CASCADE NOT NULL,
+  webhook_id uuid REFERENCES webhooks(id) ON DELETE CASCADE NOT NULL,
+  alert_id uuid REFERENCES alerts(id) ON DELETE SET NULL,
+  payload jsonb NOT NULL,
+  idempotency_key text NOT NULL,
+  claim_id uuid REFERENCES alert_idempotency(id) ON DELETE SET NULL,
+  status text NOT NULL DEFAULT 'queued',
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  locked_at timestamptz,
+  last_error text,
+  last_error_code text,
+  outcome text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz,
+  CONSTRAINT alert_queue_status_check
+    CHECK (status IN ('queued', 'processing', 'retrying', 'completed', 'dead', 'discarded'))
+);
+
+CREATE INDEX IF NOT EXISTS alert_queue_pending_idx
+  ON alert_queue (bot_id, created_at)
+  WHERE status IN ('queued', 'processing', 'retrying');
+
+CREATE INDEX IF NOT EXISTS alert_queue_user_id_idx
+  ON alert_queue (user_id, created_at DESC);
+
+ALTER TABLE alert_queue ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own queued alerts"
+  ON alert_queue
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role can manage queued alerts"
+  ON alert_queue
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_status_check;
+ALTER TABLE alerts
+  ADD CONSTRAINT alerts_status_check
+  CHECK (status IN ('executed', 'duplicate', 'rejected', 'invalid', 'failed', 'unauthorized', 'expired', 'queued'));
+
+-- Take the oldest pending alert of each bot, of one bot when p_bot_id is given, if it is
+-- due and no alert of that bot is being executed. Concurrent callers never get the same alert.
+CREATE OR REPLACE FUNCTION claim_queued_alert(p_bot_id uuid DEFAULT NULL)
+RETURNS SETOF alert_queue
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  WITH heads AS (
+    SELECT DISTINCT ON (bot_id) id, status, next_attempt_at
+    FROM alert_queue
+    WHERE status IN ('queued', 'processing', 'retrying')
+      AND (p_bot_id IS NULL OR bot_id = p_bot_id)
+    ORDER BY bot_id, created_at, id
+  ), next_alert AS (
+    SELECT id
+    FROM heads
+    WHERE status <> 'processing' AND next_attempt_at <= now()
+    ORDER BY next_attempt_at
+    LIMIT 1
+  )
+  UPDATE alert_queue AS q
+  SET status = 'processing',
+      locked_at = now(),
+      attempts = q.attempts + 1,
+      updated_at = now()
+  FROM next_alert
+  WHERE q.id = next_alert.id
+    AND q.status IN ('queued', 'retrying')
+  RETURNING q.*;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_queued_alert(uuid) FROM PUBLIC, anon, authenticated;
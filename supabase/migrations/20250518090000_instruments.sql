@@ -0,0 +1,60 @@
+/*
+  # Instrument cache
+
+  1. Changes
+    - New table `instruments`, the trading rules of every symbol per exchange, market and network
+      - `exchange` (text), `market_type` (text), `network` (text), `symbol` (text) - primary key
+      - `base_coin` (text), `quote_coin` (text)
+      - `status` (text) - `Trading` for symbols open to orders, in Bybit's vocabulary
+      - `min_qty`, `max_qty` (numeric) - order quantity limits
+      - `qty_step`, `tick_size` (text) - quantity and price increments, kept as text so
+        their decimals survive
+      - `min_notional` (numeric), `quote_step` (text) - spot minimum order value and quote increment
+      - `min_leverage`, `max_leverage` (numeric) - leverage range, when the exchange publishes one
+      - `updated_at` (timestamptz) - when the row was loaded from the exchange
+
+  2. Notes
+    - The `refreshInstruments` scheduled function reloads every market every 6 hours and
+      removes delisted symbols
+    - Alerts use cached rows up to a day old and fetch and cache the symbol otherwise
+
+  3. Security
+    - Instruments are public market data: any signed-in user can read them for symbol
+      suggestions; only the service role writes them
+*/
+
+CREATE TABLE IF NOT EXISTS instruments (
+  exchange text NOT NULL,
+  market_type text NOT NULL,
+  network text NOT NULL,
+  symbol text NOT NULL,
+  base_coin text,
+  quote_coin text,
+  status text NOT NULL,
+  min_qty numeric NOT NULL,
+  max_qty numeric,
+  qty_step text NOT NULL,
+  tick_size text NOT NULL,
+  min_notional numeric,
+  quote_step text,
+  min_leverage numeric,
+  max_leverage numeric,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (exchange, market_type, network, symbol),
+  CONSTRAINT instruments_network_check CHECK (network IN ('mainnet', 'testnet'))
+);
+
+ALTER TABLE instruments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can read instruments"
+  ON instruments
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Service role can manage instruments"
+  ON instruments
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,62 @@
+/*
+  # Exchange account events
+
+  1. Changes
+    - New table `exchange_events`, the events received from Bybit's private WebSocket stream
+      - `id` (uuid, primary key)
+      - `user_id` (uuid) - owner of the exchange account
+      - `exchange_account_id` (uuid) - the `api_keys` row the stream is authenticated with
+      - `topic` (text) - `order`, `execution`, `position` or `wallet`
+      - `event_id` (text) - id of the event within its topic: the execution id for fills,
+        order id, status and update time for orders
+      - `symbol` (text), `order_id` (text) - when the event has them
+      - `payload` (jsonb) - the event as Bybit sent it
+      - `event_time` (timestamptz) - when the exchange produced the event
+      - `received_at` (timestamptz)
+
+  2. Notes
+    - The standalone `bybit-listener` process writes the events and applies order and fill
+      events to `trades` and bot profit/loss as they arrive
+    - An event is stored once per account, topic and event id, so events received again
+      are not applied twice
+
+  3. Security
+    - Users can read the events of their own accounts; only the service role writes them
+*/
+
+CREATE TABLE IF NOT EXISTS exchange_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  exchange_account_id uuid REFERENCES api_keys(id) ON DELETE CASCADE NOT NULL,
+  topic text NOT NULL,
+  event_id text NOT NULL,
+  symbol text,
+  order_id text,
+  payload jsonb NOT NULL,
+  event_time timestamptz NOT NULL,
+  received_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT exchange_events_topic_check CHECK (topic IN ('order', 'execution', 'position', 'wallet')),
+  CONSTRAINT exchange_events_event_unique UNIQUE (exchange_account_id, topic, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS exchange_events_order_idx
+  ON exchange_events (exchange_account_id, order_id)
+  WHERE order_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS exchange_events_user_time_idx
+  ON exchange_events (user_id, event_time DESC);
+
+ALTER TABLE exchange_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can read own exchange events"
+  ON exchange_events
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role can manage exchange events"
+  ON exchange_events
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,27 @@
+/*
+  # Alert idempotency per bot
+
+  1. Changes
+    - `alert_idempotency` claims are unique per bot and idempotency key instead of per
+      webhook and key
+
+  2. Notes
+    - A rotated webhook token still in its grace period and its replacement belong to
+      the same bot, so an alert replayed on the new token is recognised as a duplicate
+    - Claims of the same key on several webhooks of a bot, if any, keep only the newest
+*/
+
+DELETE FROM alert_idempotency a
+  USING alert_idempotency b
+  WHERE a.bot_id = b.bot_id
+    AND a.idempotency_key = b.idempotency_key
+    AND (a.created_at, a.id) < (b.created_at, b.id);
+
+ALTER TABLE alert_idempotency
+  DROP CONSTRAINT IF EXISTS alert_idempotency_webhook_id_idempotency_key_key;
+
+ALTER TABLE alert_idempotency
+  DROP CONSTRAINT IF EXISTS alert_idempotency_bot_id_idempotency_key_key;
+
+ALTER TABLE alert_idempotency
+  ADD CONSTRAINT alert_idempotency_bot_id_idempotency_key_key UNIQUE (bot_id, idempotency_key);
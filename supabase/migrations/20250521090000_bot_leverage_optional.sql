@@ -0,0 +1,20 @@
+/*
+  # Optional bot leverage
+
+  1. Changes
+    - `bots.leverage` no longer defaults to 1; null keeps the exchange account's leverage
+    - Existing bots with the old default of 1 are set to null
+
+  2. Notes
+    - Live bots only apply the leverage, margin mode and position mode they set themselves,
+      so bots created before leverage was applied to the exchange keep the account's leverage
+    - Sizing treats a null leverage as 1x, as before
+    - Bots that did choose 1x have to set it again to have it applied
+*/
+
+ALTER TABLE bots ALTER COLUMN leverage DROP DEFAULT;
+
+UPDATE bots
+SET leverage = NULL,
+    applied_exchange_settings = '{}'::jsonb
+WHERE leverage = 1;
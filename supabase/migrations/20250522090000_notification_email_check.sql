@@ -0,0 +1,36 @@
+/*
+  # Validate email notification channels
+
+  1. Changes
+    - Email channels must have a plain `config.email` address (local@domain, without
+      spaces, line breaks, brackets or display names)
+    - Existing email channels with any other address are disabled, with the reason in
+      `last_error`; the constraint is checked again when they are edited
+
+  2. Security
+    - Channels are saved straight from the browser, so the address is checked here as well
+      as by the SMTP client before it is put into an SMTP session
+*/
+
+UPDATE notification_channels
+SET enabled = false,
+    last_error = 'Invalid email address',
+    last_error_at = now()
+WHERE type = 'email'
+  AND coalesce(config->>'email', '') !~ '^[A-Za-z0-9.!#$%&''*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'notification_channels_email_check'
+  ) THEN
+    ALTER TABLE notification_channels
+      ADD CONSTRAINT notification_channels_email_check
+      CHECK (
+        type <> 'email' OR (
+          length(config->>'email') <= 254 AND
+          config->>'email' ~ '^[A-Za-z0-9.!#$%&''*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$'
+        )
+      ) NOT VALID;
+  END IF;
+END $$;
@@ -0,0 +1,30 @@
+/*
+  # Pending exchange events
+
+  1. Changes
+    - Add to `exchange_events`
+      - `applied_at` (timestamptz) - when an order or fill event was applied to its trade;
+        null while the trade is not saved yet, and for position and wallet events, which
+        are only recorded
+
+  2. Notes
+    - A fill can arrive before the alert that placed the order saves its trade; the
+      `bybit-listener` keeps such events pending and applies them once the trade exists,
+      for up to 15 minutes
+    - Order and fill events recorded so far count as applied where their trade exists
+*/
+
+ALTER TABLE exchange_events ADD COLUMN IF NOT EXISTS applied_at timestamptz;
+
+UPDATE exchange_events AS e
+SET applied_at = e.received_at
+WHERE e.applied_at IS NULL
+  AND e.topic IN ('order', 'execution')
+  AND EXISTS (
+    SELECT 1 FROM trades t
+    WHERE t.user_id = e.user_id AND t.order_id = e.order_id
+  );
+
+CREATE INDEX IF NOT EXISTS exchange_events_pending_idx
+  ON exchange_events (exchange_account_id, received_at)
+  WHERE applied_at IS NULL AND topic IN ('order', 'execution');
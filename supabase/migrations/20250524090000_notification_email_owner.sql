@@ -0,0 +1,67 @@
+/*
+  # Email notifications only to the account's own address
+
+  1. Changes
+    - Email channels must send to the owner's verified sign-in email; a trigger refuses
+      any other address when a channel is saved
+    - Existing email channels with any other address are disabled, with the reason in
+      `last_error`
+    - Add `notification_tested_at` (timestamptz) to `users` - when the user last sent a
+      test notification, so test sends can be rate-limited
+
+  2. Security
+    - The server's SMTP account can no longer be used to mail arbitrary addresses
+    - The address is compared with `auth.users`, which users cannot edit, not with the
+      `users.email` copy; the notifier checks it again before each email
+    - Users cannot update `notification_tested_at`; only the `testNotification` edge
+      function sets it
+*/
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS notification_tested_at timestamptz;
+
+CREATE OR REPLACE FUNCTION notification_email_verified(p_user_id uuid, p_email text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM auth.users
+    WHERE id = p_user_id
+      AND email_confirmed_at IS NOT NULL
+      AND lower(email) = lower(p_email)
+  );
+$$;
+
+REVOKE EXECUTE ON FUNCTION notification_email_verified(uuid, text) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION check_notification_email_owner()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+  IF NEW.type = 'email' AND NOT notification_email_verified(NEW.user_id, NEW.config->>'email') THEN
+    RAISE EXCEPTION 'Email notifications can only be sent to your verified account email'
+      USING ERRCODE = 'check_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS notification_channels_email_owner ON notification_channels;
+CREATE TRIGGER notification_channels_email_owner
+  BEFORE INSERT OR UPDATE OF type, config, user_id ON notification_channels
+  FOR EACH ROW
+  EXECUTE FUNCTION check_notification_email_owner();
+
+UPDATE notification_channels
+SET enabled = false,
+    last_error = 'Email notifications can only be sent to your verified account email',
+    last_error_at = now()
+WHERE type = 'email'
+  AND enabled
+  AND NOT notification_email_verified(user_id, config->>'email');
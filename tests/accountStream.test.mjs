@@ -0,0 +1,189 @@
+// Applying Bybit private stream events to trades, against an in-memory database
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeSupabase } from './helpers/fakeSupabase.mjs';
+import { createAccountStreamHandler } from '../netlify/edge-functions/utils/accountStream.edge.mjs';
+
+const apiKey = { id: 'account-1', user_id: 'user-1' };
+const bot = { id: 'bot-1', user_id: 'user-1', name: 'Trend', market_type: 'linear' };
+
+const trade = (overrides = {}) => ({
+  id: 'trade-1',
+  user_id: 'user-1',
+  bot_id: 'bot-1',
+  symbol: 'BTCUSDT',
+  side: 'Buy',
+  order_type: 'Market',
+  quantity: 0.01,
+  price: 0,
+  order_id: 'order-1',
+  status: 'New',
+  filled_quantity: 0,
+  fee: 0,
+  realized_pnl: null,
+  ...overrides
+});
+
+const execution = (overrides = {}) => ({
+  execId: 'exec-1',
+  orderId: 'order-1',
+  symbol: 'BTCUSDT',
+  side: 'Buy',
+  execType: 'Trade',
+  execQty: '0.01',
+  execPrice: '60000',
+  execFee: '0.33',
+  execPnl: '',
+  execTime: '1747641600100',
+  ...overrides
+});
+
+const orderUpdate = (overrides = {}) => ({
+  category: 'linear',
+  orderId: 'order-1',
+  orderLinkId: 'tv-1',
+  symbol: 'BTCUSDT',
+  side: 'Buy',
+  orderType: 'Market',
+  orderStatus: 'New',
+  cumExecQty: '0',
+  cumExecFee: '0',
+  avgPrice: '',
+  rejectReason: 'EC_NoError',
+  cancelType: 'UNKNOWN',
+  createType: 'CreateByUser',
+  stopOrderType: '',
+  createdTime: '1747641600000',
+  updatedTime: '1747641600000',
+  ...overrides
+});
+
+function setup(trades = [], bots = [bot]) {
+  const supabase = createFakeSupabase(
+    { trades, bots: bots.map(b => ({ ...b, profit_loss: 0 })), exchange_events: [] },
+    { defaults: { exchange_events: () => ({ received_at: new Date().toISOString(), applied_at: null }) } }
+  );
+  const notifications = [];
+  const handler = createAccountStreamHandler(supabase, {
+    apiKey,
+    getBots: () => bots,
+    notify: async (userId, notification) => { notifications.push(notification); }
+  });
+  return { supabase, handler, notifications, rows: supabase.tables };
+}
+
+test('applies fills to their trade and rolls up the bot profit/loss', async () => {
+  const { handler, rows } = setup([trade()]);
+
+  await handler.handleEvent('execution', [execution()], { creationTime: 1747641600100 });
+
+  assert.equal(rows.trades[0].fee, 0.33);
+  assert.equal(rows.trades[0].price, 60000);
+  assert.equal(rows.bots[0].profit_loss, -0.33);
+  assert.ok(rows.exchange_events[0].applied_at);
+});
+
+test('keeps fills that arrive before their trade pending until the trade is saved', async () => {
+  const { handler, rows } = setup();
+
+  await handler.handleEvent('execution', [execution()], { creationTime: 1747641600100 });
+  assert.equal(rows.exchange_events[0].applied_at, null);
+
+  // Nothing to apply to yet
+  await handler.applyPendingEvents();
+  assert.equal(rows.exchange_events[0].applied_at, null);
+
+  rows.trades.push(trade());
+  await handler.applyPendingEvents();
+
+  assert.equal(rows.trades[0].fee, 0.33);
+  assert.equal(rows.trades[0].price, 60000);
+  assert.equal(rows.bots[0].profit_loss, -0.33);
+  assert.ok(rows.exchange_events[0].applied_at);
+});
+
+test('applies the latest pending order update once the trade is saved', async () => {
+  const { handler, rows, notifications } = setup();
+
+  await handler.handleEvent('order', [orderUpdate()], { creationTime: 1747641600000 });
+  await handler.handleEvent('order', [
+    orderUpdate({ orderStatus: 'Filled', cumExecQty: '0.01', avgPrice: '60000', updatedTime: '1747641600100' })
+  ], { creationTime: 1747641600100 });
+  assert.deepEqual(rows.exchange_events.map(event => event.applied_at), [null, null]);
+
+  rows.trades.push(trade());
+  await handler.applyPendingEvents();
+
+  assert.equal(rows.trades[0].status, 'Filled');
+  assert.equal(rows.trades[0].filled_quantity, 0.01);
+  assert.equal(rows.trades[0].price, 60000);
+  assert.ok(rows.exchange_events.every(event => event.applied_at));
+  assert.deepEqual(notifications.map(n => n.title), ['Buy BTCUSDT filled']);
+});
+
+test('does not move a trade back to an older pending update', async () => {
+  const { handler, rows } = setup();
+
+  await handler.handleEvent('order', [orderUpdate()], { creationTime: 1747641600000 });
+  rows.trades.push(trade());
+  await handler.handleEvent('order', [
+    orderUpdate({ orderStatus: 'Filled', cumExecQty: '0.01', avgPrice: '60000', updatedTime: '1747641600100' })
+  ], { creationTime: 1747641600100 });
+  await handler.applyPendingEvents();
+
+  assert.equal(rows.trades[0].status, 'Filled');
+  assert.ok(rows.exchange_events.every(event => event.applied_at));
+});
+
+test('leaves events of orders no bot placed alone once they are old', async () => {
+  const { handler, rows } = setup();
+
+  await handler.handleEvent('execution', [execution()], { creationTime: 1747641600100 });
+  rows.exchange_events[0].received_at = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  rows.trades.push(trade());
+  await handler.applyPendingEvents();
+
+  assert.equal(rows.trades[0].fee, 0);
+  assert.equal(rows.exchange_events[0].applied_at, null);
+});
+
+test('applies an event received again only once', async () => {
+  const { handler, rows, notifications } = setup([trade()]);
+  const filled = orderUpdate({ orderStatus: 'Filled', cumExecQty: '0.01', avgPrice: '60000' });
+
+  await handler.handleEvent('order', [filled], { creationTime: 1747641600000 });
+  rows.trades[0].status = 'New';
+  await handler.handleEvent('order', [filled], { creationTime: 1747641600000 });
+
+  assert.equal(rows.exchange_events.length, 1);
+  assert.equal(rows.trades[0].status, 'New');
+  assert.equal(notifications.length, 1);
+});
+
+test('records exits Bybit placed for the one bot trading the symbol in their category', async () => {
+  const spotBot = { id: 'bot-2', user_id: 'user-1', name: 'Spot', market_type: 'spot' };
+  const takeProfit = orderUpdate({
+    orderId: 'tp-1',
+    side: 'Sell',
+    orderStatus: 'Filled',
+    cumExecQty: '0.01',
+    avgPrice: '63000',
+    createType: 'CreateByTakeProfit',
+    stopOrderType: 'TakeProfit'
+  });
+
+  // Only a spot bot trades BTCUSDT, so a perpetual take profit is not its trade
+  const spotOnly = setup([trade({ bot_id: 'bot-2', status: 'Filled' })], [spotBot]);
+  await spotOnly.handler.handleEvent('order', [takeProfit], { creationTime: 1747641600000 });
+  assert.equal(spotOnly.rows.trades.length, 1);
+
+  const both = setup([
+    trade({ status: 'Filled' }),
+    trade({ id: 'trade-2', bot_id: 'bot-2', order_id: 'order-2', status: 'Filled' })
+  ], [bot, spotBot]);
+  await both.handler.handleEvent('order', [takeProfit], { creationTime: 1747641600000 });
+  const recorded = both.rows.trades.find(t => t.order_id === 'tp-1');
+  assert.equal(recorded.bot_id, 'bot-1');
+  assert.equal(recorded.action, 'take_profit');
+});
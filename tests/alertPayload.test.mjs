@@ -0,0 +1,35 @@
+// Parsing JSON and plain-text TradingView alerts into the canonical alert fields
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAlert, parseTextAlert } from '../netlify/edge-functions/utils/alertPayload.edge.mjs';
+
+test('reads plain-text entries with the default template', () => {
+  assert.deepEqual(parseAlert('buy BYBIT:BTCUSDT.P 0.01'), {
+    alertData: { side: 'Buy', symbol: 'BTCUSDT', quantity: 0.01 },
+    format: 'text'
+  });
+});
+
+test('reads plain-text exits without a quantity with the default template', () => {
+  assert.deepEqual(parseAlert('exit BTCUSDT'), {
+    alertData: { action: 'close', symbol: 'BTCUSDT' },
+    format: 'text'
+  });
+});
+
+test('still requires the placeholders a template does not mark optional', () => {
+  assert.equal(parseTextAlert('buy BTCUSDT', '{side} {symbol} {quantity}'), null);
+  assert.deepEqual(parseTextAlert('buy 0.01 of BTCUSDT', '{side} {quantity} of {symbol} {price?}'), {
+    side: 'buy',
+    quantity: '0.01',
+    symbol: 'BTCUSDT'
+  });
+  assert.equal(parseTextAlert('exit', '{side} {symbol} {quantity?}'), null);
+});
+
+test('reports text that does not fit the template', () => {
+  assert.deepEqual(parseAlert('buy 0.01 BTCUSDT', { textTemplate: '{side} {quantity} of {symbol}' }), {
+    error: 'Alert text does not match the template "{side} {quantity} of {symbol}"'
+  });
+});
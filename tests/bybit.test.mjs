@@ -0,0 +1,328 @@
+// Bybit V5 client against a local mock Bybit server
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { startMockServer, redirectFetch } from './helpers/mockExchangeServer.mjs';
+import {
+  MAINNET_URL,
+  TESTNET_URL,
+  bybitStreamAuthArgs,
+  executeBybitOrder,
+  amendBybitOrder,
+  cancelBybitOrder,
+  getBybitOrder,
+  getBybitInstrument,
+  getBybitInstruments,
+  getBybitKlines,
+  getBybitOpenPositions,
+  getBybitWalletBalance,
+  setBybitLeverage,
+  setBybitTradingStop
+} from '../netlify/edge-functions/utils/bybit.edge.mjs';
+
+const credentials = { apiKey: 'test-key', apiSecret: 'test-secret' };
+
+let server;
+let restoreFetch;
+
+const ok = result => ({ json: { retCode: 0, retMsg: 'OK', result, time: Date.now() } });
+const fail = (retCode, retMsg) => ({ json: { retCode, retMsg, result: {}, time: Date.now() } });
+
+/**
+ * Whether a private request carries a valid V5 signature:
+ * HMAC(secret, timestamp + apiKey + recvWindow + (queryString | body))
+ */
+function signatureValid(request, secret = credentials.apiSecret) {
+  const payload = request.method === 'GET' ? request.rawQuery : request.body;
+  const expected = createHmac('sha256', secret)
+    .update(request.headers['x-bapi-timestamp'] + request.headers['x-bapi-api-key'] +
+      request.headers['x-bapi-recv-window'] + payload)
+    .digest('hex');
+  return request.headers['x-bapi-sign'] === expected;
+}
+
+/**
+ * Route a private endpoint, refusing requests with a bad signature like Bybit does.
+ */
+function privateRoute(method, path, handler) {
+  server.route(method, path, request => (
+    signatureValid(request) ? handler(request) : fail(10004, 'error sign!')
+  ));
+}
+
+const privateRequests = path => server.requests.filter(r => r.path === path);
+
+before(async () => {
+  server = await startMockServer();
+  restoreFetch = redirectFetch([MAINNET_URL, TESTNET_URL], server.url);
+});
+
+after(async () => {
+  restoreFetch();
+  await server.close();
+});
+
+beforeEach(() => {
+  server.reset();
+  server.route('GET', '/v5/market/time', () => ok({}));
+});
+
+test('places a market order as IOC with a signed JSON body', async () => {
+  privateRoute('POST', '/v5/order/create', () => ok({ orderId: 'o-1', orderLinkId: 'tv-1' }));
+
+  const result = await executeBybitOrder({
+    ...credentials,
+    symbol: 'BTCUSDT',
+    side: 'Buy',
+    orderType: 'Market',
+    quantity: 0.01,
+    stopLoss: 59000,
+    orderLinkId: 'tv-1'
+  });
+
+  const [request] = privateRequests('/v5/order/create');
+  assert.deepEqual(JSON.parse(request.body), {
+    category: 'linear',
+    symbol: 'BTCUSDT',
+    side: 'Buy',
+    orderType: 'Market',
+    qty: '0.01',
+    timeInForce: 'IOC',
+    stopLoss: '59000',
+    orderLinkId: 'tv-1'
+  });
+  assert.equal(request.headers['x-bapi-api-key'], 'test-key');
+  assert.equal(request.headers['x-bapi-recv-window'], '5000');
+  assert.deepEqual(result, {
+    orderId: 'o-1',
+    symbol: 'BTCUSDT',
+    side: 'Buy',
+    orderType: 'Market',
+    qty: 0.01,
+    price: 0,
+    orderLinkId: 'tv-1',
+    status: 'Created'
+  });
+});
+
+test('places limit orders post-only with their price and reduce-only exits', async () => {
+  privateRoute('POST', '/v5/order/create', () => ok({ orderId: 'o-2', orderLinkId: '' }));
+
+  await executeBybitOrder({
+    ...credentials,
+    symbol: 'ETHUSDT',
+    side: 'Sell',
+    orderType: 'Limit',
+    quantity: 1,
+    price: 3000.5,
+    reduceOnly: true,
+    positionIdx: 2
+  });
+
+  const body = JSON.parse(privateRequests('/v5/order/create')[0].body);
+  assert.equal(body.timeInForce, 'PostOnly');
+  assert.equal(body.price, '3000.5');
+  assert.equal(body.reduceOnly, true);
+  assert.equal(body.positionIdx, 2);
+});
+
+test('sizes spot market buys in the quote coin when asked', async () => {
+  privateRoute('POST', '/v5/order/create', () => ok({ orderId: 'o-3', orderLinkId: '' }));
+
+  await executeBybitOrder({
+    ...credentials,
+    symbol: 'BTCUSDT',
+    side: 'Buy',
+    orderType: 'Market',
+    quantity: 100,
+    marketUnit: 'quoteCoin',
+    category: 'spot'
+  });
+
+  const body = JSON.parse(privateRequests('/v5/order/create')[0].body);
+  assert.equal(body.category, 'spot');
+  assert.equal(body.marketUnit, 'quoteCoin');
+});
+
+test('signs GET requests over the sorted query string', async () => {
+  privateRoute('GET', '/v5/order/realtime', () => ok({ list: [{ orderId: 'o-4', orderStatus: 'New' }] }));
+
+  const order = await getBybitOrder({ ...credentials, symbol: 'BTCUSDT', orderId: 'o-4' });
+
+  assert.equal(order.orderStatus, 'New');
+  assert.equal(privateRequests('/v5/order/realtime')[0].rawQuery, 'category=linear&orderId=o-4&symbol=BTCUSDT');
+});
+
+test('falls back to the order history for orders no longer open', async () => {
+  privateRoute('GET', '/v5/order/realtime', () => ok({ list: [] }));
+  privateRoute('GET', '/v5/order/history', () => ok({ list: [{ orderId: 'o-5', orderStatus: 'Filled' }] }));
+
+  const order = await getBybitOrder({ ...credentials, symbol: 'BTCUSDT', orderLinkId: 'tv-5' });
+
+  assert.equal(order.orderStatus, 'Filled');
+  assert.equal(privateRequests('/v5/order/history')[0].query.orderLinkId, 'tv-5');
+});
+
+test('amends and cancels orders by id', async () => {
+  privateRoute('POST', '/v5/order/amend', () => ok({ orderId: 'o-6', orderLinkId: '' }));
+  privateRoute('POST', '/v5/order/cancel', () => ok({ orderId: 'o-6', orderLinkId: '' }));
+
+  await amendBybitOrder({ ...credentials, symbol: 'BTCUSDT', orderId: 'o-6', price: 61000, takeProfit: 65000 });
+  await cancelBybitOrder({ ...credentials, symbol: 'BTCUSDT', orderId: 'o-6' });
+
+  assert.deepEqual(JSON.parse(privateRequests('/v5/order/amend')[0].body), {
+    category: 'linear',
+    symbol: 'BTCUSDT',
+    orderId: 'o-6',
+    price: '61000',
+    takeProfit: '65000'
+  });
+  assert.deepEqual(JSON.parse(privateRequests('/v5/order/cancel')[0].body), {
+    category: 'linear',
+    symbol: 'BTCUSDT',
+    orderId: 'o-6'
+  });
+});
+
+test('uses market orders for partial take profits', async () => {
+  privateRoute('POST', '/v5/position/trading-stop', () => ok({}));
+
+  await setBybitTradingStop({ ...credentials, symbol: 'BTCUSDT', takeProfit: 70000, tpSize: 0.005, tpslMode: 'Partial' });
+
+  const body = JSON.parse(privateRequests('/v5/position/trading-stop')[0].body);
+  assert.equal(body.tpOrderType, 'Market');
+  assert.equal(body.tpSize, '0.005');
+  assert.equal(body.positionIdx, 0);
+});
+
+test('rejects with the retCode of a Bybit error', async () => {
+  privateRoute('POST', '/v5/order/create', () => fail(110007, 'ab not enough for new order'));
+
+  await assert.rejects(
+    executeBybitOrder({ ...credentials, symbol: 'BTCUSDT', side: 'Buy', orderType: 'Market', quantity: 1 }),
+    error => error.retCode === 110007 && /ab not enough/.test(error.message)
+  );
+});
+
+test('rejects with the HTTP status of a failed request', async () => {
+  privateRoute('GET', '/v5/position/list', () => ({ status: 503, text: 'Service Unavailable' }));
+
+  await assert.rejects(
+    getBybitOpenPositions({ ...credentials }),
+    error => error.httpStatus === 503
+  );
+});
+
+test('resyncs the server clock after a timestamp error', async () => {
+  let offset = 0;
+  server.route('GET', '/v5/market/time', () => ({
+    json: { retCode: 0, retMsg: 'OK', result: {}, time: Date.now() + offset }
+  }));
+  privateRoute('GET', '/v5/position/list', request => (
+    Math.abs(Number(request.headers['x-bapi-timestamp']) - (Date.now() + offset)) > 5000
+      ? fail(10002, 'invalid request, please check your server timestamp or recv_window param')
+      : ok({ list: [] })
+  ));
+  await getBybitOpenPositions({ ...credentials });
+
+  // The server clock jumps a minute ahead of the synced offset
+  offset = 60000;
+  server.requests.length = 0;
+  await assert.rejects(getBybitOpenPositions({ ...credentials }), error => error.retCode === 10002);
+  const positions = await getBybitOpenPositions({ ...credentials });
+
+  assert.deepEqual(positions, []);
+  assert.equal(privateRequests('/v5/market/time').length, 1);
+});
+
+test('treats setting the current leverage as unchanged', async () => {
+  privateRoute('POST', '/v5/position/set-leverage', () => fail(110043, 'Set leverage not modified'));
+
+  const changed = await setBybitLeverage({ ...credentials, symbol: 'BTCUSDT', buyLeverage: 5 });
+
+  assert.equal(changed, false);
+  assert.deepEqual(JSON.parse(privateRequests('/v5/position/set-leverage')[0].body), {
+    category: 'linear',
+    symbol: 'BTCUSDT',
+    buyLeverage: '5',
+    sellLeverage: '5'
+  });
+});
+
+test('lists open positions across pages, skipping empty ones', async () => {
+  privateRoute('GET', '/v5/position/list', request => (
+    request.query.cursor === 'page-2'
+      ? ok({ list: [{ symbol: 'ETHUSDT', size: '2' }], nextPageCursor: '' })
+      : ok({ list: [{ symbol: 'BTCUSDT', size: '0.5' }, { symbol: 'XRPUSDT', size: '0' }], nextPageCursor: 'page-2' })
+  ));
+
+  const positions = await getBybitOpenPositions({ ...credentials });
+
+  assert.deepEqual(positions.map(p => p.symbol), ['BTCUSDT', 'ETHUSDT']);
+  assert.equal(privateRequests('/v5/position/list')[0].query.settleCoin, 'USDT');
+});
+
+test('derives the available balance when Bybit leaves it empty', async () => {
+  privateRoute('GET', '/v5/account/wallet-balance', () => ok({
+    list: [{
+      coin: [{
+        coin: 'USDT',
+        equity: '1200',
+        walletBalance: '1000',
+        availableToWithdraw: '',
+        totalPositionIM: '150',
+        totalOrderIM: '50'
+      }]
+    }]
+  }));
+
+  const balance = await getBybitWalletBalance({ ...credentials });
+
+  assert.deepEqual(balance, { equity: 1200, walletBalance: 1000, availableBalance: 800 });
+});
+
+test('loads instruments across pages from the public endpoint', async () => {
+  server.route('GET', '/v5/market/instruments-info', request => (
+    request.query.cursor
+      ? ok({ list: [{ symbol: 'ETHUSDT' }], nextPageCursor: '' })
+      : ok({ list: [{ symbol: 'BTCUSDT' }], nextPageCursor: 'next' })
+  ));
+
+  const instruments = await getBybitInstruments({ category: 'linear' });
+
+  assert.deepEqual(instruments.map(i => i.symbol), ['BTCUSDT', 'ETHUSDT']);
+  assert.equal(server.requests[0].headers['x-bapi-sign'], undefined);
+});
+
+test('rejects unknown instruments', async () => {
+  server.route('GET', '/v5/market/instruments-info', () => ok({ list: [] }));
+
+  await assert.rejects(getBybitInstrument({ symbol: 'NOPEUSDT' }), /No instrument found for NOPEUSDT/);
+});
+
+test('returns candles oldest first', async () => {
+  server.route('GET', '/v5/market/kline', () => ok({
+    list: [
+      ['1700000060000', '101', '103', '100', '102', '1', '1'],
+      ['1700000000000', '100', '102', '99', '101', '1', '1']
+    ]
+  }));
+
+  const candles = await getBybitKlines({ symbol: 'BTCUSDT', start: 1700000000000 });
+
+  assert.deepEqual(candles, [
+    { start: 1700000000000, open: 100, high: 102, low: 99, close: 101 },
+    { start: 1700000060000, open: 101, high: 103, low: 100, close: 102 }
+  ]);
+});
+
+test('signs private stream authentication', async () => {
+  const args = await bybitStreamAuthArgs({ ...credentials, expires: 1700000000000 });
+
+  assert.deepEqual(args, [
+    'test-key',
+    1700000000000,
+    createHmac('sha256', 'test-secret').update('GET/realtime1700000000000').digest('hex')
+  ]);
+});
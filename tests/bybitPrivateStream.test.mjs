@@ -0,0 +1,183 @@
+// Bybit private stream client against a local mock WebSocket server
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import WebSocket, { WebSocketServer } from 'ws';
+import { createBybitPrivateStream, PRIVATE_TOPICS } from '../netlify/edge-functions/utils/bybitPrivateStream.edge.mjs';
+
+const credentials = { apiKey: 'test-key', apiSecret: 'test-secret' };
+
+const cleanups = [];
+
+afterEach(async () => {
+  while (cleanups.length) await cleanups.pop()();
+});
+
+/**
+ * Start a mock private stream. `authenticate(args)` decides whether an auth request
+ * succeeds, and `answerPings` whether pings get a pong.
+ * Returns { url, connections, subscriptions, authArgs, sockets, close() }.
+ */
+async function startStreamServer({ authenticate = () => true, answerPings = true } = {}) {
+  const server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const state = { connections: [], subscriptions: [], authArgs: [], sockets: [] };
+  server.on('connection', socket => {
+    state.connections.push(Date.now());
+    state.sockets.push(socket);
+    socket.on('message', raw => {
+      const message = JSON.parse(String(raw));
+      if (message.op === 'auth') {
+        state.authArgs.push(message.args);
+        const success = authenticate(message.args);
+        socket.send(JSON.stringify({ op: 'auth', success, ret_msg: success ? '' : 'Invalid sign' }));
+      } else if (message.op === 'subscribe') {
+        state.subscriptions.push(message.args);
+        socket.send(JSON.stringify({ op: 'subscribe', success: true, ret_msg: '' }));
+      } else if (message.op === 'ping' && answerPings) {
+        socket.send(JSON.stringify({ op: 'pong', success: true }));
+      }
+    });
+  });
+
+  const { port } = server.address();
+  return {
+    url: `ws://127.0.0.1:${port}`,
+    ...state,
+    close() {
+      for (const client of server.clients) client.terminate();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Open a stream against `server`, recording its statuses and events.
+ */
+function openStream(server, options = {}) {
+  const statuses = [];
+  const events = [];
+  const stream = createBybitPrivateStream({
+    ...credentials,
+    url: server.url,
+    WebSocket,
+    initialReconnectDelayMs: 20,
+    maxReconnectDelayMs: 200,
+    onEvent: async (topic, records) => { events.push({ topic, records }); },
+    onStatus: status => statuses.push(status),
+    ...options
+  });
+  cleanups.push(() => server.close(), () => stream.stop());
+  stream.start();
+  return { stream, statuses, events };
+}
+
+/**
+ * Wait until `condition()` holds, failing after `timeoutMs`.
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error(`Condition not met within ${timeoutMs} ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('authenticates with a signed request and subscribes to the account topics', async () => {
+  const server = await startStreamServer();
+  const { statuses } = openStream(server);
+
+  await waitFor(() => statuses.includes('connected'));
+
+  const [apiKey, expires, signature] = server.authArgs[0];
+  assert.equal(apiKey, credentials.apiKey);
+  assert.ok(expires > Date.now());
+  assert.equal(signature, createHmac('sha256', credentials.apiSecret).update(`GET/realtime${expires}`).digest('hex'));
+  assert.deepEqual(server.subscriptions, [PRIVATE_TOPICS]);
+  assert.deepEqual(statuses, ['connecting', 'connected']);
+});
+
+test('delivers topic messages in order without their category', async () => {
+  const server = await startStreamServer();
+  const { statuses, events } = openStream(server);
+  await waitFor(() => statuses.includes('connected'));
+
+  const socket = server.sockets[0];
+  socket.send(JSON.stringify({ topic: 'order.linear', creationTime: 1, data: [{ orderId: 'o-1' }] }));
+  socket.send(JSON.stringify({ topic: 'execution', creationTime: 2, data: [{ execId: 'e-1' }, { execId: 'e-2' }] }));
+  socket.send(JSON.stringify({ op: 'pong', success: true }));
+
+  await waitFor(() => events.length === 2);
+  assert.deepEqual(events, [
+    { topic: 'order', records: [{ orderId: 'o-1' }] },
+    { topic: 'execution', records: [{ execId: 'e-1' }, { execId: 'e-2' }] }
+  ]);
+});
+
+test('reconnects and subscribes again when the server closes the connection', async () => {
+  const server = await startStreamServer();
+  const { statuses, events } = openStream(server);
+  await waitFor(() => statuses.includes('connected'));
+
+  server.sockets[0].close(1001, 'Going away');
+  await waitFor(() => server.subscriptions.length === 2);
+  server.sockets[1].terminate();
+  await waitFor(() => server.subscriptions.length === 3);
+  await waitFor(() => statuses.filter(status => status === 'connected').length === 3);
+
+  assert.equal(server.connections.length, 3);
+  assert.equal(server.authArgs.length, 3);
+  assert.deepEqual(server.subscriptions, [PRIVATE_TOPICS, PRIVATE_TOPICS, PRIVATE_TOPICS]);
+  assert.deepEqual(statuses, [
+    'connecting', 'connected',
+    'disconnected', 'connecting', 'connected',
+    'disconnected', 'connecting', 'connected'
+  ]);
+
+  // The new connection delivers events like the first one
+  server.sockets[2].send(JSON.stringify({ topic: 'wallet', creationTime: 3, data: [{ accountType: 'UNIFIED' }] }));
+  await waitFor(() => events.length === 1);
+  assert.equal(events[0].topic, 'wallet');
+});
+
+test('waits twice as long after each failed attempt, up to the maximum delay', async () => {
+  const server = await startStreamServer({ authenticate: () => false });
+  const { statuses } = openStream(server, { initialReconnectDelayMs: 100, maxReconnectDelayMs: 400 });
+
+  await waitFor(() => server.connections.length === 5, 5000);
+
+  const gaps = server.connections.slice(1).map((time, i) => time - server.connections[i]);
+  assert.ok(gaps[0] >= 90, `first retry after ${gaps[0]} ms`);
+  assert.ok(gaps[1] >= 190, `second retry after ${gaps[1]} ms`);
+  assert.ok(gaps[2] >= 390, `third retry after ${gaps[2]} ms`);
+  assert.ok(gaps[3] >= 390 && gaps[3] < 700, `fourth retry after ${gaps[3]} ms`);
+  assert.ok(statuses.includes('error'));
+  assert.ok(!statuses.includes('connected'));
+  assert.equal(server.subscriptions.length, 0);
+});
+
+test('replaces a connection that stops answering pings', async () => {
+  const server = await startStreamServer({ answerPings: false });
+  const { statuses } = openStream(server, { pingIntervalMs: 50 });
+
+  await waitFor(() => server.subscriptions.length === 2);
+
+  assert.ok(statuses.indexOf('disconnected') > statuses.indexOf('connected'));
+  assert.equal(server.connections.length, 2);
+});
+
+test('stays closed once stopped', async () => {
+  const server = await startStreamServer();
+  const { stream, statuses } = openStream(server);
+  await waitFor(() => statuses.includes('connected'));
+
+  await stream.stop();
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.equal(server.connections.length, 1);
+  assert.deepEqual(statuses, ['connecting', 'connected', 'stopped']);
+});
@@ -0,0 +1,289 @@
+// Exchange adapters against a local mock exchange serving recorded Bybit and Binance responses
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { startMockServer, redirectFetch } from './helpers/mockExchangeServer.mjs';
+import { MAINNET_URL, TESTNET_URL } from '../netlify/edge-functions/utils/bybit.edge.mjs';
+import { BINANCE_MAINNET_URL, BINANCE_TESTNET_URL } from '../netlify/edge-functions/utils/binance.edge.mjs';
+import { createExchange, instrumentFilters } from '../netlify/edge-functions/utils/exchange.edge.mjs';
+
+const fixture = name => JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+
+const bybitAccount = { exchange: 'bybit', api_key: 'bybit-key', api_secret: 'bybit-secret', environment: 'mainnet' };
+const binanceAccount = { exchange: 'binance', api_key: 'binance-key', api_secret: 'binance-secret', environment: 'mainnet' };
+
+let server;
+let restoreFetch;
+
+/**
+ * Whether a signed Binance request carries a valid signature: HMAC(secret, queryString)
+ */
+function binanceSignatureValid(request) {
+  const [signed, signature] = request.rawQuery.split('&signature=');
+  return request.headers['x-mbx-apikey'] === binanceAccount.api_key &&
+    signature === createHmac('sha256', binanceAccount.api_secret).update(signed).digest('hex');
+}
+
+/**
+ * Route a signed Binance endpoint, refusing requests with a bad signature like Binance does.
+ */
+function binanceRoute(method, path, handler) {
+  server.route(method, path, request => (
+    binanceSignatureValid(request)
+      ? handler(request)
+      : { status: 400, json: { code: -1022, msg: 'Signature for this request is not valid.' } }
+  ));
+}
+
+// Empty successful Bybit response
+const bybitOk = () => ({ json: { retCode: 0, retMsg: 'OK', result: {}, time: Date.now() } });
+
+const requestsTo = (method, path) => server.requests.filter(r => r.method === method && r.path === path);
+
+before(async () => {
+  server = await startMockServer();
+  restoreFetch = redirectFetch([MAINNET_URL, TESTNET_URL, BINANCE_MAINNET_URL, BINANCE_TESTNET_URL], server.url);
+});
+
+after(async () => {
+  restoreFetch();
+  await server.close();
+});
+
+beforeEach(() => {
+  server.reset();
+  server.route('GET', '/v5/market/time', bybitOk);
+  server.route('GET', '/fapi/v1/time', () => ({ json: { serverTime: Date.now() } }));
+  server.route('GET', '/fapi/v1/exchangeInfo', () => ({ json: fixture('binance-exchange-info') }));
+});
+
+test('describes a Bybit linear instrument without a minimum order value', async () => {
+  server.route('GET', '/v5/market/instruments-info', () => ({ json: fixture('bybit-instruments-linear') }));
+
+  const instrument = await createExchange(bybitAccount).describeInstrument('BTCUSDT');
+
+  assert.deepEqual(requestsTo('GET', '/v5/market/instruments-info')[0].query, { category: 'linear', symbol: 'BTCUSDT' });
+  assert.deepEqual(instrument, {
+    symbol: 'BTCUSDT',
+    baseCoin: 'BTC',
+    quoteCoin: 'USDT',
+    status: 'Trading',
+    minQty: 0.001,
+    maxQty: 1190,
+    qtyStep: '0.001',
+    tickSize: '0.10',
+    minNotional: null,
+    quoteStep: null,
+    minLeverage: 1,
+    maxLeverage: 100
+  });
+});
+
+test('sizes Bybit spot orders in base precision with a minimum order value and quote step', async () => {
+  server.route('GET', '/v5/market/instruments-info', () => ({ json: fixture('bybit-instruments-spot') }));
+
+  const filters = await createExchange(bybitAccount, { marketType: 'spot' }).getInstrument('BTCUSDT');
+
+  assert.equal(requestsTo('GET', '/v5/market/instruments-info')[0].query.category, 'spot');
+  assert.deepEqual(filters, {
+    minQty: 0.000048,
+    maxQty: 71.73956243,
+    qtyStep: 0.000001,
+    qtyDecimals: 6,
+    tickSize: '0.01',
+    minNotional: 1,
+    quoteStep: 0.00000001,
+    quoteDecimals: 8
+  });
+});
+
+test('sets the margin mode on the account of a Bybit unified trading account', async () => {
+  server.route('GET', '/v5/account/info', () => ({ json: fixture('bybit-account-info-uta') }));
+  server.route('POST', '/v5/account/set-margin-mode', () => ({ json: fixture('bybit-set-margin-mode') }));
+  // What Bybit answers when a unified account uses the classic per-symbol endpoint
+  server.route('POST', '/v5/position/switch-isolated', () => ({ json: fixture('bybit-switch-isolated-uta') }));
+  server.route('POST', '/v5/position/set-leverage', bybitOk);
+  const exchange = createExchange(bybitAccount);
+
+  await exchange.applySettings({ symbol: 'BTCUSDT', leverage: 5, marginMode: 'isolated', positionMode: null });
+  // The account is already on cross margin
+  await exchange.applySettings({ symbol: 'BTCUSDT', leverage: null, marginMode: 'cross', positionMode: null });
+
+  assert.deepEqual(requestsTo('POST', '/v5/account/set-margin-mode').map(r => JSON.parse(r.body)), [
+    { setMarginMode: 'ISOLATED_MARGIN' }
+  ]);
+  assert.equal(requestsTo('POST', '/v5/position/switch-isolated').length, 0);
+  assert.equal(JSON.parse(requestsTo('POST', '/v5/position/set-leverage')[0].body).buyLeverage, '5');
+});
+
+test('switches the margin mode per symbol on a classic Bybit account', async () => {
+  server.route('GET', '/v5/account/info', () => ({ json: fixture('bybit-account-info-classic') }));
+  server.route('POST', '/v5/position/switch-isolated', bybitOk);
+  server.route('POST', '/v5/position/set-leverage', bybitOk);
+
+  await createExchange(bybitAccount).applySettings({ symbol: 'BTCUSDT', leverage: 3, marginMode: 'isolated', positionMode: null });
+
+  assert.deepEqual(JSON.parse(requestsTo('POST', '/v5/position/switch-isolated')[0].body), {
+    category: 'linear',
+    symbol: 'BTCUSDT',
+    tradeMode: 1,
+    buyLeverage: '3',
+    sellLeverage: '3'
+  });
+  assert.equal(requestsTo('POST', '/v5/account/set-margin-mode').length, 0);
+});
+
+test('describes a Binance symbol with its MIN_NOTIONAL as the minimum order value', async () => {
+  const instrument = await createExchange(binanceAccount).describeInstrument('BTCUSDT');
+
+  assert.deepEqual(instrument, {
+    symbol: 'BTCUSDT',
+    baseCoin: 'BTC',
+    quoteCoin: 'USDT',
+    status: 'Trading',
+    minQty: 0.001,
+    maxQty: 1000,
+    qtyStep: '0.001',
+    tickSize: '0.10',
+    minNotional: 100,
+    quoteStep: null,
+    minLeverage: null,
+    maxLeverage: null
+  });
+  assert.deepEqual(instrumentFilters(instrument), {
+    minQty: 0.001,
+    maxQty: 1000,
+    qtyStep: 0.001,
+    qtyDecimals: 3,
+    tickSize: '0.10',
+    minNotional: 100
+  });
+});
+
+test('downloads Binance exchangeInfo once for several symbol lookups', async () => {
+  // Testnet, so no earlier lookup has filled the cache
+  const exchange = createExchange({ ...binanceAccount, environment: 'testnet' });
+
+  const [btc, eth] = await Promise.all([exchange.getInstrument('BTCUSDT'), exchange.getInstrument('ETHUSDT')]);
+  const again = await exchange.getInstrument('BTCUSDT');
+
+  assert.equal(btc.minNotional, 100);
+  assert.equal(eth.minNotional, 20);
+  assert.deepEqual(again, btc);
+  assert.equal(requestsTo('GET', '/fapi/v1/exchangeInfo').length, 1);
+  await assert.rejects(exchange.getInstrument('DOGEUSDT'), /No instrument found for DOGEUSDT/);
+});
+
+test('lists every Binance symbol', async () => {
+  const instruments = await createExchange(binanceAccount).listInstruments();
+
+  assert.deepEqual(instruments.map(i => [i.symbol, i.minNotional]), [['BTCUSDT', 100], ['ETHUSDT', 20]]);
+});
+
+test('places a Binance market order with its stops as separate reduce-only orders', async () => {
+  let orders = 0;
+  binanceRoute('POST', '/fapi/v1/order', () => ({
+    json: { ...fixture('binance-order-new'), orderId: 4071398162 + orders++ }
+  }));
+
+  const result = await createExchange(binanceAccount).placeOrder({
+    symbol: 'BTCUSDT',
+    side: 'Buy',
+    orderType: 'Market',
+    quantity: 0.01,
+    stopLoss: 59000,
+    takeProfit: 63000,
+    orderLinkId: 'tv-bot-1'
+  });
+
+  assert.deepEqual(result, {
+    orderId: '4071398162',
+    symbol: 'BTCUSDT',
+    side: 'Buy',
+    orderType: 'Market',
+    qty: 0.01,
+    price: 0,
+    orderLinkId: 'tv-bot-1',
+    status: 'New'
+  });
+
+  const [entry, stopLoss, takeProfit] = requestsTo('POST', '/fapi/v1/order').map(r => r.query);
+  assert.equal(entry.type, 'MARKET');
+  assert.equal(entry.side, 'BUY');
+  assert.equal(entry.quantity, '0.01');
+  assert.equal(entry.newClientOrderId, 'tv-bot-1');
+  assert.equal(entry.timeInForce, undefined);
+  assert.equal(stopLoss.type, 'STOP_MARKET');
+  assert.equal(stopLoss.side, 'SELL');
+  assert.equal(stopLoss.stopPrice, '59000');
+  assert.equal(stopLoss.closePosition, 'true');
+  assert.equal(takeProfit.type, 'TAKE_PROFIT_MARKET');
+  assert.equal(takeProfit.stopPrice, '63000');
+});
+
+test('reports a failed Binance stop on the result instead of throwing', async () => {
+  let orders = 0;
+  binanceRoute('POST', '/fapi/v1/order', () => (
+    orders++ === 0
+      ? { json: fixture('binance-order-new') }
+      : { status: 400, json: { code: -2021, msg: 'Order would immediately trigger.' } }
+  ));
+
+  const result = await createExchange(binanceAccount).placeOrder({
+    symbol: 'BTCUSDT',
+    side: 'Buy',
+    orderType: 'Limit',
+    quantity: 0.01,
+    price: 60000,
+    stopLoss: 61000
+  });
+
+  assert.equal(result.status, 'New');
+  assert.match(result.statusReason, /^STOP_MARKET order failed: Binance API error -2021/);
+  assert.equal(requestsTo('POST', '/fapi/v1/order')[0].query.timeInForce, 'GTX');
+});
+
+test('maps Binance order statuses to Bybit vocabulary', async () => {
+  binanceRoute('GET', '/fapi/v1/order', request => (
+    request.query.orderId === '4071398170'
+      ? { json: fixture('binance-order-canceled-partial') }
+      : { status: 400, json: { code: -2013, msg: 'Order does not exist.' } }
+  ));
+  const exchange = createExchange(binanceAccount);
+
+  assert.deepEqual(await exchange.getOrder({ symbol: 'BTCUSDT', orderId: '4071398170' }), {
+    status: 'PartiallyFilledCanceled',
+    filledQty: 0.004,
+    reason: null
+  });
+  assert.equal(await exchange.getOrder({ symbol: 'BTCUSDT', orderId: '1' }), null);
+});
+
+test('reads Binance hedge-mode positions by position side', async () => {
+  binanceRoute('GET', '/fapi/v2/positionRisk', () => ({ json: fixture('binance-position-risk') }));
+  const exchange = createExchange(binanceAccount);
+
+  assert.deepEqual(await exchange.getPosition('BTCUSDT'), { side: 'Sell', size: 0.015 });
+  assert.deepEqual(await exchange.getPosition('BTCUSDT', { positionSide: 'Buy' }), { side: null, size: 0 });
+  assert.deepEqual(await exchange.getPosition('BTCUSDT', { positionSide: 'Sell' }), { side: 'Sell', size: 0.015 });
+  assert.deepEqual(await exchange.getOpenPositions(), [
+    { symbol: 'BTCUSDT', side: 'Sell', size: 0.015, positionSide: 'Sell' }
+  ]);
+  assert.equal(requestsTo('GET', '/fapi/v2/positionRisk')[0].query.symbol, 'BTCUSDT');
+});
+
+test('reads the Binance account balance', async () => {
+  binanceRoute('GET', '/fapi/v2/account', () => ({ json: fixture('binance-account') }));
+
+  assert.deepEqual(await createExchange(binanceAccount).getBalance(), {
+    equity: 1007.3155,
+    walletBalance: 1000,
+    availableBalance: 917.29705
+  });
+});
+
+test('refuses Binance markets other than USDT-M futures', () => {
+  assert.throws(() => createExchange(binanceAccount, { marketType: 'spot' }), /USDT-M futures only/);
+});
@@ -0,0 +1,128 @@
+// In-memory stand-in for the Supabase client in tests
+// Supports the query builder calls the shared utils make: select, insert, upsert and update with filters
+
+let nextId = 1;
+
+/**
+ * Create a client over `tables` ({ table: rows }). `defaults` ({ table: () => row })
+ * fills the columns the database would default on insert.
+ * Returns the client, with the rows in `tables` for assertions.
+ */
+export function createFakeSupabase(tables = {}, { defaults = {} } = {}) {
+  const data = Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.map(row => ({ ...row }))]));
+  const rowsOf = table => (data[table] ??= []);
+  const newRow = (table, row) => ({ id: `${table}-${nextId++}`, ...defaults[table]?.(), ...row });
+
+  function from(table) {
+    const filters = [];
+    const orderBy = [];
+    let action = { type: 'select' };
+    let returning = false;
+    let single = false;
+
+    const matches = row => filters.every(filter => filter(row));
+
+    const run = () => {
+      const rows = rowsOf(table);
+      switch (action.type) {
+        case 'insert': {
+          const added = action.rows.map(row => newRow(table, row));
+          rows.push(...added);
+          return added;
+        }
+        case 'upsert': {
+          const keys = action.onConflict.split(',');
+          const added = [];
+          for (const row of action.rows) {
+            const existing = rows.find(r => keys.every(key => r[key] === row[key]));
+            if (existing) {
+              if (!action.ignoreDuplicates) Object.assign(existing, row);
+              continue;
+            }
+            added.push(newRow(table, row));
+          }
+          rows.push(...added);
+          return added;
+        }
+        case 'update': {
+          const updated = rows.filter(matches);
+          for (const row of updated) Object.assign(row, action.values);
+          return updated;
+        }
+        default: {
+          const selected = rows.filter(matches);
+          for (const column of [...orderBy].reverse()) {
+            selected.sort((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0));
+          }
+          return selected;
+        }
+      }
+    };
+
+    const builder = {
+      select() {
+        if (action.type !== 'select') returning = true;
+        return builder;
+      },
+      insert(rows) {
+        action = { type: 'insert', rows: [].concat(rows) };
+        return builder;
+      },
+      upsert(rows, { onConflict, ignoreDuplicates = false }) {
+        action = { type: 'upsert', rows: [].concat(rows), onConflict, ignoreDuplicates };
+        return builder;
+      },
+      update(values) {
+        action = { type: 'update', values };
+        return builder;
+      },
+      eq(column, value) {
+        filters.push(row => row[column] === value);
+        return builder;
+      },
+      in(column, values) {
+        filters.push(row => values.includes(row[column]));
+        return builder;
+      },
+      is(column, value) {
+        filters.push(row => (row[column] ?? null) === value);
+        return builder;
+      },
+      not(column, operator, value) {
+        if (operator !== 'like') throw new Error(`Unsupported filter: not.${operator}`);
+        const pattern = new RegExp(`^${value.split('%').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+        filters.push(row => !pattern.test(String(row[column])));
+        return builder;
+      },
+      gte(column, value) {
+        filters.push(row => row[column] >= value);
+        return builder;
+      },
+      lte(column, value) {
+        filters.push(row => row[column] <= value);
+        return builder;
+      },
+      order(column) {
+        orderBy.push(column);
+        return builder;
+      },
+      maybeSingle() {
+        single = true;
+        return builder;
+      },
+      then(resolve, reject) {
+        const rows = run().map(row => structuredClone(row));
+        let result = null;
+        if (single) {
+          result = rows[0] ?? null;
+        } else if (action.type === 'select' || returning) {
+          result = rows;
+        }
+        return Promise.resolve({ data: result, error: null }).then(resolve, reject);
+      }
+    };
+    return builder;
+  }
+
+  return { from, tables: data };
+}
@@ -0,0 +1,82 @@
+// Local HTTP server standing in for an exchange's REST API in tests
+// Routes answer with canned responses and every request is recorded for assertions
+
+import http from 'node:http';
+
+/**
+ * Start a mock server on a free local port.
+ * `route(method, path, handler)` answers `METHOD path` with `handler(request)`, which
+ * returns { status = 200, json } or { status, text }; unrouted requests get a 404.
+ * Recorded requests are { method, path, query, rawQuery, headers, body }.
+ * Returns { url, requests, route(), reset(), close() }.
+ */
+export async function startMockServer() {
+  const routes = new Map();
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    const url = new URL(req.url, 'http://localhost');
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      rawQuery: url.search.slice(1),
+      headers: req.headers,
+      body
+    };
+    requests.push(request);
+
+    const handler = routes.get(`${req.method} ${url.pathname}`);
+    const reply = handler ? await handler(request) : { status: 404, text: `No route for ${req.method} ${url.pathname}` };
+
+    if (reply.json !== undefined) {
+      res.writeHead(reply.status ?? 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.json));
+    } else {
+      res.writeHead(reply.status ?? 200, { 'Content-Type': 'text/plain' });
+      res.end(reply.text ?? '');
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    route(method, path, handler) {
+      routes.set(`${method} ${path}`, handler);
+    },
+    reset() {
+      routes.clear();
+      requests.length = 0;
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Send fetch requests for the given origins to `targetUrl` instead, so the exchange
+ * clients talk to a mock server with their production URLs. Returns a function that
+ * restores the original fetch.
+ */
+export function redirectFetch(origins, targetUrl) {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = (input, init) => {
+    let url = String(input);
+    const origin = origins.find(o => url.startsWith(o));
+    if (origin) {
+      url = targetUrl + url.slice(origin.length);
+    }
+    return originalFetch(url, init);
+  };
+  return () => {
+    globalThis.fetch = originalFetch;
+  };
+}
@@ -0,0 +1,121 @@
+// PnL reconciliation against a local mock Bybit server and an in-memory database
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer, redirectFetch } from './helpers/mockExchangeServer.mjs';
+import { createFakeSupabase } from './helpers/fakeSupabase.mjs';
+import { MAINNET_URL, TESTNET_URL } from '../netlify/edge-functions/utils/bybit.edge.mjs';
+import { reconcileAccountPnl } from '../netlify/edge-functions/utils/pnlReconciliation.edge.mjs';
+
+const apiKey = { id: 'account-1', user_id: 'user-1', exchange: 'bybit', api_key: 'key', api_secret: 'secret', environment: 'mainnet' };
+const now = Date.parse('2025-05-19T12:00:00Z');
+
+let server;
+let restoreFetch;
+
+const ok = result => ({ json: { retCode: 0, retMsg: 'OK', result, time: Date.now() } });
+
+const bot = (id, marketType) => ({ id, user_id: 'user-1', symbol: 'BTCUSDT', market_type: marketType, pnl_reconciled_at: null });
+
+const trade = (id, botId, orderId) => ({
+  id,
+  user_id: 'user-1',
+  bot_id: botId,
+  symbol: 'BTCUSDT',
+  side: 'Buy',
+  order_type: 'Market',
+  quantity: 0.01,
+  price: 0,
+  order_id: orderId,
+  status: 'Filled',
+  fee: 0,
+  realized_pnl: null,
+  reconciled_at: null,
+  created_at: '2025-05-19T11:00:00.000Z'
+});
+
+const fill = (orderId, overrides = {}) => ({
+  orderId,
+  symbol: 'BTCUSDT',
+  side: 'Buy',
+  execType: 'Trade',
+  execQty: '0.01',
+  execPrice: '60000',
+  execFee: '0.6',
+  stopOrderType: 'UNKNOWN',
+  execTime: String(now - 3600000),
+  ...overrides
+});
+
+// A take profit closing a perpetual position that no alert placed
+const perpTakeProfit = {
+  orderId: 'perp-tp',
+  symbol: 'BTCUSDT',
+  side: 'Sell',
+  orderType: 'Market',
+  closedSize: '0.02',
+  cumEntryValue: '1200',
+  cumExitValue: '1260',
+  avgExitPrice: '63000',
+  createdTime: String(now - 1800000)
+};
+
+const requestsTo = path => server.requests.filter(r => r.path === path);
+
+before(async () => {
+  server = await startMockServer();
+  restoreFetch = redirectFetch([MAINNET_URL, TESTNET_URL], server.url);
+});
+
+after(async () => {
+  restoreFetch();
+  await server.close();
+});
+
+beforeEach(() => {
+  server.reset();
+  server.route('GET', '/v5/market/time', () => ok({}));
+  server.route('GET', '/v5/execution/list', request => ok({
+    list: request.query.category === 'spot'
+      ? [fill('spot-1', { execFee: '0.000012' })]
+      : [fill('perp-1'), fill('perp-tp', { side: 'Sell', execPrice: '63000', execQty: '0.02', stopOrderType: 'TakeProfit' })],
+    nextPageCursor: ''
+  }));
+  server.route('GET', '/v5/position/closed-pnl', () => ok({ list: [perpTakeProfit], nextPageCursor: '' }));
+});
+
+test('reads spot fills from the spot category without closed PnL', async () => {
+  const supabase = createFakeSupabase({ trades: [trade('t-1', 'spot-bot', 'spot-1')], bots: [bot('spot-bot', 'spot')] });
+
+  const result = await reconcileAccountPnl(supabase, { apiKey, bots: [bot('spot-bot', 'spot')], now });
+
+  assert.deepEqual(requestsTo('/v5/execution/list').map(r => r.query.category), ['spot']);
+  assert.equal(requestsTo('/v5/position/closed-pnl').length, 0);
+  assert.deepEqual(result, { trades: 1, bots: 1 });
+
+  const [spotTrade] = supabase.tables.trades;
+  assert.equal(spotTrade.fee, 0.000012);
+  assert.equal(spotTrade.price, 60000);
+  assert.equal(spotTrade.realized_pnl, null);
+  assert.ok(spotTrade.reconciled_at);
+});
+
+test('keeps perpetual exits away from a spot bot on the same symbol', async () => {
+  const bots = [bot('spot-bot', 'spot'), bot('perp-bot', 'linear')];
+  const supabase = createFakeSupabase({
+    trades: [trade('t-1', 'spot-bot', 'spot-1'), trade('t-2', 'perp-bot', 'perp-1')],
+    bots
+  });
+
+  await reconcileAccountPnl(supabase, { apiKey, bots, now });
+
+  assert.deepEqual(requestsTo('/v5/execution/list').map(r => r.query.category).sort(), ['linear', 'spot']);
+  assert.deepEqual(requestsTo('/v5/position/closed-pnl').map(r => r.query.category), ['linear']);
+
+  const exits = supabase.tables.trades.filter(t => t.order_id === 'perp-tp');
+  assert.equal(exits.length, 1);
+  assert.equal(exits[0].bot_id, 'perp-bot');
+  assert.equal(exits[0].action, 'take_profit');
+  assert.equal(exits[0].realized_pnl, 60);
+  assert.equal(supabase.tables.bots.find(b => b.id === 'spot-bot').profit_loss, -0.000012);
+});